@@ -4,9 +4,158 @@ module.exports = {
     PORT: 3001,
     CONFIG_FILE: path.join(__dirname, '..', 'config.json'),
     ORDERS_FILE: path.join(__dirname, '..', 'orders.json'),
-    MAX_ORDERS: 100,
+    SIGNALS_FILE: path.join(__dirname, '..', 'signals.json'),
+    STATE_FILE: path.join(__dirname, '..', 'state.json'),
+    MAX_ORDERS: 100, // file backend only; SQLite keeps the full history
+    MAX_SIGNALS: 500,
+
+    // Exchange adapter used when config.exchange is not set: 'binance' or 'mock' (offline)
+    DEFAULT_EXCHANGE: 'binance',
+
+    // 'file' (JSON files) or 'sqlite'
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'file',
+    SQLITE_FILE: process.env.SQLITE_FILE || path.join(__dirname, '..', 'trading.db'),
+
+    ORDER_STATUS: {
+        PENDING: 'pending',
+        WAITING_TRIGGER: 'waiting_trigger',
+        SCHEDULED: 'scheduled',
+        SUBMITTED: 'submitted',
+        PARTIAL: 'partial',
+        FILLED: 'filled',
+        CANCELLED: 'cancelled',
+        ERROR: 'error'
+    },
+
+    // Allowed order lifecycle moves; filled, cancelled and error are terminal
+    ORDER_STATUS_TRANSITIONS: {
+        pending: ['waiting_trigger', 'scheduled', 'submitted', 'cancelled', 'error'],
+        waiting_trigger: ['submitted', 'cancelled', 'error'],
+        scheduled: ['waiting_trigger', 'submitted', 'cancelled', 'error'],
+        submitted: ['partial', 'filled', 'cancelled', 'error'],
+        partial: ['partial', 'filled', 'cancelled', 'error'],
+        filled: [],
+        cancelled: [],
+        error: []
+    },
+
+    // Exchange statuses of an exit order still resting on the book (a take profit LIMIT)
+    RESTING_EXIT_STATUSES: ['NEW', 'PARTIALLY_FILLED'],
+
+    WEBHOOK_AUTH: {
+        DEFAULT_SOURCE: 'tradingview',
+        TIMESTAMP_TOLERANCE_MS: 5 * 60 * 1000, // 5 minutes
+        NONCE_TTL_MS: 10 * 60 * 1000 // 10 minutes
+    },
+
+    // Plaintext credential fields of older configs; credentials now live in the encrypted store
+    LEGACY_CREDENTIAL_FIELDS: ['binanceApiKey', 'binanceApiSecret'],
+
+    SYMBOL_INFO_REFRESH_MS: 60 * 60 * 1000, // 1 hour
+
+    // User data stream: listen keys expire after 60 minutes without a keepalive
+    USER_DATA_KEEPALIVE_MS: 30 * 60 * 1000,
+    USER_DATA_RECONNECT_DELAY_MS: 5 * 1000, // doubled per failed attempt
+    USER_DATA_MAX_RECONNECT_DELAY_MS: 5 * 60 * 1000,
+
+    // Signed requests: local clock offset to Binance server time, re-measured periodically
+    TIME_SYNC_INTERVAL_MS: 10 * 60 * 1000,
+    TIME_DRIFT_WARNING_MS: 1000, // offsets above this are logged
+    DEFAULT_RECV_WINDOW_MS: 10 * 1000, // config.recvWindow overrides (Binance allows up to 60000)
+
+    // Price streams: a symbol without ticks for this long is stale; its stream is
+    // reopened and its price polled over REST until ticks return
+    PRICE_STALE_AFTER_MS: 15 * 1000,
+    PRICE_WATCHDOG_INTERVAL_MS: 5 * 1000,
+    PRICE_POLL_INTERVAL_MS: 5 * 1000,
+
+    // REST rate limits per market (Binance resets weight every minute, order counts every 10 seconds)
+    REQUEST_LIMITS: {
+        spot: { weightPerMinute: 6000, ordersPer10s: 100 },
+        futures: { weightPerMinute: 2400, ordersPer10s: 300 }
+    },
+    // Lower priorities stop earlier so cancels and protective orders keep headroom
+    REQUEST_PRIORITY: {
+        CRITICAL: 0, // cancels and protective orders
+        ORDER: 1, // new entries
+        NORMAL: 2, // reads
+        BACKGROUND: 3 // reconciliation, exchange info
+    },
+    REQUEST_BUDGET_SHARE: [1, 0.9, 0.8, 0.6], // share of the limit usable per priority
+    REQUEST_MAX_CONCURRENT: 5,
+    REQUEST_MAX_RETRIES: 2, // retries after a 429 once Retry-After has passed
+    REQUEST_DEFAULT_RETRY_AFTER_MS: 60 * 1000, // when a 429/418 carries no Retry-After
+    REQUEST_TIMEOUT_MS: 30 * 1000, // a call still unanswered by then fails and frees its slot
+
+    // Local order books used to estimate MARKET order slippage
+    ORDER_BOOK_DEPTH_LIMIT: 100, // levels in the REST snapshot (weight 5 on spot and futures)
+    ORDER_BOOK_SYNC_ATTEMPTS: 3,
+    // What happens to a MARKET order whose estimated slippage exceeds maxSlippage:
+    // 'limit' sends a LIMIT IOC capped at maxSlippage from the best price, 'reject' refuses it
+    DEFAULT_SLIPPAGE_ACTION: 'limit',
+
+    // Quote assets recognised when splitting a symbol into base/quote (longest first)
+    QUOTE_ASSETS: ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'BTC', 'ETH', 'BNB'],
+
+    // mode: 'fixedBase' | 'fixedQuote' | 'percentBalance' | 'risk'
+    DEFAULT_POSITION_SIZING: {
+        mode: 'fixedBase',
+        baseQuantity: null, // falls back to defaultQuantity
+        quoteAmount: 100,
+        balancePercent: 10,
+        riskPercent: 1
+    },
+
+    // Take profit / stop loss handling: 'emulated' watches prices in-process,
+    // 'exchange' places OCO (spot) or STOP_MARKET/TAKE_PROFIT_MARKET (futures) orders
+    DEFAULT_PROTECTION: {
+        mode: 'emulated',
+        stopLimitOffsetPercent: 0.5 // spot stop-limit price beyond the stop price
+    },
+    PROTECTION_POLL_MS: 30 * 1000,
+
+    // Reconciliation of local orders against the exchange
+    RECONCILIATION_INTERVAL_MS: 15 * 60 * 1000,
+    RECONCILIATION_TRADE_LOOKBACK_MS: 24 * 60 * 60 * 1000, // trades fetched per reconciliation
+
+    // Server-side indicators computed from kline streams (config.indicators)
+    DEFAULT_INDICATORS: {
+        enabled: false,
+        symbols: [], // defaults to config.symbol
+        timeframes: [], // defaults to config.timeframe
+        history: 300, // closed candles seeded and kept per symbol/timeframe
+        adxPeriod: 14,
+        rsiPeriod: 14,
+        atrPeriod: 14,
+        emaFastPeriod: 9,
+        emaSlowPeriod: 21,
+        macdFastPeriod: 12,
+        macdSlowPeriod: 26,
+        macdSignalPeriod: 9,
+        crossCheck: 'off', // webhook values vs. computed ones: 'off', 'warn' or 'reject'
+        oscillatorTolerance: 5, // points, for DI/ADX/RSI
+        priceTolerancePercent: 0.5, // of the close, for EMA/MACD
+        autoSignals: false, // trade on the computed values without a webhook
+        strategy: null // strategy for auto signals, defaults to config.defaultStrategy
+    },
+
+    // Circuit breaker limits; null disables a guard. Loss amounts are in the quote asset.
+    DEFAULT_RISK_LIMITS: {
+        maxDailyLoss: null,
+        maxConsecutiveLosses: null,
+        maxTradesPerDay: null,
+        maxDrawdownPercent: null,
+        startingEquity: null // required for maxDrawdownPercent
+    },
+
+    DEFAULT_PAPER_BALANCES: { USDT: 10000 },
+    DEFAULT_PAPER_FEE_PERCENT: 0.1,
+    PAPER_ORDER_HISTORY: 500, // closed paper orders kept for status lookups
 
     DEFAULT_CONFIG: {
+        exchange: 'binance', // exchange adapter: 'binance' or 'mock'
+        tradingMode: 'live', // 'live' or 'paper'
+        defaultStrategy: 'adx',
         symbol: 'BTCUSDT',
         timeframe: '5m',
         plusDIThreshold: 25,
@@ -14,6 +163,10 @@ module.exports = {
         adxMinimum: 20,
         takeProfitPercent: 2,
         stopLossPercent: 1,
-        leverage: 10
+        leverage: 10,
+        defaultQuantity: 0.001,
+        marketType: 'spot', // 'spot' or 'futures' (USD-M)
+        marginType: 'ISOLATED', // futures: 'ISOLATED' or 'CROSSED'
+        hedgeMode: false // futures: dual position side (LONG/SHORT)
     }
 };
\ No newline at end of file
@@ -1,10 +1,12 @@
 const Config = require('../models/Config');
+const RiskGuardService = require('../services/riskGuardService');
+const { LEGACY_CREDENTIAL_FIELDS, DEFAULT_RISK_LIMITS } = require('../config/constants');
 
 class ConfigController {
     static async getConfig(req, res) {
         try {
             const config = await Config.get();
-            res.json(config);
+            res.json(Config.redact(config));
         } catch (error) {
             console.error('Error reading config:', error);
             res.status(500).json({ error: 'Failed to read configuration' });
@@ -13,9 +15,34 @@ class ConfigController {
 
     static async saveConfig(req, res) {
         try {
+            const credentialFields = LEGACY_CREDENTIAL_FIELDS.filter(field => req.body && req.body[field]);
+            if (credentialFields.length > 0) {
+                return res.status(400).json({
+                    error: `${credentialFields.join(', ')} cannot be saved in the configuration`,
+                    details: 'Set API credentials with PUT /api/credentials'
+                });
+            }
+
+            // A redacted copy from GET /api/config may be posted back unchanged
+            const current = Config.redact(await Config.get());
+            if (req.body && req.body.webhookSources !== undefined &&
+                JSON.stringify(req.body.webhookSources) !== JSON.stringify(current.webhookSources)) {
+                return res.status(400).json({
+                    error: 'webhookSources cannot be changed through the API',
+                    details: 'Configure webhook sources in config.json or the WEBHOOK_SOURCES environment variable'
+                });
+            }
+
+            if (req.body && req.body.riskLimits) {
+                const problem = RiskGuardService.validateLimits({ ...DEFAULT_RISK_LIMITS, ...req.body.riskLimits });
+                if (problem) {
+                    return res.status(400).json({ error: `Invalid riskLimits: ${problem}` });
+                }
+            }
+
             const config = await Config.save(req.body);
-            console.log('Configuration saved:', config);
-            res.json({ message: 'Configuration saved successfully', config });
+            console.log('Configuration saved:', Config.redact(config));
+            res.json({ message: 'Configuration saved successfully', config: Config.redact(config) });
         } catch (error) {
             console.error('Error saving config:', error);
             if (error.message.includes('Missing required fields')) {
@@ -0,0 +1,59 @@
+const Config = require('../models/Config');
+const CredentialStore = require('../services/credentialStore');
+const ExchangeService = require('../exchanges');
+
+class CredentialController {
+    // Which credentials are stored; never the secret
+    static async getCredentials(req, res) {
+        try {
+            res.json(await CredentialStore.getSummary());
+        } catch (error) {
+            console.error('Error reading credentials:', error);
+            res.status(500).json({ error: 'Failed to read credentials', details: error.message });
+        }
+    }
+
+    // Set or rotate the API key/secret. A live Binance connection is reopened with the new keys.
+    static async setCredentials(req, res) {
+        try {
+            const { apiKey, apiSecret, useTestnet } = req.body || {};
+            const credentials = await CredentialStore.set('binance', { apiKey, apiSecret, useTestnet });
+
+            const connection = { reconnected: false };
+            if (ExchangeService.isConnected && ExchangeService.name === 'binance') {
+                try {
+                    await ExchangeService.disconnect();
+                    await ExchangeService.initialize(await CredentialStore.getConnectionConfig(await Config.get()));
+                    connection.reconnected = true;
+                } catch (error) {
+                    console.error('❌ Reconnecting with the new credentials failed:', error.message);
+                    connection.error = error.message;
+                }
+            }
+
+            res.json({ message: 'Credentials saved', credentials, connection });
+        } catch (error) {
+            console.error('Error saving credentials:', error.message);
+            const status = error.message.startsWith('Invalid credentials') ? 400
+                : error.message.includes('master key') ? 503 : 500;
+            res.status(status).json({ error: 'Failed to save credentials', details: error.message });
+        }
+    }
+
+    static async deleteCredentials(req, res) {
+        try {
+            const removed = await CredentialStore.remove('binance');
+
+            if (!removed) {
+                return res.status(404).json({ error: 'No credentials stored' });
+            }
+
+            res.json({ message: 'Credentials removed' });
+        } catch (error) {
+            console.error('Error removing credentials:', error);
+            res.status(500).json({ error: 'Failed to remove credentials', details: error.message });
+        }
+    }
+}
+
+module.exports = CredentialController;
@@ -1,18 +1,86 @@
 const Order = require('../models/Order');
+const OrderCancellationService = require('../services/orderCancellationService');
+const { ORDER_STATUS_TRANSITIONS } = require('../config/constants');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'symbol', 'status', 'side', 'quantity'];
+const MAX_PAGE_SIZE = 500;
 
 class OrderController {
     static async getOrders(req, res) {
         try {
-            const orders = await Order.getAll();
-            res.json(orders);
+            const query = OrderController.parseOrderQuery(req.query);
+            const result = await Order.find(query);
+            res.json(result);
         } catch (error) {
             console.error('Error reading orders:', error);
-            res.status(500).json({ error: 'Failed to read orders' });
+            if (error.message.startsWith('Invalid')) {
+                res.status(400).json({ error: error.message });
+            } else {
+                res.status(500).json({ error: 'Failed to read orders' });
+            }
+        }
+    }
+
+    static async getOrder(req, res) {
+        try {
+            const order = await Order.getById(req.params.id);
+
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+
+            res.json(order);
+        } catch (error) {
+            console.error('Error reading order:', error);
+            res.status(500).json({ error: 'Failed to read order' });
         }
     }
 
+    // Cancel one order on the exchange together with its stop loss / take profit
+    static async cancelOrder(req, res) {
+        try {
+            const result = await OrderCancellationService.cancelOrder(req.params.id, req.body?.reason || 'Manual cancellation');
+
+            res.json({
+                message: result.entryCancelled ? 'Order cancelled' : 'Order children cancelled',
+                ...result
+            });
+        } catch (error) {
+            console.error('Error cancelling order:', error);
+            if (error.message.startsWith('Order not found')) {
+                res.status(404).json({ error: 'Order not found' });
+            } else if (error.message.startsWith('Order cannot be cancelled')) {
+                res.status(409).json({ error: error.message });
+            } else {
+                res.status(500).json({ error: 'Failed to cancel order', details: error.message });
+            }
+        }
+    }
+
+    static async cancelAllOrders(req, res) {
+        try {
+            const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+            const result = await OrderCancellationService.cancelAll({ symbol });
+
+            res.json(result);
+        } catch (error) {
+            console.error('Error cancelling orders:', error);
+            res.status(500).json({ error: 'Failed to cancel orders', details: error.message });
+        }
+    }
+
+    // Only local records are removed, so nothing may still be working on the exchange or in monitoring
     static async clearOrders(req, res) {
         try {
+            const active = (await Order.getAll()).filter(order => OrderCancellationService.isCancellable(order));
+            if (active.length > 0) {
+                return res.status(409).json({
+                    error: 'Orders are still active',
+                    details: 'Cancel them first with POST /api/orders/cancel-all (in each trading mode they were placed in)',
+                    activeOrders: active.map(order => ({ id: order.id, symbol: order.symbol, status: order.status, paper: Boolean(order.paper) }))
+                });
+            }
+
             await Order.clear();
             res.json({ message: 'All orders cleared' });
         } catch (error) {
@@ -20,6 +88,87 @@ class OrderController {
             res.status(500).json({ error: 'Failed to clear orders' });
         }
     }
+
+    // Turn query string parameters into an Order.find() query, rejecting bad values
+    static parseOrderQuery(params) {
+        const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+        const query = {};
+
+        if (params.status) {
+            query.status = list(params.status);
+            const unknown = query.status.filter(status => !ORDER_STATUS_TRANSITIONS[status]);
+            if (unknown.length > 0) {
+                throw new Error(`Invalid status: ${unknown.join(', ')}`);
+            }
+        }
+
+        if (params.symbol) {
+            query.symbol = list(params.symbol).map(symbol => symbol.toUpperCase());
+        }
+
+        if (params.side) {
+            query.side = String(params.side).toUpperCase();
+            if (!['BUY', 'SELL'].includes(query.side)) {
+                throw new Error(`Invalid side: ${params.side}`);
+            }
+        }
+
+        if (params.executionMode) {
+            query.executionMode = params.executionMode;
+        }
+
+        if (params.paper !== undefined) {
+            if (!['true', 'false'].includes(params.paper)) {
+                throw new Error(`Invalid paper flag: ${params.paper}`);
+            }
+            query.paper = params.paper === 'true';
+        }
+
+        for (const key of ['from', 'to']) {
+            if (params[key]) {
+                if (Number.isNaN(new Date(params[key]).getTime())) {
+                    throw new Error(`Invalid ${key} date: ${params[key]}`);
+                }
+                query[key] = params[key];
+            }
+        }
+
+        if (params.sortBy) {
+            if (!SORT_FIELDS.includes(params.sortBy)) {
+                throw new Error(`Invalid sortBy: ${params.sortBy} (allowed: ${SORT_FIELDS.join(', ')})`);
+            }
+            query.sortBy = params.sortBy;
+        }
+
+        if (params.sortOrder) {
+            if (!['asc', 'desc'].includes(params.sortOrder)) {
+                throw new Error(`Invalid sortOrder: ${params.sortOrder}`);
+            }
+            query.sortOrder = params.sortOrder;
+        }
+
+        if (params.limit !== undefined) {
+            const limit = parseInt(params.limit, 10);
+            if (!(limit > 0)) {
+                throw new Error(`Invalid limit: ${params.limit}`);
+            }
+            query.limit = Math.min(limit, MAX_PAGE_SIZE);
+        }
+
+        if (params.offset !== undefined) {
+            const offset = parseInt(params.offset, 10);
+            if (!(offset >= 0)) {
+                throw new Error(`Invalid offset: ${params.offset}`);
+            }
+            query.offset = offset;
+        }
+
+        if (params.cursor) {
+            query.cursor = params.cursor;
+        }
+
+        return query;
+    }
 }
 
-module.exports = OrderController;
\ No newline at end of file
+module.exports = OrderController;
@@ -0,0 +1,18 @@
+const PositionService = require('../services/positionService');
+
+class PositionController {
+    static async getPositions(req, res) {
+        try {
+            const result = await PositionService.getPositions({
+                symbol: req.query.symbol ? String(req.query.symbol).toUpperCase() : null,
+                includeClosed: req.query.includeClosed === 'true'
+            });
+            res.json(result);
+        } catch (error) {
+            console.error('Error reading positions:', error);
+            res.status(500).json({ error: 'Failed to read positions', details: error.message });
+        }
+    }
+}
+
+module.exports = PositionController;
@@ -0,0 +1,31 @@
+const ReconciliationService = require('../services/reconciliationService');
+
+class ReconciliationController {
+    static async getReport(req, res) {
+        try {
+            const report = await ReconciliationService.getLastReport();
+
+            if (!report) {
+                return res.status(404).json({ error: 'No reconciliation has run yet' });
+            }
+
+            res.json(report);
+        } catch (error) {
+            console.error('Error reading reconciliation report:', error);
+            res.status(500).json({ error: 'Failed to read reconciliation report', details: error.message });
+        }
+    }
+
+    // Compare local orders with the exchange now
+    static async run(req, res) {
+        try {
+            res.json(await ReconciliationService.reconcile('manual'));
+        } catch (error) {
+            console.error('Error running reconciliation:', error);
+            const status = error.message.includes('connection not established') ? 503 : 500;
+            res.status(status).json({ error: 'Failed to run reconciliation', details: error.message });
+        }
+    }
+}
+
+module.exports = ReconciliationController;
@@ -0,0 +1,54 @@
+const ReportingService = require('../services/reportingService');
+const ExchangeService = require('../exchanges');
+
+class ReportController {
+    static async getPerformance(req, res) {
+        try {
+            const filter = ReportController.parseReportQuery(req.query);
+            res.json(await ReportingService.getPerformance(filter));
+        } catch (error) {
+            console.error('Error building performance report:', error);
+            if (error.message.startsWith('Invalid')) {
+                res.status(400).json({ error: error.message });
+            } else {
+                res.status(500).json({ error: 'Failed to build performance report', details: error.message });
+            }
+        }
+    }
+
+    // Paper and live results are never mixed: without a paper flag the current mode is reported
+    static parseReportQuery(params) {
+        const filter = {};
+
+        if (params.paper !== undefined) {
+            if (!['true', 'false'].includes(params.paper)) {
+                throw new Error(`Invalid paper flag: ${params.paper}`);
+            }
+            filter.paper = params.paper === 'true';
+        } else {
+            filter.paper = ExchangeService.isPaperMode();
+        }
+
+        for (const key of ['from', 'to']) {
+            if (params[key]) {
+                const date = new Date(params[key]);
+                if (Number.isNaN(date.getTime())) {
+                    throw new Error(`Invalid ${key} date: ${params[key]}`);
+                }
+                filter[key] = date;
+            }
+        }
+
+        if (params.symbol) {
+            filter.symbol = String(params.symbol).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+        }
+
+        if (params.strategy) {
+            filter.strategy = params.strategy;
+        }
+
+        return filter;
+    }
+}
+
+module.exports = ReportController;
@@ -0,0 +1,25 @@
+const RiskGuardService = require('../services/riskGuardService');
+
+class RiskController {
+    static async getStatus(req, res) {
+        try {
+            res.json(await RiskGuardService.getStatus());
+        } catch (error) {
+            console.error('Error reading risk guard status:', error);
+            res.status(500).json({ error: 'Failed to read risk guard status', details: error.message });
+        }
+    }
+
+    // Lift a circuit breaker halt before the next UTC day
+    static async reset(req, res) {
+        try {
+            const status = await RiskGuardService.reset();
+            res.json({ message: 'Trading halt reset', status });
+        } catch (error) {
+            console.error('Error resetting risk guard:', error);
+            res.status(500).json({ error: 'Failed to reset risk guard', details: error.message });
+        }
+    }
+}
+
+module.exports = RiskController;
@@ -0,0 +1,16 @@
+const Signal = require('../models/Signal');
+
+class SignalController {
+    static async getSignals(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const signals = await Signal.getRecent({ limit, symbol: req.query.symbol });
+            res.json(signals);
+        } catch (error) {
+            console.error('Error reading signals:', error);
+            res.status(500).json({ error: 'Failed to read signals' });
+        }
+    }
+}
+
+module.exports = SignalController;
@@ -0,0 +1,14 @@
+const StrategyRegistry = require('../services/strategyRegistry');
+
+class StrategyController {
+    static async getStrategies(req, res) {
+        try {
+            res.json(StrategyRegistry.list());
+        } catch (error) {
+            console.error('Error listing strategies:', error);
+            res.status(500).json({ error: 'Failed to list strategies' });
+        }
+    }
+}
+
+module.exports = StrategyController;
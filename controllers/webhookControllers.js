@@ -1,9 +1,20 @@
 // controllers/webhookController.js
 const Config = require('../models/Config');
 const Order = require('../models/Order');
+const Signal = require('../models/Signal');
 const TradingService = require('../services/tradingService');
-const BinanceService = require('../services/binanceService');
+const PositionSizingService = require('../services/positionSizingService');
+const ExchangeService = require('../exchanges');
 const RealtimeOrderService = require('../services/realtimeOrderService');
+const StrategyRegistry = require('../services/strategyRegistry');
+const SymbolInfoService = require('../services/symbolInfoService');
+const RiskGuardService = require('../services/riskGuardService');
+const ProtectionService = require('../services/protectionService');
+const OrderCancellationService = require('../services/orderCancellationService');
+const ReconciliationService = require('../services/reconciliationService');
+const IndicatorService = require('../services/indicatorService');
+const CredentialStore = require('../services/credentialStore');
+const { ORDER_STATUS, DEFAULT_SLIPPAGE_ACTION } = require('../config/constants');
 
 class WebhookController {
     static async processWebhook(req, res) {
@@ -11,41 +22,52 @@ class WebhookController {
             const signal = req.body;
             console.log('📡 Received signal:', signal);
 
+            // Circuit breaker: keep the signal for the record, but do not trade on it
+            const riskStatus = await RiskGuardService.checkTrading();
+            if (riskStatus.halted) {
+                await WebhookController.recordSignal(req, 'halted', riskStatus.reason);
+                return res.status(423).json({
+                    error: 'Trading halted',
+                    details: riskStatus.reason,
+                    haltedAt: riskStatus.haltedAt
+                });
+            }
+
+            // Get configuration
+            const config = await Config.get();
+
+            // Pick the strategy named in the payload (or the configured default)
+            const strategy = StrategyRegistry.resolve(signal.strategy, config);
+
+            if (!strategy) {
+                await WebhookController.recordSignal(req, 'rejected', `Unknown strategy: ${signal.strategy}`);
+                return res.status(400).json({
+                    error: `Unknown strategy: ${signal.strategy}`,
+                    availableStrategies: StrategyRegistry.list().map(s => s.name)
+                });
+            }
+
             // Validate required signal fields
-            const requiredSignalFields = ['symbol', 'plusDI', 'minusDI', 'adx', 'timeframe'];
+            const requiredSignalFields = ['symbol', 'timeframe', ...strategy.requiredFields];
             const missingSignalFields = requiredSignalFields.filter(
                 field => signal[field] === undefined || signal[field] === null
             );
 
             if (missingSignalFields.length > 0) {
+                await WebhookController.recordSignal(req, 'rejected', `Missing signal fields: ${missingSignalFields.join(', ')}`);
                 return res.status(400).json({
                     error: `Missing signal fields: ${missingSignalFields.join(', ')}`
                 });
             }
 
-            // Get configuration
-            const config = await Config.get();
-
-            // Initialize Binance connection if not connected
-            if (!BinanceService.isConnected) {
-                console.log('🔌 Initializing Binance connection...');
+            // Initialize exchange connection if not connected
+            if (!ExchangeService.isConnected) {
+                console.log('🔌 Initializing exchange connection...');
                 try {
-                    console.log('🌐 Testing direct HTTP request...');
-                    const https = require('https');
-                    https.get('https://testnet.binance.vision/api/v3/time', (res) => {
-                        console.log('✅ Direct HTTP request succeeded');
-                    }).on('error', (err) => {
-                        console.log('❌ Direct HTTP request failed:', err.message);
-                    });
-                    await BinanceService.initialize({
-                        binanceApiKey: "7tFJ34BVavZbkyFL0EU916RiOmNymCPaqt4kudbOD26mN3Qz5n2nh4BQ8ZoQ6haH" || config.binanceApiKey,
-                        binanceApiSecret: "3RuwshPjwYUUDtCcNJV33pJ7xARGovqtXYoVUF4M6LFkbnT2deC4BgLvlKIsRGL1" || config.binanceApiSecret,
-                        useTestnet: process.env.USE_TESTNET === 'true' || config.useTestnet || true,
-                        verbose: config.verbose || false,
-                        enableLogging: config.enableLogging || false
-                    });
+                    await ExchangeService.initialize(await CredentialStore.getConnectionConfig(config));
                 } catch (initError) {
-                    console.error('❌ Failed to initialize Binance connection:', initError.message);
+                    console.error('❌ Failed to initialize exchange connection:', initError.message);
+                    await WebhookController.recordSignal(req, 'error', 'Exchange unavailable');
                     return res.status(503).json({
                         error: 'Trading service unavailable',
                         details: 'Could not establish connection to exchange',
@@ -54,12 +76,14 @@ class WebhookController {
                 }
             }
 
-
-            // Validate signal
-            const validation = TradingService.validateSignal(signal, config);
+            // Validate signal; webhook values are checked against our own indicators when enabled
+            // (signals generated from those indicators need no check)
+            const crossCheck = req.webhookSource === 'indicators' ? null : IndicatorService.crossCheck(signal);
+            const validation = TradingService.validateSignal(signal, config, crossCheck);
 
             if (!validation.valid) {
                 console.log('❌ Signal not valid:', validation.reason);
+                await WebhookController.recordSignal(req, 'invalid', validation.reason);
                 return res.json({
                     message: 'Signal received but not valid',
                     reason: validation.reason,
@@ -67,25 +91,32 @@ class WebhookController {
                 });
             }
 
-            // Get current price from Binance
-            const currentPrice = await BinanceService.getPrice(signal.symbol);
+            // Get current price from the exchange
+            const currentPrice = await ExchangeService.getPrice(signal.symbol);
+
+            // Size the position from balances and risk settings
+            const sizing = await PositionSizingService.calculate(signal, validation.action, currentPrice, config);
+            console.log(`📐 Position size (${sizing.mode}): ${sizing.quantity} ${signal.symbol}`);
 
             // Create order with enhanced data
-            const order = TradingService.createOrder(signal, validation, currentPrice, config);
+            const order = TradingService.createOrder(signal, validation, currentPrice, config, sizing);
 
             // Enhance order with real-time trigger conditions
             const enhancedOrder = {
                 ...order,
                 triggerPrice: signal.triggerPrice || null,
                 triggerCondition: signal.triggerCondition || null,
-                stopLoss: signal.stopLoss || null,
+                // Risk sizing only holds if the stop it was sized against is actually placed
+                stopLoss: signal.stopLoss || sizing.stopPrice || null,
                 takeProfit: signal.takeProfit || null,
-                trailingStop: signal.trailingStop || null,
+                trailingStop: TradingService.normalizeTrailingStop(signal.trailingStop),
                 executionMode: signal.executionMode || 'immediate', // 'immediate', 'trigger', 'scheduled'
                 scheduledTime: signal.scheduledTime || null,
                 maxSlippage: signal.maxSlippage || config.maxSlippage || 0.5,
+                slippageAction: signal.slippageAction || config.slippageAction || DEFAULT_SLIPPAGE_ACTION,
                 partialFill: signal.allowPartialFill !== false,
-                timeoutMinutes: signal.timeoutMinutes || config.orderTimeoutMinutes || 60
+                timeoutMinutes: signal.timeoutMinutes || config.orderTimeoutMinutes || 60,
+                paper: ExchangeService.isPaperMode()
             };
 
             // Save order to database
@@ -94,6 +125,7 @@ class WebhookController {
 
             // Handle different execution modes
             await WebhookController.handleOrderExecution(enhancedOrder, currentPrice, config);
+            await WebhookController.recordSignal(req, 'processed', validation.reason, enhancedOrder.id);
 
             res.json({
                 message: 'Signal processed successfully',
@@ -103,14 +135,26 @@ class WebhookController {
                     side: enhancedOrder.side,
                     quantity: enhancedOrder.quantity,
                     executionMode: enhancedOrder.executionMode,
-                    status: enhancedOrder.status
+                    status: enhancedOrder.status,
+                    paper: enhancedOrder.paper
                 },
                 validation: validation,
+                sizing: sizing,
                 currentPrice: currentPrice
             });
 
         } catch (error) {
             console.error('❌ Error processing webhook:', error);
+            await WebhookController.recordSignal(req, 'error', error.message);
+            if (error.message.includes('Missing required order fields') ||
+                error.message.includes('Invalid order') ||
+                error.message.startsWith('Position sizing') ||
+                error.message.startsWith('Order rejected')) {
+                return res.status(400).json({
+                    error: 'Invalid order',
+                    details: error.message
+                });
+            }
             res.status(500).json({
                 error: 'Failed to process webhook',
                 details: error.message
@@ -118,19 +162,27 @@ class WebhookController {
         }
     }
 
+    // Keep a record of every authenticated signal and its outcome; never fails the request
+    static async recordSignal(req, outcome, reason, orderId = null) {
+        try {
+            await Signal.record(req.body || {}, {
+                source: req.webhookSource || null,
+                outcome,
+                reason,
+                orderId
+            });
+        } catch (error) {
+            console.error('❌ Error recording signal:', error.message);
+        }
+    }
+
     // Add initialization check helper method
-    static async ensureBinanceConnection() {
-        if (!BinanceService.isConnected) {
-            console.log('🔌 Ensuring Binance connection...');
+    static async ensureExchangeConnection() {
+        if (!ExchangeService.isConnected) {
+            console.log('🔌 Ensuring exchange connection...');
 
             const config = await Config.get();
-            await BinanceService.initialize({
-                binanceApiKey: process.env.BINANCE_API_KEY || config.binanceApiKey,
-                binanceApiSecret: process.env.BINANCE_API_SECRET || config.binanceApiSecret,
-                useTestnet: process.env.USE_TESTNET === 'true' || config.useTestnet || true,
-                verbose: config.verbose || false,
-                enableLogging: config.enableLogging || false
-            });
+            await ExchangeService.initialize(await CredentialStore.getConnectionConfig(config));
         }
     }
 
@@ -163,8 +215,8 @@ class WebhookController {
         try {
             console.log('⚡ Executing immediate order:', order.id);
 
-            // Ensure Binance connection
-            await WebhookController.ensureBinanceConnection();
+            // Ensure exchange connection
+            await WebhookController.ensureExchangeConnection();
 
             // Check if market is open and suitable for trading
             const marketStatus = await WebhookController.checkMarketStatus(order.symbol);
@@ -173,6 +225,13 @@ class WebhookController {
                 return await WebhookController.setupTriggerOrder(order);
             }
 
+            // A cancel or another trigger may have got here first
+            const current = await Order.getById(order.id);
+            if (!current || !Order.canTransition(current.status, ORDER_STATUS.SUBMITTED)) {
+                console.log(`⏭️ Order ${order.id} is ${current ? current.status : 'gone'}, not placing it`);
+                return;
+            }
+
             // Prepare order for Binance
             const binanceOrder = {
                 symbol: order.symbol,
@@ -180,26 +239,41 @@ class WebhookController {
                 type: order.type,
                 quantity: order.quantity,
                 price: order.price,
-                timeInForce: order.timeInForce || 'GTC'
+                timeInForce: order.timeInForce || 'GTC',
+                maxSlippage: order.maxSlippage,
+                slippageAction: order.slippageAction,
+                paper: order.paper
             };
 
-            // Execute on Binance
-            const binanceResult = await BinanceService.placeOrder(binanceOrder);
+            // Execute on the exchange
+            const binanceResult = await ExchangeService.placeOrder(binanceOrder);
 
-            // Update order status
-            const updatedOrder = {
-                ...order,
-                status: 'executed',
+            // The order is on the exchange: record the submission, then how far it filled
+            let updatedOrder = await Order.update(order.id, {
+                status: ORDER_STATUS.SUBMITTED,
                 binanceOrderId: binanceResult.orderId,
-                executedPrice: binanceResult.price || currentPrice,
+                executedPrice: TradingService.getAverageFillPrice(binanceResult, currentPrice),
                 executedQuantity: binanceResult.executedQty || '0',
-                executedAt: new Date().toISOString()
-            };
+                ...TradingService.getCommission(binanceResult.fills),
+                submittedAt: new Date().toISOString(),
+                ...(binanceResult.slippageCheck ? { slippageCheck: binanceResult.slippageCheck } : {})
+            });
 
-            await Order.update(order.id, updatedOrder);
+            const exchangeStatus = Order.fromExchangeStatus(binanceResult.status);
+            if (exchangeStatus && exchangeStatus !== ORDER_STATUS.SUBMITTED) {
+                updatedOrder = await Order.update(order.id, {
+                    status: exchangeStatus,
+                    executedAt: new Date().toISOString()
+                });
+            }
+
+            await RiskGuardService.recordEntry(updatedOrder);
 
-            // Setup stop loss and take profit monitoring if specified
-            if (order.stopLoss || order.takeProfit) {
+            // Filled entries get their stop loss / take profit on the exchange when configured
+            updatedOrder = await ProtectionService.protect(updatedOrder, binanceResult);
+
+            // Otherwise setup stop loss and take profit monitoring if specified
+            if ((order.stopLoss || order.takeProfit || order.trailingStop) && !ProtectionService.isExchangeManaged(updatedOrder)) {
                 await RealtimeOrderService.addOrderToMonitoring(updatedOrder);
             }
 
@@ -209,12 +283,16 @@ class WebhookController {
             console.error('❌ Error executing immediate order:', error);
 
             // Update order status to error
-            await Order.update(order.id, {
-                ...order,
-                status: 'error',
-                errorMessage: error.message,
-                errorAt: new Date().toISOString()
-            });
+            try {
+                await Order.update(order.id, {
+                    status: ORDER_STATUS.ERROR,
+                    errorMessage: error.message,
+                    errorAt: new Date().toISOString(),
+                    ...(error.slippageCheck ? { slippageCheck: error.slippageCheck } : {})
+                });
+            } catch (updateError) {
+                console.error('❌ Error updating order status:', updateError.message);
+            }
 
             throw error;
         }
@@ -230,13 +308,10 @@ class WebhookController {
             }
 
             // Update order status
-            const updatedOrder = {
-                ...order,
-                status: 'waiting_trigger',
+            const updatedOrder = await Order.update(order.id, {
+                status: ORDER_STATUS.WAITING_TRIGGER,
                 waitingTriggerSince: new Date().toISOString()
-            };
-
-            await Order.update(order.id, updatedOrder);
+            });
 
             // Add to real-time monitoring
             await RealtimeOrderService.addOrderToMonitoring(updatedOrder);
@@ -266,26 +341,41 @@ class WebhookController {
             }
 
             // Update order status
-            const updatedOrder = {
-                ...order,
-                status: 'scheduled',
+            const updatedOrder = await Order.update(order.id, {
+                status: ORDER_STATUS.SCHEDULED,
                 scheduledFor: scheduledTime.toISOString()
-            };
-
-            await Order.update(order.id, updatedOrder);
+            });
 
             // Setup timer for execution
             const delay = scheduledTime.getTime() - now.getTime();
-            setTimeout(async () => {
+            RealtimeOrderService.scheduleExecution(order.id, delay, async () => {
                 try {
                     console.log('⏰ Executing scheduled order:', order.id);
-                    await WebhookController.ensureBinanceConnection();
-                    const currentPrice = await BinanceService.getPrice(order.symbol);
+
+                    const current = await Order.getById(order.id);
+                    if (!current || current.status !== ORDER_STATUS.SCHEDULED) {
+                        console.log(`⏭️ Scheduled order ${order.id} is ${current ? current.status : 'gone'}, skipping`);
+                        return;
+                    }
+
+                    const riskStatus = await RiskGuardService.checkTrading();
+                    if (riskStatus.halted) {
+                        console.log(`🛑 Trading halted, cancelling scheduled order ${order.id}: ${riskStatus.reason}`);
+                        await Order.update(order.id, {
+                            status: ORDER_STATUS.CANCELLED,
+                            cancelledAt: new Date().toISOString(),
+                            cancelReason: `Trading halted: ${riskStatus.reason}`
+                        });
+                        return;
+                    }
+
+                    await WebhookController.ensureExchangeConnection();
+                    const currentPrice = await ExchangeService.getPrice(order.symbol);
                     await WebhookController.executeImmediateOrder(updatedOrder, currentPrice);
                 } catch (error) {
                     console.error('❌ Error executing scheduled order:', error);
                 }
-            }, delay);
+            });
 
             console.log(`✅ Order scheduled for execution at ${scheduledTime.toISOString()}`);
 
@@ -297,12 +387,11 @@ class WebhookController {
 
     static async checkMarketStatus(symbol) {
         try {
-            // Ensure Binance connection
-            await WebhookController.ensureBinanceConnection();
+            // Ensure exchange connection
+            await WebhookController.ensureExchangeConnection();
 
-            // Get market info from Binance
-            const exchangeInfo = await BinanceService.binance.exchangeInfo();
-            const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol);
+            // Get market info from the cached exchangeInfo
+            const symbolInfo = await ExchangeService.getSymbolInfo(symbol);
 
             if (!symbolInfo) {
                 return { canTrade: false, reason: 'Symbol not found' };
@@ -339,26 +428,35 @@ class WebhookController {
 
             console.log(`🎯 Manual trigger requested for order ${orderId}`);
 
-            // Ensure Binance connection
-            await WebhookController.ensureBinanceConnection();
+            // Ensure exchange connection
+            await WebhookController.ensureExchangeConnection();
 
             // Get order from database
-            const orders = await Order.getAll();
-            const order = orders.find(o => o.id === orderId);
+            const order = await Order.getById(orderId);
 
             if (!order) {
                 return res.status(404).json({ error: 'Order not found' });
             }
 
-            if (order.status !== 'waiting_trigger' && !forceTrigger) {
+            if (order.status !== ORDER_STATUS.WAITING_TRIGGER && !forceTrigger) {
                 return res.status(400).json({
                     error: 'Order is not waiting for trigger',
                     currentStatus: order.status
                 });
             }
 
+            if (!Order.canTransition(order.status, ORDER_STATUS.SUBMITTED)) {
+                return res.status(409).json({
+                    error: 'Order cannot be submitted from its current status',
+                    currentStatus: order.status
+                });
+            }
+
+            // Stop watching the trigger so it cannot fire a second time
+            await RealtimeOrderService.cancelOrderMonitoring(orderId);
+
             // Get current price
-            const currentPrice = await BinanceService.getPrice(order.symbol);
+            const currentPrice = await ExchangeService.getPrice(order.symbol);
 
             // Execute the order
             await WebhookController.executeImmediateOrder(order, currentPrice);
@@ -385,22 +483,22 @@ class WebhookController {
 
             console.log(`🛑 Cancel trigger requested for order ${orderId}`);
 
-            // Cancel monitoring
-            await RealtimeOrderService.cancelOrderMonitoring(orderId);
+            const order = await Order.getById(orderId);
 
-            // Update order status
-            const orders = await Order.getAll();
-            const order = orders.find(o => o.id === orderId);
-
-            if (order) {
-                await Order.update(orderId, {
-                    ...order,
-                    status: 'cancelled',
-                    cancelledAt: new Date().toISOString(),
-                    cancelReason: 'Manual cancellation'
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+
+            if (!Order.canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+                return res.status(409).json({
+                    error: 'Order cannot be cancelled from its current status',
+                    currentStatus: order.status
                 });
             }
 
+            // Drops monitoring and, once triggered, cancels the order on the exchange too
+            await OrderCancellationService.cancelOrder(orderId, 'Manual cancellation');
+
             res.json({
                 message: 'Trigger order cancelled successfully',
                 orderId: orderId
@@ -419,14 +517,16 @@ class WebhookController {
     static async getMonitoringStatus(req, res) {
         try {
             const status = RealtimeOrderService.getMonitoringStatus();
-            const binanceConnected = BinanceService.isConnected;
 
             res.json({
                 realtimeService: status,
-                binanceConnection: {
-                    connected: binanceConnected,
-                    reconnectAttempts: BinanceService.reconnectAttempts
-                },
+                // Kept under its historical name; describes whichever exchange is active
+                binanceConnection: ExchangeService.getStatus(),
+                symbolInfo: SymbolInfoService.getStatus(),
+                riskGuard: await RiskGuardService.getStatus(),
+                protection: ProtectionService.getStatus(),
+                reconciliation: await ReconciliationService.getStatus(),
+                indicators: IndicatorService.getStatus(),
                 timestamp: new Date().toISOString()
             });
 
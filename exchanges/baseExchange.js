@@ -0,0 +1,148 @@
+// exchanges/baseExchange.js
+const EventEmitter = require('events');
+
+// Events every adapter emits; ExchangeService re-emits them for the active adapter.
+//   priceUpdate   { symbol, price, change, changePercent, volume, timestamp, source? }
+//   priceStale    { symbol, lastTickAt, ageMs } when a price stream stops delivering
+//   priceRecovered { symbol, staleForMs }
+//   orderUpdate   order/fill update shaped like a Binance spot executionReport
+//   balanceUpdate { balances, timestamp }
+//   kline         { symbol, interval, openTime, closeTime, open, high, low, close, volume, isFinal }
+//   rateLimited   { status, retryAfterMs, until, at } after a 429/418
+const EXCHANGE_EVENTS = [
+    'connected',
+    'reconnected',
+    'disconnected',
+    'priceUpdate',
+    'priceStale',
+    'priceRecovered',
+    'kline',
+    'orderUpdate',
+    'orderListUpdate',
+    'balanceUpdate',
+    'orderPlaced',
+    'orderCancelled',
+    'orderError',
+    'streamError',
+    'rateLimited',
+    'maxReconnectAttemptsReached'
+];
+
+// Contract for exchange adapters. Orders and responses use the Binance spot
+// REST shapes (orderId, status, executedQty, cummulativeQuoteQty, fills) so
+// the services above stay exchange-agnostic. Optional capabilities
+// (futures positions, exchange-side protection) reject when unsupported.
+// Adapters also expose marketType ('spot' or 'futures') and lastPrices
+// (symbol -> latest price seen).
+class BaseExchange extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    unsupported(feature) {
+        return new Error(`${feature} is not supported by the ${this.name} exchange`);
+    }
+
+    // Whether connect(config) needs API credentials for this config
+    requiresCredentials(config) {
+        return false;
+    }
+
+    get isConnected() {
+        return false;
+    }
+
+    isPaperMode() {
+        return false;
+    }
+
+    isFutures() {
+        return this.marketType === 'futures';
+    }
+
+    async connect(config) {
+        throw this.unsupported('connect');
+    }
+
+    async disconnect() {
+        throw this.unsupported('disconnect');
+    }
+
+    async getPrice(symbol) {
+        throw this.unsupported('getPrice');
+    }
+
+    // { symbol, side, type, quantity, price, stopPrice, timeInForce, reduceOnly }
+    async placeOrder(orderData) {
+        throw this.unsupported('placeOrder');
+    }
+
+    async cancelOrder(symbol, orderId) {
+        throw this.unsupported('cancelOrder');
+    }
+
+    async getOrderStatus(symbol, orderId) {
+        throw this.unsupported('getOrderStatus');
+    }
+
+    async getOpenOrders(symbol) {
+        throw this.unsupported('getOpenOrders');
+    }
+
+    // Own trades since startTime: [{ id, orderId, symbol, side, price, qty, quoteQty, commission, commissionAsset, time }]
+    async getTrades(symbol, options) {
+        throw this.unsupported('Trade history');
+    }
+
+    async getAccountInfo() {
+        throw this.unsupported('getAccountInfo');
+    }
+
+    // [{ asset, free, locked }]
+    async getBalances() {
+        const account = await this.getAccountInfo();
+        return account.balances;
+    }
+
+    // Emits priceUpdate for each symbol until disconnect
+    startPriceStream(symbols) {
+        throw this.unsupported('startPriceStream');
+    }
+
+    // Recent candles, oldest first, in the kline event shape
+    async getKlines(symbol, interval, limit) {
+        throw this.unsupported('Klines');
+    }
+
+    // Emits kline for every update of the symbol's current candle until disconnect
+    startKlineStream(symbol, interval) {
+        throw this.unsupported('Kline streams');
+    }
+
+    // { symbol, status, baseAsset, quoteAsset, filters }
+    async getSymbolInfo(symbol) {
+        throw this.unsupported('getSymbolInfo');
+    }
+
+    async getFuturesPositions(symbol) {
+        throw this.unsupported('Futures positions');
+    }
+
+    async placeProtectionOrders(protection) {
+        throw this.unsupported('Exchange-side protection');
+    }
+
+    getStatus() {
+        return {
+            exchange: this.name,
+            connected: this.isConnected,
+            paperMode: this.isPaperMode(),
+            marketType: this.marketType
+        };
+    }
+}
+
+BaseExchange.EVENTS = EXCHANGE_EVENTS;
+
+module.exports = BaseExchange;
@@ -0,0 +1,110 @@
+// exchanges/binanceExchange.js
+const BaseExchange = require('./baseExchange');
+const BinanceService = require('../services/binanceService');
+const RequestScheduler = require('../services/requestScheduler');
+
+// Binance spot / USD-M futures (and paper trading on live Binance prices)
+// through the existing BinanceService
+class BinanceExchange extends BaseExchange {
+    constructor() {
+        super('binance');
+
+        for (const event of BaseExchange.EVENTS) {
+            BinanceService.on(event, (...args) => this.emit(event, ...args));
+        }
+    }
+
+    requiresCredentials(config) {
+        return config.tradingMode !== 'paper';
+    }
+
+    get isConnected() {
+        return BinanceService.isConnected;
+    }
+
+    get marketType() {
+        return BinanceService.marketType;
+    }
+
+    get lastPrices() {
+        return BinanceService.lastPrices;
+    }
+
+    isPaperMode() {
+        return BinanceService.isPaperMode();
+    }
+
+    async connect(config) {
+        return await BinanceService.initialize(config);
+    }
+
+    async disconnect() {
+        await BinanceService.disconnect();
+        this.emit('disconnected');
+    }
+
+    async getPrice(symbol) {
+        return await BinanceService.getPrice(symbol);
+    }
+
+    async placeOrder(orderData) {
+        return await BinanceService.placeOrder(orderData);
+    }
+
+    async cancelOrder(symbol, orderId) {
+        return await BinanceService.cancelOrder(symbol, orderId);
+    }
+
+    async getOrderStatus(symbol, orderId) {
+        return await BinanceService.getOrderStatus(symbol, orderId);
+    }
+
+    async getOpenOrders(symbol) {
+        return await BinanceService.getOpenOrders(symbol);
+    }
+
+    async getTrades(symbol, options) {
+        return await BinanceService.getTrades(symbol, options);
+    }
+
+    async getAccountInfo() {
+        return await BinanceService.getAccountInfo();
+    }
+
+    startPriceStream(symbols) {
+        BinanceService.startPriceStream(symbols);
+    }
+
+    async getKlines(symbol, interval, limit) {
+        return await BinanceService.getKlines(symbol, interval, limit);
+    }
+
+    startKlineStream(symbol, interval) {
+        BinanceService.startKlineStream(symbol, interval);
+    }
+
+    async getSymbolInfo(symbol) {
+        return await BinanceService.getSymbolInfo(symbol);
+    }
+
+    async getFuturesPositions(symbol) {
+        return await BinanceService.getFuturesPositions(symbol);
+    }
+
+    async placeProtectionOrders(protection) {
+        return await BinanceService.placeProtectionOrders(protection);
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            reconnectAttempts: BinanceService.reconnectAttempts,
+            userDataStream: BinanceService.getUserDataStatus(),
+            rateLimits: RequestScheduler.getStatus(),
+            clock: BinanceService.getClockStatus(),
+            priceStreams: BinanceService.getPriceStreamStatus()
+        };
+    }
+}
+
+module.exports = BinanceExchange;
@@ -0,0 +1,177 @@
+// exchanges/index.js
+const EventEmitter = require('events');
+const BaseExchange = require('./baseExchange');
+const { DEFAULT_EXCHANGE } = require('../config/constants');
+
+// Create an adapter by name. Adapters are only loaded when selected.
+function createExchange(name) {
+    switch (name) {
+        case 'binance': {
+            const BinanceExchange = require('./binanceExchange');
+            return new BinanceExchange();
+        }
+
+        case 'mock': {
+            const MockExchange = require('./mockExchange');
+            return new MockExchange();
+        }
+
+        default:
+            throw new Error(`Unknown exchange: ${name}`);
+    }
+}
+
+// The exchange the bot trades on, selected per config (config.exchange).
+// Services talk to this instead of a specific venue; events of the active
+// adapter are re-emitted here so listeners survive switching exchanges.
+class ExchangeService extends EventEmitter {
+    constructor() {
+        super();
+        this.adapters = new Map();
+        this.current = null;
+        this.forwarders = new Map();
+    }
+
+    getAdapter(name) {
+        if (!this.adapters.has(name)) {
+            this.adapters.set(name, createExchange(name));
+        }
+        return this.adapters.get(name);
+    }
+
+    // Make the named adapter the active one
+    use(name = DEFAULT_EXCHANGE) {
+        const adapter = this.getAdapter(name);
+        if (adapter === this.current) {
+            return adapter;
+        }
+
+        if (this.current) {
+            for (const [event, forward] of this.forwarders) {
+                this.current.off(event, forward);
+            }
+            this.forwarders.clear();
+        }
+
+        for (const event of BaseExchange.EVENTS) {
+            const forward = (...args) => this.emit(event, ...args);
+            adapter.on(event, forward);
+            this.forwarders.set(event, forward);
+        }
+
+        this.current = adapter;
+        console.log(`🏦 Using ${name} exchange`);
+        return adapter;
+    }
+
+    get adapter() {
+        return this.current || this.use();
+    }
+
+    get name() {
+        return this.adapter.name;
+    }
+
+    get isConnected() {
+        return Boolean(this.current && this.current.isConnected);
+    }
+
+    get marketType() {
+        return this.adapter.marketType;
+    }
+
+    get lastPrices() {
+        return this.adapter.lastPrices;
+    }
+
+    requiresCredentials(config) {
+        return this.getAdapter(config.exchange || DEFAULT_EXCHANGE).requiresCredentials(config);
+    }
+
+    // Connect to the exchange named in config, leaving any other one first
+    async initialize(config) {
+        const name = config.exchange || DEFAULT_EXCHANGE;
+
+        if (this.current && this.current.name !== name && this.current.isConnected) {
+            await this.current.disconnect();
+        }
+
+        return await this.use(name).connect(config);
+    }
+
+    async disconnect() {
+        if (this.current) {
+            await this.current.disconnect();
+        }
+    }
+
+    isPaperMode() {
+        return this.adapter.isPaperMode();
+    }
+
+    isFutures() {
+        return this.adapter.isFutures();
+    }
+
+    async getPrice(symbol) {
+        return await this.adapter.getPrice(symbol);
+    }
+
+    async placeOrder(orderData) {
+        return await this.adapter.placeOrder(orderData);
+    }
+
+    async cancelOrder(symbol, orderId) {
+        return await this.adapter.cancelOrder(symbol, orderId);
+    }
+
+    async getOrderStatus(symbol, orderId) {
+        return await this.adapter.getOrderStatus(symbol, orderId);
+    }
+
+    async getOpenOrders(symbol) {
+        return await this.adapter.getOpenOrders(symbol);
+    }
+
+    async getTrades(symbol, options = {}) {
+        return await this.adapter.getTrades(symbol, options);
+    }
+
+    async getAccountInfo() {
+        return await this.adapter.getAccountInfo();
+    }
+
+    async getBalances() {
+        return await this.adapter.getBalances();
+    }
+
+    startPriceStream(symbols) {
+        return this.adapter.startPriceStream(symbols);
+    }
+
+    async getKlines(symbol, interval, limit) {
+        return await this.adapter.getKlines(symbol, interval, limit);
+    }
+
+    startKlineStream(symbol, interval) {
+        return this.adapter.startKlineStream(symbol, interval);
+    }
+
+    async getSymbolInfo(symbol) {
+        return await this.adapter.getSymbolInfo(symbol);
+    }
+
+    async getFuturesPositions(symbol) {
+        return await this.adapter.getFuturesPositions(symbol);
+    }
+
+    async placeProtectionOrders(protection) {
+        return await this.adapter.placeProtectionOrders(protection);
+    }
+
+    getStatus() {
+        return this.adapter.getStatus();
+    }
+}
+
+module.exports = new ExchangeService();
@@ -0,0 +1,224 @@
+// exchanges/mockExchange.js
+const BaseExchange = require('./baseExchange');
+const TradingService = require('../services/tradingService');
+const { PaperExchange } = require('../services/paperExchange');
+
+// Fully offline exchange for integration tests and demos: prices come from
+// config.mockPrices or setPrice(), orders fill on an in-memory paper book.
+// No network access and no credentials needed.
+class MockExchange extends BaseExchange {
+    constructor() {
+        super('mock');
+        this.marketType = 'spot';
+        this.lastPrices = new Map();
+        this.book = new PaperExchange();
+        this.orders = new Map(); // orderId -> latest order snapshot
+        this.streamedSymbols = new Set();
+        this.klines = new Map(); // `${symbol}:${interval}` -> candles, oldest first
+        this.streamedKlines = new Set();
+        this.connected = false;
+
+        this.book.on('executionReport', (report) => {
+            const order = this.orders.get(report.i);
+            if (order) {
+                order.status = report.X;
+                order.executedQty = report.z;
+                order.cummulativeQuoteQty = report.Z;
+            }
+
+            this.emit('orderUpdate', report);
+            this.emit('balanceUpdate', {
+                balances: this.book.getAccountInfo().balances,
+                timestamp: report.E
+            });
+        });
+    }
+
+    get isConnected() {
+        return this.connected;
+    }
+
+    // Orders are simulated, so they are recorded as paper orders
+    isPaperMode() {
+        return true;
+    }
+
+    async connect(config = {}) {
+        this.book.reset(config);
+        this.book.feePercent = config.paperFeePercent ?? this.book.feePercent;
+        this.orders.clear();
+        this.streamedSymbols.clear();
+        this.klines.clear();
+        this.streamedKlines.clear();
+        this.lastPrices.clear();
+
+        for (const [symbol, price] of Object.entries(config.mockPrices || {})) {
+            this.lastPrices.set(symbol, parseFloat(price));
+        }
+
+        this.connected = true;
+        console.log('🧩 Mock exchange connected (offline)');
+        this.emit('connected');
+        return true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+        this.streamedSymbols.clear();
+        this.streamedKlines.clear();
+        this.emit('disconnected');
+    }
+
+    assertConnected() {
+        if (!this.connected) {
+            throw new Error('Mock exchange not connected');
+        }
+    }
+
+    // Move the market: streams the price and fills crossed limit orders
+    setPrice(symbol, price) {
+        const previous = this.lastPrices.get(symbol);
+        const value = parseFloat(price);
+        this.lastPrices.set(symbol, value);
+        this.book.onPriceUpdate(symbol, value);
+
+        if (this.streamedSymbols.has(symbol)) {
+            this.emit('priceUpdate', {
+                symbol,
+                price: value,
+                change: previous ? value - previous : 0,
+                changePercent: previous ? (value - previous) / previous * 100 : 0,
+                volume: 0,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    // Add a candle to the history; streamed like a live kline update
+    pushKline(symbol, interval, candle) {
+        const key = `${symbol}:${interval}`;
+        const kline = { isFinal: true, ...candle, symbol, interval };
+        const candles = this.klines.get(key) || [];
+
+        if (candles.length > 0 && candles[candles.length - 1].openTime === kline.openTime) {
+            candles[candles.length - 1] = kline;
+        } else {
+            candles.push(kline);
+        }
+        this.klines.set(key, candles);
+
+        if (this.streamedKlines.has(key)) {
+            this.emit('kline', kline);
+        }
+    }
+
+    async getKlines(symbol, interval, limit = 500) {
+        this.assertConnected();
+        return (this.klines.get(`${symbol}:${interval}`) || []).slice(-limit);
+    }
+
+    startKlineStream(symbol, interval) {
+        this.streamedKlines.add(`${symbol}:${interval}`);
+    }
+
+    async getPrice(symbol) {
+        this.assertConnected();
+
+        if (!this.lastPrices.has(symbol)) {
+            throw new Error(`Price fetch error: no mock price for ${symbol}`);
+        }
+        return this.lastPrices.get(symbol);
+    }
+
+    async placeOrder(orderData) {
+        this.assertConnected();
+
+        try {
+            const result = this.book.placeOrder(orderData, this.lastPrices.get(orderData.symbol));
+            this.orders.set(result.orderId, { ...result });
+
+            this.emit('orderPlaced', result);
+            return result;
+        } catch (error) {
+            this.emit('orderError', { error: error.message, orderData });
+            throw error;
+        }
+    }
+
+    async cancelOrder(symbol, orderId) {
+        this.assertConnected();
+
+        const result = this.book.cancelOrder(symbol, orderId);
+        this.emit('orderCancelled', result);
+        return result;
+    }
+
+    async getOrderStatus(symbol, orderId) {
+        this.assertConnected();
+
+        const order = this.orders.get(Number(orderId));
+        if (!order || order.symbol !== symbol) {
+            throw new Error(`Order status error: Order does not exist (${orderId})`);
+        }
+        return { ...order };
+    }
+
+    async getOpenOrders(symbol) {
+        this.assertConnected();
+        return this.book.getOpenOrders(symbol);
+    }
+
+    // One trade per simulated fill
+    async getTrades(symbol, { startTime } = {}) {
+        this.assertConnected();
+
+        const trades = [];
+        for (const order of this.orders.values()) {
+            if (order.symbol !== symbol || (startTime && order.transactTime < startTime)) continue;
+
+            order.fills.forEach((fill, index) => trades.push({
+                id: order.orderId * 1000 + index,
+                orderId: order.orderId,
+                symbol,
+                side: order.side,
+                price: fill.price,
+                qty: fill.qty,
+                quoteQty: (parseFloat(fill.price) * parseFloat(fill.qty)).toFixed(8),
+                commission: fill.commission,
+                commissionAsset: fill.commissionAsset,
+                time: order.transactTime
+            }));
+        }
+        return trades;
+    }
+
+    async getAccountInfo() {
+        this.assertConnected();
+        return { ...this.book.getAccountInfo(), accountType: 'MOCK' };
+    }
+
+    startPriceStream(symbols) {
+        for (const symbol of Array.isArray(symbols) ? symbols : [symbols]) {
+            this.streamedSymbols.add(symbol);
+        }
+    }
+
+    // Permissive trading rules: 8 decimals, no notional limits
+    async getSymbolInfo(symbol) {
+        this.assertConnected();
+
+        const { baseAsset, quoteAsset } = TradingService.splitSymbol(symbol);
+        return {
+            symbol,
+            status: 'TRADING',
+            baseAsset,
+            quoteAsset,
+            filters: {
+                LOT_SIZE: { filterType: 'LOT_SIZE', minQty: '0.00000001', maxQty: '0', stepSize: '0.00000001' },
+                PRICE_FILTER: { filterType: 'PRICE_FILTER', minPrice: '0', maxPrice: '0', tickSize: '0.00000001' }
+            }
+        };
+    }
+}
+
+module.exports = MockExchange;
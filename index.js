@@ -3,16 +3,28 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const webhookAuth = require('./middleware/webhookAuth');
 
 // Import services
-const BinanceService = require('./services/binanceService');
+const ExchangeService = require('./exchanges');
 const RealtimeOrderService = require('./services/realtimeOrderService');
+const PaperExchange = require('./services/paperExchange');
+const ReconciliationService = require('./services/reconciliationService');
+const IndicatorService = require('./services/indicatorService');
 const Config = require('./models/Config');
+const CredentialStore = require('./services/credentialStore');
 
 // Import controllers
 const ConfigController = require('./controllers/configController');
 const OrderController = require('./controllers/orderControllers');
 const WebhookController = require('./controllers/webhookControllers');
+const StrategyController = require('./controllers/strategyController');
+const SignalController = require('./controllers/signalController');
+const RiskController = require('./controllers/riskController');
+const PositionController = require('./controllers/positionController');
+const ReportController = require('./controllers/reportController');
+const ReconciliationController = require('./controllers/reconciliationController');
+const CredentialController = require('./controllers/credentialController');
 
 class TradingApp {
     constructor() {
@@ -47,8 +59,13 @@ class TradingApp {
         });
         this.app.use('/api/webhook', webhookLimiter);
 
-        // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        // Body parsing (keep the raw body for webhook signature checks)
+        this.app.use(express.json({
+            limit: '10mb',
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
         // Request logging
@@ -66,7 +83,7 @@ class TradingApp {
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
                 services: {
-                    binance: BinanceService.isConnected,
+                    binance: ExchangeService.isConnected,
                     realtimeOrders: RealtimeOrderService.isActive
                 }
             });
@@ -76,24 +93,52 @@ class TradingApp {
         this.app.get('/api/config', ConfigController.getConfig);
         this.app.post('/api/config', ConfigController.saveConfig);
 
+        // Exchange API credentials (encrypted at rest, secret never returned)
+        this.app.get('/api/credentials', CredentialController.getCredentials);
+        this.app.put('/api/credentials', CredentialController.setCredentials);
+        this.app.delete('/api/credentials', CredentialController.deleteCredentials);
+
+        // Strategy routes
+        this.app.get('/api/strategies', StrategyController.getStrategies);
+
+        // Signal history
+        this.app.get('/api/signals', SignalController.getSignals);
+
         // Order routes
         this.app.get('/api/orders', OrderController.getOrders);
+        this.app.get('/api/orders/:id', OrderController.getOrder);
         this.app.delete('/api/orders', OrderController.clearOrders);
+        this.app.post('/api/orders/cancel-all', OrderController.cancelAllOrders);
+        this.app.delete('/api/orders/:id', OrderController.cancelOrder);
+
+        // Position routes
+        this.app.get('/api/positions', PositionController.getPositions);
+
+        // Reporting routes
+        this.app.get('/api/reports/performance', ReportController.getPerformance);
 
         // Webhook routes
-        this.app.post('/api/webhook', WebhookController.processWebhook);
+        this.app.post('/api/webhook', webhookAuth, WebhookController.processWebhook);
         this.app.post('/api/orders/:orderId/trigger', WebhookController.triggerOrder);
         this.app.delete('/api/orders/:orderId/trigger', WebhookController.cancelTriggerOrder);
 
         // Monitoring routes
         this.app.get('/api/monitoring/status', WebhookController.getMonitoringStatus);
 
-        // Binance connection routes
+        // Circuit breaker routes
+        this.app.get('/api/risk/status', RiskController.getStatus);
+        this.app.post('/api/risk/reset', RiskController.reset);
+
+        // Reconciliation with the exchange
+        this.app.get('/api/reconciliation', ReconciliationController.getReport);
+        this.app.post('/api/reconciliation/run', ReconciliationController.run);
+
+        // Exchange connection routes (the paths predate other exchanges)
         this.app.post('/api/binance/connect', async (req, res) => {
             try {
                 const config = await Config.get();
-                await BinanceService.initialize(config);
-                res.json({ message: 'Binance connection established' });
+                await ExchangeService.initialize(await CredentialStore.getConnectionConfig(config));
+                res.json({ message: `${ExchangeService.name} connection established` });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -101,8 +146,8 @@ class TradingApp {
 
         this.app.post('/api/binance/disconnect', async (req, res) => {
             try {
-                await BinanceService.disconnect();
-                res.json({ message: 'Binance connection closed' });
+                await ExchangeService.disconnect();
+                res.json({ message: `${ExchangeService.name} connection closed` });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -110,7 +155,7 @@ class TradingApp {
 
         this.app.get('/api/binance/account', async (req, res) => {
             try {
-                const accountInfo = await BinanceService.getAccountInfo();
+                const accountInfo = await ExchangeService.getAccountInfo();
                 res.json(accountInfo);
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -120,13 +165,35 @@ class TradingApp {
         this.app.get('/api/binance/orders/:symbol?', async (req, res) => {
             try {
                 const { symbol } = req.params;
-                const openOrders = await BinanceService.getOpenOrders(symbol);
+                const openOrders = await ExchangeService.getOpenOrders(symbol);
                 res.json(openOrders);
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
+        this.app.get('/api/binance/positions/:symbol?', async (req, res) => {
+            try {
+                const { symbol } = req.params;
+                const positions = await ExchangeService.getFuturesPositions(symbol);
+                res.json(positions);
+            } catch (error) {
+                const status = error.message.includes('only available') || error.message.includes('not supported') ? 400 : 500;
+                res.status(status).json({ error: error.message });
+            }
+        });
+
+        // Paper trading routes
+        this.app.post('/api/paper/reset', async (req, res) => {
+            try {
+                const config = await Config.get();
+                PaperExchange.reset({ ...config, ...req.body });
+                res.json({ message: 'Paper account reset', account: PaperExchange.getAccountInfo() });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Real-time service routes
         this.app.post('/api/realtime/start', async (req, res) => {
             try {
@@ -207,12 +274,14 @@ class TradingApp {
             this.server?.close();
 
             // Stop real-time services
+            ReconciliationService.stop();
+            IndicatorService.stop();
             console.log('⏸️ Stopping real-time order service...');
             await RealtimeOrderService.stop();
 
-            // Disconnect from Binance
-            console.log('🔌 Disconnecting from Binance...');
-            await BinanceService.disconnect();
+            // Disconnect from the exchange
+            console.log('🔌 Disconnecting from exchange...');
+            await ExchangeService.disconnect();
 
             console.log('✅ Graceful shutdown completed');
             process.exit(0);
@@ -230,19 +299,34 @@ class TradingApp {
             // Load configuration
             console.log('📋 Loading configuration...');
             const config = await Config.get();
-            
-            if (!config.binanceApiKey || !config.binanceApiSecret) {
+
+            // Plaintext keys from older setups move into the encrypted credential store
+            await CredentialStore.importLegacy(config);
+            const connectionConfig = await CredentialStore.getConnectionConfig(config);
+
+            if ((!connectionConfig.binanceApiKey || !connectionConfig.binanceApiSecret) && ExchangeService.requiresCredentials(config)) {
                 console.log('⚠️ Binance API credentials not configured');
-                console.log('🔧 Please configure your API credentials via /api/config endpoint');
+                console.log('🔧 Please set your API credentials via PUT /api/credentials');
             } else {
-                // Initialize Binance connection
-                console.log('🔗 Connecting to Binance...');
-                await BinanceService.initialize(config);
+                // Initialize exchange connection
+                console.log(`🔗 Connecting to ${config.exchange || 'binance'}...`);
+                await ExchangeService.initialize(connectionConfig);
+
+                // Catch up with what happened on the exchange while we were down,
+                // before monitoring resumes from the local orders
+                console.log('🔁 Reconciling orders with the exchange...');
+                await ReconciliationService.reconcile('startup').catch(error => {
+                    console.error('❌ Startup reconciliation failed:', error.message);
+                });
+                ReconciliationService.start();
 
                 // Initialize real-time order service
                 console.log('⚡ Starting real-time order service...');
                 await RealtimeOrderService.initialize();
 
+                // Candle buffers and indicators from kline streams, when enabled
+                await IndicatorService.start(config);
+
                 // Setup event listeners for better logging
                 this.setupServiceEventListeners();
             }
@@ -256,21 +340,21 @@ class TradingApp {
     }
 
     setupServiceEventListeners() {
-        // Binance service events
-        BinanceService.on('connected', () => {
-            console.log('✅ Binance service connected');
+        // Exchange events
+        ExchangeService.on('connected', () => {
+            console.log(`✅ ${ExchangeService.name} exchange connected`);
         });
 
-        BinanceService.on('reconnected', () => {
-            console.log('🔄 Binance service reconnected');
+        ExchangeService.on('reconnected', () => {
+            console.log(`🔄 ${ExchangeService.name} exchange reconnected`);
         });
 
-        BinanceService.on('orderPlaced', (order) => {
-            console.log(`✅ Order placed on Binance: ${order.orderId}`);
+        ExchangeService.on('orderPlaced', (order) => {
+            console.log(`✅ Order placed on ${ExchangeService.name}: ${order.orderId}`);
         });
 
-        BinanceService.on('orderError', (error) => {
-            console.log(`❌ Binance order error: ${error.error}`);
+        ExchangeService.on('orderError', (error) => {
+            console.log(`❌ ${ExchangeService.name} order error: ${error.error}`);
         });
 
         // Real-time order service events
@@ -286,12 +370,50 @@ class TradingApp {
             console.log(`❌ Order execution error: ${data.order.id} - ${data.error}`);
         });
 
+        RealtimeOrderService.on('orderHalted', (data) => {
+            console.log(`🛑 Order ${data.order.id} cancelled, trading is halted: ${data.reason}`);
+        });
+
+        RealtimeOrderService.on('stalePrice', (alert) => {
+            console.log(`🚨 No live prices for ${alert.symbol} since ${alert.lastTickAt || 'the stream started'}; falling back to REST polling`);
+        });
+
+        RealtimeOrderService.on('trailingStopMoved', (move) => {
+            console.log(`🪜 Trailing stop of order ${move.orderId} moved to ${move.stopPrice} (${move.symbol} at ${move.price})`);
+        });
+
+        // Signals generated from our own indicators take the webhook path
+        // (risk guard, sizing, execution and signal history) like TradingView ones
+        IndicatorService.on('signal', (signal) => {
+            this.processIndicatorSignal(signal).catch(error => {
+                console.error(`❌ Error processing indicator signal for ${signal.symbol}:`, error.message);
+            });
+        });
+
         RealtimeOrderService.on('priceUpdate', (priceData) => {
             // Optional: log price updates (can be very verbose)
             // console.log(`📊 Price update: ${priceData.symbol} = ${priceData.price}`);
         });
     }
 
+    async processIndicatorSignal(signal) {
+        const req = { body: signal, webhookSource: 'indicators' };
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                this.body = body;
+                return this;
+            }
+        };
+
+        await WebhookController.processWebhook(req, res);
+        console.log(`📈 Indicator signal for ${signal.symbol} handled (${res.statusCode}): ${res.body && (res.body.message || res.body.error)}`);
+    }
+
     async start(port = process.env.PORT || 3001) {
         try {
             // Initialize services
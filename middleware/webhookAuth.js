@@ -0,0 +1,186 @@
+// middleware/webhookAuth.js
+const crypto = require('crypto');
+const Config = require('../models/Config');
+const { WEBHOOK_AUTH } = require('../config/constants');
+
+// Nonces seen within the replay window, keyed by `${source}:${nonce}`
+const seenNonces = new Map();
+
+// Load per-source secrets from the environment and the saved configuration
+async function loadSources() {
+    let envSources = {};
+
+    if (process.env.WEBHOOK_SOURCES) {
+        try {
+            envSources = JSON.parse(process.env.WEBHOOK_SOURCES);
+        } catch (error) {
+            console.error('❌ WEBHOOK_SOURCES is not valid JSON:', error.message);
+        }
+    }
+
+    const config = await Config.get();
+    return { ...(config.webhookSources || {}), ...envSources };
+}
+
+// Compare two secrets without leaking their content or length through timing
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// HMAC-SHA256 over `${timestamp}.${nonce}.${rawBody}`, hex encoded
+function computeSignature(secret, timestamp, nonce, rawBody) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${nonce}.${rawBody}`)
+        .digest('hex');
+}
+
+// Accepts epoch milliseconds, epoch seconds or an ISO date string
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const numeric = Number(value);
+    if (!Number.isNaN(numeric)) {
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Check timestamp freshness and that the nonce is unused. The nonce is only
+// recorded (recordNonce) once the request has authenticated, so unsigned
+// requests can neither burn valid nonces nor grow the map.
+function checkReplay(sourceId, timestamp, nonce, { requireTimestamp, requireNonce }) {
+    const now = Date.now();
+
+    if (timestamp === null) {
+        if (requireTimestamp) {
+            return 'Missing or invalid timestamp';
+        }
+    } else if (Math.abs(now - timestamp) > WEBHOOK_AUTH.TIMESTAMP_TOLERANCE_MS) {
+        return 'Timestamp outside allowed window';
+    }
+
+    if (!nonce) {
+        return requireNonce ? 'Missing nonce' : null;
+    }
+
+    for (const [key, expiresAt] of seenNonces) {
+        if (expiresAt <= now) {
+            seenNonces.delete(key);
+        }
+    }
+
+    return seenNonces.has(`${sourceId}:${nonce}`) ? 'Nonce already used' : null;
+}
+
+function recordNonce(sourceId, nonce) {
+    if (nonce) {
+        seenNonces.set(`${sourceId}:${nonce}`, Date.now() + WEBHOOK_AUTH.NONCE_TTL_MS);
+    }
+}
+
+// Header-signature mode: X-Webhook-Source / -Timestamp / -Nonce / -Signature
+function verifyHeaderSignature(req, sourceId, source) {
+    const signature = (req.get('X-Webhook-Signature') || '').replace(/^sha256=/, '');
+    const rawTimestamp = req.get('X-Webhook-Timestamp');
+    const nonce = req.get('X-Webhook-Nonce');
+
+    if (!signature) {
+        return 'Missing signature';
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+    const expected = computeSignature(source.secret, rawTimestamp, nonce, rawBody);
+
+    if (!safeEqual(signature.toLowerCase(), expected)) {
+        return 'Invalid signature';
+    }
+
+    const replayError = checkReplay(sourceId, parseTimestamp(rawTimestamp), nonce, {
+        requireTimestamp: true,
+        requireNonce: true
+    });
+    if (replayError) {
+        return replayError;
+    }
+
+    recordNonce(sourceId, nonce);
+    return null;
+}
+
+// Body-token mode for TradingView, which can only send a passphrase in the payload
+function verifyBodyPassphrase(req, sourceId, source) {
+    const body = req.body || {};
+
+    if (!body.passphrase) {
+        return 'Missing passphrase';
+    }
+
+    if (!safeEqual(body.passphrase, source.secret)) {
+        return 'Invalid passphrase';
+    }
+
+    // Both are required unless the source opts out, otherwise a captured body can be replayed
+    const replayError = checkReplay(sourceId, parseTimestamp(body.timestamp), body.nonce, {
+        requireTimestamp: source.requireTimestamp !== false,
+        requireNonce: source.requireNonce !== false
+    });
+    if (replayError) {
+        return replayError;
+    }
+
+    recordNonce(sourceId, body.nonce);
+    return null;
+}
+
+// Reject unauthenticated webhook signals with 401 before they reach the controller
+async function webhookAuth(req, res, next) {
+    try {
+        const sources = await loadSources();
+        const headerSource = req.get('X-Webhook-Source');
+        const sourceId = headerSource || (req.body && req.body.source) || WEBHOOK_AUTH.DEFAULT_SOURCE;
+        const source = sources[sourceId];
+
+        if (!source || !source.secret) {
+            console.log(`🔒 Webhook rejected: unknown source "${sourceId}"`);
+            return res.status(401).json({ error: 'Unauthorized', details: 'Unknown signal source' });
+        }
+
+        const mode = source.mode || 'passphrase';
+        let authError;
+
+        if (mode === 'hmac') {
+            authError = verifyHeaderSignature(req, sourceId, source);
+        } else if (mode === 'passphrase') {
+            authError = verifyBodyPassphrase(req, sourceId, source);
+        } else {
+            authError = `Unsupported auth mode: ${mode}`;
+        }
+
+        if (authError) {
+            console.log(`🔒 Webhook rejected from "${sourceId}": ${authError}`);
+            return res.status(401).json({ error: 'Unauthorized', details: authError });
+        }
+
+        // Never let the shared secret travel further into logs or stored orders
+        if (req.body) {
+            delete req.body.passphrase;
+        }
+        req.webhookSource = sourceId;
+
+        next();
+    } catch (error) {
+        console.error('❌ Error authenticating webhook:', error);
+        res.status(500).json({ error: 'Failed to authenticate webhook' });
+    }
+}
+
+webhookAuth.computeSignature = computeSignature;
+
+module.exports = webhookAuth;
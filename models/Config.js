@@ -1,13 +1,28 @@
-const FileManager = require('../utils/fileManager');
-const { CONFIG_FILE, DEFAULT_CONFIG } = require('../config/constants');
+const storage = require('../storage');
+const { DEFAULT_CONFIG, LEGACY_CREDENTIAL_FIELDS } = require('../config/constants');
 
 class Config {
     static async get() {
-        return await FileManager.readJsonFile(CONFIG_FILE, DEFAULT_CONFIG);
+        return await storage.getConfig(DEFAULT_CONFIG);
     }
 
+    // Merge the given fields into the stored config. Webhook sources carry the
+    // webhook secrets and are never changed here; they are edited in config.json
+    // or set through WEBHOOK_SOURCES.
     static async save(configData) {
-        const config = { ...DEFAULT_CONFIG, ...configData };
+        const current = await this.get();
+        const config = { ...DEFAULT_CONFIG, ...current, ...configData };
+
+        // API credentials belong in the encrypted credential store, never in the config
+        for (const field of LEGACY_CREDENTIAL_FIELDS) {
+            delete config[field];
+        }
+
+        if (current.webhookSources) {
+            config.webhookSources = current.webhookSources;
+        } else {
+            delete config.webhookSources;
+        }
 
         const requiredFields = [
             'symbol', 'timeframe', 'plusDIThreshold',
@@ -23,9 +38,30 @@ class Config {
             throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
         }
 
-        await FileManager.writeJsonFile(CONFIG_FILE, config);
+        await storage.saveConfig(config);
         return config;
     }
+
+    // Copy of the config that is safe to return over the API
+    static redact(config) {
+        const redacted = { ...config };
+        for (const field of LEGACY_CREDENTIAL_FIELDS) {
+            delete redacted[field];
+        }
+
+        if (!config.webhookSources) {
+            return redacted;
+        }
+
+        redacted.webhookSources = Object.fromEntries(
+            Object.entries(config.webhookSources).map(([id, { secret, ...source }]) => [
+                id,
+                { ...source, secretSet: Boolean(secret) }
+            ])
+        );
+
+        return redacted;
+    }
 }
 
 module.exports = Config;
\ No newline at end of file
@@ -1,25 +1,174 @@
-const FileManager = require('../utils/fileManager');
-const { ORDERS_FILE, MAX_ORDERS } = require('../config/constants');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const { ORDER_STATUS, ORDER_STATUS_TRANSITIONS } = require('../config/constants');
+
+const REQUIRED_FIELDS = ['id', 'symbol', 'side', 'type', 'quantity', 'status'];
+
+// Binance order status -> local lifecycle status (null means "no change")
+const EXCHANGE_STATUS_MAP = {
+  NEW: ORDER_STATUS.SUBMITTED,
+  PARTIALLY_FILLED: ORDER_STATUS.PARTIAL,
+  FILLED: ORDER_STATUS.FILLED,
+  CANCELED: ORDER_STATUS.CANCELLED,
+  PENDING_CANCEL: null,
+  REJECTED: ORDER_STATUS.ERROR,
+  EXPIRED: ORDER_STATUS.CANCELLED,
+  EXPIRED_IN_MATCH: ORDER_STATUS.CANCELLED
+};
 
 class Order {
   static async getAll() {
-    return await FileManager.readJsonFile(ORDERS_FILE, []);
+    return await storage.getOrders();
+  }
+
+  static async getById(id) {
+    return await storage.getOrder(id);
   }
 
   static async add(orderData) {
-    const existingOrders = await this.getAll();
-    existingOrders.unshift(orderData);
+    const now = new Date().toISOString();
+    const order = {
+      ...orderData,
+      id: orderData.id || uuidv4(),
+      status: orderData.status || ORDER_STATUS.PENDING,
+      createdAt: orderData.createdAt || now
+    };
+    order.history = [{ status: order.status, at: now }];
+
+    this.validate(order);
+
+    return await storage.insertOrder(order);
+  }
+
+  // Merge changes into a stored order; status changes must follow the lifecycle
+  static async update(id, changes) {
+    return await storage.updateOrder(id, current => {
+      // id and history are owned by the model; callers often pass stale copies
+      const { id: _id, history: _history, ...rest } = changes;
+      const history = [...(current.history || [])];
+      const updated = { ...current, ...rest, updatedAt: new Date().toISOString() };
+
+      if (rest.status && rest.status !== current.status) {
+        if (!this.canTransition(current.status, rest.status)) {
+          throw new Error(`Invalid order status transition: ${current.status} -> ${rest.status}`);
+        }
 
-    if (existingOrders.length > MAX_ORDERS) {
-      existingOrders.splice(MAX_ORDERS);
+        const entry = { status: rest.status, previousStatus: current.status, at: updated.updatedAt };
+        const reason = rest.errorMessage || rest.cancelReason;
+        if (reason) {
+          entry.reason = reason;
+        }
+        history.push(entry);
+      }
+
+      updated.history = history;
+      return updated;
+    });
+  }
+
+  // Filter, sort and paginate orders. Returns the page plus counts for the UI.
+  static async find(query = {}) {
+    const {
+      status,
+      symbol,
+      side,
+      executionMode,
+      paper,
+      from,
+      to,
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      limit = 50,
+      offset = 0,
+      cursor
+    } = query;
+
+    // The storage backend applies the indexed filters, the rest happens here
+    const filtered = (await storage.getOrders({ status, symbol, side, paper, from, to }))
+      .filter(order => !executionMode || order.executionMode === executionMode);
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const sortValue = order => {
+      const value = sortBy === 'createdAt' ? (order.createdAt || order.timestamp) : order[sortBy];
+      return value === undefined || value === null ? '' : value;
+    };
+
+    filtered.sort((a, b) => {
+      const valueA = sortValue(a);
+      const valueB = sortValue(b);
+      if (valueA < valueB) return -direction;
+      if (valueA > valueB) return direction;
+      return String(a.id).localeCompare(String(b.id)) * direction;
+    });
+
+    // A cursor is the id of the last order of the previous page
+    let start = offset;
+    if (cursor) {
+      const cursorIndex = filtered.findIndex(order => order.id === cursor);
+      if (cursorIndex === -1) {
+        throw new Error(`Invalid cursor: ${cursor}`);
+      }
+      start = cursorIndex + 1;
     }
 
-    await FileManager.writeJsonFile(ORDERS_FILE, existingOrders);
-    return orderData;
+    const page = filtered.slice(start, start + limit);
+    const hasMore = start + page.length < filtered.length;
+
+    return {
+      orders: page,
+      total: filtered.length,
+      totalAll: await storage.countOrders(),
+      offset: start,
+      limit,
+      hasMore,
+      nextCursor: hasMore && page.length > 0 ? page[page.length - 1].id : null
+    };
+  }
+
+  static async remove(id) {
+    return await storage.removeOrder(id);
   }
 
   static async clear() {
-    await FileManager.writeJsonFile(ORDERS_FILE, []);
+    await storage.clearOrders();
+  }
+
+  static validate(order) {
+    const missingFields = REQUIRED_FIELDS.filter(
+      field => order[field] === undefined || order[field] === null || order[field] === ''
+    );
+
+    if (missingFields.length > 0) {
+      throw new Error(`Missing required order fields: ${missingFields.join(', ')}`);
+    }
+
+    if (!['BUY', 'SELL'].includes(order.side)) {
+      throw new Error(`Invalid order side: ${order.side}`);
+    }
+
+    if (!(parseFloat(order.quantity) > 0)) {
+      throw new Error(`Invalid order quantity: ${order.quantity}`);
+    }
+
+    if (!ORDER_STATUS_TRANSITIONS[order.status]) {
+      throw new Error(`Invalid order status: ${order.status}`);
+    }
+  }
+
+  static canTransition(from, to) {
+    // Orders saved before the lifecycle existed have no status to check against
+    if (!from) {
+      return true;
+    }
+    return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  static isTerminal(status) {
+    return (ORDER_STATUS_TRANSITIONS[status] || []).length === 0;
+  }
+
+  static fromExchangeStatus(exchangeStatus) {
+    return EXCHANGE_STATUS_MAP[exchangeStatus] ?? null;
   }
 }
 
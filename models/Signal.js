@@ -0,0 +1,27 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+
+class Signal {
+    // Store an incoming signal together with what the bot did with it
+    static async record(signal, { source = null, outcome, reason = null, orderId = null } = {}) {
+        const entry = {
+            id: uuidv4(),
+            receivedAt: new Date().toISOString(),
+            symbol: signal.symbol || null,
+            strategy: signal.strategy || null,
+            source,
+            outcome,
+            reason,
+            orderId,
+            payload: signal
+        };
+
+        return await storage.addSignal(entry);
+    }
+
+    static async getRecent(options = {}) {
+        return await storage.getSignals(options);
+    }
+}
+
+module.exports = Signal;
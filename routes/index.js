@@ -2,6 +2,7 @@ const express = require('express');
 const ConfigController = require('../controllers/configController');
 const WebhookController = require('../controllers/webhookControllers');
 const OrderController = require('../controllers/orderControllers');
+const webhookAuth = require('../middleware/webhookAuth');
 
 const router = express.Router();
 
@@ -9,9 +10,10 @@ const router = express.Router();
 router.get('/config', ConfigController.getConfig);
 router.post('/config', ConfigController.saveConfig);
 
-router.post('/webhook', WebhookController.processWebhook);
+router.post('/webhook', webhookAuth, WebhookController.processWebhook);
 
 router.get('/orders', OrderController.getOrders);
+router.get('/orders/:id', OrderController.getOrder);
 router.delete('/orders', OrderController.clearOrders);
 
 module.exports = router;
\ No newline at end of file
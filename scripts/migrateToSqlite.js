@@ -0,0 +1,70 @@
+// scripts/migrateToSqlite.js
+// One-shot import of orders.json, config.json, signals.json and state.json into SQLite.
+// Safe to re-run: rows are upserted by id. Usage: npm run migrate:sqlite
+const { v4: uuidv4 } = require('uuid');
+const FileStore = require('../storage/fileStore');
+const SqliteStore = require('../storage/sqliteStore');
+const { SQLITE_FILE } = require('../config/constants');
+
+// Service state carried over, with the message logged for each key found.
+// Credentials stay encrypted; the same CREDENTIALS_MASTER_KEY opens them afterwards.
+const STATE_KEYS = [
+    ['riskGuard', '🛡️ Imported circuit breaker state'],
+    ['reconciliation', '🔁 Imported last reconciliation report'],
+    ['credentials', '🔐 Imported encrypted API credentials'],
+    ['paperExchange', '🧪 Imported paper account']
+];
+
+async function migrate({ source = new FileStore(), target = new SqliteStore() } = {}) {
+    console.log(`🚚 Migrating JSON files into ${SQLITE_FILE}...`);
+
+    try {
+        // Orders saved before ids existed get one now so they can be addressed
+        const orders = await source.getOrders();
+        let assignedIds = 0;
+
+        for (const order of orders) {
+            if (!order.id) {
+                order.id = uuidv4();
+                assignedIds++;
+            }
+            await target.insertOrder(order);
+        }
+        console.log(`📦 Imported ${orders.length} orders (${assignedIds} without id were given one)`);
+
+        const config = await source.getConfig(null);
+        if (config) {
+            await target.saveConfig(config);
+            console.log('📋 Imported configuration');
+        } else {
+            console.log('📋 No config.json found, skipping configuration');
+        }
+
+        for (const [key, message] of STATE_KEYS) {
+            const state = await source.getState(key);
+            if (state) {
+                await target.setState(key, state);
+                console.log(message);
+            }
+        }
+
+        const signals = await source.getSignals({ limit: Infinity });
+        for (const signal of signals) {
+            await target.addSignal(signal);
+        }
+        console.log(`📡 Imported ${signals.length} signals`);
+
+        console.log('✅ Migration complete. Start the app with STORAGE_BACKEND=sqlite to use it.');
+    } finally {
+        await target.close();
+    }
+}
+
+if (require.main === module) {
+    migrate().catch(error => {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = migrate;
@@ -2,6 +2,27 @@
 const Binance = require('node-binance-api');
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const PaperExchange = require('./paperExchange');
+const SymbolInfoService = require('./symbolInfoService');
+const TradingService = require('./tradingService');
+const RequestScheduler = require('./requestScheduler');
+const OrderBook = require('../utils/orderBook');
+const CredentialStore = require('./credentialStore');
+const {
+    REQUEST_PRIORITY,
+    ORDER_BOOK_DEPTH_LIMIT,
+    ORDER_BOOK_SYNC_ATTEMPTS,
+    DEFAULT_SLIPPAGE_ACTION,
+    TIME_SYNC_INTERVAL_MS,
+    TIME_DRIFT_WARNING_MS,
+    DEFAULT_RECV_WINDOW_MS,
+    PRICE_STALE_AFTER_MS,
+    PRICE_WATCHDOG_INTERVAL_MS,
+    PRICE_POLL_INTERVAL_MS,
+    USER_DATA_KEEPALIVE_MS,
+    USER_DATA_RECONNECT_DELAY_MS,
+    USER_DATA_MAX_RECONNECT_DELAY_MS
+} = require('../config/constants');
 
 class BinanceService extends EventEmitter {
     constructor() {
@@ -13,6 +34,129 @@ class BinanceService extends EventEmitter {
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000; // 1 second initial delay
         this.initializationInProgress = false;
+        this.paperMode = false;
+        this.marketType = 'spot';
+        this.futuresSettings = {};
+        this.appliedSymbolSettings = new Map();
+        this.lastPrices = new Map();
+        this.userDataStream = null; // { listenKey, ws, keepAliveTimer, reconnectTimer, connectedAt }
+        this.userDataReconnectAttempts = 0;
+        this.orderBooks = new Map(); // symbol -> { book, ws, buffer, synced, syncing }
+        this.connectionSettings = null; // last initialize() config without the credentials
+        this.clock = { offsetMs: 0, roundTripMs: null, syncedAt: null, syncs: 0, timestampErrors: 0 };
+        this.timeSyncTimer = null;
+        this.timeSyncPromise = null;
+        this.priceStreams = new Map(); // symbol -> { ws, lastTickAt, stale, pollTimer, restarts, ... }
+        this.priceWatchdogTimer = null;
+
+        // Simulated fills surface exactly like user data stream updates
+        PaperExchange.on('executionReport', (report) => {
+            this.emit('orderUpdate', report);
+        });
+
+        RequestScheduler.on('rateLimited', (info) => {
+            this.emit('rateLimited', info);
+        });
+    }
+
+    isPaperMode() {
+        return this.paperMode;
+    }
+
+    isFutures() {
+        return this.marketType === 'futures';
+    }
+
+    // REST calls go through the request scheduler, which spends the request
+    // weight by priority and holds everything back after a 429/418. A call
+    // rejected for its timestamp (-1021) never reached the matching engine, so
+    // it is sent once more after the clock offset has been re-measured.
+    async request(label, task, { weight = 1, orders = 0, priority = REQUEST_PRIORITY.NORMAL } = {}) {
+        const options = { label, weight, orders, priority };
+
+        try {
+            return await RequestScheduler.schedule(task, options);
+        } catch (error) {
+            if (!this.isTimestampError(error) || !this.binance) {
+                throw error;
+            }
+
+            this.clock.timestampErrors++;
+            console.warn(`⏰ ${label} rejected for its timestamp, resyncing the clock and retrying once`);
+            await this.syncTime();
+            return await RequestScheduler.schedule(task, options);
+        }
+    }
+
+    isTimestampError(error) {
+        return /-1021|outside of the recvWindow|ahead of the server's time/i.test(error.message);
+    }
+
+    // Measure the offset to the server clock (halfway through the round trip)
+    // and let the client add it to every signed request's timestamp
+    syncTime() {
+        if (this.timeSyncPromise) {
+            return this.timeSyncPromise;
+        }
+
+        this.timeSyncPromise = (async () => {
+            const sentAt = Date.now();
+            const serverTime = this.isFutures()
+                ? await this.request('futuresTime', () => this.binance.futuresTime())
+                : (await this.request('time', () => this.binance.time())).serverTime;
+            const receivedAt = Date.now();
+
+            if (!serverTime || !this.binance) {
+                throw new Error('Server time error: no time returned');
+            }
+
+            const offsetMs = Math.round(serverTime - (sentAt + receivedAt) / 2);
+            this.binance.timeOffset = offsetMs;
+            this.clock = {
+                ...this.clock,
+                offsetMs,
+                roundTripMs: receivedAt - sentAt,
+                syncedAt: new Date(receivedAt).toISOString(),
+                syncs: this.clock.syncs + 1
+            };
+
+            if (Math.abs(offsetMs) > TIME_DRIFT_WARNING_MS) {
+                console.warn(`⚠️ Local clock is ${offsetMs > 0 ? 'behind' : 'ahead of'} Binance by ${Math.abs(offsetMs)}ms; signed requests are corrected`);
+            }
+
+            return this.clock;
+        })().finally(() => {
+            this.timeSyncPromise = null;
+        });
+
+        return this.timeSyncPromise;
+    }
+
+    startTimeSync() {
+        this.stopTimeSync();
+
+        this.timeSyncTimer = setInterval(() => {
+            if (!this.isConnected || !this.binance) return;
+
+            this.syncTime().catch(error => {
+                console.error('❌ Clock sync failed:', error.message);
+            });
+        }, TIME_SYNC_INTERVAL_MS);
+        this.timeSyncTimer.unref?.();
+    }
+
+    stopTimeSync() {
+        if (this.timeSyncTimer) {
+            clearInterval(this.timeSyncTimer);
+            this.timeSyncTimer = null;
+        }
+    }
+
+    getClockStatus() {
+        return {
+            ...this.clock,
+            recvWindowMs: this.binance ? this.binance.Options.recvWindow : null
+        };
     }
 
     // Initialize Binance connection with testnet support
@@ -37,22 +181,46 @@ class BinanceService extends EventEmitter {
         try {
             console.log('🔌 Starting Binance initialization...');
             
-            // Validate required config
-            if (!config.binanceApiKey || !config.binanceApiSecret) {
+            const { binanceApiKey, binanceApiSecret, ...settings } = config;
+            this.connectionSettings = settings;
+            this.paperMode = config.tradingMode === 'paper';
+            this.hasCredentials = Boolean(config.binanceApiKey && config.binanceApiSecret);
+            this.marketType = config.marketType === 'futures' ? 'futures' : 'spot';
+            this.futuresSettings = {
+                leverage: config.leverage,
+                marginType: config.marginType,
+                hedgeMode: config.hedgeMode === true,
+                futuresSymbols: config.futuresSymbols
+            };
+            this.appliedSymbolSettings.clear();
+
+            // The simulator only models a spot account
+            if (this.paperMode && this.isFutures()) {
+                throw new Error('Paper trading is only supported for the spot market');
+            }
+
+            // Validate required config (paper mode only needs public market data)
+            if (!this.hasCredentials && !this.paperMode) {
                 throw new Error('Binance API key and secret are required');
             }
 
+            if (this.paperMode) {
+                console.log('🧪 Paper trading mode: orders are simulated, prices are live');
+                await PaperExchange.configure(config);
+            }
+
             const useTestnet = config.useTestnet !== false; // Default to true for safety
-            console.log(`🔧 Using ${useTestnet ? 'Testnet' : 'Mainnet'} environment`);
+            console.log(`🔧 Using ${useTestnet ? 'Testnet' : 'Mainnet'} environment (${this.marketType})`);
 
             // Create Binance client with proper configuration
             this.binance = new Binance().options({
                 APIKEY: config.binanceApiKey,
                 APISECRET: config.binanceApiSecret,
                 test: useTestnet,
-                useServerTime: true,
-                recvWindow: 60000,
+                useServerTime: false, // the offset is measured by syncTime()
+                recvWindow: config.recvWindow || DEFAULT_RECV_WINDOW_MS,
                 verbose: config.verbose || false,
+                hedgeMode: this.futuresSettings.hedgeMode,
                 log: config.enableLogging ? (...args) => console.log('📊 Binance:', ...args) : () => {},
                 
                 // Proper URL configuration
@@ -65,6 +233,8 @@ class BinanceService extends EventEmitter {
                     combineStream: 'wss://testnet.binance.vision/stream'
                 } : undefined // Use default URLs for mainnet
             });
+            RequestScheduler.configure(this.marketType);
+            RequestScheduler.attach(this.binance);
 
             // Wait a bit for the client to initialize
             await new Promise(resolve => setTimeout(resolve, 1000));
@@ -96,6 +266,21 @@ class BinanceService extends EventEmitter {
             this.isConnected = true;
             this.reconnectAttempts = 0;
             this.initializationInProgress = false;
+            this.startTimeSync();
+
+            // Trading rules are fetched lazily on first use, then refreshed periodically
+            SymbolInfoService.start(() => this.request('exchangeInfo', () => this.isFutures()
+                ? this.binance.futuresExchangeInfo()
+                : this.binance.exchangeInfo(), { weight: this.isFutures() ? 1 : 20, priority: REQUEST_PRIORITY.BACKGROUND }));
+
+            if (this.isFutures()) {
+                await this.syncPositionMode();
+            }
+
+            // Live fills, cancellations and balances; paper fills come from the simulator
+            if (!this.paperMode) {
+                await this.startUserDataStream();
+            }
             
             console.log(`✅ Binance ${useTestnet ? 'Testnet' : 'Mainnet'} connection established successfully`);
             this.emit('connected');
@@ -131,41 +316,29 @@ class BinanceService extends EventEmitter {
                 throw new Error('Binance client not initialized');
             }
 
-            // Test server time first (doesn't require authentication)
-            console.log('⏰ Testing server time...');
-            const timeResponse = await new Promise((resolve, reject) => {
-                this.binance.time((error, response) => {
-                    if (error) {
-                        reject(new Error(`Server time error: ${error.body || error.message || error}`));
-                    } else {
-                        resolve(response);
-                    }
-                });
-            });
+            // Measure the clock offset first (doesn't require authentication)
+            console.log('⏰ Syncing with server time...');
+            const clock = await this.syncTime();
+            console.log(`⏰ Clock offset: ${clock.offsetMs}ms (round trip ${clock.roundTripMs}ms)`);
 
-            const serverTime = new Date(timeResponse.serverTime);
-            const localTime = new Date();
-            const timeDiff = Math.abs(serverTime.getTime() - localTime.getTime());
-            
-            console.log(`⏰ Server time: ${serverTime.toISOString()}`);
-            console.log(`⏰ Local time: ${localTime.toISOString()}`);
-            console.log(`⏰ Time difference: ${timeDiff}ms`);
+            if (this.paperMode && !this.hasCredentials) {
+                console.log('🧪 Skipping account access test in paper mode');
+                return true;
+            }
+
+            if (this.isFutures()) {
+                console.log('🔐 Testing futures account access...');
+                const futuresAccount = await this.request('futuresAccount', () => this.binance.futuresAccount(), { weight: 5 });
 
-            if (timeDiff > 5000) {
-                console.warn('⚠️ Large time difference detected - this may cause issues');
+                console.log('📊 Connection test successful');
+                console.log(`💰 Futures wallet balance: ${futuresAccount.totalWalletBalance}`);
+                console.log(`🔄 Can trade: ${futuresAccount.canTrade}`);
+                return true;
             }
 
             // Test account info (requires authentication)
             console.log('🔐 Testing account access...');
-            const accountResponse = await new Promise((resolve, reject) => {
-                this.binance.account((error, response) => {
-                    if (error) {
-                        reject(new Error(`Account access error: ${error.body || error.message || error}`));
-                    } else {
-                        resolve(response);
-                    }
-                });
-            });
+            const accountResponse = await this.request('account', () => this.binance.account(), { weight: 20 });
 
             console.log('📊 Connection test successful');
             console.log(`💰 Account type: ${accountResponse.accountType}`);
@@ -189,18 +362,20 @@ class BinanceService extends EventEmitter {
 
             console.log(`💰 Getting price for ${symbol}...`);
 
-            const priceResponse = await new Promise((resolve, reject) => {
-                this.binance.prices(symbol, (error, ticker) => {
-                    if (error) {
-                        reject(new Error(`Price fetch error: ${error.body || error.message || error}`));
-                    } else {
-                        resolve(ticker);
-                    }
-                });
-            });
+            if (this.isFutures()) {
+                const futuresPrices = await this.request('futuresPrices', () => this.binance.futuresPrices(symbol), { weight: 2 });
+                const futuresPrice = parseFloat(futuresPrices[symbol]);
+                console.log(`💰 ${symbol} futures price: $${futuresPrice}`);
+
+                this.recordPrice(symbol, futuresPrice);
+                return futuresPrice;
+            }
 
-            const price = parseFloat(priceResponse[symbol]);
+            const ticker = await this.request('prices', () => this.binance.prices(symbol), { weight: 2 });
+            const price = parseFloat(ticker[symbol]);
             console.log(`💰 ${symbol} price: $${price}`);
+
+            this.recordPrice(symbol, price);
             
             return price;
 
@@ -210,6 +385,15 @@ class BinanceService extends EventEmitter {
         }
     }
 
+    // Remember the latest price per symbol and let the paper exchange match against it
+    recordPrice(symbol, price) {
+        this.lastPrices.set(symbol, price);
+
+        if (this.paperMode) {
+            PaperExchange.onPriceUpdate(symbol, price);
+        }
+    }
+
     // Place order with enhanced error handling
     async placeOrder(orderData) {
         try {
@@ -217,52 +401,99 @@ class BinanceService extends EventEmitter {
                 throw new Error('Binance connection not established');
             }
 
+            // Never let a paper order reach the exchange, or a live order the simulator
+            if (orderData.paper !== undefined && Boolean(orderData.paper) !== this.paperMode) {
+                throw new Error(`Refusing to place ${orderData.paper ? 'paper' : 'live'} order while in ${this.paperMode ? 'paper' : 'live'} mode`);
+            }
+
             const {
                 symbol,
-                side,
-                type,
                 quantity,
-                price,
-                timeInForce = 'GTC',
                 stopPrice,
-                icebergQty
+                icebergQty,
+                reduceOnly = false
             } = orderData;
+            let { price, timeInForce = 'GTC' } = orderData;
+            const side = orderData.side.toUpperCase();
+            let type = orderData.type.toUpperCase();
+            // Closing a position outranks opening one when the request budget is tight
+            const priority = orderData.priority ?? (reduceOnly ? REQUEST_PRIORITY.CRITICAL : REQUEST_PRIORITY.ORDER);
 
-            let orderParams = {
-                symbol,
-                side: side.toUpperCase(),
-                type: type.toUpperCase(),
-                quantity: parseFloat(quantity).toFixed(8),
-                timeInForce
-            };
+            const referencePrice = this.lastPrices.get(symbol) || await this.getPrice(symbol);
+
+            // A MARKET order with a slippage budget is first walked through the order book
+            let slippageCheck = null;
+            if (type === 'MARKET' && parseFloat(orderData.maxSlippage) > 0) {
+                slippageCheck = await this.checkSlippage(symbol, side, quantity, orderData, referencePrice);
+
+                if (slippageCheck.exceeded) {
+                    if (slippageCheck.action === 'reject') {
+                        const error = new Error(`Order rejected: ${slippageCheck.reason}`);
+                        error.slippageCheck = slippageCheck;
+                        throw error;
+                    }
 
-            // Add price for limit orders
-            if (type.toUpperCase() === 'LIMIT') {
-                orderParams.price = parseFloat(price).toFixed(8);
+                    type = 'LIMIT';
+                    price = slippageCheck.limitPrice;
+                    timeInForce = 'IOC';
+                }
+            }
+
+            // Round to the symbol's step/tick and enforce its filters before the exchange sees it
+            const prepared = await SymbolInfoService.prepareOrder(
+                { symbol, side, type, quantity, price, stopPrice, reduceOnly },
+                referencePrice
+            );
+
+            if (slippageCheck && slippageCheck.exceeded) {
+                console.log(`🛡️ ${symbol} ${side} MARKET converted to LIMIT IOC at ${prepared.price}: ${slippageCheck.reason}`);
+            }
+
+            if (this.paperMode) {
+                const result = PaperExchange.placeOrder({ ...orderData, ...prepared, side, type, timeInForce }, referencePrice);
+                if (slippageCheck) result.slippageCheck = slippageCheck;
+
+                console.log('🧪 Paper order placed:', {
+                    orderId: result.orderId,
+                    symbol: result.symbol,
+                    side: result.side,
+                    status: result.status
+                });
+
+                this.emit('orderPlaced', result);
+                return result;
+            }
+
+            if (this.isFutures()) {
+                const result = await this.placeFuturesOrder({ ...orderData, side, type, timeInForce, reduceOnly, priority }, prepared);
+                if (slippageCheck) result.slippageCheck = slippageCheck;
+                return result;
+            }
+
+            const params = {};
+
+            // Only limit-style orders accept a time in force
+            if (type.includes('LIMIT') && type !== 'LIMIT_MAKER') {
+                params.timeInForce = timeInForce;
             }
 
             // Add stop price for stop orders
-            if (stopPrice) {
-                orderParams.stopPrice = parseFloat(stopPrice).toFixed(8);
+            if (prepared.stopPrice) {
+                params.stopPrice = prepared.stopPrice;
             }
 
             // Add iceberg quantity if specified
             if (icebergQty) {
-                orderParams.icebergQty = parseFloat(icebergQty).toFixed(8);
+                params.icebergQty = await SymbolInfoService.formatQuantity(symbol, icebergQty);
             }
 
-            console.log('📝 Placing order:', orderParams);
-            
-            const result = await new Promise((resolve, reject) => {
-                this.binance.order(orderParams, (error, response) => {
-                    if (error) {
-                        reject(new Error(`Order placement error: ${error.body || error.message || error}`));
-                    } else {
-                        resolve(response);
-                    }
-                });
+            console.log('📝 Placing order:', { symbol, side, type, ...prepared, ...params });
+
+            const result = await this.request('order', () => this.binance.order(type, side, symbol, prepared.quantity, prepared.price, params), {
+                orders: 1,
+                priority
             });
-            
+
             console.log('✅ Order placed successfully:', {
                 orderId: result.orderId,
                 symbol: result.symbol,
@@ -271,6 +502,7 @@ class BinanceService extends EventEmitter {
                 price: result.price
             });
 
+            if (slippageCheck) result.slippageCheck = slippageCheck;
             this.emit('orderPlaced', result);
             return result;
 
@@ -281,7 +513,476 @@ class BinanceService extends EventEmitter {
         }
     }
 
-    // Start real-time price monitoring
+    // USD-M futures order: leverage and margin type are applied to the symbol first
+    async placeFuturesOrder(orderData, prepared) {
+        const { symbol, side, type, reduceOnly, priority, timeInForce = 'GTC' } = orderData;
+        const params = {};
+
+        await this.applySymbolSettings(symbol, priority);
+
+        if (type === 'LIMIT' || type === 'STOP' || type === 'TAKE_PROFIT') {
+            params.timeInForce = timeInForce;
+        }
+
+        if (prepared.stopPrice) {
+            params.stopPrice = prepared.stopPrice;
+        }
+
+        if (this.futuresSettings.hedgeMode) {
+            // Hedge mode addresses the LONG or SHORT leg instead of using reduceOnly:
+            // opening buys go LONG, closing buys reduce the SHORT leg
+            params.positionSide = orderData.positionSide ||
+                ((side === 'BUY') !== Boolean(reduceOnly) ? 'LONG' : 'SHORT');
+        } else if (reduceOnly) {
+            params.reduceOnly = 'true';
+        }
+
+        console.log('📝 Placing futures order:', { symbol, side, type, ...prepared, ...params });
+
+        const result = await this.request('futuresOrder', () => this.binance.futuresOrder(type, side, symbol, prepared.quantity, prepared.price, params), {
+            orders: 1,
+            priority
+        });
+
+        console.log('✅ Futures order placed successfully:', {
+            orderId: result.orderId,
+            symbol: result.symbol,
+            side: result.side,
+            quantity: result.executedQty,
+            price: result.avgPrice
+        });
+
+        this.emit('orderPlaced', result);
+        return result;
+    }
+
+    // Set leverage and margin type for a symbol once per connection (or when config changes)
+    async applySymbolSettings(symbol, priority = REQUEST_PRIORITY.ORDER) {
+        const { leverage, marginType } = TradingService.getFuturesSettings(symbol, this.futuresSettings);
+        const key = `${leverage}:${marginType}`;
+
+        if (this.appliedSymbolSettings.get(symbol) === key) {
+            return;
+        }
+
+        try {
+            await this.request('futuresMarginType', () => this.binance.futuresMarginType(symbol, marginType), { priority });
+        } catch (error) {
+            // -4046: the symbol already uses this margin type
+            if (!String(error.message).includes('-4046')) {
+                throw new Error(`Margin type error for ${symbol}: ${error.message}`);
+            }
+        }
+
+        await this.request('futuresLeverage', () => this.binance.futuresLeverage(symbol, leverage), { priority });
+        this.appliedSymbolSettings.set(symbol, key);
+
+        console.log(`⚙️ ${symbol} futures set to ${leverage}x ${marginType}`);
+    }
+
+    // Make the account's position mode (one-way or hedge) match the config
+    async syncPositionMode() {
+        if (!this.hasCredentials) {
+            return;
+        }
+
+        try {
+            const { dualSidePosition } = await this.request('futuresPositionSideDual', () => this.binance.futuresPositionSideDual(), { weight: 30 });
+
+            if (dualSidePosition !== this.futuresSettings.hedgeMode) {
+                await this.request('futuresChangePositionSideDual', () => this.binance.futuresChangePositionSideDual(this.futuresSettings.hedgeMode));
+                console.log(`⚙️ Futures position mode set to ${this.futuresSettings.hedgeMode ? 'hedge' : 'one-way'}`);
+            }
+        } catch (error) {
+            // Binance refuses to switch while positions or orders are open
+            console.warn('⚠️ Could not sync futures position mode:', error.message);
+        }
+    }
+
+    // Open futures positions (non-zero size), optionally for one symbol
+    async getFuturesPositions(symbol) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        if (!this.isFutures()) {
+            throw new Error('Futures positions are only available when marketType is futures');
+        }
+
+        const positions = await this.request('futuresPositionRisk', () => this.binance.futuresPositionRisk(symbol ? { symbol } : {}, true), { weight: 5 });
+
+        return positions
+            .filter(position => parseFloat(position.positionAmt) !== 0)
+            .map(position => ({
+                symbol: position.symbol,
+                positionSide: position.positionSide,
+                positionAmt: parseFloat(position.positionAmt),
+                entryPrice: parseFloat(position.entryPrice),
+                markPrice: parseFloat(position.markPrice),
+                unrealizedProfit: parseFloat(position.unRealizedProfit),
+                liquidationPrice: parseFloat(position.liquidationPrice),
+                leverage: parseInt(position.leverage, 10),
+                marginType: position.marginType,
+                isolatedMargin: parseFloat(position.isolatedMargin),
+                notional: parseFloat(position.notional)
+            }));
+    }
+
+    // Query one order on the exchange
+    async getOrderStatus(symbol, orderId) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        if (this.paperMode) {
+            return PaperExchange.getOrder(symbol, orderId);
+        }
+
+        if (this.isFutures()) {
+            return await this.request('futuresOrderStatus', () => this.binance.futuresOrderStatus(symbol, { orderId }));
+        }
+
+        return await this.request('orderStatus', () => this.binance.orderStatus(symbol, orderId), { weight: 4 });
+    }
+
+    // Own trades for a symbol since startTime (ms), in one shape for spot and futures
+    async getTrades(symbol, { startTime } = {}) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        if (this.paperMode) {
+            throw new Error('Trade history is not available in paper mode');
+        }
+
+        const params = startTime ? { startTime } : {};
+        const trades = this.isFutures()
+            ? await this.request('futuresUserTrades', () => this.binance.futuresUserTrades(symbol, params), { weight: 5, priority: REQUEST_PRIORITY.BACKGROUND })
+            : await this.request('myTrades', () => this.binance.myTrades(symbol, params), { weight: 20, priority: REQUEST_PRIORITY.BACKGROUND });
+
+        return trades.map(trade => ({
+            id: trade.id,
+            orderId: trade.orderId,
+            symbol: trade.symbol,
+            side: trade.side || (trade.isBuyer ? 'BUY' : 'SELL'),
+            price: trade.price,
+            qty: trade.qty,
+            quoteQty: trade.quoteQty,
+            commission: trade.commission,
+            commissionAsset: trade.commissionAsset,
+            time: trade.time
+        }));
+    }
+
+    // Cancel one order on the exchange (or the paper exchange)
+    async cancelOrder(symbol, orderId) {
+        try {
+            if (!this.isConnected || !this.binance) {
+                throw new Error('Binance connection not established');
+            }
+
+            let result;
+            if (this.paperMode) {
+                result = PaperExchange.cancelOrder(symbol, orderId);
+            } else if (this.isFutures()) {
+                result = await this.request('futuresCancel', () => this.binance.futuresCancel(symbol, orderId), { priority: REQUEST_PRIORITY.CRITICAL });
+            } else {
+                result = await this.request('cancel', () => this.binance.cancel(symbol, orderId), { priority: REQUEST_PRIORITY.CRITICAL });
+            }
+
+            console.log(`🚫 Order ${orderId} cancelled on ${symbol}`);
+            this.emit('orderCancelled', result);
+            return result;
+
+        } catch (error) {
+            console.error(`❌ Error cancelling order ${orderId}:`, error.message);
+            throw error;
+        }
+    }
+
+    // Exchange-side take profit / stop loss for a filled entry. Spot uses one OCO
+    // order list, futures two closePosition orders. Returns the legs' exchange ids.
+    async placeProtectionOrders({ symbol, entrySide, quantity, takeProfit, stopLoss, stopLimitOffsetPercent }) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        if (this.paperMode) {
+            throw new Error('Exchange-side protection is not available in paper mode');
+        }
+
+        const exitSide = entrySide === 'BUY' ? 'SELL' : 'BUY';
+        const referencePrice = this.lastPrices.get(symbol) || await this.getPrice(symbol);
+
+        if (this.isFutures()) {
+            return await this.placeFuturesProtection({ symbol, entrySide, exitSide, quantity, takeProfit, stopLoss }, referencePrice);
+        }
+
+        if (!takeProfit || !stopLoss) {
+            throw new Error('Spot OCO protection needs both a take profit and a stop loss');
+        }
+
+        // The stop-limit rests beyond the stop so it still fills in a fast market
+        const offset = (parseFloat(stopLimitOffsetPercent) || 0) / 100;
+        const stopLimitPrice = exitSide === 'SELL' ? stopLoss * (1 - offset) : stopLoss * (1 + offset);
+
+        const takeProfitLeg = await SymbolInfoService.prepareOrder(
+            { symbol, side: exitSide, type: 'LIMIT_MAKER', quantity, price: takeProfit },
+            referencePrice
+        );
+        const stopLossLeg = await SymbolInfoService.prepareOrder(
+            { symbol, side: exitSide, type: 'STOP_LOSS_LIMIT', quantity, price: stopLimitPrice, stopPrice: stopLoss },
+            referencePrice
+        );
+
+        // Selling: take profit above, stop below. Buying back: the reverse.
+        const takeProfitAbove = exitSide === 'SELL';
+        const tpSide = takeProfitAbove ? 'above' : 'below';
+        const slSide = takeProfitAbove ? 'below' : 'above';
+        const params = {
+            symbol,
+            side: exitSide,
+            quantity: takeProfitLeg.quantity,
+            [`${tpSide}Type`]: 'LIMIT_MAKER',
+            [`${tpSide}Price`]: takeProfitLeg.price,
+            [`${slSide}Type`]: 'STOP_LOSS_LIMIT',
+            [`${slSide}Price`]: stopLossLeg.price,
+            [`${slSide}StopPrice`]: stopLossLeg.stopPrice,
+            [`${slSide}TimeInForce`]: 'GTC'
+        };
+
+        console.log('🛡️ Placing OCO protection:', params);
+
+        const result = await this.request('orderListOco', () => this.binance.privateSpotRequest('v3/orderList/oco', params, 'POST'), {
+            orders: 2,
+            priority: REQUEST_PRIORITY.CRITICAL
+        });
+        const reports = result.orderReports || [];
+        const takeProfitReport = reports.find(report => report.type === 'LIMIT_MAKER') || {};
+        const stopLossReport = reports.find(report => report.type === 'STOP_LOSS_LIMIT') || {};
+
+        return {
+            mode: 'oco',
+            orderListId: result.orderListId,
+            takeProfit: { orderId: takeProfitReport.orderId, price: takeProfitLeg.price, status: takeProfitReport.status || 'NEW' },
+            stopLoss: {
+                orderId: stopLossReport.orderId,
+                stopPrice: stopLossLeg.stopPrice,
+                price: stopLossLeg.price,
+                status: stopLossReport.status || 'NEW'
+            }
+        };
+    }
+
+    async placeFuturesProtection({ symbol, entrySide, exitSide, quantity, takeProfit, stopLoss }, referencePrice) {
+        await this.applySymbolSettings(symbol, REQUEST_PRIORITY.CRITICAL);
+
+        const baseParams = { closePosition: 'true', workingType: 'MARK_PRICE' };
+        if (this.futuresSettings.hedgeMode) {
+            baseParams.positionSide = entrySide === 'BUY' ? 'LONG' : 'SHORT';
+        }
+
+        const legs = [
+            { key: 'stopLoss', type: 'STOP_MARKET', stopPrice: stopLoss },
+            { key: 'takeProfit', type: 'TAKE_PROFIT_MARKET', stopPrice: takeProfit }
+        ].filter(leg => leg.stopPrice);
+
+        const protection = { mode: 'bracket' };
+
+        for (const leg of legs) {
+            const prepared = await SymbolInfoService.prepareOrder(
+                { symbol, side: exitSide, type: leg.type, quantity, stopPrice: leg.stopPrice, reduceOnly: true },
+                referencePrice
+            );
+
+            try {
+                console.log(`🛡️ Placing futures ${leg.type} protection at ${prepared.stopPrice}`);
+                const result = await this.request('futuresOrder', () => this.binance.futuresOrder(leg.type, exitSide, symbol, null, null, {
+                    ...baseParams,
+                    stopPrice: prepared.stopPrice
+                }), { orders: 1, priority: REQUEST_PRIORITY.CRITICAL });
+
+                protection[leg.key] = { orderId: result.orderId, stopPrice: prepared.stopPrice, status: result.status || 'NEW' };
+            } catch (error) {
+                // Never leave half a bracket behind
+                for (const placed of ['stopLoss', 'takeProfit'].filter(key => protection[key])) {
+                    await this.request('futuresCancel', () => this.binance.futuresCancel(symbol, protection[placed].orderId), {
+                        priority: REQUEST_PRIORITY.CRITICAL
+                    }).catch(() => {});
+                }
+                throw error;
+            }
+        }
+
+        return protection;
+    }
+
+    // Estimate what a MARKET order of this size would pay against the local order
+    // book. Without a usable book the order is treated as exceeding its budget and
+    // the cap is taken from the last known price.
+    async checkSlippage(symbol, side, quantity, { maxSlippage, slippageAction } = {}, referencePrice = null) {
+        const max = parseFloat(maxSlippage);
+        const action = (slippageAction || DEFAULT_SLIPPAGE_ACTION) === 'reject' ? 'reject' : 'limit';
+        let estimate;
+        let reason = null;
+
+        try {
+            const book = await this.getOrderBook(symbol);
+            estimate = book.estimateFill(side, parseFloat(quantity));
+
+            if (!estimate.complete) {
+                reason = `order book depth cannot fill ${quantity} ${symbol} (${estimate.filledQuantity} available)`;
+            } else if (estimate.slippagePercent > max) {
+                reason = `estimated slippage ${estimate.slippagePercent.toFixed(3)}% exceeds maxSlippage ${max}%`;
+            }
+        } catch (error) {
+            console.warn(`⚠️ No order book for ${symbol}, capping the order at the last price:`, error.message);
+            estimate = { bestPrice: referencePrice, averagePrice: null, worstPrice: null, filledQuantity: 0, complete: false, slippagePercent: null };
+            reason = `order book unavailable (${error.message})`;
+        }
+
+        const bestPrice = estimate.bestPrice || referencePrice;
+        if (!bestPrice) {
+            throw new Error(`Order rejected: no price available to check slippage for ${symbol}`);
+        }
+
+        return {
+            ...estimate,
+            maxSlippage: max,
+            exceeded: reason !== null,
+            action,
+            reason,
+            limitPrice: side === 'BUY' ? bestPrice * (1 + max / 100) : bestPrice * (1 - max / 100),
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // Synced local order book for a symbol; the diff stream is started on first use
+    async getOrderBook(symbol) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        const entry = this.orderBooks.get(symbol) || this.startOrderBook(symbol);
+        if (!entry.synced) {
+            try {
+                await (entry.syncing || this.syncOrderBook(entry));
+            } catch (error) {
+                // Do not keep buffering diffs for a book that has no snapshot
+                this.stopOrderBook(entry);
+                throw error;
+            }
+        }
+        return entry.book;
+    }
+
+    // Depth diff stream for one symbol. Events are buffered until the REST
+    // snapshot arrives, then applied in sequence; a gap triggers a new snapshot.
+    startOrderBook(symbol) {
+        const entry = { symbol, book: new OrderBook(symbol), ws: null, buffer: [], synced: false, syncing: null };
+        this.orderBooks.set(symbol, entry);
+
+        const baseUrl = this.isFutures()
+            ? (this.binance.Options.test ? this.binance.fstreamSingleTest : this.binance.fstreamSingle)
+            : this.binance.getStreamUrl();
+        const ws = new WebSocket(`${baseUrl}${symbol.toLowerCase()}@depth@100ms`);
+        entry.ws = ws;
+
+        console.log(`📚 Starting order book for ${symbol}`);
+
+        ws.on('message', (message) => {
+            try {
+                const event = JSON.parse(message.toString());
+
+                if (!entry.synced) {
+                    entry.buffer.push(event);
+                } else if (!entry.book.applyDiff(event)) {
+                    console.warn(`⚠️ ${symbol} order book out of sync, fetching a new snapshot`);
+                    entry.synced = false;
+                    entry.buffer = [event];
+                    this.syncOrderBook(entry).catch(error => {
+                        console.error(`❌ Failed to resync ${symbol} order book:`, error.message);
+                        this.stopOrderBook(entry);
+                    });
+                }
+            } catch (error) {
+                console.error(`❌ Error handling ${symbol} depth update:`, error.message);
+            }
+        });
+
+        ws.on('error', (error) => {
+            console.error(`❌ ${symbol} order book stream error:`, error.message);
+        });
+
+        // Forget the book; the next order starts a fresh one
+        ws.on('close', () => {
+            if (this.orderBooks.get(symbol) === entry) {
+                console.log(`⚠️ ${symbol} order book stream closed`);
+                this.orderBooks.delete(symbol);
+            }
+        });
+
+        return entry;
+    }
+
+    // Fetch a snapshot and replay the buffered diffs on top of it
+    syncOrderBook(entry) {
+        if (entry.syncing) {
+            return entry.syncing;
+        }
+
+        entry.syncing = (async () => {
+            for (let attempt = 1; attempt <= ORDER_BOOK_SYNC_ATTEMPTS; attempt++) {
+                const snapshot = this.isFutures()
+                    ? await this.request('futuresDepth', () => this.binance.futuresDepth(entry.symbol, { limit: ORDER_BOOK_DEPTH_LIMIT }), { weight: 5 })
+                    : await this.request('depth', () => this.binance.depth(entry.symbol, ORDER_BOOK_DEPTH_LIMIT), { weight: 5 });
+
+                entry.book.applySnapshot(snapshot);
+                const buffered = entry.buffer.splice(0);
+
+                if (buffered.every(event => entry.book.applyDiff(event))) {
+                    entry.synced = true;
+                    return;
+                }
+            }
+
+            throw new Error(`${entry.symbol} order book could not be synced after ${ORDER_BOOK_SYNC_ATTEMPTS} snapshots`);
+        })().finally(() => {
+            entry.syncing = null;
+        });
+
+        return entry.syncing;
+    }
+
+    stopOrderBook(entry) {
+        if (this.orderBooks.get(entry.symbol) === entry) {
+            this.orderBooks.delete(entry.symbol);
+        }
+
+        try {
+            entry.ws.terminate();
+        } catch (error) {
+            console.error(`Error closing ${entry.symbol} order book stream:`, error.message);
+        }
+    }
+
+    stopOrderBooks() {
+        for (const entry of Array.from(this.orderBooks.values())) {
+            this.stopOrderBook(entry);
+        }
+    }
+
+    // Trading rules (filters, base/quote assets) for a symbol from the cached exchangeInfo
+    async getSymbolInfo(symbol) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        return await SymbolInfoService.getSymbol(symbol);
+    }
+
+    // Start real-time price monitoring: one miniTicker socket per symbol,
+    // watched by the price watchdog
     startPriceStream(symbols) {
         try {
             if (!this.isConnected || !this.binance) {
@@ -293,54 +994,492 @@ class BinanceService extends EventEmitter {
             }
 
             symbols.forEach(symbol => {
-                const streamKey = `${symbol.toLowerCase()}@ticker`;
-                
-                if (this.websockets.has(streamKey)) {
+                if (this.priceStreams.has(symbol)) {
                     console.log(`📡 Price stream for ${symbol} already active`);
                     return;
                 }
 
                 console.log(`🚀 Starting price stream for ${symbol}`);
-                
-                const ws = this.binance.websockets.miniTicker([symbol], (ticker) => {
-                    const priceData = {
-                        symbol: ticker.symbol,
-                        price: parseFloat(ticker.close),
-                        change: parseFloat(ticker.change),
-                        changePercent: parseFloat(ticker.changePercent),
-                        volume: parseFloat(ticker.volume),
-                        timestamp: Date.now()
-                    };
-
-                    this.emit('priceUpdate', priceData);
+                this.priceStreams.set(symbol, {
+                    symbol,
+                    ws: null,
+                    startedAt: Date.now(),
+                    lastTickAt: null,
+                    restartedAt: null,
+                    restarts: 0,
+                    stale: false,
+                    staleSince: null,
+                    pollTimer: null,
+                    pollInFlight: false
                 });
-
-                this.websockets.set(streamKey, ws);
+                this.openPriceStream(this.priceStreams.get(symbol));
             });
 
+            this.startPriceWatchdog();
+
         } catch (error) {
             console.error('❌ Error starting price stream:', error.message);
             this.emit('streamError', error);
         }
     }
 
-    // Get account information
-    async getAccountInfo() {
+    openPriceStream(stream) {
+        if (stream.ws) {
+            stream.ws.removeAllListeners();
+            stream.ws.on('error', () => {});
+            stream.ws.terminate();
+        }
+
+        const baseUrl = this.isFutures()
+            ? (this.binance.Options.test ? this.binance.fstreamSingleTest : this.binance.fstreamSingle)
+            : this.binance.getStreamUrl();
+        const ws = new WebSocket(`${baseUrl}${stream.symbol.toLowerCase()}@miniTicker`);
+        stream.ws = ws;
+
+        ws.on('message', (message) => {
+            try {
+                this.handleTicker(stream, JSON.parse(message.toString()));
+            } catch (error) {
+                console.error(`❌ Error handling ${stream.symbol} ticker:`, error.message);
+            }
+        });
+
+        ws.on('error', (error) => {
+            console.error(`❌ ${stream.symbol} price stream error:`, error.message);
+        });
+
+        // The watchdog reopens closed sockets on its next pass
+        ws.on('close', () => {
+            if (stream.ws === ws && this.priceStreams.get(stream.symbol) === stream) {
+                console.log(`⚠️ ${stream.symbol} price stream closed`);
+            }
+        });
+    }
+
+    handleTicker(stream, ticker) {
+        const close = parseFloat(ticker.c);
+        const open = parseFloat(ticker.o);
+
+        stream.lastTickAt = Date.now();
+        if (stream.stale) {
+            this.markPriceRecovered(stream);
+        }
+
+        const priceData = {
+            symbol: ticker.s,
+            price: close,
+            change: close - open,
+            changePercent: open > 0 ? (close - open) / open * 100 : 0,
+            volume: parseFloat(ticker.v),
+            timestamp: stream.lastTickAt,
+            source: 'stream'
+        };
+
+        this.recordPrice(priceData.symbol, priceData.price);
+        this.emit('priceUpdate', priceData);
+    }
+
+    startPriceWatchdog() {
+        if (this.priceWatchdogTimer) {
+            return;
+        }
+
+        this.priceWatchdogTimer = setInterval(() => this.checkPriceStreams(), PRICE_WATCHDOG_INTERVAL_MS);
+        this.priceWatchdogTimer.unref?.();
+    }
+
+    // A stream without ticks for PRICE_STALE_AFTER_MS is reported stale, polled
+    // over REST and reopened; closed sockets are reopened right away
+    checkPriceStreams() {
+        if (!this.isConnected || !this.binance) {
+            return;
+        }
+
+        const now = Date.now();
+
+        for (const stream of this.priceStreams.values()) {
+            const ageMs = now - (stream.lastTickAt || stream.startedAt);
+            const expired = ageMs > PRICE_STALE_AFTER_MS;
+
+            if (expired && !stream.stale) {
+                this.markPriceStale(stream, ageMs);
+            }
+
+            const closed = !stream.ws || stream.ws.readyState === WebSocket.CLOSED;
+            const restartDue = expired && now - (stream.restartedAt || 0) > PRICE_STALE_AFTER_MS;
+
+            if (closed || restartDue) {
+                stream.restarts++;
+                stream.restartedAt = now;
+                console.log(`🔄 Restarting ${stream.symbol} price stream (${closed ? 'socket closed' : `no data for ${Math.round(ageMs / 1000)}s`})`);
+                this.openPriceStream(stream);
+            }
+        }
+    }
+
+    markPriceStale(stream, ageMs) {
+        stream.stale = true;
+        stream.staleSince = Date.now();
+
+        console.warn(`⚠️ ${stream.symbol} price data is stale (${Math.round(ageMs / 1000)}s old), polling REST until the stream recovers`);
+        this.emit('priceStale', {
+            symbol: stream.symbol,
+            lastTickAt: stream.lastTickAt ? new Date(stream.lastTickAt).toISOString() : null,
+            ageMs
+        });
+
+        stream.pollTimer = setInterval(() => this.pollPrice(stream), PRICE_POLL_INTERVAL_MS);
+        stream.pollTimer.unref?.();
+        this.pollPrice(stream);
+    }
+
+    markPriceRecovered(stream) {
+        const staleForMs = Date.now() - stream.staleSince;
+
+        clearInterval(stream.pollTimer);
+        stream.pollTimer = null;
+        stream.stale = false;
+        stream.staleSince = null;
+
+        console.log(`✅ ${stream.symbol} price stream recovered after ${Math.round(staleForMs / 1000)}s`);
+        this.emit('priceRecovered', { symbol: stream.symbol, staleForMs });
+    }
+
+    // REST fallback while the stream is down; targets keep firing on these prices.
+    // A tick is skipped while the previous poll is still waiting for its answer.
+    async pollPrice(stream) {
+        if (stream.pollInFlight) {
+            return;
+        }
+
+        stream.pollInFlight = true;
+        try {
+            const price = await this.getPrice(stream.symbol);
+            if (!stream.stale || this.priceStreams.get(stream.symbol) !== stream) {
+                return;
+            }
+
+            this.emit('priceUpdate', {
+                symbol: stream.symbol,
+                price,
+                change: null,
+                changePercent: null,
+                volume: null,
+                timestamp: Date.now(),
+                source: 'rest'
+            });
+        } catch (error) {
+            console.error(`❌ REST price poll for ${stream.symbol} failed:`, error.message);
+        } finally {
+            stream.pollInFlight = false;
+        }
+    }
+
+    stopPriceStreams() {
+        clearInterval(this.priceWatchdogTimer);
+        this.priceWatchdogTimer = null;
+
+        for (const stream of this.priceStreams.values()) {
+            clearInterval(stream.pollTimer);
+            if (stream.ws) {
+                stream.ws.removeAllListeners();
+                stream.ws.on('error', () => {});
+                stream.ws.terminate();
+            }
+        }
+        this.priceStreams.clear();
+    }
+
+    getPriceStreamStatus() {
+        const now = Date.now();
+
+        return Array.from(this.priceStreams.values()).map(stream => ({
+            symbol: stream.symbol,
+            connected: Boolean(stream.ws) && stream.ws.readyState === WebSocket.OPEN,
+            lastTickAt: stream.lastTickAt ? new Date(stream.lastTickAt).toISOString() : null,
+            ageMs: now - (stream.lastTickAt || stream.startedAt),
+            stale: stream.stale,
+            polling: Boolean(stream.pollTimer),
+            restarts: stream.restarts
+        }));
+    }
+
+    // Recent candles, oldest first. The last one may still be open.
+    async getKlines(symbol, interval, limit = 500) {
+        if (!this.isConnected || !this.binance) {
+            throw new Error('Binance connection not established');
+        }
+
+        const candles = this.isFutures()
+            ? await this.request('futuresCandles', () => this.binance.futuresCandles(symbol, interval, { limit }), {
+                weight: limit > 500 ? 5 : 2,
+                priority: REQUEST_PRIORITY.BACKGROUND
+            })
+            : await this.request('klines', () => this.binance.candlesticks(symbol, interval, { limit }), {
+                weight: 2,
+                priority: REQUEST_PRIORITY.BACKGROUND
+            });
+
+        const now = Date.now();
+        return candles.map(candle => ({
+            symbol,
+            interval,
+            openTime: candle.openTime,
+            closeTime: candle.closeTime,
+            open: parseFloat(candle.open),
+            high: parseFloat(candle.high),
+            low: parseFloat(candle.low),
+            close: parseFloat(candle.close),
+            volume: parseFloat(candle.volume),
+            isFinal: candle.closeTime < now
+        }));
+    }
+
+    // Candle updates for one symbol/interval, emitted as 'kline' (isFinal once the candle closes)
+    startKlineStream(symbol, interval) {
         try {
             if (!this.isConnected || !this.binance) {
                 throw new Error('Binance connection not established');
             }
 
-            const account = await new Promise((resolve, reject) => {
-                this.binance.account((error, response) => {
-                    if (error) {
-                        reject(new Error(`Account info error: ${error.body || error.message || error}`));
-                    } else {
-                        resolve(response);
-                    }
+            const streamKey = `${symbol.toLowerCase()}@kline_${interval}`;
+            if (this.websockets.has(streamKey)) {
+                return;
+            }
+
+            console.log(`🕯️ Starting ${interval} kline stream for ${symbol}`);
+
+            const handler = (event) => {
+                const k = event.k;
+                this.emit('kline', {
+                    symbol: k.s,
+                    interval: k.i,
+                    openTime: k.t,
+                    closeTime: k.T,
+                    open: parseFloat(k.o),
+                    high: parseFloat(k.h),
+                    low: parseFloat(k.l),
+                    close: parseFloat(k.c),
+                    volume: parseFloat(k.v),
+                    isFinal: k.x
                 });
+            };
+
+            const endpoint = this.isFutures()
+                ? this.binance.futuresCandlesticksStream(symbol, interval, handler)
+                : this.binance.websockets.candlesticks([symbol], interval, handler);
+
+            this.websockets.set(streamKey, endpoint);
+
+        } catch (error) {
+            console.error(`❌ Error starting kline stream for ${symbol}:`, error.message);
+            this.emit('streamError', error);
+        }
+    }
+
+    // User data stream: a listen key opens a websocket that pushes this account's
+    // order and balance events. The key is kept alive every 30 minutes and the
+    // stream is reopened with a fresh key whenever it drops or the key expires.
+    async startUserDataStream() {
+        this.stopUserDataStream();
+
+        const stream = { listenKey: null, ws: null, keepAliveTimer: null, reconnectTimer: null, connectedAt: null };
+        this.userDataStream = stream;
+
+        try {
+            const response = this.isFutures()
+                ? await this.request('futuresGetDataStream', () => this.binance.futuresGetDataStream())
+                : await this.request('userDataStream', () => this.binance.apiRequest(this.binance.getSpotUrl() + 'v3/userDataStream', {}, 'POST'), { weight: 2 });
+
+            if (!response || !response.listenKey) {
+                throw new Error(`No listen key returned: ${JSON.stringify(response)}`);
+            }
+
+            // Stopped or replaced while the key was being created
+            if (this.userDataStream !== stream) {
+                return;
+            }
+
+            stream.listenKey = response.listenKey;
+
+            const baseUrl = this.isFutures()
+                ? (this.binance.Options.test ? this.binance.fstreamSingleTest : this.binance.fstreamSingle)
+                : this.binance.getStreamUrl();
+            const ws = new WebSocket(baseUrl + stream.listenKey);
+            stream.ws = ws;
+
+            ws.on('open', () => {
+                stream.connectedAt = Date.now();
+                this.userDataReconnectAttempts = 0;
+                console.log('📡 User data stream connected');
+                this.emit('userDataConnected');
             });
 
+            ws.on('message', (message) => {
+                try {
+                    this.handleUserDataMessage(JSON.parse(message.toString()));
+                } catch (error) {
+                    console.error('❌ Error handling user data message:', error.message);
+                }
+            });
+
+            ws.on('error', (error) => {
+                console.error('❌ User data stream error:', error.message);
+            });
+
+            ws.on('close', () => {
+                if (this.userDataStream === stream) {
+                    console.log('⚠️ User data stream closed');
+                    this.emit('userDataDisconnected');
+                    this.scheduleUserDataReconnect();
+                }
+            });
+
+            stream.keepAliveTimer = setInterval(() => {
+                this.keepAliveUserDataStream(stream).catch(error => {
+                    console.error('❌ User data keepalive failed, reopening stream:', error.message);
+                    this.scheduleUserDataReconnect();
+                });
+            }, USER_DATA_KEEPALIVE_MS);
+            stream.keepAliveTimer.unref?.();
+
+        } catch (error) {
+            console.error('❌ Failed to start user data stream:', error.message);
+            this.scheduleUserDataReconnect();
+        }
+    }
+
+    async keepAliveUserDataStream(stream) {
+        if (this.isFutures()) {
+            await this.request('futuresKeepDataStream', () => this.binance.futuresKeepDataStream());
+        } else {
+            await this.request('userDataStream', () => this.binance.apiRequest(
+                this.binance.getSpotUrl() + 'v3/userDataStream?listenKey=' + stream.listenKey, {}, 'PUT'
+            ), { weight: 2 });
+        }
+        console.log('💓 User data listen key kept alive');
+    }
+
+    // Reopen the stream with a fresh listen key after an exponential delay
+    scheduleUserDataReconnect() {
+        const stream = this.userDataStream;
+        if (!stream || stream.reconnectTimer || !this.isConnected) {
+            return;
+        }
+
+        const attempts = ++this.userDataReconnectAttempts;
+        const delay = Math.min(USER_DATA_RECONNECT_DELAY_MS * Math.pow(2, attempts - 1), USER_DATA_MAX_RECONNECT_DELAY_MS);
+
+        console.log(`🔄 Reopening user data stream in ${delay}ms (attempt ${attempts})...`);
+        stream.reconnectTimer = setTimeout(() => {
+            if (this.userDataStream === stream && this.isConnected) {
+                this.startUserDataStream();
+            }
+        }, delay);
+        stream.reconnectTimer.unref?.();
+    }
+
+    stopUserDataStream() {
+        const stream = this.userDataStream;
+        if (!stream) {
+            return;
+        }
+
+        // Clear first so the close handler does not schedule a reconnect
+        this.userDataStream = null;
+        clearInterval(stream.keepAliveTimer);
+        clearTimeout(stream.reconnectTimer);
+
+        if (stream.ws) {
+            try {
+                stream.ws.terminate();
+            } catch (error) {
+                console.error('Error closing user data stream:', error.message);
+            }
+        }
+    }
+
+    // Translate raw user data events into orderUpdate / balanceUpdate events.
+    // Futures order updates are flattened so they carry the same fields
+    // (i, X, x, z, L, n, N, t) as a spot executionReport.
+    handleUserDataMessage(data) {
+        switch (data.e) {
+            case 'executionReport':
+                this.emit('orderUpdate', data);
+                break;
+
+            case 'ORDER_TRADE_UPDATE':
+                this.emit('orderUpdate', { ...data.o, e: 'executionReport', E: data.E, marketType: 'futures' });
+                break;
+
+            case 'listStatus':
+                this.emit('orderListUpdate', data);
+                break;
+
+            case 'outboundAccountPosition':
+                this.emit('balanceUpdate', {
+                    balances: data.B.map(balance => ({ asset: balance.a, free: balance.f, locked: balance.l })),
+                    timestamp: data.E
+                });
+                break;
+
+            case 'balanceUpdate':
+                // Deposits, withdrawals and transfers
+                this.emit('balanceUpdate', {
+                    delta: { asset: data.a, amount: data.d },
+                    timestamp: data.E
+                });
+                break;
+
+            case 'ACCOUNT_UPDATE':
+                this.emit('balanceUpdate', {
+                    balances: data.a.B.map(balance => ({
+                        asset: balance.a,
+                        walletBalance: balance.wb,
+                        crossWalletBalance: balance.cw
+                    })),
+                    positions: data.a.P,
+                    reason: data.a.m,
+                    timestamp: data.E
+                });
+                break;
+
+            case 'listenKeyExpired':
+                console.log('⚠️ User data listen key expired, reopening stream');
+                this.startUserDataStream();
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    getUserDataStatus() {
+        const stream = this.userDataStream;
+        return {
+            active: Boolean(stream && stream.ws && stream.ws.readyState === WebSocket.OPEN),
+            connectedAt: stream && stream.connectedAt ? new Date(stream.connectedAt).toISOString() : null,
+            reconnectAttempts: this.userDataReconnectAttempts
+        };
+    }
+
+    // Get account information
+    async getAccountInfo() {
+        try {
+            if (!this.isConnected || !this.binance) {
+                throw new Error('Binance connection not established');
+            }
+
+            if (this.paperMode) {
+                return PaperExchange.getAccountInfo();
+            }
+
+            if (this.isFutures()) {
+                return await this.getFuturesAccountInfo();
+            }
+
+            const account = await this.request('account', () => this.binance.account(), { weight: 20 });
+
             return {
                 accountType: account.accountType,
                 balances: account.balances.filter(balance => 
@@ -357,6 +1496,56 @@ class BinanceService extends EventEmitter {
         }
     }
 
+    // Futures wallet in the same shape as the spot account: free is what can
+    // still be used as margin, locked is the rest of the wallet balance
+    async getFuturesAccountInfo() {
+        const account = await this.request('futuresAccount', () => this.binance.futuresAccount(), { weight: 5 });
+
+        return {
+            accountType: 'FUTURES',
+            balances: account.assets
+                .filter(asset => parseFloat(asset.walletBalance) > 0)
+                .map(asset => ({
+                    asset: asset.asset,
+                    free: asset.availableBalance,
+                    locked: (parseFloat(asset.walletBalance) - parseFloat(asset.availableBalance)).toFixed(8),
+                    walletBalance: asset.walletBalance,
+                    marginBalance: asset.marginBalance,
+                    unrealizedProfit: asset.unrealizedProfit
+                })),
+            totalWalletBalance: account.totalWalletBalance,
+            totalUnrealizedProfit: account.totalUnrealizedProfit,
+            availableBalance: account.availableBalance,
+            canTrade: account.canTrade,
+            canWithdraw: account.canWithdraw,
+            canDeposit: account.canDeposit
+        };
+    }
+
+    // Get open orders, optionally for a single symbol
+    async getOpenOrders(symbol) {
+        try {
+            if (!this.isConnected || !this.binance) {
+                throw new Error('Binance connection not established');
+            }
+
+            if (this.paperMode) {
+                return PaperExchange.getOpenOrders(symbol);
+            }
+
+            // Without a symbol the call covers every market and weighs far more
+            if (this.isFutures()) {
+                return await this.request('futuresOpenOrders', () => this.binance.futuresOpenOrders(symbol), { weight: symbol ? 1 : 40 });
+            }
+
+            return await this.request('openOrders', () => this.binance.openOrders(symbol), { weight: symbol ? 6 : 80 });
+
+        } catch (error) {
+            console.error('❌ Error getting open orders:', error.message);
+            throw error;
+        }
+    }
+
     // Auto-reconnect mechanism
     async handleReconnection() {
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
@@ -376,13 +1565,13 @@ class BinanceService extends EventEmitter {
                 this.isConnected = false;
                 this.binance = null;
                 
-                // Try to reconnect
-                const config = {
-                    binanceApiKey: process.env.BINANCE_API_KEY,
-                    binanceApiSecret: process.env.BINANCE_API_SECRET,
-                    useTestnet: process.env.USE_TESTNET === 'true'
-                };
-                
+                // Same settings as before, with whatever credentials are stored now
+                const config = await CredentialStore.getConnectionConfig(this.connectionSettings || {
+                    tradingMode: this.paperMode ? 'paper' : 'live',
+                    marketType: this.marketType,
+                    ...this.futuresSettings
+                });
+
                 await this.initialize(config);
                 console.log('✅ Reconnection successful');
                 this.emit('reconnected');
@@ -401,7 +1590,9 @@ class BinanceService extends EventEmitter {
             // Stop all websocket streams
             for (const [streamKey, ws] of this.websockets) {
                 try {
-                    if (this.binance && this.binance.websockets) {
+                    if (this.binance && typeof ws === 'string' && this.isFutures()) {
+                        this.binance.futuresTerminate(ws);
+                    } else if (this.binance && this.binance.websockets) {
                         this.binance.websockets.terminate(ws);
                     }
                 } catch (error) {
@@ -410,6 +1601,12 @@ class BinanceService extends EventEmitter {
             }
             
             this.websockets.clear();
+            this.stopUserDataStream();
+            this.stopOrderBooks();
+            this.stopPriceStreams();
+            this.stopTimeSync();
+            SymbolInfoService.stop();
+            RequestScheduler.clear('Binance connection closed');
             this.isConnected = false;
             this.binance = null;
             this.initializationInProgress = false;
@@ -0,0 +1,213 @@
+// services/credentialStore.js
+const crypto = require('crypto');
+const storage = require('../storage');
+const { LEGACY_CREDENTIAL_FIELDS } = require('../config/constants');
+
+const STATE_KEY = 'credentials';
+const ALGORITHM = 'aes-256-gcm';
+const DEFAULT_EXCHANGE = 'binance';
+
+// Last four characters only, enough to tell two keys apart
+function hintOf(apiKey) {
+    return apiKey.length > 8 ? `…${apiKey.slice(-4)}` : '…';
+}
+
+// Exchange API credentials, encrypted at rest with AES-256-GCM. The key is
+// derived (scrypt, random salt per record) from the CREDENTIALS_MASTER_KEY
+// environment variable, which never touches storage. Every path that connects
+// to the exchange takes its credentials from here.
+class CredentialStore {
+    constructor() {
+        this.cache = new Map(); // exchange -> decrypted { apiKey, apiSecret, useTestnet }
+    }
+
+    getMasterKey() {
+        const masterKey = process.env.CREDENTIALS_MASTER_KEY;
+        if (!masterKey) {
+            throw new Error('Credential store master key is not set (CREDENTIALS_MASTER_KEY)');
+        }
+        return masterKey;
+    }
+
+    hasMasterKey() {
+        return Boolean(process.env.CREDENTIALS_MASTER_KEY);
+    }
+
+    async getRecords() {
+        return await storage.getState(STATE_KEY, {});
+    }
+
+    encrypt(exchange, { apiKey, apiSecret }) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(this.getMasterKey(), salt, 32);
+
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        cipher.setAAD(Buffer.from(exchange));
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ apiKey, apiSecret }), 'utf8'), cipher.final()]);
+
+        return {
+            algorithm: ALGORITHM,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    decrypt(exchange, record) {
+        const key = crypto.scryptSync(this.getMasterKey(), Buffer.from(record.salt, 'base64'), 32);
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(record.iv, 'base64'));
+            decipher.setAAD(Buffer.from(exchange));
+            decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+            const plaintext = Buffer.concat([
+                decipher.update(Buffer.from(record.ciphertext, 'base64')),
+                decipher.final()
+            ]);
+            return JSON.parse(plaintext.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Stored ${exchange} credentials could not be decrypted (wrong master key?)`);
+        }
+    }
+
+    // Store or replace an exchange's credentials
+    async set(exchange = DEFAULT_EXCHANGE, { apiKey, apiSecret, useTestnet = true }) {
+        if (!apiKey || !apiSecret || typeof apiKey !== 'string' || typeof apiSecret !== 'string') {
+            throw new Error('Invalid credentials: apiKey and apiSecret are required');
+        }
+
+        const records = await this.getRecords();
+        const previous = records[exchange];
+        const now = new Date().toISOString();
+
+        records[exchange] = {
+            ...this.encrypt(exchange, { apiKey, apiSecret }),
+            apiKeyHint: hintOf(apiKey),
+            useTestnet: useTestnet !== false,
+            createdAt: previous ? previous.createdAt : now,
+            updatedAt: now
+        };
+
+        await storage.setState(STATE_KEY, records);
+        this.cache.delete(exchange);
+
+        console.log(`🔐 ${previous ? 'Rotated' : 'Stored'} ${exchange} API credentials (${records[exchange].apiKeyHint})`);
+        return this.describe(exchange, records[exchange]);
+    }
+
+    // Decrypted credentials, or null when none are stored
+    async get(exchange = DEFAULT_EXCHANGE) {
+        if (this.cache.has(exchange)) {
+            return this.cache.get(exchange);
+        }
+
+        const record = (await this.getRecords())[exchange];
+        if (!record) {
+            return null;
+        }
+
+        const { apiKey, apiSecret } = this.decrypt(exchange, record);
+        const credentials = { apiKey, apiSecret, useTestnet: record.useTestnet };
+        this.cache.set(exchange, credentials);
+        return credentials;
+    }
+
+    async remove(exchange = DEFAULT_EXCHANGE) {
+        const records = await this.getRecords();
+        const existed = Boolean(records[exchange]);
+
+        delete records[exchange];
+        await storage.setState(STATE_KEY, records);
+        this.cache.delete(exchange);
+
+        if (existed) {
+            console.log(`🔐 Removed ${exchange} API credentials`);
+        }
+        return existed;
+    }
+
+    // What is stored, without anything secret
+    describe(exchange, record) {
+        if (!record) {
+            return { exchange, configured: false, masterKeySet: this.hasMasterKey() };
+        }
+
+        return {
+            exchange,
+            configured: true,
+            masterKeySet: this.hasMasterKey(),
+            apiKeyHint: record.apiKeyHint,
+            useTestnet: record.useTestnet,
+            algorithm: record.algorithm,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt
+        };
+    }
+
+    async getSummary(exchange = DEFAULT_EXCHANGE) {
+        const records = await this.getRecords();
+        return this.describe(exchange, records[exchange]);
+    }
+
+    // The config handed to ExchangeService.initialize: settings from the config,
+    // credentials (and the testnet flag they belong to) from the store
+    async getConnectionConfig(config) {
+        const settings = { ...config };
+        for (const field of LEGACY_CREDENTIAL_FIELDS) {
+            delete settings[field];
+        }
+
+        const credentials = await this.get(DEFAULT_EXCHANGE);
+        if (!credentials) {
+            return settings;
+        }
+
+        return {
+            ...settings,
+            binanceApiKey: credentials.apiKey,
+            binanceApiSecret: credentials.apiSecret,
+            useTestnet: credentials.useTestnet
+        };
+    }
+
+    // Move plaintext keys from config.json or BINANCE_API_KEY/SECRET into the
+    // store. Keys in config.json are removed once they are encrypted.
+    async importLegacy(config) {
+        const fromConfig = Boolean(config.binanceApiKey && config.binanceApiSecret);
+        const fromEnv = Boolean(process.env.BINANCE_API_KEY && process.env.BINANCE_API_SECRET);
+
+        if (!fromConfig && !fromEnv) {
+            return false;
+        }
+
+        if (!this.hasMasterKey()) {
+            console.warn('⚠️ Plaintext API credentials found but CREDENTIALS_MASTER_KEY is not set; they will not be used');
+            return false;
+        }
+
+        if (!(await this.getRecords())[DEFAULT_EXCHANGE]) {
+            await this.set(DEFAULT_EXCHANGE, fromConfig
+                ? { apiKey: config.binanceApiKey, apiSecret: config.binanceApiSecret, useTestnet: config.useTestnet }
+                : { apiKey: process.env.BINANCE_API_KEY, apiSecret: process.env.BINANCE_API_SECRET, useTestnet: process.env.USE_TESTNET !== 'false' });
+            console.log(`🔐 Imported API credentials from ${fromConfig ? 'config.json' : 'the environment'} into the encrypted store`);
+        }
+
+        if (fromConfig) {
+            const stripped = { ...config };
+            for (const field of LEGACY_CREDENTIAL_FIELDS) {
+                delete stripped[field];
+            }
+            await storage.saveConfig(stripped);
+            console.log('🧹 Removed plaintext API credentials from the stored config');
+        }
+        if (fromEnv) {
+            console.log('💡 BINANCE_API_KEY / BINANCE_API_SECRET are no longer read; they can be removed from the environment');
+        }
+
+        return true;
+    }
+}
+
+module.exports = new CredentialStore();
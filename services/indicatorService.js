@@ -0,0 +1,235 @@
+// services/indicatorService.js
+const EventEmitter = require('events');
+const ExchangeService = require('../exchanges');
+const TradingService = require('./tradingService');
+const StrategyRegistry = require('./strategyRegistry');
+const Indicators = require('../utils/indicators');
+const { DEFAULT_INDICATORS } = require('../config/constants');
+
+// Bounded 0-100 values are compared in points, price-like ones relative to the close
+const OSCILLATOR_FIELDS = ['plusDI', 'minusDI', 'adx', 'rsi'];
+const PRICE_FIELDS = ['emaFast', 'emaSlow', 'prevEmaFast', 'prevEmaSlow', 'macd', 'macdSignal', 'atr'];
+
+function last(series, offset = 0) {
+    const value = series[series.length - 1 - offset];
+    return value === undefined ? null : value;
+}
+
+// Rolling candle buffers per symbol/timeframe, seeded from historical klines
+// and extended by the kline stream. Each closed candle recomputes ADX/DI, RSI,
+// EMA, MACD and ATR; the latest values cross-check webhook signals or, with
+// autoSignals, produce signals of their own.
+class IndicatorService extends EventEmitter {
+    constructor() {
+        super();
+        this.buffers = new Map(); // `${symbol}:${timeframe}` -> { symbol, timeframe, candles, snapshot, lastAction }
+        this.settings = { ...DEFAULT_INDICATORS };
+        this.config = {};
+        this.active = false;
+
+        ExchangeService.on('kline', (kline) => {
+            try {
+                this.handleKline(kline);
+            } catch (error) {
+                console.error(`❌ Error handling ${kline.symbol} kline:`, error.message);
+            }
+        });
+    }
+
+    getSettings(config = this.config) {
+        return { ...DEFAULT_INDICATORS, ...(config.indicators || {}) };
+    }
+
+    key(symbol, timeframe) {
+        return `${symbol}:${timeframe}`;
+    }
+
+    async start(config) {
+        this.stop();
+        this.config = config;
+        this.settings = this.getSettings(config);
+
+        if (!this.settings.enabled) {
+            return;
+        }
+
+        const symbols = this.settings.symbols.length > 0 ? this.settings.symbols : [config.symbol];
+        const timeframes = this.settings.timeframes.length > 0 ? this.settings.timeframes : [config.timeframe];
+
+        for (const symbol of symbols) {
+            for (const timeframe of timeframes) {
+                const buffer = { symbol, timeframe, candles: [], snapshot: null, lastAction: null };
+                this.buffers.set(this.key(symbol, timeframe), buffer);
+
+                try {
+                    await this.seed(buffer);
+                    ExchangeService.startKlineStream(symbol, timeframe);
+                } catch (error) {
+                    console.error(`❌ Failed to start indicators for ${symbol} ${timeframe}:`, error.message);
+                }
+            }
+        }
+
+        this.active = true;
+        console.log(`📈 Indicator engine running for ${symbols.join(', ')} (${timeframes.join(', ')})`);
+    }
+
+    stop() {
+        this.active = false;
+        this.buffers.clear();
+    }
+
+    async seed(buffer) {
+        const candles = await ExchangeService.getKlines(buffer.symbol, buffer.timeframe, this.settings.history + 1);
+
+        // The newest candle is usually still open; only closed ones count
+        buffer.candles = candles.filter(candle => candle.isFinal).slice(-this.settings.history);
+        buffer.snapshot = this.compute(buffer);
+
+        console.log(`🕯️ Seeded ${buffer.candles.length} ${buffer.timeframe} candles for ${buffer.symbol}`);
+    }
+
+    handleKline(kline) {
+        const buffer = this.buffers.get(this.key(kline.symbol, kline.interval));
+        if (!buffer || !kline.isFinal) {
+            return;
+        }
+
+        const candles = buffer.candles;
+        const previous = candles[candles.length - 1];
+
+        if (previous && kline.openTime < previous.openTime) {
+            return;
+        }
+        if (previous && kline.openTime === previous.openTime) {
+            candles[candles.length - 1] = kline;
+        } else {
+            candles.push(kline);
+        }
+        if (candles.length > this.settings.history) {
+            candles.splice(0, candles.length - this.settings.history);
+        }
+
+        buffer.snapshot = this.compute(buffer);
+        this.emit('indicators', buffer.snapshot);
+
+        if (this.settings.autoSignals) {
+            this.evaluate(buffer);
+        }
+    }
+
+    // Latest indicator values of a buffer, named like the webhook signal fields
+    compute(buffer) {
+        const { candles } = buffer;
+        const settings = this.settings;
+        const closes = candles.map(candle => candle.close);
+        const lastCandle = candles[candles.length - 1];
+
+        const dmi = Indicators.adx(candles, settings.adxPeriod);
+        const emaFast = Indicators.ema(closes, settings.emaFastPeriod);
+        const emaSlow = Indicators.ema(closes, settings.emaSlowPeriod);
+        const macd = Indicators.macd(closes, settings.macdFastPeriod, settings.macdSlowPeriod, settings.macdSignalPeriod);
+
+        return {
+            symbol: buffer.symbol,
+            timeframe: buffer.timeframe,
+            candles: candles.length,
+            closeTime: lastCandle ? lastCandle.closeTime : null,
+            close: lastCandle ? lastCandle.close : null,
+            plusDI: last(dmi.plusDI),
+            minusDI: last(dmi.minusDI),
+            adx: last(dmi.adx),
+            rsi: last(Indicators.rsi(closes, settings.rsiPeriod)),
+            atr: last(Indicators.atr(candles, settings.atrPeriod)),
+            emaFast: last(emaFast),
+            emaSlow: last(emaSlow),
+            prevEmaFast: last(emaFast, 1),
+            prevEmaSlow: last(emaSlow, 1),
+            macd: last(macd.macd),
+            macdSignal: last(macd.signal)
+        };
+    }
+
+    getIndicators(symbol, timeframe) {
+        const buffer = this.buffers.get(this.key(symbol, timeframe));
+        return buffer ? buffer.snapshot : null;
+    }
+
+    // Compare the indicator values a signal carries with the computed ones.
+    // Returns null when there is nothing to compare against.
+    crossCheck(signal) {
+        if (this.settings.crossCheck === 'off') {
+            return null;
+        }
+
+        const snapshot = this.getIndicators(signal.symbol, signal.timeframe);
+        if (!snapshot) {
+            return null;
+        }
+
+        const mismatches = [];
+        for (const field of [...OSCILLATOR_FIELDS, ...PRICE_FIELDS]) {
+            const received = parseFloat(signal[field]);
+            const computed = snapshot[field];
+            if (isNaN(received) || computed === null) continue;
+
+            const difference = Math.abs(received - computed);
+            const tolerance = OSCILLATOR_FIELDS.includes(field)
+                ? this.settings.oscillatorTolerance
+                : snapshot.close * this.settings.priceTolerancePercent / 100;
+
+            if (difference > tolerance) {
+                mismatches.push({ field, received, computed: Math.round(computed * 1e4) / 1e4 });
+            }
+        }
+
+        return { mode: this.settings.crossCheck, closeTime: snapshot.closeTime, mismatches };
+    }
+
+    // Emit a signal when the strategy's verdict changes to BUY or SELL, not on every candle it holds
+    evaluate(buffer) {
+        const snapshot = buffer.snapshot;
+        const signal = {
+            symbol: buffer.symbol,
+            timeframe: buffer.timeframe,
+            strategy: this.settings.strategy || this.config.defaultStrategy,
+            ...Object.fromEntries([...OSCILLATOR_FIELDS, ...PRICE_FIELDS].map(field => [field, snapshot[field]])),
+            price: snapshot.close,
+            source: 'indicators',
+            closeTime: snapshot.closeTime
+        };
+
+        // Not enough history yet for the strategy's inputs
+        const strategy = StrategyRegistry.resolve(signal.strategy, this.config);
+        if (!strategy || strategy.requiredFields.some(field => signal[field] === null || signal[field] === undefined)) {
+            return;
+        }
+
+        const validation = TradingService.validateSignal(signal, this.config);
+        const action = validation.valid ? validation.action : null;
+
+        if (action && action !== buffer.lastAction) {
+            console.log(`📈 ${signal.strategy} ${action} signal from indicators for ${buffer.symbol} ${buffer.timeframe}`);
+            this.emit('signal', signal);
+        }
+        buffer.lastAction = action;
+    }
+
+    getStatus() {
+        return {
+            active: this.active,
+            crossCheck: this.settings.crossCheck,
+            autoSignals: this.settings.autoSignals,
+            streams: Array.from(this.buffers.values()).map(buffer => ({
+                symbol: buffer.symbol,
+                timeframe: buffer.timeframe,
+                candles: buffer.candles.length,
+                lastCloseTime: buffer.snapshot && buffer.snapshot.closeTime
+                    ? new Date(buffer.snapshot.closeTime).toISOString()
+                    : null
+            }))
+        };
+    }
+}
+
+module.exports = new IndicatorService();
@@ -0,0 +1,176 @@
+// services/orderCancellationService.js
+const ExchangeService = require('../exchanges');
+const RealtimeOrderService = require('./realtimeOrderService');
+const ProtectionService = require('./protectionService');
+const Order = require('../models/Order');
+const { ORDER_STATUS, RESTING_EXIT_STATUSES } = require('../config/constants');
+
+// Entries not yet on the exchange are cancelled locally only
+const LOCAL_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.WAITING_TRIGGER, ORDER_STATUS.SCHEDULED];
+const RESTING_STATUSES = [ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL];
+
+// Cancels orders on the exchange and locally: the entry if it is still
+// working, and its children (stop loss / take profit) whether they are
+// exchange-side protection, a resting exit order or in-process monitoring.
+class OrderCancellationService {
+    static isUnknownOrderError(error) {
+        return /unknown order|-2011/i.test(error.message);
+    }
+
+    // Anything of this order still working on the exchange or in monitoring
+    static isCancellable(order) {
+        return LOCAL_STATUSES.includes(order.status) ||
+            RESTING_STATUSES.includes(order.status) ||
+            this.hasOpenChildren(order);
+    }
+
+    static hasOpenChildren(order) {
+        return Boolean(
+            (order.protection && order.protection.status === 'active') ||
+            (order.exit && RESTING_EXIT_STATUSES.includes(order.exit.status)) ||
+            RealtimeOrderService.needsExitMonitoring(order)
+        );
+    }
+
+    // Returns { order, entryCancelled, childrenCancelled }
+    static async cancelOrder(orderId, reason = 'Manual cancellation') {
+        let order = await Order.getById(orderId);
+
+        if (!order) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+
+        if (!this.isCancellable(order)) {
+            throw new Error(`Order cannot be cancelled from status ${order.status}`);
+        }
+
+        const onExchange = RESTING_STATUSES.includes(order.status) || this.hasOpenChildren(order);
+        if (onExchange && Boolean(order.paper) !== ExchangeService.isPaperMode()) {
+            throw new Error(`Order cannot be cancelled: it was placed in ${order.paper ? 'paper' : 'live'} mode`);
+        }
+
+        console.log(`🛑 Cancelling order ${orderId}`);
+
+        // Children first so nothing fires while the entry is being cancelled
+        const childrenCancelled = this.hasOpenChildren(order);
+        await RealtimeOrderService.cancelOrderMonitoring(order.id);
+        order = await ProtectionService.cancelProtection(order, reason);
+        order = await this.cancelRestingExit(order);
+
+        if (RealtimeOrderService.needsExitMonitoring(order)) {
+            // Keeps emulated stop loss / take profit off after a restart too
+            order = await Order.update(order.id, {
+                exitCancelledAt: new Date().toISOString(),
+                exitCancelReason: reason
+            });
+        }
+
+        let entryCancelled = false;
+
+        if (LOCAL_STATUSES.includes(order.status)) {
+            order = await Order.update(order.id, {
+                status: ORDER_STATUS.CANCELLED,
+                cancelledAt: new Date().toISOString(),
+                cancelReason: reason
+            });
+            entryCancelled = true;
+        } else if (RESTING_STATUSES.includes(order.status)) {
+            order = await this.cancelEntry(order, reason);
+            entryCancelled = order.status === ORDER_STATUS.CANCELLED;
+        }
+
+        return { order, entryCancelled, childrenCancelled };
+    }
+
+    // Cancel the entry on the exchange and take the status from its response.
+    // An order that filled in the meantime stays filled.
+    static async cancelEntry(order, reason) {
+        let exchangeOrder;
+
+        try {
+            exchangeOrder = await ExchangeService.cancelOrder(order.symbol, order.binanceOrderId);
+        } catch (error) {
+            if (!this.isUnknownOrderError(error)) {
+                throw error;
+            }
+            // Already gone from the book: the exchange knows how it ended
+            exchangeOrder = await ExchangeService.getOrderStatus(order.symbol, order.binanceOrderId);
+        }
+
+        const status = Order.fromExchangeStatus(exchangeOrder.status);
+        const changes = {
+            executedQuantity: exchangeOrder.executedQty ?? order.executedQuantity
+        };
+
+        if (status && status !== order.status && Order.canTransition(order.status, status)) {
+            changes.status = status;
+        }
+
+        if (status === ORDER_STATUS.CANCELLED) {
+            changes.cancelledAt = new Date().toISOString();
+            changes.cancelReason = reason;
+        }
+
+        return await Order.update(order.id, changes);
+    }
+
+    // A take profit placed as a LIMIT order may still rest on the book
+    static async cancelRestingExit(order) {
+        if (!order.exit || !RESTING_EXIT_STATUSES.includes(order.exit.status)) {
+            return order;
+        }
+
+        let exchangeOrder;
+        try {
+            exchangeOrder = await ExchangeService.cancelOrder(order.symbol, order.exit.binanceOrderId);
+        } catch (error) {
+            if (!this.isUnknownOrderError(error)) {
+                throw error;
+            }
+            exchangeOrder = await ExchangeService.getOrderStatus(order.symbol, order.exit.binanceOrderId);
+        }
+
+        return await Order.update(order.id, {
+            exit: {
+                ...order.exit,
+                status: exchangeOrder.status,
+                quantity: exchangeOrder.executedQty ?? order.exit.quantity
+            }
+        });
+    }
+
+    // Cancel every open order of the current trading mode, optionally for one symbol.
+    // Failures are collected so one bad order does not stop the rest.
+    static async cancelAll({ symbol = null, reason = 'Bulk cancellation' } = {}) {
+        const paper = ExchangeService.isPaperMode();
+        const orders = (await Order.getAll()).filter(order =>
+            Boolean(order.paper) === paper &&
+            (!symbol || order.symbol === symbol) &&
+            this.isCancellable(order)
+        );
+
+        const cancelled = [];
+        const failed = [];
+
+        for (const order of orders) {
+            try {
+                const result = await this.cancelOrder(order.id, reason);
+                cancelled.push({
+                    id: order.id,
+                    symbol: order.symbol,
+                    status: result.order.status,
+                    entryCancelled: result.entryCancelled,
+                    childrenCancelled: result.childrenCancelled
+                });
+            } catch (error) {
+                console.error(`❌ Failed to cancel order ${order.id}:`, error.message);
+                failed.push({ id: order.id, symbol: order.symbol, error: error.message });
+            }
+        }
+
+        console.log(`🛑 Cancelled ${cancelled.length} orders${symbol ? ` for ${symbol}` : ''}, ${failed.length} failed`);
+        return { symbol, cancelled, failed };
+    }
+}
+
+module.exports = OrderCancellationService;
@@ -0,0 +1,388 @@
+// services/paperExchange.js
+const EventEmitter = require('events');
+const storage = require('../storage');
+const TradingService = require('./tradingService');
+const { DEFAULT_PAPER_BALANCES, DEFAULT_PAPER_FEE_PERCENT, PAPER_ORDER_HISTORY } = require('../config/constants');
+
+// In-process simulated exchange used in paper mode. Responses mimic the
+// Binance spot REST payloads so callers do not need to know the difference.
+// With a stateKey, balances and orders are saved through the storage layer
+// and survive restarts.
+class PaperExchange extends EventEmitter {
+    constructor({ stateKey = null } = {}) {
+        super();
+        this.stateKey = stateKey;
+        this.balances = new Map();
+        this.orders = new Map(); // orderId -> order, open and recently closed
+        this.openOrders = new Map();
+        this.lastPrices = new Map();
+        this.nextOrderId = 1;
+        this.feePercent = DEFAULT_PAPER_FEE_PERCENT;
+        this.isConfigured = false;
+        this.saving = null;
+    }
+
+    // Apply config once; balances come from the saved state and are only reset explicitly
+    async configure(config = {}) {
+        this.feePercent = config.paperFeePercent ?? DEFAULT_PAPER_FEE_PERCENT;
+
+        if (this.isConfigured) {
+            return;
+        }
+
+        if (!(await this.restore())) {
+            this.reset(config);
+        }
+    }
+
+    async restore() {
+        if (!this.stateKey) {
+            return false;
+        }
+
+        const state = await storage.getState(this.stateKey);
+        if (!state) {
+            return false;
+        }
+
+        this.balances = new Map(Object.entries(state.balances || {}).map(([asset, balance]) => [asset, { ...balance }]));
+        this.orders = new Map((state.orders || []).map(order => [order.orderId, order]));
+        this.openOrders = new Map(
+            Array.from(this.orders.values())
+                .filter(order => order.status === 'NEW')
+                .map(order => [order.orderId, order])
+        );
+        this.nextOrderId = state.nextOrderId || this.orders.size + 1;
+        this.isConfigured = true;
+
+        console.log(`🧪 Paper exchange restored: ${this.openOrders.size} open orders, balances:`,
+            Object.fromEntries(Array.from(this.balances.entries()).map(([asset, balance]) => [asset, balance.free + balance.locked])));
+        return true;
+    }
+
+    // Writes are chained so an older state never overwrites a newer one
+    persist() {
+        if (!this.stateKey) {
+            return;
+        }
+
+        const state = {
+            balances: Object.fromEntries(Array.from(this.balances.entries()).map(([asset, balance]) => [asset, { ...balance }])),
+            orders: Array.from(this.orders.values()).map(order => this.snapshot(order)),
+            nextOrderId: this.nextOrderId,
+            savedAt: new Date().toISOString()
+        };
+
+        this.saving = (this.saving || Promise.resolve())
+            .then(() => storage.setState(this.stateKey, state))
+            .catch(error => {
+                console.error('❌ Error saving paper exchange state:', error.message);
+            });
+    }
+
+    // Keep every open order and the most recent closed ones
+    recordOrder(order) {
+        this.orders.set(order.orderId, order);
+
+        const closed = Array.from(this.orders.values()).filter(known => !this.openOrders.has(known.orderId));
+        for (const old of closed.slice(0, Math.max(closed.length - PAPER_ORDER_HISTORY, 0))) {
+            this.orders.delete(old.orderId);
+        }
+    }
+
+    // Reset virtual balances and drop all resting orders
+    reset(config = {}) {
+        const initialBalances = config.paperBalances || DEFAULT_PAPER_BALANCES;
+
+        this.balances.clear();
+        for (const [asset, amount] of Object.entries(initialBalances)) {
+            this.balances.set(asset, { free: parseFloat(amount), locked: 0 });
+        }
+
+        this.orders.clear();
+        this.openOrders.clear();
+        this.isConfigured = true;
+        this.persist();
+
+        console.log('🧪 Paper exchange reset with balances:', initialBalances);
+    }
+
+    getBalance(asset) {
+        if (!this.balances.has(asset)) {
+            this.balances.set(asset, { free: 0, locked: 0 });
+        }
+        return this.balances.get(asset);
+    }
+
+    placeOrder(orderData, lastPrice) {
+        const symbol = orderData.symbol;
+        const side = orderData.side.toUpperCase();
+        const type = orderData.type.toUpperCase();
+        const quantity = parseFloat(orderData.quantity);
+        const { baseAsset, quoteAsset } = TradingService.splitSymbol(symbol);
+
+        if (!quantity || quantity <= 0) {
+            throw new Error('Order placement error: invalid quantity');
+        }
+
+        if (lastPrice) {
+            this.lastPrices.set(symbol, lastPrice);
+        }
+
+        const marketPrice = this.lastPrices.get(symbol);
+
+        const order = {
+            symbol,
+            orderId: this.nextOrderId++,
+            clientOrderId: `paper_${Date.now()}_${this.nextOrderId}`,
+            transactTime: Date.now(),
+            price: '0',
+            origQty: quantity.toFixed(8),
+            executedQty: '0',
+            cummulativeQuoteQty: '0',
+            status: 'NEW',
+            timeInForce: orderData.timeInForce || 'GTC',
+            type,
+            side,
+            fills: [],
+            paper: true
+        };
+
+        if (type === 'MARKET') {
+            if (!marketPrice) {
+                throw new Error(`Order placement error: no price available for ${symbol}`);
+            }
+
+            this.assertFunds(side, baseAsset, quoteAsset, quantity, marketPrice);
+            this.recordOrder(order);
+            this.fillOrder(order, marketPrice, { baseAsset, quoteAsset, fromLocked: false });
+            this.persist();
+            return this.snapshot(order);
+        }
+
+        if (type === 'LIMIT') {
+            const limitPrice = parseFloat(orderData.price);
+
+            if (!limitPrice || limitPrice <= 0) {
+                throw new Error('Order placement error: LIMIT orders require a price');
+            }
+
+            order.price = limitPrice.toFixed(8);
+
+            // Marketable limit orders fill straight away, at the market price like a taker
+            if (marketPrice && this.isLimitCrossed(order, marketPrice)) {
+                this.assertFunds(side, baseAsset, quoteAsset, quantity, marketPrice);
+                this.recordOrder(order);
+                this.emitExecutionReport(order, 'NEW');
+                this.fillOrder(order, marketPrice, { baseAsset, quoteAsset, fromLocked: false });
+                this.persist();
+                return this.snapshot(order);
+            }
+
+            // IOC and FOK orders never rest; fills are all-or-nothing here, so both expire
+            if (order.timeInForce === 'IOC' || order.timeInForce === 'FOK') {
+                order.status = 'EXPIRED';
+                this.recordOrder(order);
+                this.emitExecutionReport(order, 'EXPIRED');
+                this.persist();
+                return this.snapshot(order);
+            }
+
+            this.assertFunds(side, baseAsset, quoteAsset, quantity, limitPrice);
+            this.lockFunds(side, baseAsset, quoteAsset, quantity, limitPrice);
+            this.openOrders.set(order.orderId, order);
+            this.recordOrder(order);
+            this.emitExecutionReport(order, 'NEW');
+            this.persist();
+
+            return this.snapshot(order);
+        }
+
+        throw new Error(`Order placement error: order type ${type} not supported in paper mode`);
+    }
+
+    cancelOrder(symbol, orderId) {
+        const order = this.openOrders.get(Number(orderId));
+
+        if (!order || order.symbol !== symbol) {
+            throw new Error(`Cancel order error: unknown order ${orderId}`);
+        }
+
+        const { baseAsset, quoteAsset } = TradingService.splitSymbol(symbol);
+        const quantity = parseFloat(order.origQty);
+        this.unlockFunds(order.side, baseAsset, quoteAsset, quantity, parseFloat(order.price));
+
+        order.status = 'CANCELED';
+        this.openOrders.delete(order.orderId);
+        this.emitExecutionReport(order, 'CANCELED');
+        this.persist();
+
+        return this.snapshot(order);
+    }
+
+    // Any order still in the history, open or not
+    getOrder(symbol, orderId) {
+        const order = this.orders.get(Number(orderId));
+
+        if (!order || order.symbol !== symbol) {
+            throw new Error(`Order status error: unknown paper order ${orderId}`);
+        }
+
+        return this.snapshot(order);
+    }
+
+    // Feed a streamed price; fills any resting LIMIT order the price has crossed
+    onPriceUpdate(symbol, price) {
+        this.lastPrices.set(symbol, price);
+        let filled = false;
+
+        for (const order of Array.from(this.openOrders.values())) {
+            if (order.symbol !== symbol || !this.isLimitCrossed(order, price)) continue;
+
+            const { baseAsset, quoteAsset } = TradingService.splitSymbol(symbol);
+            this.openOrders.delete(order.orderId);
+            this.fillOrder(order, parseFloat(order.price), { baseAsset, quoteAsset, fromLocked: true });
+            filled = true;
+        }
+
+        if (filled) {
+            this.persist();
+        }
+    }
+
+    isLimitCrossed(order, price) {
+        const limitPrice = parseFloat(order.price);
+        return order.side === 'BUY' ? price <= limitPrice : price >= limitPrice;
+    }
+
+    assertFunds(side, baseAsset, quoteAsset, quantity, price) {
+        if (side === 'BUY') {
+            const required = quantity * price;
+            if (this.getBalance(quoteAsset).free < required) {
+                throw new Error(`Order placement error: insufficient ${quoteAsset} balance (need ${required.toFixed(8)})`);
+            }
+        } else if (this.getBalance(baseAsset).free < quantity) {
+            throw new Error(`Order placement error: insufficient ${baseAsset} balance (need ${quantity.toFixed(8)})`);
+        }
+    }
+
+    lockFunds(side, baseAsset, quoteAsset, quantity, price) {
+        const balance = side === 'BUY' ? this.getBalance(quoteAsset) : this.getBalance(baseAsset);
+        const amount = side === 'BUY' ? quantity * price : quantity;
+        balance.free -= amount;
+        balance.locked += amount;
+    }
+
+    unlockFunds(side, baseAsset, quoteAsset, quantity, price) {
+        const balance = side === 'BUY' ? this.getBalance(quoteAsset) : this.getBalance(baseAsset);
+        const amount = side === 'BUY' ? quantity * price : quantity;
+        balance.locked -= amount;
+        balance.free += amount;
+    }
+
+    // Settle a full fill; the fee is charged on the asset received, as on Binance
+    fillOrder(order, fillPrice, { baseAsset, quoteAsset, fromLocked }) {
+        const quantity = parseFloat(order.origQty);
+        const quoteAmount = quantity * fillPrice;
+        const feeRate = this.feePercent / 100;
+        const base = this.getBalance(baseAsset);
+        const quote = this.getBalance(quoteAsset);
+        let commission;
+        let commissionAsset;
+
+        if (order.side === 'BUY') {
+            if (fromLocked) {
+                quote.locked -= quoteAmount;
+            } else {
+                quote.free -= quoteAmount;
+            }
+            commission = quantity * feeRate;
+            commissionAsset = baseAsset;
+            base.free += quantity - commission;
+        } else {
+            if (fromLocked) {
+                base.locked -= quantity;
+            } else {
+                base.free -= quantity;
+            }
+            commission = quoteAmount * feeRate;
+            commissionAsset = quoteAsset;
+            quote.free += quoteAmount - commission;
+        }
+
+        order.status = 'FILLED';
+        order.executedQty = quantity.toFixed(8);
+        order.cummulativeQuoteQty = quoteAmount.toFixed(8);
+        if (order.type === 'MARKET') {
+            order.price = fillPrice.toFixed(8);
+        }
+        order.fills = [{
+            tradeId: order.orderId, // matches the execution report's trade id
+            price: fillPrice.toFixed(8),
+            qty: quantity.toFixed(8),
+            commission: commission.toFixed(8),
+            commissionAsset
+        }];
+
+        console.log(`🧪 Paper ${order.side} ${order.symbol} filled: ${quantity} @ ${fillPrice}`);
+        this.emitExecutionReport(order, 'TRADE', { lastQty: quantity, lastPrice: fillPrice, commission, commissionAsset });
+    }
+
+    // Mirror the spot user data stream executionReport payload
+    emitExecutionReport(order, executionType, fill = {}) {
+        this.emit('executionReport', {
+            e: 'executionReport',
+            E: Date.now(),
+            s: order.symbol,
+            c: order.clientOrderId,
+            S: order.side,
+            o: order.type,
+            f: order.timeInForce,
+            q: order.origQty,
+            p: order.price,
+            x: executionType,
+            X: order.status,
+            i: order.orderId,
+            l: (fill.lastQty || 0).toFixed(8),
+            z: order.executedQty,
+            L: (fill.lastPrice || 0).toFixed(8),
+            n: (fill.commission || 0).toFixed(8),
+            N: fill.commissionAsset || null,
+            Z: order.cummulativeQuoteQty,
+            T: Date.now(),
+            t: executionType === 'TRADE' ? order.orderId : -1, // one simulated trade per order
+            paper: true
+        });
+    }
+
+    snapshot(order) {
+        return { ...order, fills: order.fills.map(fill => ({ ...fill })) };
+    }
+
+    getAccountInfo() {
+        return {
+            accountType: 'PAPER',
+            balances: Array.from(this.balances.entries())
+                .map(([asset, balance]) => ({
+                    asset,
+                    free: balance.free.toFixed(8),
+                    locked: balance.locked.toFixed(8)
+                }))
+                .filter(balance => parseFloat(balance.free) > 0 || parseFloat(balance.locked) > 0),
+            canTrade: true,
+            canWithdraw: false,
+            canDeposit: false,
+            paper: true
+        };
+    }
+
+    getOpenOrders(symbol) {
+        return Array.from(this.openOrders.values())
+            .filter(order => !symbol || order.symbol === symbol)
+            .map(order => this.snapshot(order));
+    }
+}
+
+module.exports = new PaperExchange({ stateKey: 'paperExchange' });
+// Separate books (e.g. the offline mock exchange) create their own, unsaved instance
+module.exports.PaperExchange = PaperExchange;
@@ -0,0 +1,172 @@
+// services/positionService.js
+const ExchangeService = require('../exchanges');
+const TradingService = require('./tradingService');
+const Order = require('../models/Order');
+const Fills = require('../utils/fills');
+
+// Net positions per symbol, rebuilt from executed fills and marked to
+// market with the latest streamed price
+class PositionService {
+    constructor() {
+        this.markPrices = new Map();
+
+        ExchangeService.on('priceUpdate', ({ symbol, price, timestamp }) => {
+            this.markPrices.set(symbol, { price, at: timestamp || Date.now() });
+        });
+    }
+
+    // Fold fills (oldest first) into one position per symbol. Reducing fills
+    // realize P&L against the average entry; a fill larger than the position flips it.
+    buildPositions(fills) {
+        const positions = new Map();
+
+        for (const fill of fills) {
+            if (!positions.has(fill.symbol)) {
+                positions.set(fill.symbol, {
+                    symbol: fill.symbol,
+                    netQuantity: 0,
+                    averageEntryPrice: 0,
+                    realizedPnl: 0,
+                    openedAt: null,
+                    lastFillAt: null,
+                    fillCount: 0
+                });
+            }
+
+            const position = positions.get(fill.symbol);
+            const signedQuantity = fill.side === 'BUY' ? fill.quantity : -fill.quantity;
+            const current = position.netQuantity;
+
+            if (current === 0 || Math.sign(current) === Math.sign(signedQuantity)) {
+                // Opening or adding: weighted average entry
+                const total = Math.abs(current) + fill.quantity;
+                position.averageEntryPrice = (position.averageEntryPrice * Math.abs(current) + fill.price * fill.quantity) / total;
+                if (current === 0) {
+                    position.openedAt = fill.at;
+                }
+            } else {
+                // Reducing, closing or flipping
+                const closedQuantity = Math.min(Math.abs(current), fill.quantity);
+                position.realizedPnl += (fill.price - position.averageEntryPrice) * closedQuantity * Math.sign(current);
+
+                if (fill.quantity > Math.abs(current)) {
+                    position.averageEntryPrice = fill.price;
+                    position.openedAt = fill.at;
+                }
+            }
+
+            position.netQuantity = parseFloat((current + signedQuantity).toFixed(8));
+            if (position.netQuantity === 0) {
+                position.averageEntryPrice = 0;
+                position.openedAt = null;
+            }
+
+            position.lastFillAt = fill.at;
+            position.fillCount++;
+        }
+
+        return positions;
+    }
+
+    // Latest streamed price, then the last price the exchange reported, then a REST lookup
+    async getMarkPrice(symbol) {
+        if (this.markPrices.has(symbol)) {
+            return this.markPrices.get(symbol);
+        }
+
+        if (ExchangeService.lastPrices.has(symbol)) {
+            return { price: ExchangeService.lastPrices.get(symbol), at: null };
+        }
+
+        if (!ExchangeService.isConnected) {
+            return null;
+        }
+
+        try {
+            const price = await ExchangeService.getPrice(symbol);
+            return { price, at: Date.now() };
+        } catch (error) {
+            console.error(`❌ Error getting mark price for ${symbol}:`, error.message);
+            return null;
+        }
+    }
+
+    async markToMarket(position, paper) {
+        const size = Math.abs(position.netQuantity);
+        const side = position.netQuantity > 0 ? 'LONG' : position.netQuantity < 0 ? 'SHORT' : 'FLAT';
+        const mark = size > 0 ? await this.getMarkPrice(position.symbol) : null;
+        const markPrice = mark ? parseFloat(mark.price) : null;
+        const costBasis = size * position.averageEntryPrice;
+
+        let unrealizedPnl = null;
+        let unrealizedPnlPercent = null;
+
+        if (markPrice && size > 0) {
+            unrealizedPnl = (markPrice - position.averageEntryPrice) * position.netQuantity;
+            unrealizedPnlPercent = costBasis > 0 ? unrealizedPnl / costBasis * 100 : null;
+        }
+
+        let quoteAsset = null;
+        try {
+            quoteAsset = TradingService.splitSymbol(position.symbol).quoteAsset;
+        } catch (error) {
+            // Unknown quote asset: totals simply skip this position
+        }
+
+        return {
+            symbol: position.symbol,
+            side,
+            size,
+            averageEntryPrice: position.averageEntryPrice,
+            markPrice,
+            markPriceAt: mark && mark.at ? new Date(mark.at).toISOString() : null,
+            costBasis,
+            marketValue: markPrice ? size * markPrice : null,
+            unrealizedPnl,
+            unrealizedPnlPercent,
+            realizedPnl: position.realizedPnl,
+            quoteAsset,
+            openedAt: position.openedAt,
+            lastFillAt: position.lastFillAt,
+            fillCount: position.fillCount,
+            paper
+        };
+    }
+
+    // Positions for the current trading mode (paper or live)
+    async getPositions({ symbol = null, includeClosed = false } = {}) {
+        const paper = ExchangeService.isPaperMode();
+        const orders = await Order.getAll();
+        const fills = Fills.fromOrders(orders.filter(order =>
+            Boolean(order.paper) === paper && (!symbol || order.symbol === symbol)
+        ));
+
+        const positions = [];
+        for (const position of this.buildPositions(fills).values()) {
+            if (position.netQuantity === 0 && !includeClosed) continue;
+            positions.push(await this.markToMarket(position, paper));
+        }
+
+        // Sums only make sense per quote asset
+        const totals = {};
+        for (const position of positions) {
+            if (!position.quoteAsset) continue;
+
+            const total = totals[position.quoteAsset] || (totals[position.quoteAsset] = {
+                costBasis: 0,
+                marketValue: 0,
+                unrealizedPnl: 0,
+                realizedPnl: 0
+            });
+
+            total.costBasis += position.costBasis;
+            total.marketValue += position.marketValue || 0;
+            total.unrealizedPnl += position.unrealizedPnl || 0;
+            total.realizedPnl += position.realizedPnl;
+        }
+
+        return { positions, totals, paper, timestamp: new Date().toISOString() };
+    }
+}
+
+module.exports = new PositionService();
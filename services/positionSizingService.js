@@ -0,0 +1,147 @@
+// services/positionSizingService.js
+const ExchangeService = require('../exchanges');
+const TradingService = require('./tradingService');
+const { DEFAULT_POSITION_SIZING } = require('../config/constants');
+
+const SIZING_MODES = ['fixedQuote', 'fixedBase', 'percentBalance', 'risk'];
+
+class PositionSizingService {
+    // Work out the order quantity for a validated signal.
+    // Returns { mode, quantity, notional, ...details } for the webhook response.
+    static async calculate(signal, action, entryPrice, config) {
+        const sizing = { ...DEFAULT_POSITION_SIZING, ...(config.positionSizing || {}) };
+
+        // An explicit quantity in the signal always wins
+        if (signal.quantity) {
+            return this.result('signal', parseFloat(signal.quantity), entryPrice);
+        }
+
+        if (!SIZING_MODES.includes(sizing.mode)) {
+            throw new Error(`Position sizing: unknown mode "${sizing.mode}"`);
+        }
+
+        if (!(entryPrice > 0)) {
+            throw new Error('Position sizing: entry price is required');
+        }
+
+        switch (sizing.mode) {
+            case 'fixedBase':
+                return this.result('fixedBase', parseFloat(sizing.baseQuantity ?? config.defaultQuantity), entryPrice);
+
+            case 'fixedQuote':
+                return this.result('fixedQuote', parseFloat(sizing.quoteAmount) / entryPrice, entryPrice, {
+                    quoteAmount: parseFloat(sizing.quoteAmount)
+                });
+
+            case 'percentBalance':
+                return await this.percentOfBalance(signal.symbol, action, entryPrice, config, sizing);
+
+            case 'risk':
+                return await this.riskPerTrade(signal, action, entryPrice, config, sizing);
+        }
+    }
+
+    // Spend a share of the free quote balance on buys, sell a share of the free base balance.
+    // On futures both sides commit a share of the free margin, multiplied by the leverage.
+    static async percentOfBalance(symbol, action, entryPrice, config, sizing) {
+        const percent = parseFloat(sizing.balancePercent);
+        const { baseAsset, quoteAsset, base, quote } = await this.getBalances(symbol);
+
+        if (ExchangeService.isFutures()) {
+            const { leverage } = TradingService.getFuturesSettings(symbol, config);
+
+            return this.result('percentBalance', (quote.free * percent / 100) * leverage / entryPrice, entryPrice, {
+                balancePercent: percent,
+                balanceAsset: quoteAsset,
+                freeBalance: quote.free,
+                leverage
+            });
+        }
+
+        const quantity = action === 'BUY'
+            ? (quote.free * percent / 100) / entryPrice
+            : base.free * percent / 100;
+
+        return this.result('percentBalance', quantity, entryPrice, {
+            balancePercent: percent,
+            balanceAsset: action === 'BUY' ? quoteAsset : baseAsset,
+            freeBalance: action === 'BUY' ? quote.free : base.free
+        });
+    }
+
+    // Size so that hitting the stop loses exactly riskPercent of equity
+    static async riskPerTrade(signal, action, entryPrice, config, sizing) {
+        const riskPercent = parseFloat(sizing.riskPercent);
+        const { base, quote, quoteAsset } = await this.getBalances(signal.symbol);
+
+        // Equity in quote currency: quote holdings plus base holdings marked at the entry price
+        const equity = quote.free + quote.locked + (base.free + base.locked) * entryPrice;
+
+        // An absolute stop in the signal defines the distance, otherwise the configured percent
+        const stopDistance = signal.stopLoss
+            ? Math.abs(entryPrice - parseFloat(signal.stopLoss))
+            : entryPrice * parseFloat(signal.stopLossPercent ?? config.stopLossPercent) / 100;
+
+        if (!(stopDistance > 0)) {
+            throw new Error('Position sizing: risk mode needs a stop loss distance greater than zero');
+        }
+
+        const riskAmount = equity * riskPercent / 100;
+        let quantity = riskAmount / stopDistance;
+        let capped = false;
+
+        // On spot we cannot buy more than the free quote balance pays for,
+        // nor sell more base than we hold; futures are capped by leveraged free margin
+        const maxQuantity = ExchangeService.isFutures()
+            ? quote.free * TradingService.getFuturesSettings(signal.symbol, config).leverage / entryPrice
+            : action === 'BUY' ? quote.free / entryPrice : base.free;
+        if (quantity > maxQuantity) {
+            quantity = maxQuantity;
+            capped = true;
+        }
+
+        return this.result('risk', quantity, entryPrice, {
+            riskPercent,
+            equity,
+            equityAsset: quoteAsset,
+            riskAmount,
+            stopDistance,
+            stopPrice: action === 'BUY' ? entryPrice - stopDistance : entryPrice + stopDistance,
+            capped
+        });
+    }
+
+    static async getBalances(symbol) {
+        // Prefer the exchange's own asset split, the suffix heuristic only as a fallback
+        const symbolInfo = await ExchangeService.getSymbolInfo(symbol).catch(() => null);
+        const { baseAsset, quoteAsset } = symbolInfo || TradingService.splitSymbol(symbol);
+        const account = await ExchangeService.getAccountInfo();
+
+        const find = asset => {
+            const balance = account.balances.find(b => b.asset === asset);
+            return {
+                free: balance ? parseFloat(balance.free) : 0,
+                locked: balance ? parseFloat(balance.locked) : 0
+            };
+        };
+
+        return { baseAsset, quoteAsset, base: find(baseAsset), quote: find(quoteAsset) };
+    }
+
+    static result(mode, rawQuantity, entryPrice, details = {}) {
+        const quantity = parseFloat((rawQuantity || 0).toFixed(8));
+
+        if (!(quantity > 0)) {
+            throw new Error(`Position sizing: ${mode} sizing produced a zero quantity`);
+        }
+
+        return {
+            mode,
+            quantity,
+            notional: quantity * entryPrice,
+            ...details
+        };
+    }
+}
+
+module.exports = PositionSizingService;
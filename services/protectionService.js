@@ -0,0 +1,385 @@
+// services/protectionService.js
+const EventEmitter = require('events');
+const ExchangeService = require('../exchanges');
+const TradingService = require('./tradingService');
+const RiskGuardService = require('./riskGuardService');
+const Order = require('../models/Order');
+const Config = require('../models/Config');
+const { DEFAULT_PROTECTION, PROTECTION_POLL_MS, ORDER_STATUS } = require('../config/constants');
+
+const LEGS = ['takeProfit', 'stopLoss'];
+const CLOSED_LEG_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+
+// Exchange-side take profit / stop loss. Once an entry fills, the protection
+// orders are placed on the exchange and their ids stored under order.protection;
+// execution reports and a periodic poll follow them until one leg fills.
+class ProtectionService extends EventEmitter {
+    constructor() {
+        super();
+        this.legIndex = new Map(); // exchange order id -> parent order id
+        this.placing = new Map(); // parent order id -> protection being placed
+        this.pollTimer = null;
+
+        ExchangeService.on('orderUpdate', (report) => {
+            const parentId = this.legIndex.get(report.i);
+            if (parentId) {
+                this.handleLegUpdate(parentId, report.i, {
+                    status: report.X,
+                    executedQty: report.z,
+                    price: report.L,
+                    commission: report.n,
+                    commissionAsset: report.N
+                }).catch(error => {
+                    console.error(`❌ Error handling protection update for ${parentId}:`, error.message);
+                });
+            }
+        });
+    }
+
+    // Protection is on the exchange, so in-process SL/TP monitoring must stay off
+    isExchangeManaged(order) {
+        return Boolean(order.protection) && ['active', 'completed'].includes(order.protection.status);
+    }
+
+    async getSettings() {
+        const config = await Config.get();
+        return { ...DEFAULT_PROTECTION, ...(config.protection || {}) };
+    }
+
+    // Place protection for a filled entry when configured; returns the (updated) order.
+    // exchangeOrder is the entry's exchange response, used to net out base-asset fees.
+    async protect(order, exchangeOrder = null) {
+        if (!order) {
+            return order;
+        }
+
+        // The REST response and the user data stream can both report the fill
+        if (this.placing.has(order.id)) {
+            return await this.placing.get(order.id);
+        }
+
+        const placing = this.placeProtection(order, exchangeOrder);
+        this.placing.set(order.id, placing);
+
+        try {
+            return await placing;
+        } finally {
+            this.placing.delete(order.id);
+        }
+    }
+
+    async placeProtection(order, exchangeOrder) {
+        // Re-read so protection placed by an earlier caller is seen
+        order = (await Order.getById(order.id)) || order;
+
+        if (order.status !== ORDER_STATUS.FILLED || order.protection || order.exit ||
+            !(order.stopLoss || order.takeProfit)) {
+            return order;
+        }
+
+        const settings = await this.getSettings();
+        if (settings.mode !== 'exchange') {
+            return order;
+        }
+
+        if (order.paper) {
+            console.log(`🧪 Paper order ${order.id}: take profit / stop loss stay emulated`);
+            return order;
+        }
+
+        try {
+            const legs = await ExchangeService.placeProtectionOrders({
+                symbol: order.symbol,
+                entrySide: order.side,
+                quantity: this.getProtectedQuantity(order, exchangeOrder),
+                takeProfit: order.takeProfit ? parseFloat(order.takeProfit) : null,
+                stopLoss: order.stopLoss ? parseFloat(order.stopLoss) : null,
+                stopLimitOffsetPercent: settings.stopLimitOffsetPercent
+            });
+
+            const updatedOrder = await Order.update(order.id, {
+                protection: { ...legs, status: 'active', placedAt: new Date().toISOString() }
+            });
+
+            this.indexOrder(updatedOrder);
+            this.start();
+
+            console.log(`🛡️ Exchange protection active for order ${order.id}`);
+            this.emit('protectionPlaced', updatedOrder);
+            return updatedOrder;
+
+        } catch (error) {
+            // Without exchange protection the emulated monitoring takes over
+            console.error(`❌ Failed to place protection for ${order.id}, falling back to emulated:`, error.message);
+
+            return await Order.update(order.id, {
+                protection: { status: 'error', error: error.message, at: new Date().toISOString() }
+            });
+        }
+    }
+
+    // Spot buys pay their fee in the base asset, so less than the executed quantity is held
+    getProtectedQuantity(order, exchangeOrder) {
+        let quantity = parseFloat(order.executedQuantity) || parseFloat(order.quantity);
+
+        if (order.side === 'BUY' && order.marketType !== 'futures') {
+            let baseAsset = null;
+            try {
+                baseAsset = TradingService.splitSymbol(order.symbol).baseAsset;
+            } catch (error) {
+                // Unknown quote asset: no fee adjustment
+            }
+
+            const fills = (exchangeOrder && exchangeOrder.fills) ||
+                [{ commission: order.commission, commissionAsset: order.commissionAsset }];
+            for (const fill of fills) {
+                if (baseAsset && fill.commissionAsset === baseAsset) {
+                    quantity -= parseFloat(fill.commission) || 0;
+                }
+            }
+        }
+
+        return quantity;
+    }
+
+    indexOrder(order) {
+        for (const leg of LEGS) {
+            const details = order.protection && order.protection[leg];
+            if (details && details.orderId !== undefined) {
+                this.legIndex.set(details.orderId, order.id);
+            }
+        }
+    }
+
+    // A protection leg changed on the exchange
+    async handleLegUpdate(parentId, legOrderId, { status, executedQty, price, commission, commissionAsset }) {
+        const order = await Order.getById(parentId);
+        if (!order || !order.protection || order.protection.status !== 'active') {
+            return;
+        }
+
+        const legKey = LEGS.find(leg => order.protection[leg] && String(order.protection[leg].orderId) === String(legOrderId));
+        if (!legKey || order.protection[legKey].status === status) {
+            return;
+        }
+
+        const protection = {
+            ...order.protection,
+            [legKey]: { ...order.protection[legKey], status }
+        };
+
+        if (status === 'FILLED') {
+            await this.completeProtection(order, protection, legKey, { executedQty, price, commission, commissionAsset });
+            return;
+        }
+
+        // Both legs gone without a fill (cancelled on the exchange): nothing protects the position any more
+        if (LEGS.every(leg => !protection[leg] || CLOSED_LEG_STATUSES.includes(protection[leg].status))) {
+            protection.status = 'cancelled';
+            protection.closedAt = new Date().toISOString();
+            console.warn(`⚠️ Protection for order ${order.id} was cancelled on the exchange`);
+            this.unindexOrder(order);
+        }
+
+        await Order.update(order.id, { protection });
+    }
+
+    async completeProtection(order, protection, legKey, { executedQty, price, commission, commissionAsset }) {
+        const leg = protection[legKey];
+        const exitPrice = parseFloat(price) || parseFloat(leg.price) || parseFloat(leg.stopPrice);
+        const realizedPnl = TradingService.calculateRealizedPnl(order, exitPrice, executedQty);
+        const fee = await this.getLegCommission(order, leg, { commission, commissionAsset });
+        const now = new Date().toISOString();
+
+        protection.status = 'completed';
+        protection.closedAt = now;
+
+        const updatedOrder = await Order.update(order.id, {
+            protection,
+            exit: {
+                type: legKey,
+                binanceOrderId: leg.orderId,
+                status: 'FILLED',
+                triggerPrice: parseFloat(leg.stopPrice || leg.price),
+                price: exitPrice,
+                quantity: executedQty,
+                realizedPnl,
+                commission: fee.commission,
+                commissionAsset: fee.commissionAsset,
+                at: now
+            }
+        });
+
+        // OCO legs cancel each other on the exchange; futures brackets do not
+        if (protection.mode === 'bracket') {
+            const sibling = LEGS.find(key => key !== legKey && protection[key]);
+            if (sibling) {
+                await ExchangeService.cancelOrder(order.symbol, protection[sibling].orderId).catch(error => {
+                    console.warn(`⚠️ Could not cancel remaining ${sibling} leg for ${order.id}:`, error.message);
+                });
+            }
+        }
+
+        this.unindexOrder(order);
+        await RiskGuardService.recordResult(updatedOrder, realizedPnl);
+
+        console.log(`✅ ${legKey} protection filled for order ${order.id} at ${exitPrice}`);
+        this.emit('protectionFilled', { order: updatedOrder, leg: legKey });
+    }
+
+    // Commission of a filled leg from the own trade history; a single execution report
+    // only carries its last trade's fee, so it is the fallback when the history is unavailable
+    async getLegCommission(order, leg, reported) {
+        try {
+            const trades = await ExchangeService.getTrades(order.symbol, {
+                startTime: new Date(order.protection.placedAt).getTime() || undefined
+            });
+            const fee = TradingService.getCommission(trades.filter(trade => String(trade.orderId) === String(leg.orderId)));
+            if (fee.commissionAsset) {
+                return fee;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not load trades for ${order.id}, using the reported commission:`, error.message);
+        }
+
+        return TradingService.getCommission(reported.commissionAsset ? [reported] : []);
+    }
+
+    // Cancel the still-open legs of an active protection; returns the updated order.
+    // A leg that filled before it could be cancelled completes the protection instead,
+    // so the returned order then carries the exit.
+    async cancelProtection(order, reason) {
+        if (!order.protection || order.protection.status !== 'active') {
+            return order;
+        }
+
+        const protection = { ...order.protection };
+        const results = {};
+        for (const leg of LEGS) {
+            const details = protection[leg];
+            if (!details || CLOSED_LEG_STATUSES.includes(details.status)) continue;
+
+            results[leg] = await this.cancelLeg(order.symbol, details);
+            protection[leg] = {
+                ...details,
+                status: results[leg].status || 'CANCELED',
+                ...(parseFloat(results[leg].executedQty) > 0 ? { executedQty: results[leg].executedQty } : {})
+            };
+        }
+
+        const filledLeg = LEGS.find(leg => results[leg] && results[leg].status === 'FILLED');
+        if (filledLeg) {
+            await this.completeProtection(order, protection, filledLeg, {
+                executedQty: results[filledLeg].executedQty,
+                price: TradingService.getAverageFillPrice(results[filledLeg])
+            });
+            return await Order.getById(order.id);
+        }
+
+        protection.status = 'cancelled';
+        protection.closedAt = new Date().toISOString();
+        protection.cancelReason = reason;
+        this.unindexOrder(order);
+
+        console.log(`🚫 Protection for order ${order.id} cancelled`);
+        return await Order.update(order.id, { protection });
+    }
+
+    // Cancelling one OCO leg removes the whole list, so unknown-order errors are expected;
+    // the exchange still knows how such a leg ended
+    async cancelLeg(symbol, leg) {
+        try {
+            return await ExchangeService.cancelOrder(symbol, leg.orderId);
+        } catch (error) {
+            if (!/unknown order|-2011/i.test(error.message)) {
+                throw error;
+            }
+        }
+
+        try {
+            return await ExchangeService.getOrderStatus(symbol, leg.orderId);
+        } catch (error) {
+            return { status: 'CANCELED' };
+        }
+    }
+
+    // What the legs of a cancelled protection executed before they came off the book
+    getExecutedQuantity(order) {
+        return LEGS.reduce((sum, leg) => {
+            const details = order.protection && order.protection[leg];
+            return sum + (details ? parseFloat(details.executedQty) || 0 : 0);
+        }, 0);
+    }
+
+    unindexOrder(order) {
+        for (const leg of LEGS) {
+            if (order.protection[leg]) {
+                this.legIndex.delete(order.protection[leg].orderId);
+            }
+        }
+    }
+
+    // Poll active protections so fills are noticed even without a user data stream
+    start(pollMs = PROTECTION_POLL_MS) {
+        if (this.pollTimer) {
+            return;
+        }
+
+        this.pollTimer = setInterval(() => {
+            this.checkActiveProtections().catch(error => {
+                console.error('❌ Error checking protection orders:', error.message);
+            });
+        }, pollMs);
+        this.pollTimer.unref?.();
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async getActiveProtections() {
+        const orders = await Order.getAll();
+        return orders.filter(order =>
+            order.protection && order.protection.status === 'active' &&
+            Boolean(order.paper) === ExchangeService.isPaperMode()
+        );
+    }
+
+    async checkActiveProtections() {
+        if (!ExchangeService.isConnected) {
+            return;
+        }
+
+        for (const order of await this.getActiveProtections()) {
+            this.indexOrder(order);
+
+            for (const leg of LEGS) {
+                const details = order.protection[leg];
+                if (!details || CLOSED_LEG_STATUSES.includes(details.status)) continue;
+
+                try {
+                    const exchangeOrder = await ExchangeService.getOrderStatus(order.symbol, details.orderId);
+                    await this.handleLegUpdate(order.id, details.orderId, {
+                        status: exchangeOrder.status,
+                        executedQty: exchangeOrder.executedQty,
+                        price: TradingService.getAverageFillPrice(exchangeOrder, null)
+                    });
+                } catch (error) {
+                    console.error(`❌ Error checking ${leg} protection for ${order.id}:`, error.message);
+                }
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            polling: Boolean(this.pollTimer),
+            trackedLegs: this.legIndex.size
+        };
+    }
+}
+
+module.exports = new ProtectionService();
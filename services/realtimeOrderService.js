@@ -1,8 +1,12 @@
 // services/realtimeOrderService.js
 const EventEmitter = require('events');
-const BinanceService = require('./binanceService');
+const ExchangeService = require('../exchanges');
 const Order = require('../models/Order');
 const Config = require('../models/Config');
+const TradingService = require('./tradingService');
+const RiskGuardService = require('./riskGuardService');
+const ProtectionService = require('./protectionService');
+const { ORDER_STATUS, REQUEST_PRIORITY, RESTING_EXIT_STATUSES } = require('../config/constants');
 
 class RealtimeOrderService extends EventEmitter {
     constructor() {
@@ -12,6 +16,8 @@ class RealtimeOrderService extends EventEmitter {
         this.priceTargets = new Map();
         this.stopLossTargets = new Map();
         this.monitoredSymbols = new Set();
+        this.stalePrices = new Map(); // symbol -> { lastTickAt, ageMs, since }
+        this.scheduledTimers = new Map(); // order id -> timer of a scheduled entry
         this.orderQueue = [];
         this.processingQueue = false;
     }
@@ -21,11 +27,14 @@ class RealtimeOrderService extends EventEmitter {
         try {
             console.log('🚀 Initializing Real-time Order Service...');
             
-            // Setup event listeners for Binance service
-            this.setupBinanceEventListeners();
+            // Setup event listeners for exchange events
+            this.setupExchangeEventListeners();
             
             // Load pending orders from database
             await this.loadPendingOrders();
+
+            // Follow exchange-side stop loss / take profit orders
+            ProtectionService.start();
             
             // Start monitoring
             this.isActive = true;
@@ -39,32 +48,49 @@ class RealtimeOrderService extends EventEmitter {
         }
     }
 
-    // Setup event listeners for Binance WebSocket events
-    setupBinanceEventListeners() {
+    // Setup event listeners for exchange stream events
+    setupExchangeEventListeners() {
         // Listen for price updates
-        BinanceService.on('priceUpdate', (priceData) => {
+        ExchangeService.on('priceUpdate', (priceData) => {
             this.handlePriceUpdate(priceData);
         });
 
         // Listen for order updates
-        BinanceService.on('orderUpdate', (executionReport) => {
+        ExchangeService.on('orderUpdate', (executionReport) => {
             this.handleOrderUpdate(executionReport);
         });
 
         // Listen for connection events
-        BinanceService.on('connected', () => {
-            console.log('📡 Binance connected - resuming order monitoring');
+        ExchangeService.on('connected', () => {
+            console.log('📡 Exchange connected - resuming order monitoring');
             this.resumeMonitoring();
         });
 
-        BinanceService.on('reconnected', () => {
-            console.log('📡 Binance reconnected - resuming order monitoring');
+        ExchangeService.on('reconnected', () => {
+            console.log('📡 Exchange reconnected - resuming order monitoring');
             this.resumeMonitoring();
         });
 
+        // Targets on a symbol without fresh prices cannot fire on time
+        ExchangeService.on('priceStale', (info) => {
+            this.handlePriceStale(info);
+        });
+
+        ExchangeService.on('priceRecovered', ({ symbol }) => {
+            if (this.stalePrices.delete(symbol)) {
+                this.emit('priceRecovered', { symbol });
+            }
+        });
+
+        // An exchange-side leg closed the position, so its trailing stop has nothing left to close
+        ProtectionService.on('protectionFilled', ({ order }) => {
+            this.pendingOrders.delete(order.id);
+            this.cleanupOrderTargets(order.id);
+        });
+
         // Listen for stream errors
-        BinanceService.on('streamError', (error) => {
-            console.error('❌ Binance stream error:', error.message);
+        ExchangeService.on('streamError', (error) => {
+            console.error('❌ Exchange stream error:', error.message);
             this.handleStreamError(error);
         });
     }
@@ -73,10 +99,10 @@ class RealtimeOrderService extends EventEmitter {
     async loadPendingOrders() {
         try {
             const orders = await Order.getAll();
-            const pendingOrders = orders.filter(order => 
-                order.status === 'pending' || 
-                order.status === 'partial' ||
-                order.status === 'waiting_trigger'
+            const pendingOrders = orders.filter(order =>
+                (this.needsEntryMonitoring(order) || this.needsExitMonitoring(order)) &&
+                Boolean(order.paper) === ExchangeService.isPaperMode() &&
+                (order.marketType || 'spot') === ExchangeService.marketType
             );
 
             for (const order of pendingOrders) {
@@ -89,6 +115,34 @@ class RealtimeOrderService extends EventEmitter {
         }
     }
 
+    // Entry still to be placed or filled on the exchange
+    needsEntryMonitoring(order) {
+        return [
+            ORDER_STATUS.WAITING_TRIGGER,
+            ORDER_STATUS.SUBMITTED,
+            ORDER_STATUS.PARTIAL
+        ].includes(order.status);
+    }
+
+    // Entry is (partly) filled and its stop loss / take profit has not closed it yet.
+    // A take profit resting on the book leaves the stops watched until it fills.
+    // Protection resting on the exchange is followed by ProtectionService instead;
+    // only a trailing stop, which the exchange legs do not cover, is still emulated.
+    needsExitMonitoring(order) {
+        const emulatedExits = ProtectionService.isExchangeManaged(order)
+            ? order.trailingStop
+            : order.stopLoss || order.takeProfit || order.trailingStop;
+
+        return [ORDER_STATUS.PARTIAL, ORDER_STATUS.FILLED].includes(order.status) &&
+            Boolean(emulatedExits) &&
+            (!order.exit || this.hasRestingTakeProfit(order)) &&
+            !order.exitCancelledAt;
+    }
+
+    hasRestingTakeProfit(order) {
+        return Boolean(order.exit) && order.exit.type === 'takeProfit' && RESTING_EXIT_STATUSES.includes(order.exit.status);
+    }
+
     // Add order to real-time monitoring
     addOrderToMonitoring(order) {
         try {
@@ -96,7 +150,7 @@ class RealtimeOrderService extends EventEmitter {
             this.monitoredSymbols.add(order.symbol);
 
             // Add price targets if order has conditions
-            if (order.triggerPrice) {
+            if (order.triggerPrice && order.status === ORDER_STATUS.WAITING_TRIGGER) {
                 this.priceTargets.set(`${order.symbol}_${order.id}`, {
                     orderId: order.id,
                     symbol: order.symbol,
@@ -106,8 +160,13 @@ class RealtimeOrderService extends EventEmitter {
                 });
             }
 
+            // Exit targets only make sense once the entry is on the exchange; exchange-side
+            // protection replaces the emulated stop loss / take profit, not the trailing stop
+            const hasEntry = [ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL, ORDER_STATUS.FILLED].includes(order.status);
+            const emulatesProtection = hasEntry && !ProtectionService.isExchangeManaged(order);
+
             // Add stop loss targets
-            if (order.stopLoss) {
+            if (order.stopLoss && emulatesProtection) {
                 this.stopLossTargets.set(`${order.symbol}_${order.id}_sl`, {
                     orderId: order.id,
                     symbol: order.symbol,
@@ -117,8 +176,8 @@ class RealtimeOrderService extends EventEmitter {
                 });
             }
 
-            // Add take profit targets
-            if (order.takeProfit) {
+            // Add take profit targets, unless the take profit already rests on the book
+            if (order.takeProfit && emulatesProtection && !order.exit) {
                 this.priceTargets.set(`${order.symbol}_${order.id}_tp`, {
                     orderId: order.id,
                     symbol: order.symbol,
@@ -128,6 +187,11 @@ class RealtimeOrderService extends EventEmitter {
                 });
             }
 
+            // Trailing stop: its water mark and stop level live on the order, so a restart resumes them
+            if (order.trailingStop && hasEntry) {
+                this.addTrailingStopTarget(order);
+            }
+
             // Start price monitoring for this symbol
             this.startSymbolMonitoring(order.symbol);
 
@@ -139,6 +203,104 @@ class RealtimeOrderService extends EventEmitter {
         }
     }
 
+    addTrailingStopTarget(order) {
+        let trailingStop;
+        try {
+            trailingStop = TradingService.normalizeTrailingStop(order.trailingStop);
+        } catch (error) {
+            console.error(`❌ Ignoring trailing stop of order ${order.id}:`, error.message);
+            return;
+        }
+
+        // Re-added orders keep the in-memory state, which may be ahead of the stored one
+        const key = `${order.symbol}_${order.id}_trail`;
+        const existing = this.stopLossTargets.get(key);
+        const trailing = existing ? existing.trailing : {
+            active: false,
+            waterMark: null, // highest price since activation for a long, lowest for a short
+            stopPrice: null,
+            activatedAt: null,
+            updatedAt: null,
+            moves: 0,
+            ...(order.trailing || {})
+        };
+
+        this.stopLossTargets.set(key, {
+            orderId: order.id,
+            symbol: order.symbol,
+            side: order.side,
+            targetPrice: trailing.stopPrice,
+            condition: order.side === 'BUY' ? 'below' : 'above',
+            orderType: 'trailingStop',
+            trailingStop,
+            trailing,
+            saving: existing ? existing.saving : null
+        });
+    }
+
+    // Move a trailing stop with the price. Returns false while it is not armed yet
+    // (activation price not reached), true once it has a stop level.
+    updateTrailingStop(target, price) {
+        const { trailingStop, trailing, side } = target;
+        const long = side === 'BUY';
+
+        if (!trailing.active) {
+            const activationPrice = trailingStop.activationPrice;
+            if (activationPrice !== null && (long ? price < activationPrice : price > activationPrice)) {
+                return false;
+            }
+
+            trailing.active = true;
+            trailing.activatedAt = new Date().toISOString();
+            trailing.waterMark = price;
+            console.log(`🪜 Trailing stop of order ${target.orderId} activated at ${price}`);
+        } else if (long ? price > trailing.waterMark : price < trailing.waterMark) {
+            trailing.waterMark = price;
+        } else {
+            return trailing.stopPrice !== null;
+        }
+
+        // The stop only ever moves in the position's favour
+        const stopPrice = TradingService.calculateTrailingStopPrice(trailing.waterMark, trailingStop, side);
+        const previousStopPrice = trailing.stopPrice;
+
+        if (previousStopPrice === null || (long ? stopPrice > previousStopPrice : stopPrice < previousStopPrice)) {
+            trailing.stopPrice = stopPrice;
+            trailing.updatedAt = new Date().toISOString();
+            trailing.moves++;
+            target.targetPrice = stopPrice;
+
+            this.saveTrailingState(target);
+            this.emit('trailingStopMoved', {
+                orderId: target.orderId,
+                symbol: target.symbol,
+                side,
+                stopPrice,
+                previousStopPrice,
+                waterMark: trailing.waterMark,
+                price,
+                moves: trailing.moves
+            });
+        }
+
+        return true;
+    }
+
+    // Writes are chained so an older state never overwrites a newer one
+    saveTrailingState(target) {
+        const trailing = { ...target.trailing };
+        const order = this.pendingOrders.get(target.orderId);
+        if (order) {
+            order.trailing = trailing;
+        }
+
+        target.saving = (target.saving || Promise.resolve())
+            .then(() => Order.update(target.orderId, { trailing }))
+            .catch(error => {
+                console.error(`❌ Error saving trailing stop of order ${target.orderId}:`, error.message);
+            });
+    }
+
     // Start monitoring a specific symbol
     startSymbolMonitoring(symbol) {
         if (!this.monitoredSymbols.has(symbol)) {
@@ -147,7 +309,7 @@ class RealtimeOrderService extends EventEmitter {
 
         try {
             // Start price stream for this symbol
-            BinanceService.startPriceStream(symbol);
+            ExchangeService.startPriceStream(symbol);
             console.log(`📡 Started price monitoring for ${symbol}`);
         } catch (error) {
             console.error(`❌ Error starting monitoring for ${symbol}:`, error.message);
@@ -165,6 +327,26 @@ class RealtimeOrderService extends EventEmitter {
         this.emit('priceUpdate', priceData);
     }
 
+    // Alert when a symbol with triggers or stop loss / take profit targets has stale prices
+    handlePriceStale({ symbol, lastTickAt, ageMs }) {
+        if (!this.monitoredSymbols.has(symbol)) {
+            return;
+        }
+
+        const alert = {
+            symbol,
+            lastTickAt,
+            ageMs,
+            targets: [...this.priceTargets.values(), ...this.stopLossTargets.values()]
+                .filter(target => target.symbol === symbol).length,
+            since: new Date().toISOString()
+        };
+
+        this.stalePrices.set(symbol, alert);
+        console.warn(`🚨 Stale price data for monitored symbol ${symbol} (${alert.targets} targets waiting)`);
+        this.emit('stalePrice', alert);
+    }
+
     // Check if any price targets are hit
     checkPriceTargets(symbol, currentPrice, timestamp) {
         try {
@@ -181,16 +363,24 @@ class RealtimeOrderService extends EventEmitter {
                 }
             }
 
-            // Check stop loss targets
-            for (const [targetKey, target] of this.stopLossTargets) {
+            // Check stop loss and trailing stop targets
+            for (const [, target] of this.stopLossTargets) {
                 if (target.symbol !== symbol) continue;
 
+                if (target.orderType === 'trailingStop' && !this.updateTrailingStop(target, currentPrice)) continue;
+
                 const isTriggered = this.isPriceTargetTriggered(target, currentPrice);
                 
                 if (isTriggered) {
-                    console.log(`🛑 Stop loss triggered for ${symbol}: ${currentPrice} (target: ${target.targetPrice})`);
+                    console.log(`🛑 ${target.orderType === 'trailingStop' ? 'Trailing stop' : 'Stop loss'} triggered for ${symbol}: ${currentPrice} (target: ${target.targetPrice})`);
                     this.triggerOrder(target, currentPrice, timestamp);
-                    this.stopLossTargets.delete(targetKey);
+
+                    // One stop closes the position; a second one on the same order must not fire too
+                    for (const [key, other] of this.stopLossTargets) {
+                        if (other.orderId === target.orderId) {
+                            this.stopLossTargets.delete(key);
+                        }
+                    }
                 }
             }
 
@@ -255,10 +445,8 @@ class RealtimeOrderService extends EventEmitter {
         try {
             while (this.orderQueue.length > 0) {
                 const orderData = this.orderQueue.shift();
+                // Pacing against the exchange's rate limits is up to the request scheduler
                 await this.executeTriggeredOrder(orderData);
-                
-                // Small delay between orders to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 100));
             }
         } catch (error) {
             console.error('❌ Error processing order queue:', error.message);
@@ -273,9 +461,51 @@ class RealtimeOrderService extends EventEmitter {
             console.log(`🚀 Executing triggered order ${order.id}`);
 
             let orderToPlace;
+            let exitQuantity = null;
+            let takeProfitFill = null;
+
+            if (target.orderType !== 'trigger') {
+                // Exits close what is actually held: the executed quantity less any base-asset fee.
+                // The stored order may have picked up fills and fees since it was queued for monitoring.
+                const current = (await Order.getById(order.id)) || order;
+                exitQuantity = ProtectionService.getProtectedQuantity(current);
+
+                // A stop under a take profit order: take it off the book if it still rests,
+                // then close only what it has not sold
+                if (target.orderType !== 'takeProfit' && current.exit && current.exit.type === 'takeProfit') {
+                    takeProfitFill = this.hasRestingTakeProfit(current)
+                        ? await this.cancelRestingTakeProfit(current)
+                        : this.describeTakeProfitFill(current.exit, current.exit.status);
+                    exitQuantity -= takeProfitFill.quantity;
+
+                    if (takeProfitFill.status === 'FILLED' || exitQuantity <= 1e-12) {
+                        console.log(`🎯 Take profit of order ${order.id} filled before its stop, nothing left to close`);
+                        await this.updateExit(order.id, { ...takeProfitFill, status: 'FILLED' });
+                        return;
+                    }
+                }
+
+                // Exchange-side legs hold the position: take them off before the trailing stop closes it
+                if (target.orderType === 'trailingStop' && ProtectionService.isExchangeManaged(current)) {
+                    const released = await ProtectionService.cancelProtection(current, 'Trailing stop triggered');
+
+                    if (released.exit) {
+                        console.log(`🛡️ Exchange protection of order ${order.id} closed the position before its trailing stop`);
+                        this.pendingOrders.delete(order.id);
+                        this.cleanupOrderTargets(order.id);
+                        return;
+                    }
+                    exitQuantity -= ProtectionService.getExecutedQuantity(released);
+                }
+            }
 
             switch (target.orderType) {
                 case 'trigger':
+                    // Entries stay off the exchange while the circuit breaker is tripped
+                    if (await this.cancelIfHalted(order)) {
+                        return;
+                    }
+
                     // Execute main order
                     orderToPlace = {
                         symbol: order.symbol,
@@ -283,17 +513,24 @@ class RealtimeOrderService extends EventEmitter {
                         type: order.type,
                         quantity: order.quantity,
                         price: order.price || triggerPrice,
-                        timeInForce: order.timeInForce
+                        timeInForce: order.timeInForce,
+                        maxSlippage: order.maxSlippage,
+                        slippageAction: order.slippageAction,
+                        paper: order.paper
                     };
                     break;
 
                 case 'stopLoss':
+                case 'trailingStop':
                     // Execute stop loss
                     orderToPlace = {
                         symbol: order.symbol,
                         side: order.side === 'BUY' ? 'SELL' : 'BUY', // Opposite side
                         type: 'MARKET', // Market order for immediate execution
-                        quantity: order.quantity
+                        quantity: exitQuantity,
+                        reduceOnly: order.marketType === 'futures',
+                        paper: order.paper,
+                        priority: REQUEST_PRIORITY.CRITICAL
                     };
                     break;
 
@@ -303,9 +540,12 @@ class RealtimeOrderService extends EventEmitter {
                         symbol: order.symbol,
                         side: order.side === 'BUY' ? 'SELL' : 'BUY', // Opposite side
                         type: 'LIMIT',
-                        quantity: order.quantity,
+                        quantity: exitQuantity,
                         price: triggerPrice,
-                        timeInForce: 'GTC'
+                        timeInForce: 'GTC',
+                        reduceOnly: order.marketType === 'futures',
+                        paper: order.paper,
+                        priority: REQUEST_PRIORITY.CRITICAL
                     };
                     break;
 
@@ -313,25 +553,89 @@ class RealtimeOrderService extends EventEmitter {
                     throw new Error(`Unknown order type: ${target.orderType}`);
             }
 
-            // Place order on Binance
-            const binanceOrder = await BinanceService.placeOrder(orderToPlace);
+            // Place order on the exchange
+            const binanceOrder = await ExchangeService.placeOrder(orderToPlace);
+
+            const executedPrice = TradingService.getAverageFillPrice(binanceOrder, triggerPrice);
+            let updatedOrder;
+
+            if (target.orderType === 'trigger') {
+                // Entry placed: follow the order through its lifecycle
+                updatedOrder = await Order.update(order.id, {
+                    status: ORDER_STATUS.SUBMITTED,
+                    binanceOrderId: binanceOrder.orderId,
+                    executedPrice,
+                    executedQuantity: binanceOrder.executedQty,
+                    ...TradingService.getCommission(binanceOrder.fills),
+                    submittedAt: new Date(timestamp).toISOString(),
+                    triggerPrice: triggerPrice,
+                    ...(binanceOrder.slippageCheck ? { slippageCheck: binanceOrder.slippageCheck } : {})
+                });
 
-            // Update order in database
-            const updatedOrder = {
-                ...order,
-                status: 'executed',
-                binanceOrderId: binanceOrder.orderId,
-                executedPrice: binanceOrder.price || triggerPrice,
-                executedQuantity: binanceOrder.executedQty,
-                executedAt: new Date(timestamp).toISOString(),
-                triggerPrice: triggerPrice,
-                orderType: target.orderType
-            };
+                const exchangeStatus = Order.fromExchangeStatus(binanceOrder.status);
+                if (exchangeStatus && exchangeStatus !== ORDER_STATUS.SUBMITTED) {
+                    updatedOrder = await Order.update(order.id, {
+                        status: exchangeStatus,
+                        executedAt: new Date(timestamp).toISOString()
+                    });
+                }
 
-            await Order.update(order.id, updatedOrder);
+                await RiskGuardService.recordEntry(updatedOrder);
+                updatedOrder = await ProtectionService.protect(updatedOrder, binanceOrder);
+            } else {
+                // Exit placed: the entry stays filled, the exit is recorded alongside it
+                let quantity = parseFloat(binanceOrder.executedQty) || 0;
+                let price = executedPrice;
+                let { commission, commissionAsset } = TradingService.getCommission(binanceOrder.fills);
+
+                // What a cancelled take profit sold before the stop fired is part of the same exit
+                if (takeProfitFill && takeProfitFill.quantity > 0) {
+                    price = (price * quantity + takeProfitFill.price * takeProfitFill.quantity) / (quantity + takeProfitFill.quantity);
+                    quantity += takeProfitFill.quantity;
+                    if (takeProfitFill.commission && (!commissionAsset || commissionAsset === takeProfitFill.commissionAsset)) {
+                        commission = (commission || 0) + takeProfitFill.commission;
+                        commissionAsset = takeProfitFill.commissionAsset;
+                    }
+                }
 
-            // Remove from pending orders
-            this.pendingOrders.delete(order.id);
+                // Only what the exit actually executed is realized; a resting take profit realizes nothing yet
+                const realizedPnl = TradingService.calculateRealizedPnl(order, price, quantity);
+
+                updatedOrder = await Order.update(order.id, {
+                    exit: {
+                        type: target.orderType,
+                        binanceOrderId: binanceOrder.orderId,
+                        status: binanceOrder.status,
+                        triggerPrice,
+                        price,
+                        quantity: quantity.toFixed(8),
+                        realizedPnl,
+                        commission,
+                        commissionAsset,
+                        at: new Date(timestamp).toISOString(),
+                        ...(takeProfitFill ? { cancelledTakeProfit: takeProfitFill } : {})
+                    }
+                });
+
+                // A resting take profit counts once it fills (see updateExit)
+                if (!this.hasRestingTakeProfit(updatedOrder)) {
+                    await RiskGuardService.recordResult(updatedOrder, realizedPnl);
+                }
+            }
+
+            if (target.orderType === 'takeProfit' && this.hasRestingTakeProfit(updatedOrder)) {
+                // The take profit rests on the book; its stop loss / trailing stop stays watched
+                this.pendingOrders.set(order.id, updatedOrder);
+                this.priceTargets.delete(`${order.symbol}_${order.id}_tp`);
+            } else {
+                this.pendingOrders.delete(order.id);
+                this.cleanupOrderTargets(order.id);
+            }
+
+            // A triggered entry now needs its stop loss / take profit watched
+            if (target.orderType === 'trigger' && this.needsExitMonitoring(updatedOrder)) {
+                this.addOrderToMonitoring(updatedOrder);
+            }
 
             console.log(`✅ Order ${order.id} executed successfully`);
             this.emit('orderExecuted', {
@@ -344,14 +648,24 @@ class RealtimeOrderService extends EventEmitter {
         } catch (error) {
             console.error(`❌ Error executing order ${order.id}:`, error.message);
             
-            // Update order status to error
+            // Failed entries move to error; failed exits are recorded on the filled entry
             try {
-                await Order.update(order.id, {
-                    ...order,
-                    status: 'error',
-                    errorMessage: error.message,
-                    errorAt: new Date().toISOString()
-                });
+                if (target.orderType === 'trigger') {
+                    await Order.update(order.id, {
+                        status: ORDER_STATUS.ERROR,
+                        errorMessage: error.message,
+                        errorAt: new Date().toISOString(),
+                        ...(error.slippageCheck ? { slippageCheck: error.slippageCheck } : {})
+                    });
+                } else {
+                    await Order.update(order.id, {
+                        exitError: {
+                            type: target.orderType,
+                            message: error.message,
+                            at: new Date().toISOString()
+                        }
+                    });
+                }
             } catch (updateError) {
                 console.error('❌ Error updating order status:', updateError.message);
             }
@@ -365,6 +679,98 @@ class RealtimeOrderService extends EventEmitter {
         }
     }
 
+    // Take a resting take profit off the book; returns what it executed
+    async cancelRestingTakeProfit(order) {
+        let exchangeOrder;
+        try {
+            exchangeOrder = await ExchangeService.cancelOrder(order.symbol, order.exit.binanceOrderId);
+        } catch (error) {
+            if (!/unknown order|-2011/i.test(error.message)) {
+                throw error;
+            }
+            // Already gone from the book: the exchange knows how it ended
+            exchangeOrder = await ExchangeService.getOrderStatus(order.symbol, order.exit.binanceOrderId);
+        }
+
+        console.log(`🚫 Take profit of order ${order.id} taken off the book (${exchangeOrder.status})`);
+        return this.describeTakeProfitFill({
+            ...order.exit,
+            quantity: exchangeOrder.executedQty,
+            price: TradingService.getAverageFillPrice(exchangeOrder, order.exit.price)
+        }, exchangeOrder.status);
+    }
+
+    describeTakeProfitFill(exit, status) {
+        return {
+            binanceOrderId: exit.binanceOrderId,
+            status,
+            quantity: parseFloat(exit.quantity) || 0,
+            price: parseFloat(exit.price) || null,
+            commission: parseFloat(exit.commission) || 0,
+            commissionAsset: exit.commissionAsset || null
+        };
+    }
+
+    // Progress of a resting take profit order. Its result counts once, when it fills;
+    // reports for an exit that is already closed are ignored.
+    async updateExit(orderId, { status, quantity, price, commission, commissionAsset, lastTradeId }) {
+        const order = await Order.getById(orderId);
+        if (!order || !this.hasRestingTakeProfit(order)) {
+            return order;
+        }
+
+        const exit = { ...order.exit, status };
+        if (quantity > 0) {
+            exit.quantity = quantity.toFixed(8);
+            exit.price = price || exit.price;
+            exit.realizedPnl = TradingService.calculateRealizedPnl(order, exit.price, quantity);
+        }
+        if (commission !== undefined) {
+            exit.commission = commission;
+            exit.commissionAsset = commissionAsset;
+        }
+        if (lastTradeId !== undefined) {
+            exit.lastTradeId = lastTradeId;
+        }
+        if (status === 'FILLED') {
+            exit.at = new Date().toISOString();
+        }
+
+        const updatedOrder = await Order.update(orderId, { exit });
+
+        if (status === 'FILLED') {
+            // The take profit closed the position: its stops have nothing left to protect
+            await RiskGuardService.recordResult(updatedOrder, exit.realizedPnl);
+            this.pendingOrders.delete(orderId);
+            this.cleanupOrderTargets(orderId);
+            console.log(`🎯 Take profit of order ${orderId} filled at ${exit.price}`);
+        } else if (this.pendingOrders.has(orderId)) {
+            this.pendingOrders.set(orderId, updatedOrder);
+        }
+
+        return updatedOrder;
+    }
+
+    // Cancel an entry that came due while trading is halted. Returns true when it was cancelled.
+    async cancelIfHalted(order) {
+        const riskStatus = await RiskGuardService.checkTrading();
+        if (!riskStatus.halted) {
+            return false;
+        }
+
+        console.log(`🛑 Trading halted, cancelling triggered order ${order.id}: ${riskStatus.reason}`);
+        const updatedOrder = await Order.update(order.id, {
+            status: ORDER_STATUS.CANCELLED,
+            cancelledAt: new Date().toISOString(),
+            cancelReason: `Trading halted: ${riskStatus.reason}`
+        });
+
+        this.pendingOrders.delete(order.id);
+        this.cleanupOrderTargets(order.id);
+        this.emit('orderHalted', { order: updatedOrder, reason: riskStatus.reason });
+        return true;
+    }
+
     // Handle Binance order updates
     handleOrderUpdate(executionReport) {
         try {
@@ -372,15 +778,17 @@ class RealtimeOrderService extends EventEmitter {
             const status = executionReport.X;
             const symbol = executionReport.s;
 
-            console.log(`📋 Binance order update: ${binanceOrderId} - ${status}`);
+            console.log(`📋 Exchange order update: ${binanceOrderId} - ${status}`);
 
-            // Find corresponding order in our system
-            for (const [orderId, order] of this.pendingOrders) {
-                if (order.binanceOrderId === binanceOrderId) {
+            // Find corresponding order in our system: monitored orders first,
+            // then stored ones (e.g. resting entries without stop loss / take profit)
+            this.findOrderByBinanceId(binanceOrderId, symbol).then(order => {
+                if (order) {
                     this.updateOrderFromBinance(order, executionReport);
-                    break;
                 }
-            }
+            }).catch(error => {
+                console.error('❌ Error looking up order for update:', error.message);
+            });
 
             this.emit('binanceOrderUpdate', executionReport);
 
@@ -389,28 +797,89 @@ class RealtimeOrderService extends EventEmitter {
         }
     }
 
+    // The entry itself or its exit order (a take profit LIMIT or a stop's market order)
+    isOrderOf(order, binanceOrderId) {
+        return String(order.binanceOrderId) === String(binanceOrderId) ||
+            Boolean(order.exit && String(order.exit.binanceOrderId) === String(binanceOrderId));
+    }
+
+    async findOrderByBinanceId(binanceOrderId, symbol) {
+        for (const order of this.pendingOrders.values()) {
+            if (this.isOrderOf(order, binanceOrderId)) {
+                return order;
+            }
+        }
+
+        const orders = await Order.getAll();
+        return orders.find(order =>
+            this.isOrderOf(order, binanceOrderId) &&
+            order.symbol === symbol &&
+            Boolean(order.paper) === ExchangeService.isPaperMode()
+        ) || null;
+    }
+
     // Update order from Binance execution report
     async updateOrderFromBinance(order, executionReport) {
         try {
+            order = (await Order.getById(order.id)) || order;
+
+            if (order.exit && String(order.exit.binanceOrderId) === String(executionReport.i)) {
+                await this.updateExitFromBinance(order, executionReport);
+                return;
+            }
+
+            const status = this.mapBinanceStatusToOrderStatus(executionReport.X);
+            const executedQuantity = parseFloat(executionReport.z);
             const updatedOrder = {
-                ...order,
-                status: this.mapBinanceStatusToOrderStatus(executionReport.X),
+                // Reports can arrive late or twice; never move the lifecycle backwards
+                ...(status && status !== order.status && Order.canTransition(order.status, status) ? { status } : {}),
                 executedQuantity: executionReport.z,
-                remainingQuantity: parseFloat(order.quantity) - parseFloat(executionReport.z),
+                remainingQuantity: parseFloat(order.quantity) - executedQuantity,
                 lastExecutedPrice: executionReport.L,
-                commission: executionReport.n,
-                commissionAsset: executionReport.N,
                 updatedAt: new Date().toISOString()
             };
 
-            await Order.update(order.id, updatedOrder);
+            // Average fill price: futures report it, spot via cumulative quote quantity
+            if (executedQuantity > 0) {
+                const averagePrice = parseFloat(executionReport.ap) || parseFloat(executionReport.Z) / executedQuantity;
+                if (averagePrice > 0) {
+                    updatedOrder.executedPrice = averagePrice;
+                }
+            }
+
+            // Each trade report carries that trade's commission only
+            const tradeId = executionReport.t;
+            if (executionReport.x === 'TRADE' && !(order.lastTradeId !== undefined && tradeId <= order.lastTradeId)) {
+                updatedOrder.commission = (parseFloat(order.commission) || 0) + (parseFloat(executionReport.n) || 0);
+                updatedOrder.commissionAsset = executionReport.N;
+                updatedOrder.lastTradeId = tradeId;
+            }
+
+            if (status && [ORDER_STATUS.FILLED, ORDER_STATUS.PARTIAL].includes(status) && !order.executedAt) {
+                updatedOrder.executedAt = new Date(executionReport.T || Date.now()).toISOString();
+            }
+
+            if (status === ORDER_STATUS.CANCELLED && updatedOrder.status) {
+                updatedOrder.cancelReason = `Exchange reported ${executionReport.X}`;
+            }
+
+            let savedOrder = await Order.update(order.id, updatedOrder);
+            this.pendingOrders.set(order.id, savedOrder);
 
-            // Remove from pending if fully executed or cancelled
-            if (executionReport.X === 'FILLED' || executionReport.X === 'CANCELED') {
+            // Entry just filled: place exchange-side protection when configured
+            savedOrder = await ProtectionService.protect(savedOrder);
+
+            // Remove from pending if fully executed or no longer on the book
+            if (['FILLED', 'CANCELED', 'EXPIRED', 'EXPIRED_IN_MATCH', 'REJECTED'].includes(executionReport.X)) {
                 this.pendingOrders.delete(order.id);
                 this.cleanupOrderTargets(order.id);
             }
 
+            // A filled entry still needs its stop loss / take profit watched
+            if (this.needsExitMonitoring(savedOrder)) {
+                this.addOrderToMonitoring(savedOrder);
+            }
+
             console.log(`📋 Order ${order.id} updated from Binance`);
 
         } catch (error) {
@@ -418,19 +887,30 @@ class RealtimeOrderService extends EventEmitter {
         }
     }
 
-    // Map Binance order status to our order status
-    mapBinanceStatusToOrderStatus(binanceStatus) {
-        const statusMap = {
-            'NEW': 'pending',
-            'PARTIALLY_FILLED': 'partial',
-            'FILLED': 'filled',
-            'CANCELED': 'cancelled',
-            'PENDING_CANCEL': 'cancelling',
-            'REJECTED': 'rejected',
-            'EXPIRED': 'expired'
+    // Execution report of an order's exit: fills, average price and commission go to order.exit
+    async updateExitFromBinance(order, executionReport) {
+        const quantity = parseFloat(executionReport.z) || 0;
+        const fill = {
+            status: executionReport.X,
+            quantity,
+            price: quantity > 0 ? (parseFloat(executionReport.ap) || parseFloat(executionReport.Z) / quantity) : null
         };
 
-        return statusMap[binanceStatus] || 'unknown';
+        // Each trade report carries that trade's commission only
+        const tradeId = executionReport.t;
+        if (executionReport.x === 'TRADE' && !(order.exit.lastTradeId !== undefined && tradeId <= order.exit.lastTradeId)) {
+            fill.commission = (parseFloat(order.exit.commission) || 0) + (parseFloat(executionReport.n) || 0);
+            fill.commissionAsset = executionReport.N;
+            fill.lastTradeId = tradeId;
+        }
+
+        await this.updateExit(order.id, fill);
+        console.log(`📋 Exit of order ${order.id} updated from Binance (${executionReport.X})`);
+    }
+
+    // Map Binance order status to our order status
+    mapBinanceStatusToOrderStatus(binanceStatus) {
+        return Order.fromExchangeStatus(binanceStatus);
     }
 
     // Cleanup order targets when order is complete
@@ -455,7 +935,7 @@ class RealtimeOrderService extends EventEmitter {
         try {
             // Restart price streams for all monitored symbols
             for (const symbol of this.monitoredSymbols) {
-                BinanceService.startPriceStream(symbol);
+                ExchangeService.startPriceStream(symbol);
             }
 
             console.log('✅ Order monitoring resumed');
@@ -476,9 +956,33 @@ class RealtimeOrderService extends EventEmitter {
         }, 5000);
     }
 
+    // Run a scheduled entry once its time comes; a cancel or manual trigger clears the timer
+    scheduleExecution(orderId, delay, execute) {
+        this.clearScheduledExecution(orderId);
+        this.scheduledTimers.set(orderId, setTimeout(() => {
+            this.scheduledTimers.delete(orderId);
+            execute();
+        }, delay));
+    }
+
+    clearScheduledExecution(orderId) {
+        const timer = this.scheduledTimers.get(orderId);
+        if (!timer) {
+            return false;
+        }
+
+        clearTimeout(timer);
+        this.scheduledTimers.delete(orderId);
+        console.log(`⏰ Cleared schedule of order ${orderId}`);
+        return true;
+    }
+
     // Cancel order monitoring
     async cancelOrderMonitoring(orderId) {
         try {
+            // Scheduled entries are not price-monitored, only timed
+            this.clearScheduledExecution(orderId);
+
             const order = this.pendingOrders.get(orderId);
             if (!order) {
                 console.log(`📋 Order ${orderId} not found in monitoring`);
@@ -505,8 +1009,10 @@ class RealtimeOrderService extends EventEmitter {
             isActive: this.isActive,
             pendingOrdersCount: this.pendingOrders.size,
             monitoredSymbols: Array.from(this.monitoredSymbols),
+            stalePrices: Array.from(this.stalePrices.values()),
             priceTargetsCount: this.priceTargets.size,
             stopLossTargetsCount: this.stopLossTargets.size,
+            scheduledOrdersCount: this.scheduledTimers.size,
             queueLength: this.orderQueue.length,
             processingQueue: this.processingQueue
         };
@@ -518,12 +1024,17 @@ class RealtimeOrderService extends EventEmitter {
             console.log('🛑 Stopping Real-time Order Service...');
             
             this.isActive = false;
+            for (const orderId of [...this.scheduledTimers.keys()]) {
+                this.clearScheduledExecution(orderId);
+            }
             this.pendingOrders.clear();
             this.priceTargets.clear();
             this.stopLossTargets.clear();
             this.monitoredSymbols.clear();
+            this.stalePrices.clear();
             this.orderQueue = [];
             this.processingQueue = false;
+            ProtectionService.stop();
 
             console.log('✅ Real-time Order Service stopped');
             this.emit('stopped');
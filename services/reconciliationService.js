@@ -0,0 +1,426 @@
+// services/reconciliationService.js
+const EventEmitter = require('events');
+const storage = require('../storage');
+const ExchangeService = require('../exchanges');
+const RealtimeOrderService = require('./realtimeOrderService');
+const ProtectionService = require('./protectionService');
+const TradingService = require('./tradingService');
+const Order = require('../models/Order');
+const {
+    ORDER_STATUS,
+    RECONCILIATION_INTERVAL_MS,
+    RECONCILIATION_TRADE_LOOKBACK_MS
+} = require('../config/constants');
+
+const STATE_KEY = 'reconciliation';
+const WORKING_STATUSES = [ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL];
+const EXECUTED_STATUSES = [ORDER_STATUS.PARTIAL, ORDER_STATUS.FILLED, ORDER_STATUS.CANCELLED];
+
+function isUnknownOrderError(error) {
+    return /unknown order|does not exist|-2013|-2011/i.test(error.message);
+}
+
+// Exchange order ids this order accounts for: the entry, a placed exit and protection legs
+function exchangeIdsOf(order) {
+    const ids = [order.binanceOrderId, order.exit && order.exit.binanceOrderId];
+    if (order.protection) {
+        ids.push(order.protection.takeProfit && order.protection.takeProfit.orderId);
+        ids.push(order.protection.stopLoss && order.protection.stopLoss.orderId);
+    }
+    return ids.filter(id => id !== undefined && id !== null).map(String);
+}
+
+// Compares local orders with the exchange (order status, open orders and
+// recent trades), fixes what the exchange contradicts, imports orders that
+// only exist on the exchange and keeps the last report.
+class ReconciliationService extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.running = null;
+        this.lastReport = null;
+    }
+
+    start(intervalMs = RECONCILIATION_INTERVAL_MS) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.reconcile('scheduled').catch(error => {
+                console.error('❌ Scheduled reconciliation failed:', error.message);
+            });
+        }, intervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // One pass at a time; concurrent callers share the running one
+    async reconcile(trigger = 'manual') {
+        if (!this.running) {
+            this.running = this.runReconciliation(trigger).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runReconciliation(trigger) {
+        if (!ExchangeService.isConnected) {
+            throw new Error('Exchange connection not established');
+        }
+
+        const paper = ExchangeService.isPaperMode();
+        const report = {
+            trigger,
+            exchange: ExchangeService.name,
+            paper,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            checked: 0,
+            fixed: [],
+            imported: [],
+            discrepancies: [],
+            errors: []
+        };
+
+        // The simulator lives in-process and is saved with the orders: there is nothing to compare
+        if (paper) {
+            report.skipped = 'Paper mode: orders are simulated in-process';
+            report.finishedAt = new Date().toISOString();
+            this.lastReport = report;
+            await storage.setState(STATE_KEY, report);
+            console.log('🧪 Paper mode, reconciliation skipped');
+            return report;
+        }
+
+        console.log(`🔁 Reconciling orders with ${report.exchange} (${trigger})...`);
+
+        const orders = (await Order.getAll()).filter(order =>
+            Boolean(order.paper) === paper &&
+            (order.marketType || 'spot') === ExchangeService.marketType
+        );
+
+        await this.checkWorkingOrders(orders, report);
+        await this.checkRestingExits(orders, report);
+        await this.importOrphanedOrders(orders, report);
+        await this.checkTrades(report);
+
+        report.finishedAt = new Date().toISOString();
+        this.lastReport = report;
+        await storage.setState(STATE_KEY, report);
+
+        const summary = `${report.checked} checked, ${report.fixed.length} fixed, ${report.imported.length} imported, ` +
+            `${report.discrepancies.length} discrepancies`;
+        console.log(`✅ Reconciliation finished: ${summary}`);
+
+        this.emit('reconciled', report);
+        if (report.discrepancies.length > 0) {
+            this.emit('discrepancies', report.discrepancies);
+        }
+
+        return report;
+    }
+
+    // Entries the exchange still had working when we last heard of them
+    async checkWorkingOrders(orders, report) {
+        for (const order of orders) {
+            if (!WORKING_STATUSES.includes(order.status) || !order.binanceOrderId) continue;
+
+            report.checked++;
+
+            let exchangeOrder;
+            try {
+                exchangeOrder = await ExchangeService.getOrderStatus(order.symbol, order.binanceOrderId);
+            } catch (error) {
+                if (!isUnknownOrderError(error)) {
+                    report.errors.push({ orderId: order.id, error: error.message });
+                    continue;
+                }
+
+                report.discrepancies.push({
+                    type: 'missingOnExchange',
+                    orderId: order.id,
+                    binanceOrderId: order.binanceOrderId,
+                    message: `Order ${order.binanceOrderId} is ${order.status} locally but unknown to the exchange`
+                });
+
+                // Nothing executed: it is not working anywhere, so stop tracking it
+                if (!(parseFloat(order.executedQuantity) > 0)) {
+                    await this.applyFix(order, {
+                        status: ORDER_STATUS.CANCELLED,
+                        cancelledAt: new Date().toISOString(),
+                        cancelReason: 'Not found on exchange during reconciliation'
+                    }, report);
+                }
+                continue;
+            }
+
+            const changes = {};
+            const status = Order.fromExchangeStatus(exchangeOrder.status);
+            const executedQuantity = parseFloat(exchangeOrder.executedQty) || 0;
+
+            if (status && status !== order.status) {
+                if (Order.canTransition(order.status, status)) {
+                    changes.status = status;
+                    if (status === ORDER_STATUS.CANCELLED) {
+                        changes.cancelledAt = new Date().toISOString();
+                        changes.cancelReason = `Exchange reported ${exchangeOrder.status}`;
+                    }
+                    if (status === ORDER_STATUS.FILLED && !order.executedAt) {
+                        changes.executedAt = new Date(exchangeOrder.updateTime || Date.now()).toISOString();
+                    }
+                } else {
+                    report.discrepancies.push({
+                        type: 'statusConflict',
+                        orderId: order.id,
+                        message: `Local status ${order.status} cannot move to exchange status ${exchangeOrder.status}`
+                    });
+                }
+            }
+
+            if (Math.abs(executedQuantity - (parseFloat(order.executedQuantity) || 0)) > 1e-12) {
+                changes.executedQuantity = exchangeOrder.executedQty;
+                if (executedQuantity > 0) {
+                    changes.executedPrice = TradingService.getAverageFillPrice(exchangeOrder, order.executedPrice);
+                }
+            }
+
+            if (Object.keys(changes).length > 0) {
+                const updated = await this.applyFix(order, changes, report);
+
+                // Filled while we were away: it now needs its stop loss / take profit
+                if (updated.status === ORDER_STATUS.FILLED) {
+                    RealtimeOrderService.pendingOrders.delete(updated.id);
+                    const protectedOrder = await ProtectionService.protect(updated);
+                    if (RealtimeOrderService.needsExitMonitoring(protectedOrder)) {
+                        RealtimeOrderService.addOrderToMonitoring(protectedOrder);
+                    }
+                }
+            }
+        }
+    }
+
+    // Take profits that were resting on the book when we last heard of them
+    async checkRestingExits(orders, report) {
+        for (const order of orders) {
+            if (!RealtimeOrderService.hasRestingTakeProfit(order) || !order.exit.binanceOrderId) continue;
+
+            report.checked++;
+
+            let exchangeOrder;
+            try {
+                exchangeOrder = await ExchangeService.getOrderStatus(order.symbol, order.exit.binanceOrderId);
+            } catch (error) {
+                if (isUnknownOrderError(error)) {
+                    report.discrepancies.push({
+                        type: 'missingOnExchange',
+                        orderId: order.id,
+                        binanceOrderId: order.exit.binanceOrderId,
+                        message: `Exit order ${order.exit.binanceOrderId} is ${order.exit.status} locally but unknown to the exchange`
+                    });
+                } else {
+                    report.errors.push({ orderId: order.id, binanceOrderId: order.exit.binanceOrderId, error: error.message });
+                }
+                continue;
+            }
+
+            const quantity = parseFloat(exchangeOrder.executedQty) || 0;
+            if (exchangeOrder.status === order.exit.status && Math.abs(quantity - (parseFloat(order.exit.quantity) || 0)) <= 1e-12) {
+                continue;
+            }
+
+            // Same path as a live execution report: a fill is realized and ends the stop monitoring
+            const updated = await RealtimeOrderService.updateExit(order.id, {
+                status: exchangeOrder.status,
+                quantity,
+                price: quantity > 0 ? TradingService.getAverageFillPrice(exchangeOrder, null) : null
+            });
+
+            report.fixed.push({
+                orderId: order.id,
+                symbol: order.symbol,
+                fields: {
+                    'exit.status': { from: order.exit.status, to: updated.exit.status },
+                    'exit.quantity': { from: order.exit.quantity ?? null, to: updated.exit.quantity ?? null }
+                }
+            });
+            console.log(`🔧 Reconciled exit of order ${order.id}: ${order.exit.status} -> ${updated.exit.status}`);
+
+            if (['CANCELED', 'EXPIRED', 'REJECTED'].includes(exchangeOrder.status)) {
+                report.discrepancies.push({
+                    type: 'exitClosedOnExchange',
+                    orderId: order.id,
+                    binanceOrderId: order.exit.binanceOrderId,
+                    message: `Take profit ${order.exit.binanceOrderId} of order ${order.id} was ${exchangeOrder.status} on the exchange`
+                });
+            }
+        }
+    }
+
+    async applyFix(order, changes, report) {
+        const updated = await Order.update(order.id, changes);
+
+        const fields = {};
+        for (const [field, value] of Object.entries(changes)) {
+            fields[field] = { from: order[field] ?? null, to: value };
+        }
+        report.fixed.push({ orderId: order.id, symbol: order.symbol, fields });
+
+        console.log(`🔧 Reconciled order ${order.id}:`, Object.keys(changes).join(', '));
+        return updated;
+    }
+
+    // Open exchange orders nobody here knows about (placed manually, or lost locally)
+    async importOrphanedOrders(orders, report) {
+        let openOrders;
+        try {
+            openOrders = await ExchangeService.getOpenOrders();
+        } catch (error) {
+            report.errors.push({ step: 'openOrders', error: error.message });
+            return;
+        }
+
+        const known = new Set(orders.flatMap(exchangeIdsOf));
+
+        for (const exchangeOrder of openOrders) {
+            if (known.has(String(exchangeOrder.orderId))) continue;
+
+            // Futures closePosition stops / take profits carry no quantity: they are not entries
+            if (exchangeOrder.closePosition === true || !(parseFloat(exchangeOrder.origQty) > 0)) {
+                report.discrepancies.push({
+                    type: 'unmanagedExchangeOrder',
+                    binanceOrderId: exchangeOrder.orderId,
+                    symbol: exchangeOrder.symbol,
+                    message: `Open ${exchangeOrder.symbol} ${exchangeOrder.type} ${exchangeOrder.orderId} closes a position and was left on the exchange, not imported`
+                });
+                continue;
+            }
+
+            try {
+                await this.importOrder(exchangeOrder, report);
+            } catch (error) {
+                console.error(`❌ Could not import exchange order ${exchangeOrder.orderId}:`, error.message);
+                report.errors.push({ step: 'import', binanceOrderId: exchangeOrder.orderId, symbol: exchangeOrder.symbol, error: error.message });
+            }
+        }
+    }
+
+    // Store one orphaned exchange order locally
+    async importOrder(exchangeOrder, report) {
+        const status = Order.fromExchangeStatus(exchangeOrder.status) || ORDER_STATUS.SUBMITTED;
+        const imported = await Order.add({
+            symbol: exchangeOrder.symbol,
+            side: exchangeOrder.side,
+            type: exchangeOrder.type,
+            quantity: exchangeOrder.origQty,
+            price: parseFloat(exchangeOrder.price) || null,
+            stopPrice: parseFloat(exchangeOrder.stopPrice) || null,
+            timeInForce: exchangeOrder.timeInForce,
+            status: WORKING_STATUSES.includes(status) ? status : ORDER_STATUS.SUBMITTED,
+            binanceOrderId: exchangeOrder.orderId,
+            executedQuantity: exchangeOrder.executedQty || '0',
+            executionMode: 'imported',
+            marketType: ExchangeService.marketType,
+            paper: report.paper,
+            submittedAt: new Date(exchangeOrder.time || Date.now()).toISOString(),
+            importedAt: new Date().toISOString()
+        });
+
+        report.imported.push({ orderId: imported.id, binanceOrderId: exchangeOrder.orderId, symbol: exchangeOrder.symbol });
+        report.discrepancies.push({
+            type: 'orphanedExchangeOrder',
+            orderId: imported.id,
+            binanceOrderId: exchangeOrder.orderId,
+            message: `Open ${exchangeOrder.symbol} order ${exchangeOrder.orderId} was not known locally and has been imported`
+        });
+        console.log(`📥 Imported exchange order ${exchangeOrder.orderId} (${exchangeOrder.symbol}) as ${imported.id}`);
+    }
+
+    // Executed quantities must match the exchange's own trades
+    async checkTrades(report) {
+        const since = Date.now() - RECONCILIATION_TRADE_LOOKBACK_MS;
+        const orders = (await Order.getAll()).filter(order =>
+            Boolean(order.paper) === report.paper &&
+            (order.marketType || 'spot') === ExchangeService.marketType
+        );
+        // Only orders placed inside the lookback window have all their trades in it
+        const recent = orders.filter(order => new Date(order.createdAt || order.timestamp).getTime() >= since);
+        const symbols = [...new Set(recent.map(order => order.symbol))];
+        const known = new Set(orders.flatMap(exchangeIdsOf));
+
+        for (const symbol of symbols) {
+            let trades;
+            try {
+                trades = await ExchangeService.getTrades(symbol, { startTime: since });
+            } catch (error) {
+                report.errors.push({ step: 'trades', symbol, error: error.message });
+                continue;
+            }
+
+            const byOrder = new Map();
+            for (const trade of trades) {
+                const key = String(trade.orderId);
+                if (!byOrder.has(key)) byOrder.set(key, []);
+                byOrder.get(key).push(trade);
+
+                if (!known.has(key)) {
+                    report.discrepancies.push({
+                        type: 'unknownTrade',
+                        symbol,
+                        binanceOrderId: trade.orderId,
+                        tradeId: trade.id,
+                        message: `Trade ${trade.id} of order ${trade.orderId} does not belong to any local order`
+                    });
+                }
+            }
+
+            for (const order of recent) {
+                if (order.symbol !== symbol || !order.binanceOrderId || !EXECUTED_STATUSES.includes(order.status)) continue;
+
+                const orderTrades = byOrder.get(String(order.binanceOrderId)) || [];
+                const quantity = orderTrades.reduce((sum, trade) => sum + parseFloat(trade.qty), 0);
+                const quote = orderTrades.reduce((sum, trade) => sum + parseFloat(trade.quoteQty || trade.price * trade.qty), 0);
+                const localQuantity = parseFloat(order.executedQuantity) || 0;
+
+                if (quantity > 0 && Math.abs(quantity - localQuantity) > 1e-8) {
+                    await this.applyFix(order, {
+                        executedQuantity: quantity.toFixed(8),
+                        executedPrice: quote / quantity,
+                        commission: orderTrades.reduce((sum, trade) => sum + (parseFloat(trade.commission) || 0), 0),
+                        commissionAsset: orderTrades[orderTrades.length - 1].commissionAsset
+                    }, report);
+                }
+            }
+        }
+    }
+
+    async getStatus() {
+        const report = await this.getLastReport();
+        return {
+            scheduled: Boolean(this.timer),
+            running: Boolean(this.running),
+            lastRunAt: report ? report.finishedAt : null,
+            lastTrigger: report ? report.trigger : null,
+            skipped: report ? report.skipped || null : null,
+            fixed: report ? report.fixed.length : 0,
+            imported: report ? report.imported.length : 0,
+            discrepancies: report ? report.discrepancies.length : 0
+        };
+    }
+
+    async getLastReport() {
+        if (!this.lastReport) {
+            this.lastReport = await storage.getState(STATE_KEY, null);
+        }
+        return this.lastReport;
+    }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,184 @@
+// services/reportingService.js
+const Order = require('../models/Order');
+const TradingService = require('./tradingService');
+const Fills = require('../utils/fills');
+
+class ReportingService {
+    // Performance report for closed trades, optionally filtered by
+    // { from, to, paper, symbol, strategy }. Dates apply to the exit time.
+    static async getPerformance(filter = {}) {
+        const orders = (await Order.getAll()).filter(order =>
+            (filter.paper === undefined || Boolean(order.paper) === filter.paper) &&
+            (!filter.symbol || filter.symbol.includes(order.symbol))
+        );
+
+        // Pair over the whole history: entries before the window still close
+        // inside it, and a trade belongs to the strategy that opened it
+        const trades = this.pairTrades(orders).filter(trade => {
+            const exitTime = new Date(trade.exitAt).getTime();
+            if (filter.strategy && trade.strategy !== filter.strategy) return false;
+            if (filter.from && exitTime < filter.from.getTime()) return false;
+            if (filter.to && exitTime > filter.to.getTime()) return false;
+            return true;
+        });
+
+        return {
+            filter: {
+                from: filter.from ? filter.from.toISOString() : null,
+                to: filter.to ? filter.to.toISOString() : null,
+                paper: filter.paper ?? null,
+                symbol: filter.symbol || null,
+                strategy: filter.strategy || null
+            },
+            summary: this.summarize(trades),
+            bySymbol: this.breakdown(trades, trade => trade.symbol),
+            byTimeframe: this.breakdown(trades, trade => trade.timeframe || 'unknown'),
+            byStrategy: this.breakdown(trades, trade => trade.strategy || 'unknown'),
+            trades
+        };
+    }
+
+    // Match fills first-in first-out per symbol (and per paper/live book).
+    // Every time a fill reduces an open lot, the closed quantity becomes a trade.
+    static pairTrades(orders) {
+        const ordersById = new Map(orders.map(order => [order.id, order]));
+        const openLots = new Map();
+        const trades = [];
+
+        for (const executed of Fills.fromOrders(orders)) {
+            // Each closed slice of a fill carries its share of the fill's fee
+            const fill = { ...executed, feePerUnit: this.feeInQuote(executed) / executed.quantity };
+            const key = `${fill.symbol}:${fill.paper}`;
+            const lots = openLots.get(key) || [];
+            let remaining = fill.quantity;
+
+            while (remaining > 1e-12 && lots.length > 0 && lots[0].side !== fill.side) {
+                const lot = lots[0];
+                const quantity = Math.min(lot.quantity, remaining);
+                trades.push(this.buildTrade(lot, fill, quantity, ordersById.get(lot.orderId)));
+
+                lot.quantity -= quantity;
+                remaining -= quantity;
+                if (lot.quantity <= 1e-12) {
+                    lots.shift();
+                }
+            }
+
+            if (remaining > 1e-12) {
+                lots.push({ ...fill, quantity: remaining });
+            }
+
+            openLots.set(key, lots);
+        }
+
+        return trades;
+    }
+
+    // Commission of a fill in the quote asset. Base-asset fees are valued at the fill price;
+    // fees paid in a third asset (e.g. BNB) have no price on record and are left out.
+    static feeInQuote(fill) {
+        if (!(fill.commission > 0) || !fill.commissionAsset) {
+            return 0;
+        }
+
+        let assets;
+        try {
+            assets = TradingService.splitSymbol(fill.symbol);
+        } catch (error) {
+            return 0;
+        }
+
+        if (fill.commissionAsset === assets.quoteAsset) {
+            return fill.commission;
+        }
+        if (fill.commissionAsset === assets.baseAsset) {
+            return fill.commission * fill.price;
+        }
+        return 0;
+    }
+
+    static buildTrade(lot, fill, quantity, entryOrder = {}) {
+        const direction = lot.side === 'BUY' ? 1 : -1;
+        const grossPnl = (fill.price - lot.price) * quantity * direction;
+        const fees = (lot.feePerUnit + fill.feePerUnit) * quantity;
+        const pnl = grossPnl - fees;
+        const cost = lot.price * quantity;
+
+        return {
+            symbol: lot.symbol,
+            side: lot.side === 'BUY' ? 'LONG' : 'SHORT',
+            timeframe: entryOrder.timeframe || null,
+            strategy: entryOrder.strategy || null,
+            entryOrderId: lot.orderId,
+            exitOrderId: fill.orderId,
+            exitType: fill.kind === 'entry' ? 'signal' : fill.kind,
+            quantity,
+            entryPrice: lot.price,
+            exitPrice: fill.price,
+            entryAt: lot.at,
+            exitAt: fill.at,
+            grossPnl,
+            fees,
+            pnl,
+            pnlPercent: cost > 0 ? pnl / cost * 100 : null,
+            paper: lot.paper
+        };
+    }
+
+    static summarize(trades) {
+        const wins = trades.filter(trade => trade.pnl > 0);
+        const losses = trades.filter(trade => trade.pnl < 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+        const grossLoss = losses.reduce((sum, trade) => sum + trade.pnl, 0);
+        const netPnl = grossProfit + grossLoss;
+
+        // Deepest fall of cumulative realized PnL from its running peak
+        let equity = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        for (const trade of [...trades].sort((a, b) => new Date(a.exitAt) - new Date(b.exitAt))) {
+            equity += trade.pnl;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+        }
+
+        const averageWin = wins.length > 0 ? grossProfit / wins.length : 0;
+        const averageLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+        const winRate = trades.length > 0 ? wins.length / trades.length * 100 : null;
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            breakeven: trades.length - wins.length - losses.length,
+            winRate,
+            grossProfit,
+            grossLoss,
+            netPnl,
+            averageWin,
+            averageLoss,
+            largestWin: wins.length > 0 ? Math.max(...wins.map(trade => trade.pnl)) : 0,
+            largestLoss: losses.length > 0 ? Math.min(...losses.map(trade => trade.pnl)) : 0,
+            // null when there are no losses to divide by
+            profitFactor: grossLoss < 0 ? grossProfit / Math.abs(grossLoss) : null,
+            // Average result per trade: winRate × averageWin + lossRate × averageLoss
+            expectancy: trades.length > 0 ? netPnl / trades.length : null,
+            maxDrawdown
+        };
+    }
+
+    static breakdown(trades, keyOf) {
+        const groups = {};
+
+        for (const trade of trades) {
+            const key = keyOf(trade);
+            (groups[key] = groups[key] || []).push(trade);
+        }
+
+        return Object.fromEntries(
+            Object.entries(groups).map(([key, group]) => [key, this.summarize(group)])
+        );
+    }
+}
+
+module.exports = ReportingService;
@@ -0,0 +1,283 @@
+// services/requestScheduler.js
+const EventEmitter = require('events');
+const {
+    REQUEST_LIMITS,
+    REQUEST_PRIORITY,
+    REQUEST_BUDGET_SHARE,
+    REQUEST_MAX_CONCURRENT,
+    REQUEST_MAX_RETRIES,
+    REQUEST_DEFAULT_RETRY_AFTER_MS,
+    REQUEST_TIMEOUT_MS
+} = require('../config/constants');
+
+const WEIGHT_WINDOW_MS = 60 * 1000;
+const ORDER_WINDOW_MS = 10 * 1000;
+
+// Start of the fixed window (Binance resets its counters on the clock)
+function windowStart(now, size) {
+    return now - (now % size);
+}
+
+// Central queue for exchange REST calls. Calls are dispatched by priority
+// while the request weight and order count of the current windows allow it;
+// the exchange's used-weight headers correct the local estimate, and 429/418
+// responses pause everything until their Retry-After has passed.
+class RequestScheduler extends EventEmitter {
+    constructor() {
+        super();
+        this.queue = []; // sorted by priority, then arrival
+        this.sequence = 0;
+        this.running = 0;
+        this.marketType = 'spot';
+        this.limits = REQUEST_LIMITS.spot;
+        this.weight = { start: windowStart(Date.now(), WEIGHT_WINDOW_MS), used: 0 };
+        this.orders = { start: windowStart(Date.now(), ORDER_WINDOW_MS), count: 0 };
+        this.blockedUntil = 0;
+        this.lastRateLimit = null; // { status, retryAfterMs, until, at }
+        this.wakeTimer = null;
+        this.stats = { requests: 0, throttled: 0, rateLimited: 0, retried: 0 };
+    }
+
+    configure(marketType = 'spot') {
+        this.marketType = REQUEST_LIMITS[marketType] ? marketType : 'spot';
+        this.limits = REQUEST_LIMITS[this.marketType];
+    }
+
+    // Read the rate limit headers of every response the Binance client receives
+    attach(client) {
+        const handle = client.reqHandler.bind(client);
+
+        client.reqHandler = async (response) => {
+            if (response) {
+                this.recordResponse(response);
+            }
+
+            try {
+                return await handle(response);
+            } catch (error) {
+                if (response) {
+                    error.status = response.status;
+                }
+                throw error;
+            }
+        };
+    }
+
+    // Queue a call; task() performs it. Resolves or rejects with its result.
+    schedule(task, { weight = 1, orders = 0, priority = REQUEST_PRIORITY.NORMAL, label = 'request' } = {}) {
+        return new Promise((resolve, reject) => {
+            this.enqueue({
+                task, weight, orders, priority, label, resolve, reject,
+                sequence: this.sequence++,
+                retries: 0,
+                throttled: false
+            });
+            this.pump();
+        });
+    }
+
+    enqueue(item) {
+        const index = this.queue.findIndex(queued =>
+            queued.priority > item.priority ||
+            (queued.priority === item.priority && queued.sequence > item.sequence)
+        );
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, item);
+    }
+
+    pump() {
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+
+        while (this.running < REQUEST_MAX_CONCURRENT && this.queue.length > 0) {
+            const now = Date.now();
+            const item = this.queue[0];
+            const wait = this.getWait(item, now);
+
+            if (wait > 0) {
+                if (!item.throttled) {
+                    item.throttled = true;
+                    this.stats.throttled++;
+                    console.log(`⏳ Holding ${item.label} for ${Math.ceil(wait / 1000)}s (weight ${this.weight.used}/${this.limits.weightPerMinute})`);
+                }
+                this.wakeTimer = setTimeout(() => this.pump(), wait);
+                return;
+            }
+
+            this.queue.shift();
+            this.run(item);
+        }
+    }
+
+    rollWindows(now) {
+        const weightStart = windowStart(now, WEIGHT_WINDOW_MS);
+        if (weightStart !== this.weight.start) {
+            this.weight = { start: weightStart, used: 0 };
+        }
+
+        const orderStart = windowStart(now, ORDER_WINDOW_MS);
+        if (orderStart !== this.orders.start) {
+            this.orders = { start: orderStart, count: 0 };
+        }
+    }
+
+    // Milliseconds until item may be sent; 0 when it can go now
+    getWait(item, now) {
+        if (this.blockedUntil > now) {
+            return this.blockedUntil - now;
+        }
+
+        this.rollWindows(now);
+        const share = REQUEST_BUDGET_SHARE[item.priority] ?? 1;
+
+        // A call heavier than the whole share still goes out in a fresh window
+        if (this.weight.used > 0 && this.weight.used + item.weight > this.limits.weightPerMinute * share) {
+            return this.weight.start + WEIGHT_WINDOW_MS - now;
+        }
+
+        if (item.orders > 0 && this.orders.count > 0 &&
+            this.orders.count + item.orders > this.limits.ordersPer10s * share) {
+            return this.orders.start + ORDER_WINDOW_MS - now;
+        }
+
+        return 0;
+    }
+
+    async run(item) {
+        this.running++;
+        this.weight.used += item.weight;
+        this.orders.count += item.orders;
+        this.stats.requests++;
+
+        try {
+            item.resolve(await this.runTask(item));
+        } catch (error) {
+            if (!this.isRateLimitError(error)) {
+                item.reject(error);
+            } else {
+                const banned = this.isBan(error);
+                if (this.blockedUntil <= Date.now()) {
+                    // The response headers were not seen (e.g. the error came wrapped)
+                    this.backOff(banned ? 418 : 429, this.getBanDuration(error));
+                }
+
+                // A 429 is rejected before it reaches the matching engine, so it is safe to resend
+                if (!banned && item.retries < REQUEST_MAX_RETRIES) {
+                    item.retries++;
+                    item.throttled = false;
+                    this.stats.retried++;
+                    console.log(`🔁 Retrying ${item.label} after rate limit (${item.retries}/${REQUEST_MAX_RETRIES})`);
+                    this.enqueue(item);
+                } else {
+                    item.reject(error);
+                }
+            }
+        } finally {
+            this.running--;
+            this.pump();
+        }
+    }
+
+    // A call that never settles would hold its slot forever; give up on it
+    // after REQUEST_TIMEOUT_MS so the queue behind it keeps moving
+    runTask(item) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`${item.label} timed out after ${REQUEST_TIMEOUT_MS / 1000}s`));
+            }, REQUEST_TIMEOUT_MS);
+        });
+
+        return Promise.race([new Promise(resolve => resolve(item.task())), timeout])
+            .finally(() => clearTimeout(timer));
+    }
+
+    recordResponse(response) {
+        const header = (name) => {
+            const headers = response.headers;
+            if (!headers) return null;
+            return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        };
+
+        this.rollWindows(Date.now());
+
+        const usedWeight = parseInt(header('x-mbx-used-weight-1m'), 10);
+        if (!isNaN(usedWeight)) {
+            this.weight.used = usedWeight;
+        }
+
+        const orderCount = parseInt(header('x-mbx-order-count-10s'), 10);
+        if (!isNaN(orderCount)) {
+            this.orders.count = orderCount;
+        }
+
+        if (response.status === 429 || response.status === 418) {
+            const retryAfter = parseFloat(header('retry-after'));
+            this.backOff(response.status, retryAfter > 0 ? retryAfter * 1000 : REQUEST_DEFAULT_RETRY_AFTER_MS);
+        }
+    }
+
+    // Stop sending anything until the exchange lets us back in
+    backOff(status, retryAfterMs) {
+        const now = Date.now();
+        const until = now + retryAfterMs;
+
+        this.blockedUntil = Math.max(this.blockedUntil, until);
+        this.lastRateLimit = { status, retryAfterMs, until: new Date(this.blockedUntil).toISOString(), at: new Date(now).toISOString() };
+        this.stats.rateLimited++;
+
+        console.warn(`🚦 ${status === 418 ? 'IP banned' : 'Rate limited'} by the exchange, pausing requests for ${Math.ceil(retryAfterMs / 1000)}s`);
+        this.emit('rateLimited', this.lastRateLimit);
+    }
+
+    isRateLimitError(error) {
+        return error.status === 429 || error.status === 418 ||
+            /-1003|too many requests|banned/i.test(error.message);
+    }
+
+    isBan(error) {
+        return error.status === 418 || /banned/i.test(error.message);
+    }
+
+    // 418 bodies say "IP banned until <ms timestamp>"
+    getBanDuration(error) {
+        const match = /banned until (\d+)/i.exec(error.message);
+        const until = match ? parseInt(match[1], 10) : 0;
+        return until > Date.now() ? until - Date.now() : REQUEST_DEFAULT_RETRY_AFTER_MS;
+    }
+
+    // Drop queued calls, e.g. when the connection is closed
+    clear(reason = 'Request cancelled') {
+        const queued = this.queue.splice(0);
+        for (const item of queued) {
+            item.reject(new Error(reason));
+        }
+
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+    }
+
+    getStatus() {
+        const now = Date.now();
+        this.rollWindows(now);
+
+        return {
+            marketType: this.marketType,
+            usedWeight: this.weight.used,
+            weightLimit: this.limits.weightPerMinute,
+            weightUsagePercent: Math.round(this.weight.used / this.limits.weightPerMinute * 1000) / 10,
+            orderCount10s: this.orders.count,
+            orderLimit10s: this.limits.ordersPer10s,
+            queued: this.queue.length,
+            inFlight: this.running,
+            blockedUntil: this.blockedUntil > now ? new Date(this.blockedUntil).toISOString() : null,
+            lastRateLimit: this.lastRateLimit,
+            stats: { ...this.stats }
+        };
+    }
+}
+
+module.exports = new RequestScheduler();
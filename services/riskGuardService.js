@@ -0,0 +1,263 @@
+// services/riskGuardService.js
+const EventEmitter = require('events');
+const storage = require('../storage');
+const Config = require('../models/Config');
+const { DEFAULT_RISK_LIMITS } = require('../config/constants');
+
+const STATE_KEY = 'riskGuard';
+
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function initialState() {
+    return {
+        tradingDay: utcDay(),
+        tradesToday: 0,
+        dailyRealizedPnl: 0,
+        consecutiveLosses: 0,
+        realizedPnl: 0,
+        equityPeak: null,
+        halted: false,
+        haltReason: null,
+        haltedAt: null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Circuit breaker: counts trades and realized P&L, and halts signal
+// processing when a configured limit is hit. State is persisted so a
+// halt survives restarts; it clears on manual reset or the next UTC day.
+class RiskGuardService extends EventEmitter {
+    constructor() {
+        super();
+        this.state = null;
+        this.loading = null;
+        this.warnedLimits = null;
+    }
+
+    async load() {
+        if (this.state) {
+            return this.state;
+        }
+
+        if (!this.loading) {
+            this.loading = storage.getState(STATE_KEY, null)
+                .then(saved => {
+                    this.state = { ...initialState(), ...(saved || {}) };
+                    return this.state;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        return this.loading;
+    }
+
+    async save() {
+        this.state.updatedAt = new Date().toISOString();
+        await storage.setState(STATE_KEY, this.state);
+    }
+
+    async getLimits() {
+        const config = await Config.get();
+        const limits = { ...DEFAULT_RISK_LIMITS, ...(config.riskLimits || {}) };
+
+        // Limits edited into config.json by hand skip validateLimits; say once why a guard is off
+        const problem = this.validateLimits(limits);
+        if (problem && problem !== this.warnedLimits) {
+            console.warn(`⚠️ Risk limits: ${problem}; the drawdown guard is inactive`);
+        }
+        this.warnedLimits = problem;
+
+        return limits;
+    }
+
+    // Returns what is wrong with a set of limits, or null. The drawdown is
+    // measured from startingEquity, so the limit means nothing without it.
+    validateLimits(limits) {
+        if (limits.maxDrawdownPercent && !(parseFloat(limits.startingEquity) > 0)) {
+            return 'maxDrawdownPercent requires startingEquity';
+        }
+        return null;
+    }
+
+    // Start a fresh day's counters; a halt does not carry over into a new UTC day
+    async rollDay() {
+        const today = utcDay();
+
+        if (this.state.tradingDay === today) {
+            return;
+        }
+
+        if (this.state.halted) {
+            console.log(`🌅 New trading day ${today}, lifting halt: ${this.state.haltReason}`);
+            this.emit('resumed', { reason: 'new trading day' });
+        }
+
+        Object.assign(this.state, {
+            tradingDay: today,
+            tradesToday: 0,
+            dailyRealizedPnl: 0,
+            halted: false,
+            haltReason: null,
+            haltedAt: null
+        });
+
+        await this.save();
+    }
+
+    // Returns { halted, reason, haltedAt } for the webhook to act on
+    async checkTrading() {
+        await this.load();
+        await this.rollDay();
+
+        return {
+            halted: this.state.halted,
+            reason: this.state.haltReason,
+            haltedAt: this.state.haltedAt
+        };
+    }
+
+    // An entry order reached the exchange
+    async recordEntry(order) {
+        try {
+            await this.load();
+            await this.rollDay();
+
+            this.state.tradesToday++;
+            await this.evaluate();
+            await this.save();
+        } catch (error) {
+            console.error(`❌ Error recording entry ${order.id} in risk guard:`, error.message);
+        }
+    }
+
+    // A position was closed with the given realized P&L (quote asset)
+    async recordResult(order, realizedPnl) {
+        if (realizedPnl === null || realizedPnl === undefined) {
+            return;
+        }
+
+        try {
+            await this.load();
+            await this.rollDay();
+
+            this.state.dailyRealizedPnl += realizedPnl;
+            this.state.realizedPnl += realizedPnl;
+            this.state.consecutiveLosses = realizedPnl < 0 ? this.state.consecutiveLosses + 1 : 0;
+
+            const limits = await this.getLimits();
+            const equity = this.getEquity(limits);
+            if (equity !== null) {
+                this.state.equityPeak = Math.max(this.state.equityPeak ?? limits.startingEquity, equity);
+            }
+
+            await this.evaluate(limits);
+            await this.save();
+        } catch (error) {
+            console.error(`❌ Error recording result of ${order.id} in risk guard:`, error.message);
+        }
+    }
+
+    // Equity from the configured starting balance plus everything realized since
+    getEquity(limits) {
+        const startingEquity = parseFloat(limits.startingEquity);
+        return startingEquity > 0 ? startingEquity + this.state.realizedPnl : null;
+    }
+
+    getDrawdownPercent(limits) {
+        const equity = this.getEquity(limits);
+        const peak = this.state.equityPeak ?? parseFloat(limits.startingEquity);
+
+        if (equity === null || !(peak > 0)) {
+            return null;
+        }
+
+        return Math.max(0, (peak - equity) / peak * 100);
+    }
+
+    async evaluate(limits = null) {
+        if (this.state.halted) {
+            return;
+        }
+
+        limits = limits || await this.getLimits();
+        const {
+            maxDailyLoss,
+            maxConsecutiveLosses,
+            maxTradesPerDay,
+            maxDrawdownPercent
+        } = limits;
+
+        if (maxDailyLoss && this.state.dailyRealizedPnl <= -Math.abs(maxDailyLoss)) {
+            return this.trip(`Daily loss limit reached (${this.state.dailyRealizedPnl.toFixed(2)} <= -${Math.abs(maxDailyLoss)})`);
+        }
+
+        if (maxConsecutiveLosses && this.state.consecutiveLosses >= maxConsecutiveLosses) {
+            return this.trip(`${this.state.consecutiveLosses} consecutive losing trades`);
+        }
+
+        if (maxTradesPerDay && this.state.tradesToday >= maxTradesPerDay) {
+            return this.trip(`Daily trade limit reached (${this.state.tradesToday} trades)`);
+        }
+
+        const drawdown = this.getDrawdownPercent(limits);
+        if (maxDrawdownPercent && drawdown !== null && drawdown >= maxDrawdownPercent) {
+            return this.trip(`Drawdown of ${drawdown.toFixed(2)}% from equity peak ${this.state.equityPeak}`);
+        }
+    }
+
+    trip(reason) {
+        Object.assign(this.state, {
+            halted: true,
+            haltReason: reason,
+            haltedAt: new Date().toISOString()
+        });
+
+        console.log(`🛑 Trading halted: ${reason}`);
+        this.emit('halted', { reason, haltedAt: this.state.haltedAt });
+    }
+
+    // Manual reset: lift the halt and restart the loss streak and drawdown peak
+    async reset() {
+        await this.load();
+        await this.rollDay();
+
+        const limits = await this.getLimits();
+
+        Object.assign(this.state, {
+            halted: false,
+            haltReason: null,
+            haltedAt: null,
+            consecutiveLosses: 0,
+            equityPeak: this.getEquity(limits)
+        });
+
+        await this.save();
+
+        console.log('🔓 Trading halt reset manually');
+        this.emit('resumed', { reason: 'manual reset' });
+
+        return this.getStatus();
+    }
+
+    async getStatus() {
+        await this.load();
+        await this.rollDay();
+
+        const limits = await this.getLimits();
+
+        const problem = this.validateLimits(limits);
+
+        return {
+            ...this.state,
+            drawdownPercent: this.getDrawdownPercent(limits),
+            limits,
+            warnings: problem ? [problem] : []
+        };
+    }
+}
+
+module.exports = new RiskGuardService();
@@ -0,0 +1,31 @@
+// services/strategies/adxStrategy.js
+// Directional movement strategy: +DI / -DI crossover confirmed by ADX trend strength
+module.exports = {
+    name: 'adx',
+    description: 'Buy when +DI leads and -DI lags, sell on the reverse, only while ADX shows a trend',
+    requiredFields: ['plusDI', 'minusDI', 'adx'],
+    params: {
+        plusDIThreshold: 25,
+        minusDIThreshold: 20,
+        adxMinimum: 20
+    },
+
+    validate(signal, params) {
+        const { plusDI, minusDI, adx } = signal;
+        const { plusDIThreshold, minusDIThreshold, adxMinimum } = params;
+
+        if (adx < adxMinimum) {
+            return { valid: false, action: null, reason: 'ADX below minimum' };
+        }
+
+        if (plusDI > plusDIThreshold && minusDI < minusDIThreshold) {
+            return { valid: true, action: 'BUY', reason: 'Buy conditions met' };
+        }
+
+        if (minusDI > plusDIThreshold && plusDI < minusDIThreshold) {
+            return { valid: true, action: 'SELL', reason: 'Sell conditions met' };
+        }
+
+        return { valid: false, action: null, reason: 'No clear signal' };
+    }
+};
@@ -0,0 +1,40 @@
+// services/strategies/emaCrossStrategy.js
+// Fast/slow EMA crossover, optionally requiring the cross to happen on this bar
+module.exports = {
+    name: 'emaCross',
+    description: 'Buy when the fast EMA is above the slow EMA, sell when below',
+    requiredFields: ['emaFast', 'emaSlow'],
+    params: {
+        minSpreadPercent: 0,
+        requireCross: false
+    },
+
+    validate(signal, params) {
+        const { emaFast, emaSlow, prevEmaFast, prevEmaSlow } = signal;
+        const { minSpreadPercent, requireCross } = params;
+        const spreadPercent = ((emaFast - emaSlow) / emaSlow) * 100;
+        const hasPrevious = prevEmaFast !== undefined && prevEmaSlow !== undefined;
+
+        if (requireCross && !hasPrevious) {
+            return { valid: false, action: null, reason: 'prevEmaFast and prevEmaSlow required to detect a cross' };
+        }
+
+        if (spreadPercent > minSpreadPercent) {
+            const crossed = hasPrevious && prevEmaFast <= prevEmaSlow;
+            if (requireCross && !crossed) {
+                return { valid: false, action: null, reason: 'Fast EMA already above slow EMA' };
+            }
+            return { valid: true, action: 'BUY', reason: crossed ? 'Fast EMA crossed above slow EMA' : 'Fast EMA above slow EMA' };
+        }
+
+        if (spreadPercent < -minSpreadPercent) {
+            const crossed = hasPrevious && prevEmaFast >= prevEmaSlow;
+            if (requireCross && !crossed) {
+                return { valid: false, action: null, reason: 'Fast EMA already below slow EMA' };
+            }
+            return { valid: true, action: 'SELL', reason: crossed ? 'Fast EMA crossed below slow EMA' : 'Fast EMA below slow EMA' };
+        }
+
+        return { valid: false, action: null, reason: 'EMA spread below minimum' };
+    }
+};
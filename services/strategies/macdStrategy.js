@@ -0,0 +1,26 @@
+// services/strategies/macdStrategy.js
+// Trend following on the MACD line versus its signal line
+module.exports = {
+    name: 'macd',
+    description: 'Buy when MACD is above its signal line, sell when below, by at least minHistogram',
+    requiredFields: ['macd', 'macdSignal'],
+    params: {
+        minHistogram: 0
+    },
+
+    validate(signal, params) {
+        const { macd, macdSignal } = signal;
+        const { minHistogram } = params;
+        const histogram = macd - macdSignal;
+
+        if (histogram > minHistogram) {
+            return { valid: true, action: 'BUY', reason: 'MACD above signal line' };
+        }
+
+        if (histogram < -minHistogram) {
+            return { valid: true, action: 'SELL', reason: 'MACD below signal line' };
+        }
+
+        return { valid: false, action: null, reason: 'MACD histogram below minimum' };
+    }
+};
@@ -0,0 +1,26 @@
+// services/strategies/rsiStrategy.js
+// Mean reversion on RSI: buy oversold, sell overbought
+module.exports = {
+    name: 'rsi',
+    description: 'Buy when RSI is below the oversold level, sell when it is above the overbought level',
+    requiredFields: ['rsi'],
+    params: {
+        oversold: 30,
+        overbought: 70
+    },
+
+    validate(signal, params) {
+        const { rsi } = signal;
+        const { oversold, overbought } = params;
+
+        if (rsi < oversold) {
+            return { valid: true, action: 'BUY', reason: `RSI ${rsi} below ${oversold}` };
+        }
+
+        if (rsi > overbought) {
+            return { valid: true, action: 'SELL', reason: `RSI ${rsi} above ${overbought}` };
+        }
+
+        return { valid: false, action: null, reason: 'RSI within neutral range' };
+    }
+};
@@ -0,0 +1,67 @@
+// services/strategyRegistry.js
+const adxStrategy = require('./strategies/adxStrategy');
+const rsiStrategy = require('./strategies/rsiStrategy');
+const macdStrategy = require('./strategies/macdStrategy');
+const emaCrossStrategy = require('./strategies/emaCrossStrategy');
+
+const DEFAULT_STRATEGY = 'adx';
+
+class StrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+    }
+
+    // Register a strategy: { name, description, requiredFields, params, validate(signal, params) }
+    register(strategy) {
+        if (!strategy || !strategy.name || typeof strategy.validate !== 'function') {
+            throw new Error('Strategy must have a name and a validate function');
+        }
+
+        this.strategies.set(strategy.name, {
+            requiredFields: [],
+            params: {},
+            ...strategy
+        });
+    }
+
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    // Look up a strategy by name, falling back to the configured or built-in default
+    resolve(name, config = {}) {
+        return this.strategies.get(name || config.defaultStrategy || DEFAULT_STRATEGY) || null;
+    }
+
+    // Parameters are the strategy defaults, overridden by matching top-level
+    // config keys (legacy ADX settings) and then by config.strategies[name]
+    resolveParams(strategy, config = {}) {
+        const params = { ...strategy.params };
+
+        for (const key of Object.keys(strategy.params)) {
+            if (config[key] !== undefined && config[key] !== null) {
+                params[key] = config[key];
+            }
+        }
+
+        return { ...params, ...((config.strategies || {})[strategy.name] || {}) };
+    }
+
+    list() {
+        return Array.from(this.strategies.values()).map(({ name, description, requiredFields, params }) => ({
+            name,
+            description,
+            requiredFields,
+            params
+        }));
+    }
+}
+
+const registry = new StrategyRegistry();
+
+registry.register(adxStrategy);
+registry.register(rsiStrategy);
+registry.register(macdStrategy);
+registry.register(emaCrossStrategy);
+
+module.exports = registry;
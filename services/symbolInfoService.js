@@ -0,0 +1,239 @@
+// services/symbolInfoService.js
+const { SYMBOL_INFO_REFRESH_MS } = require('../config/constants');
+
+// Number of decimals implied by a Binance step/tick string such as "0.00100000"
+function decimalsOf(step) {
+    const [, fraction = ''] = String(step).split('.');
+    return fraction.replace(/0+$/, '').length;
+}
+
+// Round value to a multiple of step: 'down', 'up' or 'nearest'
+function roundToStep(value, step, direction = 'down') {
+    const stepValue = parseFloat(step);
+    if (!(stepValue > 0)) {
+        return value;
+    }
+
+    const ratio = value / stepValue;
+    // Small epsilon so 0.3 / 0.1 does not floor to 2
+    const steps = direction === 'up'
+        ? Math.ceil(ratio - 1e-9)
+        : direction === 'nearest' ? Math.round(ratio) : Math.floor(ratio + 1e-9);
+
+    return parseFloat((steps * stepValue).toFixed(decimalsOf(step)));
+}
+
+// Cached exchangeInfo symbol metadata, used to round orders to the symbol's
+// LOT_SIZE / PRICE_FILTER and reject them before the exchange does
+class SymbolInfoService {
+    constructor() {
+        this.symbols = new Map();
+        this.loader = null;
+        this.lastRefresh = null;
+        this.refreshPromise = null;
+        this.refreshTimer = null;
+    }
+
+    // loader() resolves to a raw exchangeInfo payload
+    start(loader, refreshMs = SYMBOL_INFO_REFRESH_MS) {
+        this.stop();
+        this.loader = loader;
+        this.symbols.clear();
+        this.lastRefresh = null;
+
+        this.refreshTimer = setInterval(() => {
+            this.refresh().catch(error => {
+                console.error('❌ Error refreshing symbol info:', error.message);
+            });
+        }, refreshMs);
+        this.refreshTimer.unref?.();
+    }
+
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    // Reload exchangeInfo; concurrent callers share the same request
+    async refresh() {
+        if (!this.loader) {
+            throw new Error('Symbol info service not started');
+        }
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                try {
+                    const exchangeInfo = await this.loader();
+                    const symbols = new Map();
+
+                    for (const raw of exchangeInfo.symbols || []) {
+                        symbols.set(raw.symbol, this.parseSymbol(raw));
+                    }
+
+                    this.symbols = symbols;
+                    this.lastRefresh = Date.now();
+                    console.log(`📚 Loaded trading rules for ${symbols.size} symbols`);
+                } finally {
+                    this.refreshPromise = null;
+                }
+            })();
+        }
+
+        return this.refreshPromise;
+    }
+
+    parseSymbol(raw) {
+        const filters = {};
+        for (const filter of raw.filters || []) {
+            filters[filter.filterType] = filter;
+        }
+
+        return {
+            symbol: raw.symbol,
+            status: raw.status,
+            baseAsset: raw.baseAsset,
+            quoteAsset: raw.quoteAsset,
+            filters
+        };
+    }
+
+    async getSymbol(symbol) {
+        if (!this.lastRefresh) {
+            await this.refresh();
+        }
+
+        return this.symbols.get(symbol) || null;
+    }
+
+    // Round quantity/price to the symbol's step and tick and enforce its filters.
+    // referencePrice is the current market price (used for MARKET notional and PERCENT_PRICE).
+    // Futures reduce-only orders are exempt from the minimum notional.
+    async prepareOrder({ symbol, side, type, quantity, price, stopPrice, reduceOnly = false }, referencePrice = null) {
+        const info = await this.getSymbol(symbol);
+
+        if (!info) {
+            throw new Error(`Order rejected: unknown symbol ${symbol}`);
+        }
+
+        if (info.status !== 'TRADING') {
+            throw new Error(`Order rejected: ${symbol} is not trading (status ${info.status})`);
+        }
+
+        const { LOT_SIZE, MARKET_LOT_SIZE, PRICE_FILTER, MIN_NOTIONAL, NOTIONAL, PERCENT_PRICE, PERCENT_PRICE_BY_SIDE } = info.filters;
+        const isMarket = type === 'MARKET';
+        const prepared = {};
+
+        // Quantity: MARKET orders use MARKET_LOT_SIZE when it defines a step
+        const lotFilter = isMarket && MARKET_LOT_SIZE && parseFloat(MARKET_LOT_SIZE.stepSize) > 0
+            ? MARKET_LOT_SIZE
+            : LOT_SIZE;
+        const roundedQuantity = lotFilter
+            ? roundToStep(parseFloat(quantity), lotFilter.stepSize, 'down')
+            : parseFloat(quantity);
+
+        if (lotFilter) {
+            if (roundedQuantity < parseFloat(lotFilter.minQty)) {
+                throw new Error(`Order rejected: quantity ${quantity} below minimum ${parseFloat(lotFilter.minQty)} for ${symbol}`);
+            }
+            if (parseFloat(lotFilter.maxQty) > 0 && roundedQuantity > parseFloat(lotFilter.maxQty)) {
+                throw new Error(`Order rejected: quantity ${quantity} above maximum ${parseFloat(lotFilter.maxQty)} for ${symbol}`);
+            }
+        }
+
+        prepared.quantity = lotFilter
+            ? roundedQuantity.toFixed(decimalsOf(lotFilter.stepSize))
+            : String(roundedQuantity);
+
+        // Prices: round buys down and sells up so rounding never worsens the fill
+        const formatPrice = value => {
+            if (!PRICE_FILTER) {
+                return { value: parseFloat(value), text: String(parseFloat(value)) };
+            }
+            const rounded = roundToStep(parseFloat(value), PRICE_FILTER.tickSize, side === 'BUY' ? 'down' : 'up');
+            if (parseFloat(PRICE_FILTER.minPrice) > 0 && rounded < parseFloat(PRICE_FILTER.minPrice)) {
+                throw new Error(`Order rejected: price ${value} below minimum ${parseFloat(PRICE_FILTER.minPrice)} for ${symbol}`);
+            }
+            if (parseFloat(PRICE_FILTER.maxPrice) > 0 && rounded > parseFloat(PRICE_FILTER.maxPrice)) {
+                throw new Error(`Order rejected: price ${value} above maximum ${parseFloat(PRICE_FILTER.maxPrice)} for ${symbol}`);
+            }
+            return { value: rounded, text: rounded.toFixed(decimalsOf(PRICE_FILTER.tickSize)) };
+        };
+
+        let limitPrice = null;
+        if (price !== undefined && price !== null && !isMarket) {
+            const formatted = formatPrice(price);
+            limitPrice = formatted.value;
+            prepared.price = formatted.text;
+        }
+
+        if (stopPrice) {
+            prepared.stopPrice = formatPrice(stopPrice).text;
+        }
+
+        // Notional: MARKET orders are checked against the current price
+        const notionalPrice = limitPrice || parseFloat(referencePrice);
+        if (notionalPrice > 0 && !reduceOnly) {
+            const notional = roundedQuantity * notionalPrice;
+            // Spot names the field minNotional, futures notional
+            const minNotional = MIN_NOTIONAL ? parseFloat(MIN_NOTIONAL.minNotional ?? MIN_NOTIONAL.notional) : 0;
+
+            if (MIN_NOTIONAL && (!isMarket || MIN_NOTIONAL.applyToMarket !== false) && notional < minNotional) {
+                throw new Error(`Order rejected: notional ${notional.toFixed(8)} below minimum ${minNotional} for ${symbol}`);
+            }
+
+            if (NOTIONAL) {
+                if ((!isMarket || NOTIONAL.applyMinToMarket !== false) && notional < parseFloat(NOTIONAL.minNotional)) {
+                    throw new Error(`Order rejected: notional ${notional.toFixed(8)} below minimum ${parseFloat(NOTIONAL.minNotional)} for ${symbol}`);
+                }
+                if ((!isMarket || NOTIONAL.applyMaxToMarket !== false) &&
+                    parseFloat(NOTIONAL.maxNotional) > 0 && notional > parseFloat(NOTIONAL.maxNotional)) {
+                    throw new Error(`Order rejected: notional ${notional.toFixed(8)} above maximum ${parseFloat(NOTIONAL.maxNotional)} for ${symbol}`);
+                }
+            }
+        }
+
+        // Limit price must stay within the allowed band around the market price
+        if (limitPrice && referencePrice) {
+            let up = null;
+            let down = null;
+
+            if (PERCENT_PRICE_BY_SIDE) {
+                up = parseFloat(side === 'BUY' ? PERCENT_PRICE_BY_SIDE.bidMultiplierUp : PERCENT_PRICE_BY_SIDE.askMultiplierUp);
+                down = parseFloat(side === 'BUY' ? PERCENT_PRICE_BY_SIDE.bidMultiplierDown : PERCENT_PRICE_BY_SIDE.askMultiplierDown);
+            } else if (PERCENT_PRICE) {
+                up = parseFloat(PERCENT_PRICE.multiplierUp);
+                down = parseFloat(PERCENT_PRICE.multiplierDown);
+            }
+
+            if (up && limitPrice > referencePrice * up) {
+                throw new Error(`Order rejected: price ${limitPrice} more than ${up}x the market price ${referencePrice} for ${symbol}`);
+            }
+            if (down && limitPrice < referencePrice * down) {
+                throw new Error(`Order rejected: price ${limitPrice} less than ${down}x the market price ${referencePrice} for ${symbol}`);
+            }
+        }
+
+        return prepared;
+    }
+
+    // Round a quantity down to the symbol's LOT_SIZE step, as a string
+    async formatQuantity(symbol, quantity) {
+        const info = await this.getSymbol(symbol);
+        const lotSize = info && info.filters.LOT_SIZE;
+
+        return lotSize
+            ? roundToStep(parseFloat(quantity), lotSize.stepSize, 'down').toFixed(decimalsOf(lotSize.stepSize))
+            : String(parseFloat(quantity));
+    }
+
+    getStatus() {
+        return {
+            symbolCount: this.symbols.size,
+            lastRefresh: this.lastRefresh ? new Date(this.lastRefresh).toISOString() : null
+        };
+    }
+}
+
+module.exports = new SymbolInfoService();
@@ -1,21 +1,50 @@
+const { v4: uuidv4 } = require('uuid');
+const StrategyRegistry = require('./strategyRegistry');
+const { ORDER_STATUS, QUOTE_ASSETS } = require('../config/constants');
+
 class TradingService {
-    static validateSignal(signal, config) {
-        const { plusDI, minusDI, adx } = signal;
-        const { plusDIThreshold, minusDIThreshold, adxMinimum } = config;
+    // Validate a signal with the strategy it names (or the configured default).
+    // crossCheck is IndicatorService.crossCheck(signal): values that disagree with the
+    // server-side indicators reject the signal in 'reject' mode and are reported otherwise.
+    static validateSignal(signal, config, crossCheck = null) {
+        const strategy = StrategyRegistry.resolve(signal.strategy, config);
+
+        if (!strategy) {
+            return { valid: false, action: null, reason: `Unknown strategy: ${signal.strategy}` };
+        }
 
-        if (adx < adxMinimum) {
-            return { valid: false, action: null, reason: 'ADX below minimum' };
+        const mismatches = crossCheck ? crossCheck.mismatches : [];
+        if (mismatches.length > 0 && crossCheck.mode === 'reject') {
+            const details = mismatches.map(({ field, received, computed }) => `${field} ${received} vs ${computed}`);
+            return {
+                valid: false,
+                action: null,
+                reason: `Signal disagrees with server-side indicators: ${details.join(', ')}`,
+                strategy: strategy.name,
+                indicatorMismatches: mismatches
+            };
         }
 
-        if (plusDI > plusDIThreshold && minusDI < minusDIThreshold) {
-            return { valid: true, action: 'BUY', reason: 'Buy conditions met' };
+        const params = StrategyRegistry.resolveParams(strategy, config);
+        const result = strategy.validate(signal, params);
+
+        if (mismatches.length > 0) {
+            console.warn('⚠️ Signal disagrees with server-side indicators:', mismatches);
+            return { ...result, strategy: strategy.name, indicatorMismatches: mismatches };
         }
 
-        if (minusDI > plusDIThreshold && plusDI < minusDIThreshold) {
-            return { valid: true, action: 'SELL', reason: 'Sell conditions met' };
+        return { ...result, strategy: strategy.name };
+    }
+
+    // Split a symbol such as BTCUSDT into its base and quote assets
+    static splitSymbol(symbol) {
+        const quoteAsset = QUOTE_ASSETS.find(quote => symbol.endsWith(quote) && symbol !== quote);
+
+        if (!quoteAsset) {
+            throw new Error(`Unable to determine quote asset for ${symbol}`);
         }
 
-        return { valid: false, action: null, reason: 'No clear signal' };
+        return { baseAsset: symbol.slice(0, -quoteAsset.length), quoteAsset };
     }
 
     static calculatePrices(entryPrice, takeProfitPercent, stopLossPercent, action) {
@@ -30,7 +59,99 @@ class TradingService {
         }
     }
 
-    static createOrder(signal, validation, currentPrice, config) {
+    // Average fill price of an exchange order response; MARKET orders report price 0
+    static getAverageFillPrice(exchangeOrder, fallbackPrice = null) {
+        const executedQty = parseFloat(exchangeOrder.executedQty);
+        const quoteQty = parseFloat(exchangeOrder.cummulativeQuoteQty);
+
+        if (executedQty > 0 && quoteQty > 0) {
+            return quoteQty / executedQty;
+        }
+
+        // Futures responses carry the average price directly
+        const averagePrice = parseFloat(exchangeOrder.avgPrice);
+        if (averagePrice > 0) {
+            return averagePrice;
+        }
+
+        const price = parseFloat(exchangeOrder.price);
+        return price > 0 ? price : fallbackPrice;
+    }
+
+    // Total commission of fills or own trades: { commission, commissionAsset, lastTradeId }, {} when none was charged.
+    // lastTradeId lets later execution reports for the same trades be skipped.
+    static getCommission(fills) {
+        const charged = (fills || []).filter(fill => fill.commissionAsset);
+        if (charged.length === 0) {
+            return {};
+        }
+
+        const tradeIds = charged.map(fill => fill.tradeId).filter(tradeId => tradeId !== undefined);
+
+        return {
+            commission: charged.reduce((sum, fill) => sum + (parseFloat(fill.commission) || 0), 0),
+            commissionAsset: charged[charged.length - 1].commissionAsset,
+            ...(tradeIds.length > 0 ? { lastTradeId: Math.max(...tradeIds) } : {})
+        };
+    }
+
+    // trailingStop of a signal: a percent (1.5) or { percent | distance, activationPrice }
+    static normalizeTrailingStop(trailingStop) {
+        if (trailingStop === null || trailingStop === undefined || trailingStop === false) {
+            return null;
+        }
+
+        const spec = typeof trailingStop === 'object' ? trailingStop : { percent: trailingStop };
+        const parse = (value) => value === undefined || value === null ? null : parseFloat(value);
+        const percent = parse(spec.percent);
+        const distance = parse(spec.distance);
+        const activationPrice = parse(spec.activationPrice);
+
+        if ((percent === null) === (distance === null)) {
+            throw new Error('Invalid order: trailingStop needs either percent or distance');
+        }
+        if (percent !== null && !(percent > 0 && percent < 100)) {
+            throw new Error('Invalid order: trailingStop percent must be between 0 and 100');
+        }
+        if (distance !== null && !(distance > 0)) {
+            throw new Error('Invalid order: trailingStop distance must be positive');
+        }
+        if (activationPrice !== null && !(activationPrice > 0)) {
+            throw new Error('Invalid order: trailingStop activationPrice must be positive');
+        }
+
+        return { percent, distance, activationPrice };
+    }
+
+    // Stop level trailing the best price since activation: below it for a long (BUY) entry, above for a short
+    static calculateTrailingStopPrice(waterMark, trailingStop, side) {
+        const offset = trailingStop.percent !== null ? waterMark * trailingStop.percent / 100 : trailingStop.distance;
+        return side === 'BUY' ? waterMark - offset : waterMark + offset;
+    }
+
+    // Realized P&L in the quote asset of closing `quantity` of an entry at exitPrice
+    static calculateRealizedPnl(order, exitPrice, quantity) {
+        const entryPrice = parseFloat(order.executedPrice);
+        const direction = order.side === 'SELL' ? -1 : 1;
+
+        if (!(entryPrice > 0) || !(parseFloat(exitPrice) > 0) || !(parseFloat(quantity) > 0)) {
+            return null;
+        }
+
+        return (parseFloat(exitPrice) - entryPrice) * parseFloat(quantity) * direction;
+    }
+
+    // Leverage and margin type for a futures symbol: config.futuresSymbols[symbol] overrides the defaults
+    static getFuturesSettings(symbol, config) {
+        const overrides = (config.futuresSymbols || {})[symbol] || {};
+
+        return {
+            leverage: parseInt(overrides.leverage ?? config.leverage, 10) || 1,
+            marginType: String(overrides.marginType || config.marginType || 'ISOLATED').toUpperCase()
+        };
+    }
+
+    static createOrder(signal, validation, currentPrice, config, sizing = null) {
         const { tpPrice, slPrice } = this.calculatePrices(
             currentPrice,
             config.takeProfitPercent,
@@ -38,22 +159,41 @@ class TradingService {
             validation.action
         );
 
+        const type = (signal.orderType || 'MARKET').toUpperCase();
+        const marketType = config.marketType === 'futures' ? 'futures' : 'spot';
+        const futures = marketType === 'futures' ? this.getFuturesSettings(signal.symbol, config) : null;
+
         return {
+            id: uuidv4(),
             symbol: signal.symbol,
+            side: validation.action,
+            type,
+            quantity: sizing ? sizing.quantity : (signal.quantity || config.defaultQuantity),
+            price: type === 'LIMIT' ? (signal.price || currentPrice) : null,
+            status: ORDER_STATUS.PENDING,
             action: validation.action,
             price_entry: currentPrice.toFixed(2),
             tp_price: tpPrice.toFixed(2),
             sl_price: slPrice.toFixed(2),
-            leverage: `${config.leverage}x`,
+            marketType,
+            // Spot orders are never leveraged
+            leverage: futures ? `${futures.leverage}x` : '1x',
+            marginType: futures ? futures.marginType : null,
             timeframe: signal.timeframe,
             timestamp: new Date().toISOString(),
-            signal_data: {
-                plusDI: signal.plusDI,
-                minusDI: signal.minusDI,
-                adx: signal.adx
-            }
+            strategy: validation.strategy,
+            sizing,
+            signal_data: this.extractSignalData(signal, validation.strategy)
         };
     }
+
+    // Keep the indicator values the strategy decided on
+    static extractSignalData(signal, strategyName) {
+        const strategy = StrategyRegistry.resolve(strategyName);
+        const fields = strategy ? strategy.requiredFields : Object.keys(signal);
+
+        return Object.fromEntries(fields.map(field => [field, signal[field]]));
+    }
 }
 
 module.exports = TradingService;
\ No newline at end of file
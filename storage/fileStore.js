@@ -0,0 +1,145 @@
+// storage/fileStore.js
+const FileManager = require('../utils/fileManager');
+const { ORDERS_FILE, CONFIG_FILE, SIGNALS_FILE, STATE_FILE, MAX_ORDERS, MAX_SIGNALS } = require('../config/constants');
+
+// Apply the filters every storage backend understands natively
+function matchesOrderFilter(order, filter = {}) {
+    const { status, symbol, side, paper, from, to } = filter;
+
+    if (status && !status.includes(order.status)) return false;
+    if (symbol && !symbol.includes(order.symbol)) return false;
+    if (side && order.side !== side) return false;
+    if (paper !== undefined && Boolean(order.paper) !== paper) return false;
+
+    if (from || to) {
+        const createdAt = new Date(order.createdAt || order.timestamp).getTime();
+        if (from && !(createdAt >= new Date(from).getTime())) return false;
+        if (to && !(createdAt <= new Date(to).getTime())) return false;
+    }
+
+    return true;
+}
+
+// JSON file backend: orders.json, config.json, signals.json (newest first) and state.json
+class FileStore {
+    constructor(options = {}) {
+        this.ordersFile = options.ordersFile || ORDERS_FILE;
+        this.configFile = options.configFile || CONFIG_FILE;
+        this.signalsFile = options.signalsFile || SIGNALS_FILE;
+        this.stateFile = options.stateFile || STATE_FILE;
+    }
+
+    async getOrders(filter = {}) {
+        const orders = await FileManager.readJsonFile(this.ordersFile, []);
+        return orders.filter(order => matchesOrderFilter(order, filter));
+    }
+
+    async countOrders() {
+        const orders = await FileManager.readJsonFile(this.ordersFile, []);
+        return orders.length;
+    }
+
+    async getOrder(id) {
+        const orders = await FileManager.readJsonFile(this.ordersFile, []);
+        return orders.find(order => order.id === id) || null;
+    }
+
+    async insertOrder(order) {
+        await FileManager.updateJsonFile(this.ordersFile, [], orders => {
+            orders.unshift(order);
+
+            if (orders.length > MAX_ORDERS) {
+                orders.splice(MAX_ORDERS);
+            }
+
+            return orders;
+        });
+
+        return order;
+    }
+
+    // The updater gets the stored order and returns its replacement (synchronously)
+    async updateOrder(id, updater) {
+        let updated;
+
+        await FileManager.updateJsonFile(this.ordersFile, [], orders => {
+            const index = orders.findIndex(order => order.id === id);
+
+            if (index === -1) {
+                throw new Error(`Order not found: ${id}`);
+            }
+
+            updated = updater(orders[index]);
+            orders[index] = updated;
+            return orders;
+        });
+
+        return updated;
+    }
+
+    async removeOrder(id) {
+        let removed = false;
+
+        await FileManager.updateJsonFile(this.ordersFile, [], orders => {
+            const remaining = orders.filter(order => order.id !== id);
+            removed = remaining.length !== orders.length;
+            return remaining;
+        });
+
+        return removed;
+    }
+
+    async clearOrders() {
+        await FileManager.writeJsonFile(this.ordersFile, []);
+    }
+
+    async getConfig(defaultValue) {
+        return await FileManager.readJsonFile(this.configFile, defaultValue);
+    }
+
+    async saveConfig(config) {
+        await FileManager.writeJsonFile(this.configFile, config);
+        return config;
+    }
+
+    // Small pieces of service state that must survive restarts, keyed by name
+    async getState(key, defaultValue = null) {
+        const state = await FileManager.readJsonFile(this.stateFile, {});
+        return state[key] !== undefined ? state[key] : defaultValue;
+    }
+
+    async setState(key, value) {
+        await FileManager.updateJsonFile(this.stateFile, {}, state => {
+            state[key] = value;
+            return state;
+        });
+        return value;
+    }
+
+    async addSignal(signal) {
+        await FileManager.updateJsonFile(this.signalsFile, [], signals => {
+            signals.unshift(signal);
+
+            if (signals.length > MAX_SIGNALS) {
+                signals.splice(MAX_SIGNALS);
+            }
+
+            return signals;
+        });
+
+        return signal;
+    }
+
+    async getSignals({ limit = 100, symbol } = {}) {
+        const signals = await FileManager.readJsonFile(this.signalsFile, []);
+        return signals
+            .filter(signal => !symbol || signal.symbol === symbol)
+            .slice(0, limit);
+    }
+
+    async close() {}
+}
+
+FileStore.matchesOrderFilter = matchesOrderFilter;
+
+module.exports = FileStore;
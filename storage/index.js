@@ -0,0 +1,26 @@
+// storage/index.js
+const { STORAGE_BACKEND } = require('../config/constants');
+
+// Pick the storage backend from configuration. The SQLite backend is only
+// loaded when selected so the file backend has no native dependency.
+function createStore(backend) {
+    switch (backend) {
+        case 'file': {
+            const FileStore = require('./fileStore');
+            return new FileStore();
+        }
+
+        case 'sqlite': {
+            const SqliteStore = require('./sqliteStore');
+            return new SqliteStore();
+        }
+
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+const store = createStore(STORAGE_BACKEND);
+console.log(`💾 Using ${STORAGE_BACKEND} storage backend`);
+
+module.exports = store;
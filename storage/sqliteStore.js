@@ -0,0 +1,209 @@
+// storage/sqliteStore.js
+const Database = require('better-sqlite3');
+const { SQLITE_FILE } = require('../config/constants');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS orders (
+        id TEXT PRIMARY KEY,
+        symbol TEXT,
+        status TEXT,
+        side TEXT,
+        paper INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_orders_symbol ON orders (symbol);
+    CREATE INDEX IF NOT EXISTS idx_orders_status ON orders (status);
+    CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders (created_at);
+
+    CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS signals (
+        id TEXT PRIMARY KEY,
+        symbol TEXT,
+        strategy TEXT,
+        source TEXT,
+        outcome TEXT,
+        received_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_signals_symbol ON signals (symbol);
+    CREATE INDEX IF NOT EXISTS idx_signals_received_at ON signals (received_at);
+`;
+
+// SQLite backend: full order history, no truncation. Rows keep the whole
+// document as JSON next to the indexed columns used for lookups.
+class SqliteStore {
+    constructor(options = {}) {
+        this.db = new Database(options.file || SQLITE_FILE);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getOrder: this.db.prepare('SELECT data FROM orders WHERE id = ?'),
+            upsertOrder: this.db.prepare(`
+                INSERT INTO orders (id, symbol, status, side, paper, created_at, data)
+                VALUES (@id, @symbol, @status, @side, @paper, @createdAt, @data)
+                ON CONFLICT (id) DO UPDATE SET
+                    symbol = excluded.symbol,
+                    status = excluded.status,
+                    side = excluded.side,
+                    paper = excluded.paper,
+                    created_at = excluded.created_at,
+                    data = excluded.data
+            `),
+            removeOrder: this.db.prepare('DELETE FROM orders WHERE id = ?'),
+            clearOrders: this.db.prepare('DELETE FROM orders'),
+            getSetting: this.db.prepare('SELECT value FROM settings WHERE key = ?'),
+            setSetting: this.db.prepare(`
+                INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            upsertSignal: this.db.prepare(`
+                INSERT OR REPLACE INTO signals (id, symbol, strategy, source, outcome, received_at, data)
+                VALUES (@id, @symbol, @strategy, @source, @outcome, @receivedAt, @data)
+            `)
+        };
+    }
+
+    orderRow(order) {
+        return {
+            id: order.id,
+            symbol: order.symbol || null,
+            status: order.status || null,
+            side: order.side || null,
+            paper: order.paper ? 1 : 0,
+            createdAt: order.createdAt || order.timestamp || null,
+            data: JSON.stringify(order)
+        };
+    }
+
+    async getOrders(filter = {}) {
+        const { status, symbol, side, paper, from, to } = filter;
+        const clauses = [];
+        const params = [];
+
+        if (status && status.length > 0) {
+            clauses.push(`status IN (${status.map(() => '?').join(', ')})`);
+            params.push(...status);
+        }
+        if (symbol && symbol.length > 0) {
+            clauses.push(`symbol IN (${symbol.map(() => '?').join(', ')})`);
+            params.push(...symbol);
+        }
+        if (side) {
+            clauses.push('side = ?');
+            params.push(side);
+        }
+        if (paper !== undefined) {
+            clauses.push('paper = ?');
+            params.push(paper ? 1 : 0);
+        }
+        if (from) {
+            clauses.push('created_at >= ?');
+            params.push(new Date(from).toISOString());
+        }
+        if (to) {
+            clauses.push('created_at <= ?');
+            params.push(new Date(to).toISOString());
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const rows = this.db
+            .prepare(`SELECT data FROM orders ${where} ORDER BY created_at DESC`)
+            .all(...params);
+
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async countOrders() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM orders').get().count;
+    }
+
+    async getOrder(id) {
+        const row = this.statements.getOrder.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async insertOrder(order) {
+        this.statements.upsertOrder.run(this.orderRow(order));
+        return order;
+    }
+
+    // The updater gets the stored order and returns its replacement (synchronously)
+    async updateOrder(id, updater) {
+        const update = this.db.transaction(() => {
+            const row = this.statements.getOrder.get(id);
+
+            if (!row) {
+                throw new Error(`Order not found: ${id}`);
+            }
+
+            const updated = updater(JSON.parse(row.data));
+            this.statements.upsertOrder.run(this.orderRow(updated));
+            return updated;
+        });
+
+        return update.immediate();
+    }
+
+    async removeOrder(id) {
+        return this.statements.removeOrder.run(id).changes > 0;
+    }
+
+    async clearOrders() {
+        this.statements.clearOrders.run();
+    }
+
+    async getConfig(defaultValue) {
+        const row = this.statements.getSetting.get('config');
+        return row ? JSON.parse(row.value) : defaultValue;
+    }
+
+    async saveConfig(config) {
+        this.statements.setSetting.run('config', JSON.stringify(config), new Date().toISOString());
+        return config;
+    }
+
+    // Service state shares the settings table with the config, under a state: prefix
+    async getState(key, defaultValue = null) {
+        const row = this.statements.getSetting.get(`state:${key}`);
+        return row ? JSON.parse(row.value) : defaultValue;
+    }
+
+    async setState(key, value) {
+        this.statements.setSetting.run(`state:${key}`, JSON.stringify(value), new Date().toISOString());
+        return value;
+    }
+
+    async addSignal(signal) {
+        this.statements.upsertSignal.run({
+            id: signal.id,
+            symbol: signal.symbol || null,
+            strategy: signal.strategy || null,
+            source: signal.source || null,
+            outcome: signal.outcome || null,
+            receivedAt: signal.receivedAt,
+            data: JSON.stringify(signal)
+        });
+        return signal;
+    }
+
+    async getSignals({ limit = 100, symbol } = {}) {
+        const rows = symbol
+            ? this.db.prepare('SELECT data FROM signals WHERE symbol = ? ORDER BY received_at DESC LIMIT ?').all(symbol, limit)
+            : this.db.prepare('SELECT data FROM signals ORDER BY received_at DESC LIMIT ?').all(limit);
+
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStore;
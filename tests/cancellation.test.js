@@ -0,0 +1,182 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const express = require('express');
+const request = require('supertest');
+const storage = require('../storage');
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const OrderCancellationService = require('../services/orderCancellationService');
+const OrderController = require('../controllers/orderControllers');
+const WebhookController = require('../controllers/webhookControllers');
+const { ORDER_STATUS } = require('../config/constants');
+
+const app = express();
+app.delete('/api/orders', OrderController.clearOrders);
+
+const newOrder = (extra = {}) => Order.add({
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'MARKET',
+    quantity: 0.01,
+    status: ORDER_STATUS.PENDING,
+    paper: true,
+    ...extra
+});
+
+// The timer callback does real storage I/O; let the event loop run until it is done
+async function until(condition) {
+    for (let turn = 0; turn < 500 && !(await condition()); turn++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// A stand-in for the express response
+const response = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(body => { res.body = body; return res; });
+    return res;
+};
+
+beforeAll(async () => {
+    await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 }, paperBalances: { BTC: 10, USDT: 10000 } });
+});
+
+afterAll(async () => {
+    await RealtimeOrderService.stop();
+    await ExchangeService.disconnect();
+});
+
+beforeEach(async () => {
+    await storage.clearOrders();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('OrderCancellationService', () => {
+    test('waiting entries are cancelled locally and dropped from monitoring', async () => {
+        const order = await newOrder({ status: ORDER_STATUS.WAITING_TRIGGER, triggerPrice: 90, triggerCondition: 'below' });
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        const result = await OrderCancellationService.cancelOrder(order.id, 'Test');
+
+        expect(result).toMatchObject({ entryCancelled: true, order: { status: ORDER_STATUS.CANCELLED, cancelReason: 'Test' } });
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+    });
+
+    test('resting entries are cancelled on the exchange', async () => {
+        const placed = await ExchangeService.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.01, price: 90 });
+        const order = await newOrder({ type: 'LIMIT', price: 90, status: ORDER_STATUS.SUBMITTED, binanceOrderId: placed.orderId });
+
+        const result = await OrderCancellationService.cancelOrder(order.id);
+
+        expect(result.order.status).toBe(ORDER_STATUS.CANCELLED);
+        expect(await ExchangeService.getOpenOrders('BTCUSDT')).toEqual([]);
+    });
+
+    test('a filled entry keeps its status while its children are switched off', async () => {
+        const order = await newOrder({ status: ORDER_STATUS.FILLED, executedQuantity: '0.01', executedPrice: 100, stopLoss: 90 });
+
+        const result = await OrderCancellationService.cancelOrder(order.id);
+
+        expect(result).toMatchObject({ entryCancelled: false, childrenCancelled: true });
+        expect(result.order.status).toBe(ORDER_STATUS.FILLED);
+        expect(result.order.exitCancelledAt).toBeDefined();
+        await expect(OrderCancellationService.cancelOrder(order.id)).rejects.toThrow('Order cannot be cancelled from status filled');
+    });
+
+    test('cancel-all covers every open order of the current mode', async () => {
+        await newOrder({ status: ORDER_STATUS.SCHEDULED });
+        await newOrder({ status: ORDER_STATUS.WAITING_TRIGGER, symbol: 'ETHUSDT' });
+        await newOrder({ status: ORDER_STATUS.WAITING_TRIGGER, paper: false });
+        await newOrder({ status: ORDER_STATUS.FILLED });
+
+        const result = await OrderCancellationService.cancelAll({ symbol: 'BTCUSDT' });
+
+        expect(result.cancelled).toHaveLength(1);
+        expect(result.failed).toEqual([]);
+    });
+});
+
+describe('scheduled orders', () => {
+    const schedule = async () => {
+        const order = await newOrder({ executionMode: 'scheduled', scheduledTime: new Date(Date.now() + 60 * 1000).toISOString() });
+        await WebhookController.scheduleOrder(order);
+        return order;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    });
+
+    test('a cancelled scheduled order is never placed', async () => {
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        const order = await schedule();
+        expect(RealtimeOrderService.scheduledTimers.has(order.id)).toBe(true);
+
+        await OrderCancellationService.cancelOrder(order.id);
+        expect(RealtimeOrderService.scheduledTimers.has(order.id)).toBe(false);
+
+        await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+        expect(placeOrder).not.toHaveBeenCalled();
+        expect((await Order.getById(order.id)).status).toBe(ORDER_STATUS.CANCELLED);
+    });
+
+    test('a scheduled order runs once when its time comes', async () => {
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        const order = await schedule();
+
+        await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+        await until(async () => (await Order.getById(order.id)).status === ORDER_STATUS.FILLED);
+
+        expect(placeOrder).toHaveBeenCalledTimes(1);
+        expect((await Order.getById(order.id)).status).toBe(ORDER_STATUS.FILLED);
+        expect(RealtimeOrderService.scheduledTimers.has(order.id)).toBe(false);
+    });
+
+    test('force-triggering a scheduled order places it once', async () => {
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        const order = await schedule();
+        const res = response();
+
+        await WebhookController.triggerOrder({ params: { orderId: order.id }, body: { forceTrigger: true } }, res);
+        await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+
+        expect(res.body.message).toBe('Order triggered successfully');
+        expect(placeOrder).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('immediate execution', () => {
+    test('is skipped once the order can no longer be submitted', async () => {
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        const order = await newOrder();
+        await Order.update(order.id, { status: ORDER_STATUS.CANCELLED });
+
+        await WebhookController.executeImmediateOrder(order, 100);
+
+        expect(placeOrder).not.toHaveBeenCalled();
+        expect((await Order.getById(order.id)).status).toBe(ORDER_STATUS.CANCELLED);
+    });
+});
+
+describe('DELETE /api/orders', () => {
+    test('refuses while orders are still active', async () => {
+        const active = await newOrder({ status: ORDER_STATUS.SUBMITTED, binanceOrderId: 1 });
+        await newOrder({ status: ORDER_STATUS.FILLED });
+
+        const refused = await request(app).delete('/api/orders');
+        expect(refused.status).toBe(409);
+        expect(refused.body.activeOrders).toEqual([expect.objectContaining({ id: active.id, status: ORDER_STATUS.SUBMITTED })]);
+        expect(await Order.getAll()).toHaveLength(2);
+
+        await Order.update(active.id, { status: ORDER_STATUS.CANCELLED });
+        const cleared = await request(app).delete('/api/orders');
+        expect(cleared.status).toBe(200);
+        expect(await Order.getAll()).toEqual([]);
+    });
+});
@@ -0,0 +1,137 @@
+const BinanceService = require('../services/binanceService');
+const { TIME_SYNC_INTERVAL_MS } = require('../config/constants');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+const timestampError = () => new Error("-1021 Timestamp for this request was 1000ms ahead of the server's time.");
+
+describe('BinanceService clock sync', () => {
+    let client;
+
+    // The server answers halfway through a 100ms round trip, `offset` ahead of the local clock
+    const serverAhead = (offset) => jest.fn(async () => {
+        jest.setSystemTime(Date.now() + 100);
+        return { serverTime: Date.now() - 50 + offset };
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+        jest.setSystemTime(START);
+
+        client = { Options: { recvWindow: 5000 }, timeOffset: 0, time: serverAhead(2000) };
+        Object.assign(BinanceService, {
+            binance: client,
+            isConnected: true,
+            marketType: 'spot',
+            clock: { offsetMs: 0, roundTripMs: null, syncedAt: null, syncs: 0, timestampErrors: 0 }
+        });
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        BinanceService.stopTimeSync();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        Object.assign(BinanceService, { binance: null, isConnected: false });
+    });
+
+    test('measures the offset halfway through the round trip', async () => {
+        const clock = await BinanceService.syncTime();
+
+        expect(clock).toMatchObject({ offsetMs: 2000, roundTripMs: 100, syncs: 1, syncedAt: new Date(START + 100).toISOString() });
+        expect(client.timeOffset).toBe(2000);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('behind Binance by 2000ms'));
+        expect(BinanceService.getClockStatus()).toMatchObject({ offsetMs: 2000, recvWindowMs: 5000 });
+    });
+
+    test('uses the futures time endpoint on futures', async () => {
+        BinanceService.marketType = 'futures';
+        client.futuresTime = jest.fn(async () => {
+            jest.setSystemTime(Date.now() + 100);
+            return Date.now() - 50 - 300;
+        });
+
+        await BinanceService.syncTime();
+
+        expect(client.time).not.toHaveBeenCalled();
+        expect(client.timeOffset).toBe(-300);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('shares one measurement between concurrent callers', async () => {
+        const [first, second] = await Promise.all([BinanceService.syncTime(), BinanceService.syncTime()]);
+
+        expect(client.time).toHaveBeenCalledTimes(1);
+        expect(first).toBe(second);
+
+        await BinanceService.syncTime();
+        expect(client.time).toHaveBeenCalledTimes(2);
+    });
+
+    test('fails when no server time comes back', async () => {
+        client.time = jest.fn().mockResolvedValue({});
+
+        await expect(BinanceService.syncTime()).rejects.toThrow('Server time error');
+        expect(BinanceService.clock.syncs).toBe(0);
+    });
+
+    test('resyncs and resends a call rejected for its timestamp', async () => {
+        const task = jest.fn()
+            .mockRejectedValueOnce(timestampError())
+            .mockResolvedValueOnce({ balances: [] });
+
+        await expect(BinanceService.request('account', task)).resolves.toEqual({ balances: [] });
+
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(client.time).toHaveBeenCalledTimes(1);
+        expect(client.timeOffset).toBe(2000);
+        expect(BinanceService.clock).toMatchObject({ timestampErrors: 1, syncs: 1 });
+    });
+
+    test('resends only once', async () => {
+        const task = jest.fn().mockRejectedValue(timestampError());
+
+        await expect(BinanceService.request('account', task)).rejects.toThrow('-1021');
+
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(client.time).toHaveBeenCalledTimes(1);
+    });
+
+    test('passes other errors through without a resync', async () => {
+        const task = jest.fn().mockRejectedValue(new Error('-2010 Account has insufficient balance'));
+
+        await expect(BinanceService.request('order', task)).rejects.toThrow('-2010');
+
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(client.time).not.toHaveBeenCalled();
+    });
+
+    test('recognises the timestamp errors Binance sends', () => {
+        expect(BinanceService.isTimestampError(timestampError())).toBe(true);
+        expect(BinanceService.isTimestampError(new Error('Timestamp for this request is outside of the recvWindow.'))).toBe(true);
+        expect(BinanceService.isTimestampError(new Error('-1013 Filter failure: LOT_SIZE'))).toBe(false);
+    });
+
+    test('re-measures the offset periodically while connected', async () => {
+        BinanceService.startTimeSync();
+
+        jest.advanceTimersByTime(TIME_SYNC_INTERVAL_MS);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(client.time).toHaveBeenCalledTimes(1);
+
+        BinanceService.isConnected = false;
+        jest.advanceTimersByTime(TIME_SYNC_INTERVAL_MS);
+        expect(client.time).toHaveBeenCalledTimes(1);
+
+        BinanceService.isConnected = true;
+        BinanceService.stopTimeSync();
+        jest.advanceTimersByTime(TIME_SYNC_INTERVAL_MS);
+        expect(client.time).toHaveBeenCalledTimes(1);
+    });
+});
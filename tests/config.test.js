@@ -0,0 +1,94 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const express = require('express');
+const request = require('supertest');
+const storage = require('../storage');
+const Config = require('../models/Config');
+const ConfigController = require('../controllers/configController');
+
+const SOURCES = { tradingview: { mode: 'passphrase', secret: 'tv-passphrase' } };
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.get('/api/config', ConfigController.getConfig);
+    app.post('/api/config', ConfigController.saveConfig);
+    return app;
+}
+
+beforeEach(async () => {
+    await storage.saveConfig({ ...(await Config.get()), symbol: 'ETHUSDT', leverage: 5, webhookSources: SOURCES });
+});
+
+describe('Config.save', () => {
+    test('merges into the stored config', async () => {
+        await Config.save({ takeProfitPercent: 3 });
+
+        const config = await Config.get();
+        expect(config.takeProfitPercent).toBe(3);
+        expect(config.symbol).toBe('ETHUSDT');
+        expect(config.leverage).toBe(5);
+    });
+
+    test('keeps webhook sources whatever is posted', async () => {
+        await Config.save({ webhookSources: { attacker: { mode: 'passphrase', secret: 'mine' } } });
+        expect((await Config.get()).webhookSources).toEqual(SOURCES);
+
+        await Config.save({ symbol: 'BTCUSDT' });
+        expect((await Config.get()).webhookSources).toEqual(SOURCES);
+    });
+
+    test('never stores API credentials', async () => {
+        await Config.save({ binanceApiKey: 'key', binanceApiSecret: 'secret' });
+        const config = await Config.get();
+        expect(config.binanceApiKey).toBeUndefined();
+        expect(config.binanceApiSecret).toBeUndefined();
+    });
+});
+
+describe('config API', () => {
+    test('GET never returns webhook secrets', async () => {
+        const response = await request(createApp()).get('/api/config');
+
+        expect(response.status).toBe(200);
+        expect(response.body.webhookSources.tradingview).toEqual({ mode: 'passphrase', secretSet: true });
+        expect(JSON.stringify(response.body)).not.toContain('tv-passphrase');
+    });
+
+    test('POST rejects changed webhook sources', async () => {
+        const response = await request(createApp())
+            .post('/api/config')
+            .send({ webhookSources: { attacker: { mode: 'passphrase', secret: 'mine' } } });
+
+        expect(response.status).toBe(400);
+        expect((await Config.get()).webhookSources).toEqual(SOURCES);
+    });
+
+    test('POST accepts the redacted config posted back', async () => {
+        const app = createApp();
+        const { body: current } = await request(app).get('/api/config');
+
+        const response = await request(app).post('/api/config').send({ ...current, stopLossPercent: 2 });
+
+        expect(response.status).toBe(200);
+        const stored = await Config.get();
+        expect(stored.stopLossPercent).toBe(2);
+        expect(stored.webhookSources).toEqual(SOURCES);
+    });
+
+    test('POST rejects a drawdown limit without startingEquity', async () => {
+        const app = createApp();
+
+        const rejected = await request(app).post('/api/config').send({ riskLimits: { maxDrawdownPercent: 10 } });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.error).toMatch('maxDrawdownPercent requires startingEquity');
+
+        const accepted = await request(app).post('/api/config').send({ riskLimits: { maxDrawdownPercent: 10, startingEquity: 1000 } });
+        expect(accepted.status).toBe(200);
+    });
+
+    test('POST rejects API credentials', async () => {
+        const response = await request(createApp()).post('/api/config').send({ binanceApiKey: 'key' });
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,157 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const express = require('express');
+const request = require('supertest');
+const storage = require('../storage');
+const CredentialStore = require('../services/credentialStore');
+const CredentialController = require('../controllers/credentialController');
+
+const app = express();
+app.use(express.json());
+app.get('/api/credentials', CredentialController.getCredentials);
+app.put('/api/credentials', CredentialController.setCredentials);
+app.delete('/api/credentials', CredentialController.deleteCredentials);
+
+const API_KEY = 'test-api-key-0001ABCD';
+const API_SECRET = 'test-api-secret-do-not-leak';
+const ENV_KEYS = ['CREDENTIALS_MASTER_KEY', 'BINANCE_API_KEY', 'BINANCE_API_SECRET', 'USE_TESTNET'];
+const savedEnv = {};
+
+beforeAll(() => {
+    for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+});
+
+beforeEach(async () => {
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.CREDENTIALS_MASTER_KEY = 'master-key-for-tests';
+
+    await storage.setState('credentials', {});
+    await storage.saveConfig({});
+    CredentialStore.cache.clear();
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    }
+});
+
+describe('CredentialStore', () => {
+    test('stores credentials encrypted and reads them back', async () => {
+        const summary = await CredentialStore.set('binance', { apiKey: API_KEY, apiSecret: API_SECRET, useTestnet: false });
+        expect(summary).toMatchObject({ exchange: 'binance', configured: true, apiKeyHint: '…ABCD', useTestnet: false, algorithm: 'aes-256-gcm' });
+
+        const stored = JSON.stringify(await storage.getState('credentials'));
+        expect(stored).not.toContain(API_KEY);
+        expect(stored).not.toContain(API_SECRET);
+
+        CredentialStore.cache.clear();
+        expect(await CredentialStore.get('binance')).toEqual({ apiKey: API_KEY, apiSecret: API_SECRET, useTestnet: false });
+    });
+
+    test('keeps the creation date when keys are rotated', async () => {
+        const first = await CredentialStore.set('binance', { apiKey: API_KEY, apiSecret: API_SECRET });
+        const rotated = await CredentialStore.set('binance', { apiKey: 'rotated-key-9999', apiSecret: 'rotated-secret' });
+
+        expect(rotated).toMatchObject({ createdAt: first.createdAt, apiKeyHint: '…9999', useTestnet: true });
+        expect(await CredentialStore.get()).toMatchObject({ apiKey: 'rotated-key-9999' });
+    });
+
+    test('refuses to decrypt with another master key or under another exchange', async () => {
+        await CredentialStore.set('binance', { apiKey: API_KEY, apiSecret: API_SECRET });
+        const records = await storage.getState('credentials');
+
+        CredentialStore.cache.clear();
+        process.env.CREDENTIALS_MASTER_KEY = 'some-other-key';
+        await expect(CredentialStore.get('binance')).rejects.toThrow('could not be decrypted (wrong master key?)');
+
+        // The exchange name is authenticated data, so a record cannot be moved
+        process.env.CREDENTIALS_MASTER_KEY = 'master-key-for-tests';
+        await storage.setState('credentials', { ...records, kraken: records.binance });
+        await expect(CredentialStore.get('kraken')).rejects.toThrow('could not be decrypted');
+    });
+
+    test('needs a master key and both halves of the credentials', async () => {
+        await expect(CredentialStore.set('binance', { apiKey: API_KEY })).rejects.toThrow('Invalid credentials');
+
+        delete process.env.CREDENTIALS_MASTER_KEY;
+        await expect(CredentialStore.set('binance', { apiKey: API_KEY, apiSecret: API_SECRET }))
+            .rejects.toThrow('master key is not set');
+        expect(await CredentialStore.getSummary()).toEqual({ exchange: 'binance', configured: false, masterKeySet: false });
+    });
+
+    test('builds the connection config from the store, never from plaintext fields', async () => {
+        const config = { symbol: 'BTCUSDT', binanceApiKey: 'plain', binanceApiSecret: 'plain' };
+        expect(await CredentialStore.getConnectionConfig(config)).toEqual({ symbol: 'BTCUSDT' });
+
+        await CredentialStore.set('binance', { apiKey: API_KEY, apiSecret: API_SECRET, useTestnet: true });
+        expect(await CredentialStore.getConnectionConfig(config)).toEqual({
+            symbol: 'BTCUSDT', binanceApiKey: API_KEY, binanceApiSecret: API_SECRET, useTestnet: true
+        });
+    });
+
+    test('moves plaintext keys out of the stored config', async () => {
+        const config = { symbol: 'BTCUSDT', binanceApiKey: API_KEY, binanceApiSecret: API_SECRET, useTestnet: false };
+
+        expect(await CredentialStore.importLegacy(config)).toBe(true);
+
+        expect(await CredentialStore.get()).toEqual({ apiKey: API_KEY, apiSecret: API_SECRET, useTestnet: false });
+        expect(await storage.getConfig({})).toEqual({ symbol: 'BTCUSDT', useTestnet: false });
+    });
+
+    test('imports keys from the environment without replacing stored ones', async () => {
+        process.env.BINANCE_API_KEY = API_KEY;
+        process.env.BINANCE_API_SECRET = API_SECRET;
+
+        expect(await CredentialStore.importLegacy({})).toBe(true);
+        expect(await CredentialStore.get()).toEqual({ apiKey: API_KEY, apiSecret: API_SECRET, useTestnet: true });
+
+        process.env.BINANCE_API_KEY = 'another-key';
+        await CredentialStore.importLegacy({});
+        expect(await CredentialStore.get()).toMatchObject({ apiKey: API_KEY });
+    });
+
+    test('leaves plaintext keys alone without a master key', async () => {
+        delete process.env.CREDENTIALS_MASTER_KEY;
+        const config = { binanceApiKey: API_KEY, binanceApiSecret: API_SECRET };
+        await storage.saveConfig(config);
+
+        expect(await CredentialStore.importLegacy(config)).toBe(false);
+        expect(await storage.getConfig({})).toEqual(config);
+        expect(await CredentialStore.getRecords()).toEqual({});
+    });
+});
+
+describe('/api/credentials', () => {
+    test('saves, describes and removes credentials without returning the secret', async () => {
+        const saved = await request(app).put('/api/credentials').send({ apiKey: API_KEY, apiSecret: API_SECRET });
+        expect(saved.status).toBe(200);
+        expect(saved.body).toMatchObject({ message: 'Credentials saved', connection: { reconnected: false } });
+
+        const described = await request(app).get('/api/credentials');
+        expect(described.body).toMatchObject({ configured: true, apiKeyHint: '…ABCD', masterKeySet: true });
+        expect(JSON.stringify([saved.body, described.body])).not.toContain(API_SECRET);
+
+        expect((await request(app).delete('/api/credentials')).status).toBe(200);
+        expect((await request(app).delete('/api/credentials')).status).toBe(404);
+        expect((await request(app).get('/api/credentials')).body).toMatchObject({ configured: false });
+    });
+
+    test('rejects incomplete credentials and a missing master key', async () => {
+        const incomplete = await request(app).put('/api/credentials').send({ apiKey: API_KEY });
+        expect(incomplete.status).toBe(400);
+
+        delete process.env.CREDENTIALS_MASTER_KEY;
+        const noKey = await request(app).put('/api/credentials').send({ apiKey: API_KEY, apiSecret: API_SECRET });
+        expect(noKey.status).toBe(503);
+    });
+});
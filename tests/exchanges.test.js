@@ -0,0 +1,100 @@
+const ExchangeService = require('../exchanges');
+const BaseExchange = require('../exchanges/baseExchange');
+
+afterAll(async () => {
+    await ExchangeService.disconnect();
+});
+
+describe('BaseExchange', () => {
+    test('optional capabilities reject as unsupported', async () => {
+        const adapter = new BaseExchange('venue');
+
+        expect(adapter.isConnected).toBe(false);
+        expect(adapter.requiresCredentials({})).toBe(false);
+        await expect(adapter.getTrades('BTCUSDT')).rejects.toThrow('Trade history is not supported by the venue exchange');
+        await expect(adapter.placeOrder({})).rejects.toThrow('not supported by the venue exchange');
+    });
+});
+
+describe('ExchangeService', () => {
+    test('selects adapters by name and rejects unknown ones', async () => {
+        await expect(ExchangeService.initialize({ exchange: 'nowhere' })).rejects.toThrow('Unknown exchange: nowhere');
+
+        await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 } });
+        expect(ExchangeService.name).toBe('mock');
+        expect(ExchangeService.isConnected).toBe(true);
+        expect(ExchangeService.isPaperMode()).toBe(true);
+        expect(ExchangeService.marketType).toBe('spot');
+        expect(ExchangeService.requiresCredentials({ exchange: 'mock' })).toBe(false);
+    });
+
+    test('re-emits the active adapter\'s events', async () => {
+        await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 } });
+        const updates = [];
+        const listener = update => updates.push(update);
+        ExchangeService.on('priceUpdate', listener);
+
+        ExchangeService.startPriceStream(['BTCUSDT']);
+        ExchangeService.adapter.setPrice('BTCUSDT', 110);
+        ExchangeService.adapter.setPrice('ETHUSDT', 10);
+
+        ExchangeService.off('priceUpdate', listener);
+        expect(updates).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', price: 110, change: 10 })]);
+    });
+});
+
+describe('MockExchange', () => {
+    let adapter;
+
+    beforeEach(async () => {
+        await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 }, paperBalances: { USDT: 1000 }, paperFeePercent: 0 });
+        adapter = ExchangeService.adapter;
+    });
+
+    test('fills market orders at the mock price and reports them', async () => {
+        const reports = [];
+        adapter.on('orderUpdate', report => reports.push(report));
+
+        const order = await ExchangeService.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2 });
+
+        adapter.removeAllListeners('orderUpdate');
+        expect(order).toMatchObject({ status: 'FILLED', executedQty: '2.00000000' });
+        expect(reports[reports.length - 1]).toMatchObject({ X: 'FILLED', i: order.orderId, paper: true });
+        expect((await ExchangeService.getBalances()).find(balance => balance.asset === 'USDT')).toMatchObject({ free: '800.00000000' });
+        expect(await ExchangeService.getTrades('BTCUSDT')).toEqual([expect.objectContaining({ orderId: order.orderId, qty: '2.00000000' })]);
+    });
+
+    test('limit orders rest until the price crosses them', async () => {
+        const order = await ExchangeService.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 90 });
+
+        expect(order.status).toBe('NEW');
+        expect(await ExchangeService.getOpenOrders('BTCUSDT')).toHaveLength(1);
+
+        adapter.setPrice('BTCUSDT', 89);
+        expect((await ExchangeService.getOrderStatus('BTCUSDT', order.orderId)).status).toBe('FILLED');
+        expect(await ExchangeService.getOpenOrders('BTCUSDT')).toEqual([]);
+    });
+
+    test('cancels resting orders and knows nothing of other symbols', async () => {
+        const order = await ExchangeService.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 90 });
+
+        expect((await ExchangeService.cancelOrder('BTCUSDT', order.orderId)).status).toBe('CANCELED');
+        await expect(ExchangeService.getPrice('DOGEUSDT')).rejects.toThrow('no mock price for DOGEUSDT');
+        await expect(ExchangeService.getOrderStatus('ETHUSDT', order.orderId)).rejects.toThrow('Order does not exist');
+    });
+
+    test('serves pushed klines and permissive symbol rules', async () => {
+        adapter.pushKline('BTCUSDT', '1m', { openTime: 1, close: 100 });
+        adapter.pushKline('BTCUSDT', '1m', { openTime: 1, close: 101 });
+        adapter.pushKline('BTCUSDT', '1m', { openTime: 2, close: 102 });
+
+        expect((await ExchangeService.getKlines('BTCUSDT', '1m')).map(kline => kline.close)).toEqual([101, 102]);
+        expect((await ExchangeService.getSymbolInfo('BTCUSDT'))).toMatchObject({ baseAsset: 'BTC', quoteAsset: 'USDT' });
+        await expect(ExchangeService.placeProtectionOrders({})).rejects.toThrow('not supported by the mock exchange');
+    });
+
+    test('refuses calls while disconnected', async () => {
+        await ExchangeService.disconnect();
+        await expect(ExchangeService.getPrice('BTCUSDT')).rejects.toThrow('Mock exchange not connected');
+    });
+});
@@ -0,0 +1,130 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const RiskGuardService = require('../services/riskGuardService');
+const { ORDER_STATUS } = require('../config/constants');
+
+const reports = [];
+const mock = () => ExchangeService.adapter;
+
+async function monitoredEntry() {
+    const order = await Order.add({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: 1,
+        status: ORDER_STATUS.FILLED,
+        executedQuantity: '1',
+        executedPrice: 100,
+        takeProfit: 120,
+        stopLoss: 90,
+        paper: true
+    });
+    RealtimeOrderService.addOrderToMonitoring(order);
+    return order;
+}
+
+const fire = (order, orderType, triggerPrice) => RealtimeOrderService.executeTriggeredOrder({
+    order,
+    target: { orderId: order.id, orderType },
+    triggerPrice,
+    timestamp: Date.now()
+});
+
+const targetsOf = (orderId) => [...RealtimeOrderService.priceTargets.values(), ...RealtimeOrderService.stopLossTargets.values()]
+    .filter(target => target.orderId === orderId)
+    .map(target => target.orderType);
+
+beforeAll(async () => {
+    await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 }, paperBalances: { BTC: 10, USDT: 10000 } });
+    ExchangeService.on('orderUpdate', report => reports.push(report));
+});
+
+afterAll(async () => {
+    await ExchangeService.disconnect();
+});
+
+let recordResult;
+beforeEach(() => {
+    reports.length = 0;
+    mock().setPrice('BTCUSDT', 100);
+    recordResult = jest.spyOn(RiskGuardService, 'recordResult').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resting take profit', () => {
+    test('keeps the stop loss watched until the take profit fills', async () => {
+        const order = await monitoredEntry();
+
+        await fire(order, 'takeProfit', 120);
+
+        let stored = await Order.getById(order.id);
+        expect(stored.exit).toMatchObject({ type: 'takeProfit', status: 'NEW', realizedPnl: null });
+        expect(RealtimeOrderService.needsExitMonitoring(stored)).toBe(true);
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(true);
+        expect(targetsOf(order.id)).toEqual(['stopLoss']);
+        expect(recordResult).not.toHaveBeenCalled();
+
+        // The paper book fills the LIMIT once the price crosses it
+        mock().setPrice('BTCUSDT', 121);
+        const fill = reports.find(report => String(report.i) === String(stored.exit.binanceOrderId) && report.X === 'FILLED');
+        const found = await RealtimeOrderService.findOrderByBinanceId(fill.i, 'BTCUSDT');
+        expect(found.id).toBe(order.id);
+
+        await RealtimeOrderService.updateOrderFromBinance(found, fill);
+        await RealtimeOrderService.updateOrderFromBinance(found, fill);
+
+        stored = await Order.getById(order.id);
+        expect(stored.exit).toMatchObject({ status: 'FILLED', quantity: '1.00000000', price: 120, realizedPnl: 20, commissionAsset: 'USDT' });
+        expect(stored.exit.commission).toBeCloseTo(0.12);
+        expect(recordResult).toHaveBeenCalledTimes(1);
+        expect(recordResult).toHaveBeenCalledWith(expect.objectContaining({ id: order.id }), 20);
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+        expect(targetsOf(order.id)).toEqual([]);
+        // The entry itself is untouched by its exit's reports
+        expect(stored.status).toBe(ORDER_STATUS.FILLED);
+    });
+
+    test('a stop firing first cancels the take profit and sells the rest', async () => {
+        const order = await monitoredEntry();
+        await fire(order, 'takeProfit', 120);
+        const takeProfitId = (await Order.getById(order.id)).exit.binanceOrderId;
+
+        mock().setPrice('BTCUSDT', 89);
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        await fire(order, 'stopLoss', 89);
+
+        const stored = await Order.getById(order.id);
+        expect(mock().book.getOpenOrders('BTCUSDT').map(open => open.orderId)).not.toContain(takeProfitId);
+        expect(placeOrder.mock.calls[0][0]).toMatchObject({ side: 'SELL', type: 'MARKET', quantity: 1 });
+        expect(stored.exit).toMatchObject({
+            type: 'stopLoss',
+            status: 'FILLED',
+            price: 89,
+            realizedPnl: -11,
+            cancelledTakeProfit: expect.objectContaining({ binanceOrderId: takeProfitId, status: 'CANCELED', quantity: 0 })
+        });
+        expect(recordResult).toHaveBeenCalledWith(expect.objectContaining({ id: order.id }), -11);
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+    });
+
+    test('a take profit that filled meanwhile is recorded instead of selling again', async () => {
+        const order = await monitoredEntry();
+        await fire(order, 'takeProfit', 120);
+
+        // Filled on the book, but its report has not been processed yet
+        mock().setPrice('BTCUSDT', 121);
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        await fire(order, 'stopLoss', 89);
+
+        const stored = await Order.getById(order.id);
+        expect(placeOrder).not.toHaveBeenCalled();
+        expect(stored.exit).toMatchObject({ type: 'takeProfit', status: 'FILLED', realizedPnl: 20 });
+        expect(recordResult).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileManager = require('../utils/fileManager');
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradingbot-files-'));
+    file = path.join(dir, 'data.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('FileManager', () => {
+    test('returns the default for a missing file', async () => {
+        expect(await FileManager.readJsonFile(file, [])).toEqual([]);
+    });
+
+    test('writes atomically and keeps a backup without leaving temp files', async () => {
+        await FileManager.writeJsonFile(file, { a: 1 });
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ a: 1 });
+        expect(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8'))).toEqual({ a: 1 });
+        expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('concurrent updates are applied one after another', async () => {
+        await FileManager.writeJsonFile(file, []);
+
+        await Promise.all(Array.from({ length: 25 }, (_, index) =>
+            FileManager.updateJsonFile(file, [], async items => {
+                await new Promise(resolve => setImmediate(resolve));
+                return [...items, index];
+            })
+        ));
+
+        const items = await FileManager.readJsonFile(file, []);
+        expect(items).toHaveLength(25);
+        expect([...items].sort((a, b) => a - b)).toEqual(Array.from({ length: 25 }, (_, index) => index));
+    });
+
+    test('a failing updater leaves the file unchanged and does not block later writers', async () => {
+        await FileManager.writeJsonFile(file, { count: 1 });
+
+        await expect(FileManager.updateJsonFile(file, {}, () => {
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        await FileManager.updateJsonFile(file, {}, data => ({ count: data.count + 1 }));
+        expect(await FileManager.readJsonFile(file)).toEqual({ count: 2 });
+    });
+
+    test('a corrupt file is quarantined and restored from the last good backup', async () => {
+        await FileManager.writeJsonFile(file, { good: true });
+        fs.writeFileSync(file, '{"good": tr');
+
+        expect(await FileManager.readJsonFile(file, {})).toEqual({ good: true });
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ good: true });
+        expect(fs.readdirSync(dir).some(name => name.startsWith('data.json.corrupt-'))).toBe(true);
+    });
+
+    test('a corrupt file without a backup falls back to the default', async () => {
+        fs.writeFileSync(file, 'not json');
+
+        expect(await FileManager.readJsonFile(file, [])).toEqual([]);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([]);
+    });
+});
@@ -0,0 +1,104 @@
+const BinanceService = require('../services/binanceService');
+const TradingService = require('../services/tradingService');
+
+const config = {
+    leverage: 5,
+    marginType: 'isolated',
+    futuresSymbols: { ETHUSDT: { leverage: '10', marginType: 'cross' } }
+};
+
+describe('TradingService futures settings', () => {
+    test('per-symbol overrides win over the defaults', () => {
+        expect(TradingService.getFuturesSettings('BTCUSDT', config)).toEqual({ leverage: 5, marginType: 'ISOLATED' });
+        expect(TradingService.getFuturesSettings('ETHUSDT', config)).toEqual({ leverage: 10, marginType: 'CROSS' });
+        expect(TradingService.getFuturesSettings('BTCUSDT', {})).toEqual({ leverage: 1, marginType: 'ISOLATED' });
+    });
+
+    test('orders record leverage and margin type only on futures', () => {
+        const validation = { action: 'BUY', strategy: 'rsi' };
+        const signal = { symbol: 'ETHUSDT', quantity: 1 };
+        const base = { takeProfitPercent: 2, stopLossPercent: 1, ...config };
+
+        expect(TradingService.createOrder(signal, validation, 100, { ...base, marketType: 'futures' }))
+            .toMatchObject({ marketType: 'futures', leverage: '10x', marginType: 'CROSS' });
+        expect(TradingService.createOrder(signal, validation, 100, base))
+            .toMatchObject({ marketType: 'spot', leverage: '1x', marginType: null });
+    });
+});
+
+describe('BinanceService futures orders', () => {
+    let client;
+
+    beforeEach(() => {
+        client = {
+            futuresMarginType: jest.fn().mockResolvedValue({}),
+            futuresLeverage: jest.fn().mockResolvedValue({}),
+            futuresOrder: jest.fn().mockResolvedValue({ orderId: 1, symbol: 'BTCUSDT', side: 'BUY', status: 'NEW', executedQty: '0', avgPrice: '0' }),
+            futuresPositionRisk: jest.fn().mockResolvedValue([
+                { symbol: 'BTCUSDT', positionSide: 'BOTH', positionAmt: '0.5', entryPrice: '100', markPrice: '110', unRealizedProfit: '5', liquidationPrice: '50', leverage: '5', marginType: 'isolated', isolatedMargin: '10', notional: '55' },
+                { symbol: 'ETHUSDT', positionSide: 'BOTH', positionAmt: '0', entryPrice: '0', markPrice: '20' }
+            ])
+        };
+
+        Object.assign(BinanceService, {
+            binance: client,
+            isConnected: true,
+            marketType: 'futures',
+            futuresSettings: { ...config, hedgeMode: false }
+        });
+        BinanceService.appliedSymbolSettings.clear();
+    });
+
+    afterAll(() => {
+        Object.assign(BinanceService, { binance: null, isConnected: false, marketType: 'spot', futuresSettings: {} });
+    });
+
+    test('applies leverage and margin type once per symbol', async () => {
+        client.futuresMarginType.mockRejectedValueOnce(new Error('-4046 No need to change margin type.'));
+
+        await BinanceService.applySymbolSettings('ETHUSDT');
+        await BinanceService.applySymbolSettings('ETHUSDT');
+
+        expect(client.futuresMarginType).toHaveBeenCalledTimes(1);
+        expect(client.futuresMarginType).toHaveBeenCalledWith('ETHUSDT', 'CROSS');
+        expect(client.futuresLeverage).toHaveBeenCalledWith('ETHUSDT', 10);
+    });
+
+    test('other margin type errors stop the order', async () => {
+        client.futuresMarginType.mockRejectedValueOnce(new Error('-4048 Margin type cannot be changed if there exists position.'));
+
+        await expect(BinanceService.applySymbolSettings('BTCUSDT')).rejects.toThrow('Margin type error for BTCUSDT');
+        expect(client.futuresLeverage).not.toHaveBeenCalled();
+    });
+
+    test('one-way mode closes with reduceOnly', async () => {
+        await BinanceService.placeFuturesOrder(
+            { symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT', reduceOnly: true },
+            { quantity: '0.5', price: '120' }
+        );
+
+        expect(client.futuresOrder).toHaveBeenCalledWith('LIMIT', 'SELL', 'BTCUSDT', '0.5', '120', { timeInForce: 'GTC', reduceOnly: 'true' });
+    });
+
+    test('hedge mode picks the position side instead', async () => {
+        BinanceService.futuresSettings.hedgeMode = true;
+
+        await BinanceService.placeFuturesOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET' }, { quantity: '1' });
+        await BinanceService.placeFuturesOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', reduceOnly: true }, { quantity: '1' });
+
+        expect(client.futuresOrder.mock.calls[0][5]).toEqual({ positionSide: 'LONG' });
+        expect(client.futuresOrder.mock.calls[1][5]).toEqual({ positionSide: 'SHORT' });
+    });
+
+    test('lists only open positions', async () => {
+        const positions = await BinanceService.getFuturesPositions();
+
+        expect(positions).toHaveLength(1);
+        expect(positions[0]).toMatchObject({ symbol: 'BTCUSDT', positionAmt: 0.5, leverage: 5, unrealizedProfit: 5 });
+    });
+
+    test('positions need the futures market', async () => {
+        BinanceService.marketType = 'spot';
+        await expect(BinanceService.getFuturesPositions()).rejects.toThrow('only available when marketType is futures');
+    });
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../../storage/fileStore');
+
+// File storage backend in a fresh temp directory, so tests never touch the
+// real orders.json / config.json. Use it as a jest.mock factory for storage.
+function createTempStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradingbot-test-'));
+
+    const store = new FileStore({
+        ordersFile: path.join(dir, 'orders.json'),
+        configFile: path.join(dir, 'config.json'),
+        signalsFile: path.join(dir, 'signals.json'),
+        stateFile: path.join(dir, 'state.json')
+    });
+    store.dir = dir;
+
+    if (typeof afterAll === 'function') {
+        afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+    }
+
+    return store;
+}
+
+module.exports = createTempStore;
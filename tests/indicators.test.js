@@ -0,0 +1,179 @@
+const Indicators = require('../utils/indicators');
+const ExchangeService = require('../exchanges');
+const IndicatorService = require('../services/indicatorService');
+
+const MINUTE = 60 * 1000;
+
+// Candles of the given closes, one minute apart, with a high/low of ±1
+const candlesOf = (closes) => closes.map((close, i) => ({
+    openTime: i * MINUTE,
+    closeTime: (i + 1) * MINUTE - 1,
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1
+}));
+
+describe('Indicators', () => {
+    test('sma and ema hold null until a full period exists', () => {
+        expect(Indicators.sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+        // Seeded with the SMA of the first three values, then k = 0.5
+        expect(Indicators.ema([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+        expect(Indicators.ema([1, 2], 3)).toEqual([null, null]);
+    });
+
+    test('rsi uses Wilder smoothing', () => {
+        expect(Indicators.rsi([10, 11, 10, 11], 2)).toEqual([null, null, 50, 75]);
+        expect(Indicators.rsi([1, 2, 3, 4], 2).slice(2)).toEqual([100, 100]);
+        expect(Indicators.rsi([5, 5, 5], 2)[2]).toBe(50);
+        expect(Indicators.rsi([1, 2], 2)).toEqual([null, null]);
+    });
+
+    test('atr includes gaps from the previous close', () => {
+        const candles = candlesOf([10, 10, 10, 10]);
+        expect(Indicators.atr(candles, 2)).toEqual([null, null, 2, 2]);
+
+        // A gap up of 5 makes the true range 6 instead of the candle's 2
+        const gapped = candlesOf([10, 10, 15]);
+        expect(Indicators.trueRange(gapped[2], gapped[1])).toBe(6);
+        expect(Indicators.atr(gapped, 2)[2]).toBe(4);
+    });
+
+    test('adx reads a steady uptrend as fully directional', () => {
+        const { plusDI, minusDI, adx } = Indicators.adx(candlesOf([10, 11, 12, 13, 14, 15, 16]), 3);
+
+        expect(plusDI.slice(0, 3)).toEqual([null, null, null]);
+        expect(plusDI.slice(3)).toEqual([50, 50, 50, 50]);
+        expect(minusDI.slice(3)).toEqual([0, 0, 0, 0]);
+        // The first ADX is the mean of the first period DX values
+        expect(adx).toEqual([null, null, null, null, null, 100, 100]);
+    });
+
+    test('macd of a flat series is zero once the signal line exists', () => {
+        const closes = new Array(40).fill(100);
+        const { macd, signal, histogram } = Indicators.macd(closes);
+
+        expect(macd[24]).toBeNull();
+        expect(macd[25]).toBe(0);
+        expect(signal[32]).toBeNull();
+        expect(signal[33]).toBe(0);
+        expect(histogram[33]).toBe(0);
+    });
+
+    test('macd follows a rising series above its signal line', () => {
+        const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+        const { macd, signal, histogram } = Indicators.macd(closes, 3, 6, 3);
+
+        expect(macd[59]).toBeCloseTo(1.5, 6);
+        expect(signal[59]).toBeCloseTo(1.5, 6);
+        expect(histogram[59]).toBeCloseTo(0, 6);
+        expect(macd.slice(0, 5)).toEqual([null, null, null, null, null]);
+    });
+});
+
+describe('IndicatorService', () => {
+    const config = (indicators = {}) => ({
+        symbol: 'BTCUSDT',
+        timeframe: '1m',
+        defaultStrategy: 'rsi',
+        indicators: { enabled: true, rsiPeriod: 2, history: 10, ...indicators }
+    });
+
+    const push = (close, minute) => ExchangeService.adapter.pushKline('BTCUSDT', '1m', candlesOf([close]).map(candle => ({
+        ...candle,
+        openTime: minute * MINUTE,
+        closeTime: (minute + 1) * MINUTE - 1
+    }))[0]);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 } });
+    });
+
+    afterEach(async () => {
+        IndicatorService.stop();
+        IndicatorService.removeAllListeners('signal');
+        IndicatorService.removeAllListeners('indicators');
+        await ExchangeService.disconnect();
+        jest.restoreAllMocks();
+    });
+
+    test('does nothing unless enabled', async () => {
+        await IndicatorService.start(config({ enabled: false }));
+
+        expect(IndicatorService.getStatus()).toMatchObject({ active: false, streams: [] });
+        expect(IndicatorService.getIndicators('BTCUSDT', '1m')).toBeNull();
+    });
+
+    test('seeds from closed candles only and follows the kline stream', async () => {
+        [10, 11, 10].forEach((close, minute) => push(close, minute));
+        ExchangeService.adapter.pushKline('BTCUSDT', '1m', { ...candlesOf([50])[0], openTime: 3 * MINUTE, isFinal: false });
+
+        await IndicatorService.start(config());
+        expect(IndicatorService.getIndicators('BTCUSDT', '1m')).toMatchObject({ candles: 3, close: 10, rsi: 50 });
+
+        const updates = [];
+        IndicatorService.on('indicators', snapshot => updates.push(snapshot));
+
+        // Still-open updates are ignored; the closed one replaces the open candle
+        ExchangeService.adapter.pushKline('BTCUSDT', '1m', { ...candlesOf([12])[0], openTime: 3 * MINUTE, isFinal: false });
+        push(11, 3);
+
+        expect(updates).toHaveLength(1);
+        expect(updates[0]).toMatchObject({ candles: 4, close: 11, rsi: 75 });
+        expect(IndicatorService.getStatus()).toMatchObject({
+            active: true,
+            streams: [{ symbol: 'BTCUSDT', timeframe: '1m', candles: 4 }]
+        });
+    });
+
+    test('keeps at most history candles and ignores older ones', async () => {
+        await IndicatorService.start(config({ history: 3 }));
+
+        for (let minute = 0; minute < 5; minute++) {
+            push(100 + minute, minute);
+        }
+        push(90, 1);
+
+        expect(IndicatorService.getIndicators('BTCUSDT', '1m')).toMatchObject({ candles: 3, close: 104 });
+    });
+
+    test('reports indicator values that disagree with the computed ones', async () => {
+        [10, 11, 10, 11].forEach((close, minute) => push(close, minute));
+        await IndicatorService.start(config({ crossCheck: 'warn' }));
+
+        expect(IndicatorService.crossCheck({ symbol: 'BTCUSDT', timeframe: '1m', rsi: 78 })).toEqual({
+            mode: 'warn', closeTime: 4 * MINUTE - 1, mismatches: []
+        });
+        expect(IndicatorService.crossCheck({ symbol: 'BTCUSDT', timeframe: '1m', rsi: 90 }).mismatches).toEqual([
+            { field: 'rsi', received: 90, computed: 75 }
+        ]);
+        // Nothing to compare for an unknown stream
+        expect(IndicatorService.crossCheck({ symbol: 'ETHUSDT', timeframe: '1m', rsi: 90 })).toBeNull();
+    });
+
+    test('skips the cross-check when it is off', async () => {
+        [10, 11, 10, 11].forEach((close, minute) => push(close, minute));
+        await IndicatorService.start(config());
+
+        expect(IndicatorService.crossCheck({ symbol: 'BTCUSDT', timeframe: '1m', rsi: 90 })).toBeNull();
+    });
+
+    test('emits auto signals when the verdict changes', async () => {
+        await IndicatorService.start(config({ autoSignals: true }));
+        const signals = [];
+        IndicatorService.on('signal', signal => signals.push(signal));
+
+        // Falling closes push RSI to 0 (oversold) from the third candle on; a held BUY is not repeated
+        [100, 99, 98, 97].forEach((close, minute) => push(close, minute));
+        expect(signals).toHaveLength(1);
+        expect(signals[0]).toMatchObject({ symbol: 'BTCUSDT', strategy: 'rsi', rsi: 0, price: 98, source: 'indicators' });
+
+        // A jump to 110 makes it overbought: gain 6.5 vs. loss 0.5 after smoothing
+        [110, 120].forEach((close, i) => push(close, 4 + i));
+        expect(signals).toHaveLength(2);
+        expect(signals[1]).toMatchObject({ price: 110 });
+        expect(signals[1].rsi).toBeCloseTo(92.857, 3);
+    });
+});
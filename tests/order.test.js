@@ -0,0 +1,93 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const Order = require('../models/Order');
+const storage = require('../storage');
+const { ORDER_STATUS } = require('../config/constants');
+
+const newOrder = (overrides = {}) => Order.add({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.01, ...overrides });
+
+beforeEach(async () => {
+    await storage.clearOrders();
+});
+
+describe('Order.add', () => {
+    test('assigns an id, a pending status, createdAt and the first history entry', async () => {
+        const order = await newOrder();
+
+        expect(order.id).toEqual(expect.any(String));
+        expect(order.status).toBe(ORDER_STATUS.PENDING);
+        expect(order.createdAt).toEqual(expect.any(String));
+        expect(order.history).toEqual([{ status: ORDER_STATUS.PENDING, at: order.createdAt }]);
+        expect(await Order.getById(order.id)).toEqual(order);
+    });
+
+    test('validates required fields, side, quantity and status', async () => {
+        await expect(Order.add({ side: 'BUY', type: 'MARKET', quantity: 1 })).rejects.toThrow('Missing required order fields: symbol');
+        await expect(newOrder({ side: 'HOLD' })).rejects.toThrow('Invalid order side');
+        await expect(newOrder({ quantity: 0 })).rejects.toThrow('Invalid order quantity');
+        await expect(newOrder({ status: 'done' })).rejects.toThrow('Invalid order status');
+    });
+
+    test('lookups of unknown ids return null', async () => {
+        expect(await Order.getById('missing')).toBeNull();
+    });
+});
+
+describe('Order.update status transitions', () => {
+    test('follows the lifecycle and records each step', async () => {
+        const order = await newOrder();
+
+        await Order.update(order.id, { status: ORDER_STATUS.SUBMITTED });
+        await Order.update(order.id, { status: ORDER_STATUS.PARTIAL });
+        await Order.update(order.id, { status: ORDER_STATUS.PARTIAL, executedQuantity: '0.005' });
+        const filled = await Order.update(order.id, { status: ORDER_STATUS.FILLED });
+
+        expect(filled.history.map(entry => entry.status)).toEqual(['pending', 'submitted', 'partial', 'filled']);
+        expect(filled.history[3].previousStatus).toBe('partial');
+        expect(filled.executedQuantity).toBe('0.005');
+    });
+
+    test('rejects moves the lifecycle does not allow', async () => {
+        const order = await newOrder();
+
+        await expect(Order.update(order.id, { status: ORDER_STATUS.FILLED })).rejects.toThrow('Invalid order status transition: pending -> filled');
+
+        await Order.update(order.id, { status: ORDER_STATUS.CANCELLED, cancelReason: 'test' });
+        await expect(Order.update(order.id, { status: ORDER_STATUS.SUBMITTED })).rejects.toThrow('cancelled -> submitted');
+
+        const stored = await Order.getById(order.id);
+        expect(stored.status).toBe(ORDER_STATUS.CANCELLED);
+        expect(stored.history[1].reason).toBe('test');
+    });
+
+    test('ignores id and history passed by callers', async () => {
+        const order = await newOrder();
+        const updated = await Order.update(order.id, { id: 'other', history: [], note: 'x' });
+
+        expect(updated.id).toBe(order.id);
+        expect(updated.history).toHaveLength(1);
+        expect(updated.note).toBe('x');
+    });
+
+    test('fails for unknown orders', async () => {
+        await expect(Order.update('missing', { note: 'x' })).rejects.toThrow('Order not found: missing');
+    });
+});
+
+describe('Order status helpers', () => {
+    test('canTransition and isTerminal follow ORDER_STATUS_TRANSITIONS', () => {
+        expect(Order.canTransition('waiting_trigger', 'submitted')).toBe(true);
+        expect(Order.canTransition('filled', 'cancelled')).toBe(false);
+        expect(Order.canTransition(undefined, 'filled')).toBe(true);
+        expect(Order.isTerminal('filled')).toBe(true);
+        expect(Order.isTerminal('submitted')).toBe(false);
+    });
+
+    test('fromExchangeStatus maps Binance statuses', () => {
+        expect(Order.fromExchangeStatus('NEW')).toBe('submitted');
+        expect(Order.fromExchangeStatus('PARTIALLY_FILLED')).toBe('partial');
+        expect(Order.fromExchangeStatus('EXPIRED')).toBe('cancelled');
+        expect(Order.fromExchangeStatus('PENDING_CANCEL')).toBeNull();
+        expect(Order.fromExchangeStatus('SOMETHING')).toBeNull();
+    });
+});
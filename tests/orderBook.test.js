@@ -0,0 +1,182 @@
+const OrderBook = require('../utils/orderBook');
+const BinanceService = require('../services/binanceService');
+const SymbolInfoService = require('../services/symbolInfoService');
+
+const snapshot = {
+    lastUpdateId: 100,
+    bids: [['99', '1'], ['98', '2']],
+    asks: [{ price: '101', quantity: '1' }, { price: '102', quantity: '2' }]
+};
+
+describe('OrderBook', () => {
+    let book;
+
+    beforeEach(() => {
+        book = new OrderBook('BTCUSDT');
+        book.applySnapshot(snapshot);
+    });
+
+    test('walks the book for the cost of a market order', () => {
+        expect(book.estimateFill('BUY', 1)).toMatchObject({
+            bestPrice: 101, averagePrice: 101, worstPrice: 101, complete: true, slippagePercent: 0
+        });
+
+        const sell = book.estimateFill('sell', 2);
+        expect(sell).toMatchObject({ bestPrice: 99, averagePrice: 98.5, worstPrice: 98, filledQuantity: 2, complete: true });
+        expect(sell.slippagePercent).toBeCloseTo(0.5 / 99 * 100, 9);
+    });
+
+    test('reports what the depth cannot fill', () => {
+        expect(book.estimateFill('BUY', 5)).toMatchObject({ filledQuantity: 3, complete: false, worstPrice: 102 });
+    });
+
+    test('applies diffs in sequence and removes emptied levels', () => {
+        // Already in the snapshot
+        expect(book.applyDiff({ U: 90, u: 100, b: [['99', '5']], a: [] })).toBe(true);
+        expect(book.bids.get(99)).toBe(1);
+
+        expect(book.applyDiff({ U: 95, u: 105, b: [['99', '0']], a: [['100.5', '3']] })).toBe(true);
+        expect(book.getLevels('SELL')).toEqual([[98, 2]]);
+        expect(book.getLevels('BUY')[0]).toEqual([100.5, 3]);
+        expect(book.lastUpdateId).toBe(105);
+    });
+
+    test('detects a missed spot update', () => {
+        expect(book.applyDiff({ U: 102, u: 110, b: [], a: [] })).toBe(false);
+        expect(book.lastUpdateId).toBe(100);
+    });
+
+    test('follows the previous update id of futures diffs once streaming', () => {
+        expect(book.applyDiff({ U: 98, u: 103, pu: 97, b: [], a: [] })).toBe(true);
+        expect(book.applyDiff({ U: 104, u: 108, pu: 103, b: [], a: [] })).toBe(true);
+        expect(book.applyDiff({ U: 110, u: 112, pu: 109, b: [], a: [] })).toBe(false);
+    });
+
+    test('needs a snapshot before any diff', () => {
+        expect(new OrderBook('BTCUSDT').applyDiff({ U: 1, u: 2, b: [], a: [] })).toBe(false);
+    });
+});
+
+describe('BinanceService slippage check', () => {
+    let client;
+    let book;
+
+    beforeEach(() => {
+        book = new OrderBook('BTCUSDT');
+        book.applySnapshot(snapshot);
+
+        client = {
+            order: jest.fn().mockResolvedValue({ orderId: 1, symbol: 'BTCUSDT', side: 'BUY', status: 'FILLED', executedQty: '2', price: '0' }),
+            depth: jest.fn().mockResolvedValue(snapshot)
+        };
+        Object.assign(BinanceService, { binance: client, isConnected: true, marketType: 'spot', paperMode: false });
+        BinanceService.lastPrices.set('BTCUSDT', 100);
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(SymbolInfoService, 'prepareOrder').mockImplementation(async ({ quantity, price }) => ({
+            quantity: String(quantity),
+            price: price === undefined || price === null ? null : String(price)
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        BinanceService.lastPrices.clear();
+        Object.assign(BinanceService, { binance: null, isConnected: false });
+    });
+
+    test('passes an order within its budget', async () => {
+        jest.spyOn(BinanceService, 'getOrderBook').mockResolvedValue(book);
+
+        const check = await BinanceService.checkSlippage('BTCUSDT', 'BUY', 1, { maxSlippage: 0.5 });
+        expect(check).toMatchObject({ exceeded: false, action: 'limit', reason: null, averagePrice: 101, maxSlippage: 0.5 });
+        expect(check.limitPrice).toBeCloseTo(101.505, 9);
+    });
+
+    test('flags slippage over the budget and too little depth', async () => {
+        jest.spyOn(BinanceService, 'getOrderBook').mockResolvedValue(book);
+
+        const expensive = await BinanceService.checkSlippage('BTCUSDT', 'BUY', 2, { maxSlippage: 0.1, slippageAction: 'reject' });
+        expect(expensive).toMatchObject({ exceeded: true, action: 'reject' });
+        expect(expensive.reason).toMatch(/estimated slippage 0\.495% exceeds maxSlippage 0\.1%/);
+
+        const thin = await BinanceService.checkSlippage('BTCUSDT', 'SELL', 5, { maxSlippage: 1 });
+        expect(thin).toMatchObject({ exceeded: true, filledQuantity: 3 });
+        expect(thin.reason).toMatch(/cannot fill 5 BTCUSDT/);
+        expect(thin.limitPrice).toBeCloseTo(98.01, 9);
+    });
+
+    test('caps the order at the last price without a book', async () => {
+        jest.spyOn(BinanceService, 'getOrderBook').mockRejectedValue(new Error('depth unavailable'));
+
+        const check = await BinanceService.checkSlippage('BTCUSDT', 'BUY', 1, { maxSlippage: 1 }, 100);
+        expect(check).toMatchObject({ exceeded: true, bestPrice: 100, limitPrice: 101 });
+        expect(check.reason).toBe('order book unavailable (depth unavailable)');
+
+        await expect(BinanceService.checkSlippage('BTCUSDT', 'BUY', 1, { maxSlippage: 1 }))
+            .rejects.toThrow('no price available to check slippage');
+    });
+
+    test('turns an expensive MARKET order into a LIMIT IOC at the cap', async () => {
+        jest.spyOn(BinanceService, 'getOrderBook').mockResolvedValue(book);
+
+        const result = await BinanceService.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2, maxSlippage: 0.1 });
+
+        const [type, side, symbol, quantity, price, params] = client.order.mock.calls[0];
+        expect([type, side, symbol, quantity, params]).toEqual(['LIMIT', 'BUY', 'BTCUSDT', '2', { timeInForce: 'IOC' }]);
+        expect(parseFloat(price)).toBeCloseTo(101.101, 9);
+        expect(result.slippageCheck).toMatchObject({ exceeded: true, action: 'limit' });
+    });
+
+    test('rejects an expensive MARKET order when asked to', async () => {
+        jest.spyOn(BinanceService, 'getOrderBook').mockResolvedValue(book);
+
+        await expect(BinanceService.placeOrder({
+            symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2, maxSlippage: 0.1, slippageAction: 'reject'
+        })).rejects.toThrow(/Order rejected: estimated slippage/);
+        expect(client.order).not.toHaveBeenCalled();
+    });
+
+    test('sends a MARKET order unchanged without a budget', async () => {
+        const getOrderBook = jest.spyOn(BinanceService, 'getOrderBook');
+
+        await BinanceService.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2 });
+
+        expect(getOrderBook).not.toHaveBeenCalled();
+        expect(client.order.mock.calls[0].slice(0, 2)).toEqual(['MARKET', 'BUY']);
+    });
+
+    test('replays the buffered diffs on top of the snapshot', async () => {
+        const entry = {
+            symbol: 'BTCUSDT',
+            book: new OrderBook('BTCUSDT'),
+            buffer: [{ U: 99, u: 101, b: [], a: [['101', '0']] }, { U: 102, u: 103, b: [], a: [['101.5', '4']] }],
+            synced: false,
+            syncing: null
+        };
+
+        await BinanceService.syncOrderBook(entry);
+
+        expect(client.depth).toHaveBeenCalledWith('BTCUSDT', 100);
+        expect(entry).toMatchObject({ synced: true, syncing: null, buffer: [] });
+        expect(entry.book.getLevels('BUY')).toEqual([[101.5, 4], [102, 2]]);
+    });
+
+    test('gives up syncing when every snapshot lags the stream', async () => {
+        const entry = { symbol: 'BTCUSDT', book: new OrderBook('BTCUSDT'), buffer: [], synced: false, syncing: null };
+        // Diffs newer than the snapshot keep arriving while it is fetched
+        client.depth.mockImplementation(async () => {
+            entry.buffer.push({ U: 150, u: 151, b: [], a: [] });
+            return snapshot;
+        });
+
+        await expect(BinanceService.syncOrderBook(entry)).rejects.toThrow('could not be synced after 3 snapshots');
+        expect(client.depth).toHaveBeenCalledTimes(3);
+        expect(entry.synced).toBe(false);
+    });
+});
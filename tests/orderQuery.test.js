@@ -0,0 +1,69 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const express = require('express');
+const request = require('supertest');
+const storage = require('../storage');
+const Order = require('../models/Order');
+const OrderController = require('../controllers/orderControllers');
+
+const app = express();
+app.get('/api/orders', OrderController.getOrders);
+
+const SEED = [
+    { symbol: 'BTCUSDT', side: 'BUY', status: 'filled', paper: false, quantity: 0.3, createdAt: '2024-01-01T00:00:00.000Z' },
+    { symbol: 'ETHUSDT', side: 'SELL', status: 'cancelled', paper: false, quantity: 0.1, createdAt: '2024-01-02T00:00:00.000Z' },
+    { symbol: 'BTCUSDT', side: 'SELL', status: 'submitted', paper: true, quantity: 0.2, createdAt: '2024-01-03T00:00:00.000Z' },
+    { symbol: 'SOLUSDT', side: 'BUY', status: 'filled', paper: true, quantity: 0.5, createdAt: '2024-01-04T00:00:00.000Z', executionMode: 'realtime' }
+];
+
+beforeAll(async () => {
+    await storage.clearOrders();
+    for (const [index, order] of SEED.entries()) {
+        await Order.add({ id: `order-${index + 1}`, type: 'MARKET', ...order });
+    }
+});
+
+const ids = response => response.body.orders.map(order => order.id);
+
+describe('GET /api/orders', () => {
+    test('returns newest first with counts', async () => {
+        const response = await request(app).get('/api/orders');
+
+        expect(response.status).toBe(200);
+        expect(ids(response)).toEqual(['order-4', 'order-3', 'order-2', 'order-1']);
+        expect(response.body).toMatchObject({ total: 4, totalAll: 4, hasMore: false, nextCursor: null });
+    });
+
+    test('filters by status, symbol, side, paper flag, execution mode and date', async () => {
+        expect(ids(await request(app).get('/api/orders?status=filled,cancelled'))).toEqual(['order-4', 'order-2', 'order-1']);
+        expect(ids(await request(app).get('/api/orders?symbol=btcusdt'))).toEqual(['order-3', 'order-1']);
+        expect(ids(await request(app).get('/api/orders?side=sell'))).toEqual(['order-3', 'order-2']);
+        expect(ids(await request(app).get('/api/orders?paper=true'))).toEqual(['order-4', 'order-3']);
+        expect(ids(await request(app).get('/api/orders?executionMode=realtime'))).toEqual(['order-4']);
+        expect(ids(await request(app).get('/api/orders?from=2024-01-02&to=2024-01-03T12:00:00Z'))).toEqual(['order-3', 'order-2']);
+    });
+
+    test('sorts by an allowed field in either direction', async () => {
+        expect(ids(await request(app).get('/api/orders?sortBy=quantity&sortOrder=asc'))).toEqual(['order-2', 'order-3', 'order-1', 'order-4']);
+        expect(ids(await request(app).get('/api/orders?sortBy=symbol'))).toEqual(['order-4', 'order-2', 'order-3', 'order-1']);
+    });
+
+    test('paginates with offset and with cursor', async () => {
+        const first = await request(app).get('/api/orders?limit=3');
+        expect(ids(first)).toEqual(['order-4', 'order-3', 'order-2']);
+        expect(first.body).toMatchObject({ hasMore: true, nextCursor: 'order-2' });
+
+        const next = await request(app).get(`/api/orders?limit=3&cursor=${first.body.nextCursor}`);
+        expect(ids(next)).toEqual(['order-1']);
+        expect(next.body.hasMore).toBe(false);
+
+        expect(ids(await request(app).get('/api/orders?limit=2&offset=1'))).toEqual(['order-3', 'order-2']);
+    });
+
+    test('rejects invalid parameters with 400', async () => {
+        for (const query of ['status=done', 'side=hold', 'paper=yes', 'from=someday', 'sortBy=price', 'sortOrder=up', 'limit=0', 'offset=-1', 'cursor=nope']) {
+            const response = await request(app).get(`/api/orders?${query}`);
+            expect(response.status).toBe(400);
+        }
+    });
+});
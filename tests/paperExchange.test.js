@@ -0,0 +1,124 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const { PaperExchange } = require('../services/paperExchange');
+
+const balances = (exchange) => Object.fromEntries(
+    exchange.getAccountInfo().balances.map(({ asset, free, locked }) => [asset, { free: parseFloat(free), locked: parseFloat(locked) }])
+);
+
+function createExchange(stateKey = null) {
+    const exchange = new PaperExchange({ stateKey });
+    exchange.reset({ paperBalances: { USDT: 10000 } });
+    exchange.feePercent = 0;
+    return exchange;
+}
+
+describe('PaperExchange orders', () => {
+    test('MARKET orders fill at the last price', () => {
+        const exchange = createExchange();
+        const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.1 }, 50000);
+
+        expect(order.status).toBe('FILLED');
+        expect(order.fills[0].price).toBe('50000.00000000');
+        expect(balances(exchange)).toEqual({ USDT: { free: 5000, locked: 0 }, BTC: { free: 0.1, locked: 0 } });
+    });
+
+    test('a marketable LIMIT order fills at the market price', () => {
+        const exchange = createExchange();
+        const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.1, price: 51000 }, 50000);
+
+        expect(order.status).toBe('FILLED');
+        expect(parseFloat(order.cummulativeQuoteQty)).toBe(5000);
+        expect(balances(exchange).USDT).toEqual({ free: 5000, locked: 0 });
+    });
+
+    test('a GTC LIMIT order rests with funds locked until the price crosses it', () => {
+        const exchange = createExchange();
+        const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.1, price: 49000 }, 50000);
+
+        expect(order.status).toBe('NEW');
+        expect(balances(exchange).USDT).toEqual({ free: 5100, locked: 4900 });
+
+        exchange.onPriceUpdate('BTCUSDT', 48900);
+
+        expect(exchange.getOpenOrders()).toHaveLength(0);
+        expect(exchange.getOrder('BTCUSDT', order.orderId).status).toBe('FILLED');
+        expect(balances(exchange)).toEqual({ USDT: { free: 5100, locked: 0 }, BTC: { free: 0.1, locked: 0 } });
+    });
+
+    test('an IOC LIMIT order that cannot fill expires instead of resting', () => {
+        const exchange = createExchange();
+        const reports = [];
+        exchange.on('executionReport', report => reports.push(report.X));
+
+        const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.1, price: 49000, timeInForce: 'IOC' }, 50000);
+
+        expect(order.status).toBe('EXPIRED');
+        expect(exchange.getOpenOrders()).toHaveLength(0);
+        expect(balances(exchange).USDT).toEqual({ free: 10000, locked: 0 });
+        expect(reports).toEqual(['EXPIRED']);
+    });
+
+    test('filled and cancelled orders can still be looked up', () => {
+        const exchange = createExchange();
+        const filled = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.01 }, 50000);
+        const resting = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.01, price: 40000 });
+
+        exchange.cancelOrder('BTCUSDT', resting.orderId);
+
+        expect(exchange.getOrder('BTCUSDT', filled.orderId).status).toBe('FILLED');
+        expect(exchange.getOrder('BTCUSDT', resting.orderId).status).toBe('CANCELED');
+        expect(() => exchange.cancelOrder('BTCUSDT', filled.orderId)).toThrow(/unknown order/);
+        expect(() => exchange.getOrder('BTCUSDT', 999)).toThrow('unknown paper order');
+    });
+
+    test('rejects orders the balance cannot cover', () => {
+        const exchange = createExchange();
+        expect(() => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: 1 }, 50000))
+            .toThrow('insufficient BTC balance');
+    });
+
+    test('charges the fee on the received asset', () => {
+        const exchange = createExchange();
+        exchange.feePercent = 0.1;
+        const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }, 1000);
+
+        expect(order.fills[0]).toMatchObject({ commission: '0.00100000', commissionAsset: 'BTC' });
+        expect(balances(exchange).BTC.free).toBeCloseTo(0.999);
+    });
+});
+
+describe('PaperExchange persistence', () => {
+    test('balances and open orders survive a restart', async () => {
+        const exchange = createExchange('paperTest');
+        exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.1 }, 50000);
+        const resting = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.1, price: 40000 });
+        await exchange.saving;
+
+        const restarted = new PaperExchange({ stateKey: 'paperTest' });
+        await restarted.configure({ paperBalances: { USDT: 1 } });
+
+        expect(balances(restarted)).toEqual(balances(exchange));
+        expect(restarted.getOpenOrders().map(order => order.orderId)).toEqual([resting.orderId]);
+
+        const next = restarted.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: 0.05 }, 50000);
+        expect(next.orderId).toBeGreaterThan(resting.orderId);
+    });
+
+    test('starts from paperBalances when nothing is saved', async () => {
+        const exchange = new PaperExchange({ stateKey: 'paperEmpty' });
+        await exchange.configure({ paperBalances: { USDT: 123 } });
+        await exchange.saving;
+
+        expect(balances(exchange)).toEqual({ USDT: { free: 123, locked: 0 } });
+        expect((await storage.getState('paperEmpty')).balances.USDT.free).toBe(123);
+    });
+
+    test('instances without a state key never write to storage', async () => {
+        const exchange = createExchange();
+        exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.1 }, 50000);
+
+        expect(exchange.saving).toBeNull();
+    });
+});
@@ -0,0 +1,109 @@
+const ExchangeService = require('../exchanges');
+const BinanceService = require('../services/binanceService');
+const SymbolInfoService = require('../services/symbolInfoService');
+const PositionSizingService = require('../services/positionSizingService');
+const { DEFAULT_CONFIG } = require('../config/constants');
+
+const config = (positionSizing) => ({ ...DEFAULT_CONFIG, defaultQuantity: 0.002, positionSizing });
+const signal = (overrides = {}) => ({ symbol: 'BTCUSDT', ...overrides });
+
+beforeAll(async () => {
+    await ExchangeService.initialize({
+        exchange: 'mock',
+        mockPrices: { BTCUSDT: 50000 },
+        paperBalances: { USDT: 10000, BTC: 0.5 }
+    });
+});
+
+afterAll(async () => {
+    await ExchangeService.disconnect();
+});
+
+describe('PositionSizingService', () => {
+    test('a quantity in the signal wins', async () => {
+        const result = await PositionSizingService.calculate(signal({ quantity: '0.25' }), 'BUY', 50000, config({ mode: 'risk' }));
+        expect(result).toMatchObject({ mode: 'signal', quantity: 0.25, notional: 12500 });
+    });
+
+    test('fixedBase uses baseQuantity or defaultQuantity', async () => {
+        expect((await PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'fixedBase' }))).quantity).toBe(0.002);
+        expect((await PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'fixedBase', baseQuantity: 0.1 }))).quantity).toBe(0.1);
+    });
+
+    test('fixedQuote spends a fixed quote amount', async () => {
+        const result = await PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'fixedQuote', quoteAmount: 500 }));
+        expect(result).toMatchObject({ mode: 'fixedQuote', quantity: 0.01, quoteAmount: 500 });
+    });
+
+    test('percentBalance spends quote on buys and sells base', async () => {
+        const buy = await PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'percentBalance', balancePercent: 10 }));
+        expect(buy).toMatchObject({ quantity: 0.02, balanceAsset: 'USDT', freeBalance: 10000 });
+
+        const sell = await PositionSizingService.calculate(signal(), 'SELL', 50000, config({ mode: 'percentBalance', balancePercent: 10 }));
+        expect(sell).toMatchObject({ quantity: 0.05, balanceAsset: 'BTC', freeBalance: 0.5 });
+    });
+
+    test('risk mode loses riskPercent of equity at the stop', async () => {
+        // Equity 10000 USDT + 0.5 BTC * 50000 = 35000; 0.5% = 175 over a 1000 stop distance
+        const result = await PositionSizingService.calculate(signal({ stopLoss: 49000 }), 'BUY', 50000, config({ mode: 'risk', riskPercent: 0.5 }));
+
+        expect(result).toMatchObject({ mode: 'risk', equity: 35000, riskAmount: 175, stopDistance: 1000, stopPrice: 49000, capped: false });
+        expect(result.quantity).toBeCloseTo(0.175);
+    });
+
+    test('risk mode falls back to stopLossPercent and caps at the free balance', async () => {
+        const result = await PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'risk', riskPercent: 50 }));
+
+        // 50% of 35000 over a 1% (500) stop would be 35 BTC; 10000 USDT only buys 0.2
+        expect(result).toMatchObject({ stopDistance: 500, capped: true, quantity: 0.2 });
+    });
+
+    test('rejects unknown modes, missing prices and zero quantities', async () => {
+        await expect(PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'yolo' }))).rejects.toThrow('unknown mode');
+        await expect(PositionSizingService.calculate(signal(), 'BUY', 0, config({ mode: 'fixedQuote' }))).rejects.toThrow('entry price is required');
+        await expect(PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'fixedQuote', quoteAmount: 0 }))).rejects.toThrow('zero quantity');
+        await expect(PositionSizingService.calculate(signal({ stopLoss: 50000 }), 'BUY', 50000, config({ mode: 'risk' }))).rejects.toThrow('stop loss distance');
+    });
+});
+
+describe('PositionSizingService on Binance spot', () => {
+    let client;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        ExchangeService.use('binance');
+    });
+
+    beforeEach(() => {
+        client = {
+            account: jest.fn(async () => ({
+                accountType: 'SPOT',
+                balances: [
+                    { asset: 'USDT', free: '2000.00000000', locked: '0.00000000' },
+                    { asset: 'BTC', free: '0.10000000', locked: '0.00000000' },
+                    { asset: 'ETH', free: '0.00000000', locked: '0.00000000' }
+                ],
+                canTrade: true
+            }))
+        };
+        Object.assign(BinanceService, { binance: client, isConnected: true, marketType: 'spot', paperMode: false });
+        jest.spyOn(SymbolInfoService, 'getSymbol').mockResolvedValue({ symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT' });
+    });
+
+    afterEach(() => {
+        SymbolInfoService.getSymbol.mockRestore();
+    });
+
+    afterAll(() => {
+        Object.assign(BinanceService, { binance: null, isConnected: false });
+        ExchangeService.use('mock');
+        jest.restoreAllMocks();
+    });
+
+    test('sizes from the balances the account endpoint returns', async () => {
+        const result = await PositionSizingService.calculate(signal(), 'BUY', 50000, config({ mode: 'percentBalance', balancePercent: 10 }));
+
+        expect(client.account).toHaveBeenCalledTimes(1);
+        expect(result).toMatchObject({ quantity: 0.004, balanceAsset: 'USDT', freeBalance: 2000 });
+    });
+});
@@ -0,0 +1,100 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const PositionService = require('../services/positionService');
+const Fills = require('../utils/fills');
+
+const fill = (side, quantity, price, at, symbol = 'BTCUSDT') => ({ symbol, side, quantity, price, at });
+
+describe('Fills', () => {
+    test('entries count once executed, exits by their executed quantity', () => {
+        const filled = { id: 'a', symbol: 'BTCUSDT', side: 'BUY', status: 'filled', quantity: 1, executedQuantity: '1', executedPrice: 100, executedAt: '2024-01-01T00:00:00Z' };
+        const withExit = { ...filled, exit: { type: 'takeProfit', quantity: '0.4', price: 110, at: '2024-01-02T00:00:00Z' } };
+
+        expect(Fills.orderFills(withExit)).toEqual([
+            expect.objectContaining({ side: 'BUY', quantity: 1, price: 100, kind: 'entry' }),
+            expect.objectContaining({ side: 'SELL', quantity: 0.4, price: 110, kind: 'takeProfit' })
+        ]);
+        expect(Fills.orderFills({ ...filled, status: 'submitted', executedQuantity: '0' })).toEqual([]);
+        expect(Fills.orderFills({ ...filled, status: 'cancelled', executedQuantity: '0.3' })[0].quantity).toBe(0.3);
+        expect(Fills.orderFills({ ...withExit, exit: { ...withExit.exit, quantity: '0' } })).toHaveLength(1);
+    });
+});
+
+describe('PositionService.buildPositions', () => {
+    test('averages entries and realizes P&L on reductions', () => {
+        const positions = PositionService.buildPositions([
+            fill('BUY', 1, 100, 't1'),
+            fill('BUY', 1, 200, 't2'),
+            fill('SELL', 0.5, 180, 't3')
+        ]);
+        const position = positions.get('BTCUSDT');
+
+        expect(position.netQuantity).toBe(1.5);
+        expect(position.averageEntryPrice).toBe(150);
+        expect(position.realizedPnl).toBe(15);
+        expect(position.openedAt).toBe('t1');
+    });
+
+    test('flips through zero and resets when flat', () => {
+        const positions = PositionService.buildPositions([
+            fill('BUY', 1, 100, 't1'),
+            fill('SELL', 3, 90, 't2'),
+            fill('BUY', 1, 80, 't3', 'SOLUSDT'),
+            fill('SELL', 1, 85, 't4', 'SOLUSDT')
+        ]);
+
+        expect(positions.get('BTCUSDT')).toMatchObject({ netQuantity: -2, averageEntryPrice: 90, realizedPnl: -10, openedAt: 't2' });
+        expect(positions.get('SOLUSDT')).toMatchObject({ netQuantity: 0, averageEntryPrice: 0, realizedPnl: 5, openedAt: null });
+    });
+
+    test('short positions gain when the price falls', () => {
+        const position = PositionService.buildPositions([fill('SELL', 2, 100, 't1'), fill('BUY', 1, 90, 't2')]).get('BTCUSDT');
+        expect(position).toMatchObject({ netQuantity: -1, realizedPnl: 10 });
+    });
+});
+
+describe('PositionService.getPositions', () => {
+    beforeAll(async () => {
+        await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 110, ETHUSDT: 50 } });
+        await storage.clearOrders();
+
+        await Order.add({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 2, status: 'filled', executedQuantity: '2', executedPrice: 100, executedAt: '2024-01-01T00:00:00Z', paper: true });
+        await Order.add({ symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 1, status: 'filled', executedQuantity: '1', executedPrice: 40, executedAt: '2024-01-01T00:00:00Z', paper: true,
+            exit: { type: 'takeProfit', quantity: '1', price: 45, at: '2024-01-02T00:00:00Z' } });
+        await Order.add({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 5, status: 'filled', executedQuantity: '5', executedPrice: 100, paper: false });
+    });
+
+    afterAll(async () => {
+        await ExchangeService.disconnect();
+    });
+
+    test('marks open positions of the current trading mode to market', async () => {
+        const result = await PositionService.getPositions();
+
+        expect(result.paper).toBe(true);
+        expect(result.positions).toHaveLength(1);
+        expect(result.positions[0]).toMatchObject({
+            symbol: 'BTCUSDT',
+            side: 'LONG',
+            size: 2,
+            markPrice: 110,
+            unrealizedPnl: 20,
+            unrealizedPnlPercent: 10,
+            quoteAsset: 'USDT'
+        });
+        expect(result.totals.USDT).toMatchObject({ costBasis: 200, marketValue: 220, unrealizedPnl: 20 });
+    });
+
+    test('streamed prices take precedence and closed positions can be included', async () => {
+        ExchangeService.emit('priceUpdate', { symbol: 'BTCUSDT', price: 120, timestamp: Date.now() });
+
+        const result = await PositionService.getPositions({ includeClosed: true });
+        const bySymbol = Object.fromEntries(result.positions.map(position => [position.symbol, position]));
+
+        expect(bySymbol.BTCUSDT.unrealizedPnl).toBe(40);
+        expect(bySymbol.ETHUSDT).toMatchObject({ side: 'FLAT', size: 0, realizedPnl: 5 });
+    });
+});
@@ -0,0 +1,242 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+// Sockets that never touch the network; tests open, close and feed them by hand
+jest.mock('ws', () => {
+    const EventEmitter = require('events');
+
+    class MockWebSocket extends EventEmitter {
+        constructor(url) {
+            super();
+            this.url = url;
+            this.readyState = MockWebSocket.OPEN;
+            MockWebSocket.instances.push(this);
+        }
+
+        terminate() {
+            this.readyState = MockWebSocket.CLOSED;
+        }
+    }
+    MockWebSocket.OPEN = 1;
+    MockWebSocket.CLOSED = 3;
+    MockWebSocket.instances = [];
+
+    return MockWebSocket;
+});
+
+const WebSocket = require('ws');
+const BinanceService = require('../services/binanceService');
+const ExchangeService = require('../exchanges');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const { PRICE_STALE_AFTER_MS, PRICE_WATCHDOG_INTERVAL_MS, PRICE_POLL_INTERVAL_MS } = require('../config/constants');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+const tick = (ws, price) => ws.emit('message', Buffer.from(JSON.stringify({ s: 'BTCUSDT', c: String(price), o: '100', v: '12' })));
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BinanceService price watchdog', () => {
+    let updates;
+    let getPrice;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+        jest.setSystemTime(START);
+        WebSocket.instances.length = 0;
+
+        Object.assign(BinanceService, {
+            binance: { Options: { test: false }, getStreamUrl: () => 'wss://stream.test/ws/' },
+            isConnected: true,
+            marketType: 'spot',
+            paperMode: false
+        });
+
+        updates = [];
+        BinanceService.on('priceUpdate', update => updates.push(update));
+        getPrice = jest.spyOn(BinanceService, 'getPrice').mockResolvedValue(101);
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        BinanceService.startPriceStream('BTCUSDT');
+    });
+
+    afterEach(() => {
+        BinanceService.stopPriceStreams();
+        BinanceService.removeAllListeners('priceUpdate');
+        BinanceService.removeAllListeners('priceStale');
+        BinanceService.removeAllListeners('priceRecovered');
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        BinanceService.lastPrices.clear();
+        Object.assign(BinanceService, { binance: null, isConnected: false });
+    });
+
+    test('opens one miniTicker stream per symbol and forwards its ticks', () => {
+        BinanceService.startPriceStream(['BTCUSDT']);
+
+        expect(WebSocket.instances).toHaveLength(1);
+        expect(WebSocket.instances[0].url).toBe('wss://stream.test/ws/btcusdt@miniTicker');
+
+        tick(WebSocket.instances[0], 110);
+        expect(updates).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', price: 110, change: 10, changePercent: 10, source: 'stream' })]);
+        expect(BinanceService.lastPrices.get('BTCUSDT')).toBe(110);
+    });
+
+    test('keeps a ticking stream fresh', () => {
+        const stale = jest.fn();
+        BinanceService.on('priceStale', stale);
+
+        for (let elapsed = 0; elapsed < 4 * PRICE_STALE_AFTER_MS; elapsed += PRICE_WATCHDOG_INTERVAL_MS) {
+            tick(WebSocket.instances[0], 100);
+            jest.advanceTimersByTime(PRICE_WATCHDOG_INTERVAL_MS);
+        }
+
+        expect(stale).not.toHaveBeenCalled();
+        expect(WebSocket.instances).toHaveLength(1);
+        expect(BinanceService.getPriceStreamStatus()).toEqual([expect.objectContaining({
+            symbol: 'BTCUSDT', connected: true, stale: false, polling: false, restarts: 0
+        })]);
+    });
+
+    test('reports a silent stream stale, polls REST and reopens the socket', async () => {
+        const stale = jest.fn();
+        BinanceService.on('priceStale', stale);
+        tick(WebSocket.instances[0], 100);
+        updates.length = 0;
+
+        jest.advanceTimersByTime(PRICE_STALE_AFTER_MS + PRICE_WATCHDOG_INTERVAL_MS);
+        await flush();
+
+        expect(stale).toHaveBeenCalledWith(expect.objectContaining({ symbol: 'BTCUSDT', lastTickAt: new Date(START).toISOString() }));
+        expect(stale.mock.calls[0][0].ageMs).toBeGreaterThan(PRICE_STALE_AFTER_MS);
+        expect(updates).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', price: 101, source: 'rest' })]);
+
+        // The silent socket was replaced
+        expect(WebSocket.instances).toHaveLength(2);
+        expect(WebSocket.instances[0].readyState).toBe(WebSocket.CLOSED);
+        expect(BinanceService.getPriceStreamStatus()[0]).toMatchObject({ stale: true, polling: true, restarts: 1 });
+
+        jest.advanceTimersByTime(PRICE_POLL_INTERVAL_MS);
+        await flush();
+        expect(getPrice).toHaveBeenCalledTimes(2);
+        expect(updates).toHaveLength(2);
+    });
+
+    test('stops polling once the stream ticks again', async () => {
+        const recovered = jest.fn();
+        BinanceService.on('priceRecovered', recovered);
+
+        jest.advanceTimersByTime(PRICE_STALE_AFTER_MS + PRICE_WATCHDOG_INTERVAL_MS);
+        await flush();
+        const calls = getPrice.mock.calls.length;
+
+        jest.advanceTimersByTime(2000);
+        tick(WebSocket.instances[1], 105);
+
+        expect(recovered).toHaveBeenCalledWith({ symbol: 'BTCUSDT', staleForMs: 2000 });
+        expect(BinanceService.getPriceStreamStatus()[0]).toMatchObject({ stale: false, polling: false });
+
+        jest.advanceTimersByTime(3 * PRICE_POLL_INTERVAL_MS);
+        await flush();
+        expect(getPrice).toHaveBeenCalledTimes(calls);
+    });
+
+    test('reopens a closed socket on the next pass', () => {
+        tick(WebSocket.instances[0], 100);
+        WebSocket.instances[0].readyState = WebSocket.CLOSED;
+        WebSocket.instances[0].emit('close');
+
+        jest.advanceTimersByTime(PRICE_WATCHDOG_INTERVAL_MS);
+
+        expect(WebSocket.instances).toHaveLength(2);
+        expect(BinanceService.getPriceStreamStatus()[0]).toMatchObject({ connected: true, stale: false, restarts: 1 });
+    });
+
+    test('does nothing while disconnected', () => {
+        BinanceService.isConnected = false;
+
+        jest.advanceTimersByTime(PRICE_STALE_AFTER_MS + PRICE_WATCHDOG_INTERVAL_MS);
+
+        expect(getPrice).not.toHaveBeenCalled();
+        expect(WebSocket.instances).toHaveLength(1);
+    });
+
+    test('polls the spot ticker without stacking calls behind a slow answer', async () => {
+        getPrice.mockRestore();
+        let answer;
+        const prices = jest.fn(() => new Promise(resolve => { answer = resolve; }));
+        BinanceService.binance.prices = prices;
+
+        jest.advanceTimersByTime(PRICE_STALE_AFTER_MS + PRICE_WATCHDOG_INTERVAL_MS);
+        await flush();
+        jest.advanceTimersByTime(2 * PRICE_POLL_INTERVAL_MS);
+        await flush();
+
+        expect(prices).toHaveBeenCalledTimes(1);
+        expect(prices).toHaveBeenCalledWith('BTCUSDT');
+
+        answer({ BTCUSDT: 101.5 });
+        await flush();
+        expect(updates).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', price: 101.5, source: 'rest' })]);
+
+        jest.advanceTimersByTime(PRICE_POLL_INTERVAL_MS);
+        await flush();
+        expect(prices).toHaveBeenCalledTimes(2);
+    });
+
+    test('ignores polled prices that arrive after recovery', async () => {
+        let resolvePrice;
+        getPrice.mockImplementation(() => new Promise(resolve => { resolvePrice = resolve; }));
+
+        jest.advanceTimersByTime(PRICE_STALE_AFTER_MS + PRICE_WATCHDOG_INTERVAL_MS);
+        tick(WebSocket.instances[1], 105);
+        updates.length = 0;
+
+        resolvePrice(99);
+        await flush();
+        expect(updates).toEqual([]);
+    });
+});
+
+describe('RealtimeOrderService stale price alerts', () => {
+    beforeAll(() => {
+        RealtimeOrderService.setupExchangeEventListeners();
+    });
+
+    afterAll(() => {
+        ExchangeService.removeAllListeners();
+    });
+
+    afterEach(() => {
+        RealtimeOrderService.monitoredSymbols.clear();
+        RealtimeOrderService.stalePrices.clear();
+        RealtimeOrderService.removeAllListeners('stalePrice');
+        RealtimeOrderService.removeAllListeners('priceRecovered');
+        jest.restoreAllMocks();
+    });
+
+    test('alerts for monitored symbols until their prices recover', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const alerts = [];
+        const recoveries = [];
+        RealtimeOrderService.on('stalePrice', alert => alerts.push(alert));
+        RealtimeOrderService.on('priceRecovered', recovery => recoveries.push(recovery));
+        RealtimeOrderService.monitoredSymbols.add('BTCUSDT');
+
+        ExchangeService.emit('priceStale', { symbol: 'ETHUSDT', lastTickAt: null, ageMs: 20000 });
+        ExchangeService.emit('priceStale', { symbol: 'BTCUSDT', lastTickAt: null, ageMs: 20000 });
+
+        expect(alerts).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', ageMs: 20000, targets: 0 })]);
+        expect(RealtimeOrderService.stalePrices.has('BTCUSDT')).toBe(true);
+
+        ExchangeService.emit('priceRecovered', { symbol: 'ETHUSDT', staleForMs: 1000 });
+        ExchangeService.emit('priceRecovered', { symbol: 'BTCUSDT', staleForMs: 1000 });
+
+        expect(recoveries).toEqual([{ symbol: 'BTCUSDT' }]);
+        expect(RealtimeOrderService.stalePrices.size).toBe(0);
+    });
+});
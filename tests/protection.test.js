@@ -0,0 +1,135 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const ProtectionService = require('../services/protectionService');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const RiskGuardService = require('../services/riskGuardService');
+const { DEFAULT_CONFIG, ORDER_STATUS } = require('../config/constants');
+
+const filledEntry = (extra = {}) => Order.add({
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'MARKET',
+    quantity: 1,
+    status: ORDER_STATUS.FILLED,
+    executedQuantity: '1',
+    executedPrice: 100,
+    stopLoss: 90,
+    takeProfit: 120,
+    paper: false,
+    ...extra
+});
+
+beforeAll(async () => {
+    await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 }, paperBalances: { BTC: 10, USDT: 10000 } });
+    await storage.saveConfig({ ...DEFAULT_CONFIG, protection: { mode: 'exchange' } });
+});
+
+afterAll(async () => {
+    ProtectionService.stop();
+    await ExchangeService.disconnect();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('ProtectionService.getProtectedQuantity', () => {
+    test('spot buys hold the executed quantity less base-asset fees', () => {
+        const order = { symbol: 'BTCUSDT', side: 'BUY', executedQuantity: '1', quantity: 1 };
+
+        expect(ProtectionService.getProtectedQuantity(order, {
+            fills: [{ commission: '0.001', commissionAsset: 'BTC' }, { commission: '0.5', commissionAsset: 'BNB' }]
+        })).toBeCloseTo(0.999);
+        expect(ProtectionService.getProtectedQuantity({ ...order, commission: 0.002, commissionAsset: 'BTC' })).toBeCloseTo(0.998);
+    });
+
+    test('sells and futures keep the executed quantity', () => {
+        const fee = { commission: 0.001, commissionAsset: 'BTC' };
+
+        expect(ProtectionService.getProtectedQuantity({ symbol: 'BTCUSDT', side: 'SELL', executedQuantity: '1', ...fee })).toBe(1);
+        expect(ProtectionService.getProtectedQuantity({ symbol: 'BTCUSDT', side: 'BUY', marketType: 'futures', executedQuantity: '1', ...fee })).toBe(1);
+    });
+});
+
+describe('ProtectionService.protect', () => {
+    test('places the exchange legs for the net quantity and records them', async () => {
+        const placeProtectionOrders = jest.spyOn(ExchangeService, 'placeProtectionOrders').mockResolvedValue({
+            mode: 'oco',
+            takeProfit: { orderId: 11, price: '120', status: 'NEW' },
+            stopLoss: { orderId: 12, stopPrice: '90', status: 'NEW' }
+        });
+        const order = await filledEntry();
+
+        const protectedOrder = await ProtectionService.protect(order, { fills: [{ commission: '0.001', commissionAsset: 'BTC' }] });
+
+        expect(placeProtectionOrders.mock.calls[0][0]).toMatchObject({ symbol: 'BTCUSDT', entrySide: 'BUY', takeProfit: 120, stopLoss: 90 });
+        expect(placeProtectionOrders.mock.calls[0][0].quantity).toBeCloseTo(0.999);
+        expect(protectedOrder.protection.status).toBe('active');
+        expect(ProtectionService.isExchangeManaged(protectedOrder)).toBe(true);
+        expect(ProtectionService.legIndex.get(12)).toBe(order.id);
+    });
+
+    test('paper orders stay emulated and failures fall back to emulation', async () => {
+        const placeProtectionOrders = jest.spyOn(ExchangeService, 'placeProtectionOrders').mockRejectedValue(new Error('OCO rejected'));
+
+        const paperOrder = await ProtectionService.protect(await filledEntry({ paper: true }));
+        expect(paperOrder.protection).toBeUndefined();
+
+        const failed = await ProtectionService.protect(await filledEntry());
+        expect(placeProtectionOrders).toHaveBeenCalledTimes(1);
+        expect(failed.protection).toMatchObject({ status: 'error', error: 'OCO rejected' });
+        expect(ProtectionService.isExchangeManaged(failed)).toBe(false);
+    });
+});
+
+describe('protection leg fills', () => {
+    test('a filled leg becomes the exit with its fee and cancels the bracket sibling', async () => {
+        const order = await filledEntry({
+            protection: {
+                mode: 'bracket',
+                status: 'active',
+                placedAt: new Date().toISOString(),
+                takeProfit: { orderId: 21, stopPrice: '120', status: 'NEW' },
+                stopLoss: { orderId: 22, stopPrice: '90', status: 'NEW' }
+            }
+        });
+        jest.spyOn(ExchangeService, 'getTrades').mockResolvedValue([
+            { orderId: 22, commission: '0.05', commissionAsset: 'USDT' },
+            { orderId: 22, commission: '0.04', commissionAsset: 'USDT' },
+            { orderId: 99, commission: '1', commissionAsset: 'USDT' }
+        ]);
+        const cancelOrder = jest.spyOn(ExchangeService, 'cancelOrder').mockResolvedValue({ status: 'CANCELED' });
+        const recordResult = jest.spyOn(RiskGuardService, 'recordResult').mockResolvedValue();
+
+        await ProtectionService.handleLegUpdate(order.id, 22, { status: 'FILLED', executedQty: '1', price: '89' });
+
+        const stored = await Order.getById(order.id);
+        expect(stored.protection.status).toBe('completed');
+        expect(stored.exit).toMatchObject({ type: 'stopLoss', status: 'FILLED', price: 89, realizedPnl: -11, commissionAsset: 'USDT' });
+        expect(stored.exit.commission).toBeCloseTo(0.09);
+        expect(cancelOrder).toHaveBeenCalledWith('BTCUSDT', 21);
+        expect(recordResult).toHaveBeenCalledWith(expect.objectContaining({ id: order.id }), -11);
+    });
+});
+
+describe('emulated exits', () => {
+    test('a stop loss sells the quantity held after the base-asset fee', async () => {
+        const order = await filledEntry({ commission: 0.001, commissionAsset: 'BTC', paper: true });
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        jest.spyOn(RiskGuardService, 'recordResult').mockResolvedValue();
+
+        await RealtimeOrderService.executeTriggeredOrder({
+            order,
+            target: { orderId: order.id, orderType: 'stopLoss' },
+            triggerPrice: 90,
+            timestamp: Date.now()
+        });
+
+        expect(placeOrder.mock.calls[0][0]).toMatchObject({ side: 'SELL', type: 'MARKET' });
+        expect(placeOrder.mock.calls[0][0].quantity).toBeCloseTo(0.999);
+        expect((await Order.getById(order.id)).exit.type).toBe('stopLoss');
+    });
+});
@@ -0,0 +1,119 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const ReconciliationService = require('../services/reconciliationService');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const RiskGuardService = require('../services/riskGuardService');
+const { ORDER_STATUS } = require('../config/constants');
+
+const liveOrder = (extra = {}) => Order.add({
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'LIMIT',
+    quantity: 1,
+    price: 100,
+    status: ORDER_STATUS.SUBMITTED,
+    executedQuantity: '0',
+    paper: false,
+    ...extra
+});
+
+const unknownOrder = () => new Error('Order status error: Order does not exist.');
+
+beforeAll(async () => {
+    await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 } });
+});
+
+afterAll(async () => {
+    await ExchangeService.disconnect();
+});
+
+beforeEach(async () => {
+    await storage.clearOrders();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Pretend the active exchange is a live one
+function liveExchange({ orders = {}, openOrders = [] } = {}) {
+    jest.spyOn(ExchangeService, 'isPaperMode').mockReturnValue(false);
+    jest.spyOn(ExchangeService, 'getTrades').mockResolvedValue([]);
+    jest.spyOn(ExchangeService, 'getOpenOrders').mockResolvedValue(openOrders);
+    jest.spyOn(ExchangeService, 'getOrderStatus').mockImplementation(async (symbol, orderId) => {
+        if (!orders[orderId]) throw unknownOrder();
+        return orders[orderId];
+    });
+}
+
+test('paper mode is skipped', async () => {
+    const getOpenOrders = jest.spyOn(ExchangeService, 'getOpenOrders');
+
+    const report = await ReconciliationService.reconcile('manual');
+
+    expect(report.skipped).toMatch('Paper mode');
+    expect(getOpenOrders).not.toHaveBeenCalled();
+    expect((await ReconciliationService.getStatus()).skipped).toMatch('Paper mode');
+});
+
+test('working entries take the exchange status', async () => {
+    const filled = await liveOrder({ binanceOrderId: 1 });
+    const vanished = await liveOrder({ binanceOrderId: 2 });
+    liveExchange({ orders: { 1: { status: 'FILLED', executedQty: '1', cummulativeQuoteQty: '99', updateTime: Date.now() } } });
+
+    const report = await ReconciliationService.reconcile('manual');
+
+    expect(await Order.getById(filled.id)).toMatchObject({ status: ORDER_STATUS.FILLED, executedQuantity: '1', executedPrice: 99 });
+    expect(await Order.getById(vanished.id)).toMatchObject({ status: ORDER_STATUS.CANCELLED });
+    expect(report.discrepancies).toEqual([expect.objectContaining({ type: 'missingOnExchange', orderId: vanished.id })]);
+});
+
+test('a take profit that filled while away is realized', async () => {
+    const recordResult = jest.spyOn(RiskGuardService, 'recordResult').mockResolvedValue();
+    const order = await liveOrder({
+        type: 'MARKET',
+        status: ORDER_STATUS.FILLED,
+        binanceOrderId: 1,
+        executedQuantity: '1',
+        executedPrice: 100,
+        takeProfit: 120,
+        stopLoss: 90,
+        exit: { type: 'takeProfit', binanceOrderId: 5, status: 'NEW', price: 120, quantity: '0', realizedPnl: null }
+    });
+    RealtimeOrderService.addOrderToMonitoring(order);
+    liveExchange({ orders: { 5: { status: 'FILLED', executedQty: '1', cummulativeQuoteQty: '120' } } });
+
+    const report = await ReconciliationService.reconcile('manual');
+
+    expect((await Order.getById(order.id)).exit).toMatchObject({ status: 'FILLED', quantity: '1.00000000', price: 120, realizedPnl: 20 });
+    expect(report.fixed).toEqual([expect.objectContaining({ orderId: order.id, fields: expect.objectContaining({ 'exit.status': { from: 'NEW', to: 'FILLED' } }) })]);
+    expect(recordResult).toHaveBeenCalledWith(expect.objectContaining({ id: order.id }), 20);
+    expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+});
+
+test('orphaned orders are imported one by one, closePosition orders are left alone', async () => {
+    const orphan = (orderId, extra = {}) => ({
+        orderId, symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', status: 'NEW', origQty: '1', price: '90', executedQty: '0', ...extra
+    });
+    liveExchange({
+        openOrders: [
+            orphan(10),
+            orphan(11),
+            orphan(12, { type: 'STOP_MARKET', origQty: '0', closePosition: true, price: '0', stopPrice: '80' })
+        ]
+    });
+    const add = Order.add.bind(Order);
+    jest.spyOn(Order, 'add')
+        .mockImplementationOnce(async () => { throw new Error('Storage unavailable'); })
+        .mockImplementation(add);
+
+    const report = await ReconciliationService.reconcile('manual');
+
+    expect(report.imported).toEqual([expect.objectContaining({ binanceOrderId: 11 })]);
+    expect(report.errors).toEqual([expect.objectContaining({ step: 'import', binanceOrderId: 10, error: 'Storage unavailable' })]);
+    expect(report.discrepancies.map(item => item.type).sort()).toEqual(['orphanedExchangeOrder', 'unmanagedExchangeOrder']);
+    expect((await Order.getAll()).map(order => order.binanceOrderId)).toEqual([11]);
+});
@@ -0,0 +1,117 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const Order = require('../models/Order');
+const ReportingService = require('../services/reportingService');
+const TradingService = require('../services/tradingService');
+
+const entry = (id, side, quantity, price, at, extra = {}) => ({
+    id, symbol: 'BTCUSDT', side, type: 'MARKET', quantity, status: 'filled',
+    executedQuantity: String(quantity), executedPrice: price, executedAt: at, paper: true, ...extra
+});
+
+describe('ReportingService.pairTrades', () => {
+    test('closes lots first-in first-out and splits partially closed lots', () => {
+        const trades = ReportingService.pairTrades([
+            entry('a', 'BUY', 1, 100, '2024-01-01T00:00:00Z', { strategy: 'rsi', timeframe: '1h' }),
+            entry('b', 'BUY', 1, 120, '2024-01-02T00:00:00Z'),
+            entry('c', 'SELL', 1.5, 130, '2024-01-03T00:00:00Z')
+        ]);
+
+        expect(trades).toHaveLength(2);
+        expect(trades[0]).toMatchObject({ entryOrderId: 'a', exitOrderId: 'c', quantity: 1, pnl: 30, strategy: 'rsi', timeframe: '1h', exitType: 'signal' });
+        expect(trades[1]).toMatchObject({ entryOrderId: 'b', quantity: 0.5, pnl: 5, pnlPercent: 5 / 60 * 100 });
+    });
+
+    test('an order\'s own exit closes it and shorts profit from a falling price', () => {
+        const trades = ReportingService.pairTrades([
+            entry('a', 'SELL', 2, 100, '2024-01-01T00:00:00Z', {
+                exit: { type: 'stopLoss', quantity: '2', price: 90, at: '2024-01-02T00:00:00Z' }
+            })
+        ]);
+
+        expect(trades).toEqual([expect.objectContaining({ side: 'SHORT', exitType: 'stopLoss', pnl: 20 })]);
+    });
+
+    test('subtracts prorated entry and exit fees converted to the quote asset', () => {
+        const trades = ReportingService.pairTrades([
+            // 0.002 BTC fee on a 2 BTC buy at 100: 0.2 USDT, half of it on each closed slice
+            entry('a', 'BUY', 2, 100, '2024-01-01T00:00:00Z', { commission: 0.002, commissionAsset: 'BTC' }),
+            entry('b', 'SELL', 1, 110, '2024-01-02T00:00:00Z', { commission: 0.11, commissionAsset: 'USDT' }),
+            entry('c', 'SELL', 1, 90, '2024-01-03T00:00:00Z', { commission: 0.5, commissionAsset: 'BNB' })
+        ]);
+
+        expect(trades[0].grossPnl).toBe(10);
+        expect(trades[0].fees).toBeCloseTo(0.21);
+        expect(trades[0].pnl).toBeCloseTo(9.79);
+        expect(trades[1].fees).toBeCloseTo(0.1);
+        expect(trades[1].pnl).toBeCloseTo(-10.1);
+    });
+
+    test('exit commissions recorded on the order are deducted', () => {
+        const [trade] = ReportingService.pairTrades([
+            entry('a', 'BUY', 1, 100, '2024-01-01T00:00:00Z', {
+                exit: { type: 'takeProfit', quantity: '1', price: 110, commission: 0.11, commissionAsset: 'USDT', at: '2024-01-02T00:00:00Z' }
+            })
+        ]);
+
+        expect(trade.pnl).toBeCloseTo(9.89);
+    });
+});
+
+describe('ReportingService.summarize', () => {
+    test('computes win rate, profit factor, expectancy and drawdown from net PnL', () => {
+        const trades = [10, -5, -10, 20].map((pnl, index) => ({ pnl, exitAt: `2024-01-0${index + 1}T00:00:00Z` }));
+        const summary = ReportingService.summarize(trades);
+
+        expect(summary).toMatchObject({
+            trades: 4,
+            wins: 2,
+            losses: 2,
+            winRate: 50,
+            grossProfit: 30,
+            grossLoss: -15,
+            netPnl: 15,
+            profitFactor: 2,
+            expectancy: 3.75,
+            largestWin: 20,
+            largestLoss: -10,
+            maxDrawdown: 15
+        });
+        expect(ReportingService.summarize([]).profitFactor).toBeNull();
+    });
+});
+
+describe('ReportingService.getPerformance', () => {
+    beforeAll(async () => {
+        await storage.clearOrders();
+        await Order.add(entry('a', 'BUY', 1, 100, '2024-01-01T00:00:00Z', { strategy: 'rsi' }));
+        await Order.add(entry('b', 'SELL', 1, 110, '2024-02-01T00:00:00Z'));
+        await Order.add(entry('c', 'BUY', 1, 100, '2024-02-02T00:00:00Z', { strategy: 'ema' }));
+        await Order.add(entry('d', 'SELL', 1, 95, '2024-03-01T00:00:00Z'));
+        await Order.add(entry('e', 'BUY', 1, 100, '2024-01-01T00:00:00Z', { paper: false, symbol: 'ETHUSDT' }));
+    });
+
+    test('filters by exit time, mode and strategy and groups the results', async () => {
+        const all = await ReportingService.getPerformance({ paper: true });
+        expect(all.summary.netPnl).toBe(5);
+        expect(Object.keys(all.byStrategy).sort()).toEqual(['ema', 'rsi']);
+
+        const february = await ReportingService.getPerformance({ paper: true, from: new Date('2024-02-01T00:00:00Z'), to: new Date('2024-02-28T00:00:00Z') });
+        expect(february.trades).toHaveLength(1);
+        expect(february.trades[0].entryOrderId).toBe('a');
+
+        const ema = await ReportingService.getPerformance({ paper: true, strategy: 'ema' });
+        expect(ema.summary).toMatchObject({ trades: 1, netPnl: -5 });
+    });
+});
+
+describe('TradingService.getCommission', () => {
+    test('sums fill commissions and remembers the last trade id', () => {
+        expect(TradingService.getCommission([
+            { commission: '0.001', commissionAsset: 'BTC', tradeId: 7 },
+            { commission: '0.002', commissionAsset: 'BTC', tradeId: 9 }
+        ])).toEqual({ commission: 0.003, commissionAsset: 'BTC', lastTradeId: 9 });
+        expect(TradingService.getCommission(undefined)).toEqual({});
+    });
+});
@@ -0,0 +1,224 @@
+const scheduler = require('../services/requestScheduler');
+const BinanceService = require('../services/binanceService');
+const {
+    REQUEST_PRIORITY,
+    REQUEST_DEFAULT_RETRY_AFTER_MS,
+    REQUEST_MAX_CONCURRENT,
+    REQUEST_TIMEOUT_MS
+} = require('../config/constants');
+
+// Start of a minute, so the weight and order windows are both fresh
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+// Let pending promise callbacks run (setImmediate is not faked)
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const rateLimitError = (status, message = 'Too many requests') => Object.assign(new Error(message), { status });
+
+beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.setSystemTime(START);
+
+    scheduler.clear();
+    scheduler.configure('spot');
+    scheduler.running = 0;
+    scheduler.weight = { start: START, used: 0 };
+    scheduler.orders = { start: START, count: 0 };
+    scheduler.blockedUntil = 0;
+    scheduler.lastRateLimit = null;
+    scheduler.stats = { requests: 0, throttled: 0, rateLimited: 0, retried: 0 };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    scheduler.clear();
+    scheduler.removeAllListeners();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('RequestScheduler', () => {
+    test('dispatches queued calls by priority, then arrival', async () => {
+        scheduler.blockedUntil = START + 1000;
+        const sent = [];
+        const call = (label, priority) => scheduler.schedule(async () => sent.push(label), { priority, label });
+
+        const calls = [
+            call('reconcile', REQUEST_PRIORITY.BACKGROUND),
+            call('read-1', REQUEST_PRIORITY.NORMAL),
+            call('cancel', REQUEST_PRIORITY.CRITICAL),
+            call('read-2', REQUEST_PRIORITY.NORMAL)
+        ];
+        expect(sent).toEqual([]);
+
+        jest.advanceTimersByTime(1000);
+        await Promise.all(calls);
+
+        expect(sent).toEqual(['cancel', 'read-1', 'read-2', 'reconcile']);
+    });
+
+    test('holds lower priorities once their share of the weight is used', async () => {
+        // 60% of 6000 is the background share; critical calls may use all of it
+        scheduler.weight.used = 3600;
+        const reconcile = jest.fn(async () => 'reconciled');
+        const cancel = jest.fn(async () => 'cancelled');
+
+        const background = scheduler.schedule(reconcile, { priority: REQUEST_PRIORITY.BACKGROUND, weight: 10 });
+        await expect(scheduler.schedule(cancel, { priority: REQUEST_PRIORITY.CRITICAL, weight: 10 })).resolves.toBe('cancelled');
+
+        expect(reconcile).not.toHaveBeenCalled();
+        expect(scheduler.getStatus()).toMatchObject({ queued: 1, usedWeight: 3610, stats: { throttled: 1 } });
+
+        // The next window starts with a clean count
+        jest.advanceTimersByTime(60 * 1000);
+        await expect(background).resolves.toBe('reconciled');
+        expect(scheduler.getStatus().usedWeight).toBe(10);
+    });
+
+    test('holds new orders once the 10 second order share is used', async () => {
+        scheduler.orders.count = 90;
+        const place = jest.fn(async () => 'placed');
+
+        const order = scheduler.schedule(place, { priority: REQUEST_PRIORITY.ORDER, orders: 1 });
+        await flush();
+        expect(place).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(10 * 1000);
+        await expect(order).resolves.toBe('placed');
+        expect(scheduler.getStatus().orderCount10s).toBe(1);
+    });
+
+    test('backs off after a 429 and retries once the wait has passed', async () => {
+        const rateLimited = jest.fn();
+        scheduler.on('rateLimited', rateLimited);
+        const task = jest.fn()
+            .mockRejectedValueOnce(rateLimitError(429))
+            .mockResolvedValueOnce('ok');
+
+        const call = scheduler.schedule(task, { label: 'account' });
+        await flush();
+
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(rateLimited).toHaveBeenCalledWith(expect.objectContaining({ status: 429, retryAfterMs: REQUEST_DEFAULT_RETRY_AFTER_MS }));
+        expect(scheduler.getStatus()).toMatchObject({
+            queued: 1,
+            blockedUntil: new Date(START + REQUEST_DEFAULT_RETRY_AFTER_MS).toISOString()
+        });
+
+        jest.advanceTimersByTime(REQUEST_DEFAULT_RETRY_AFTER_MS);
+        await expect(call).resolves.toBe('ok');
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(scheduler.stats).toMatchObject({ rateLimited: 1, retried: 1 });
+    });
+
+    test('gives up after the configured number of retries', async () => {
+        const task = jest.fn().mockRejectedValue(rateLimitError(429));
+
+        const call = scheduler.schedule(task);
+        const outcome = expect(call).rejects.toThrow('Too many requests');
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await flush();
+            jest.advanceTimersByTime(REQUEST_DEFAULT_RETRY_AFTER_MS);
+        }
+        await outcome;
+
+        expect(task).toHaveBeenCalledTimes(3);
+        expect(scheduler.stats.retried).toBe(2);
+    });
+
+    test('rejects a 418 without retrying and waits for the ban to end', async () => {
+        const bannedUntil = START + 5 * 60 * 1000;
+        const task = jest.fn().mockRejectedValue(rateLimitError(418, `Way too many requests; IP banned until ${bannedUntil}.`));
+
+        await expect(scheduler.schedule(task)).rejects.toThrow('IP banned');
+
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(scheduler.blockedUntil).toBe(bannedUntil);
+        expect(scheduler.lastRateLimit).toMatchObject({ status: 418 });
+    });
+
+    test('passes other errors through untouched', async () => {
+        const task = jest.fn().mockRejectedValue(new Error('Filter failure: LOT_SIZE'));
+
+        await expect(scheduler.schedule(task)).rejects.toThrow('LOT_SIZE');
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(scheduler.blockedUntil).toBe(0);
+    });
+
+    test('corrects the local estimate from the response headers', () => {
+        scheduler.recordResponse({
+            status: 200,
+            headers: new Map([['x-mbx-used-weight-1m', '1234'], ['x-mbx-order-count-10s', '7']])
+        });
+        expect(scheduler.getStatus()).toMatchObject({ usedWeight: 1234, orderCount10s: 7, weightUsagePercent: 20.6 });
+
+        scheduler.recordResponse({ status: 429, headers: { 'retry-after': '5' } });
+        expect(scheduler.getStatus()).toMatchObject({
+            usedWeight: 1234,
+            blockedUntil: new Date(START + 5000).toISOString(),
+            lastRateLimit: { status: 429, retryAfterMs: 5000 }
+        });
+    });
+
+    test('uses the futures limits once configured for futures', () => {
+        scheduler.configure('futures');
+        expect(scheduler.getStatus()).toMatchObject({ marketType: 'futures', weightLimit: 2400, orderLimit10s: 300 });
+
+        scheduler.configure('margin');
+        expect(scheduler.getStatus()).toMatchObject({ marketType: 'spot', weightLimit: 6000 });
+    });
+
+    test('fails a call that never settles and frees its slot', async () => {
+        const hung = Array.from({ length: REQUEST_MAX_CONCURRENT }, (_, index) =>
+            scheduler.schedule(() => new Promise(() => {}), { label: `hung-${index}` }));
+        const queued = jest.fn(async () => 'sent');
+        const call = scheduler.schedule(queued, { priority: REQUEST_PRIORITY.CRITICAL });
+
+        expect(queued).not.toHaveBeenCalled();
+        expect(scheduler.getStatus()).toMatchObject({ inFlight: REQUEST_MAX_CONCURRENT, queued: 1 });
+
+        jest.advanceTimersByTime(REQUEST_TIMEOUT_MS);
+
+        await expect(hung[0]).rejects.toThrow(`hung-0 timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+        await expect(call).resolves.toBe('sent');
+        await Promise.allSettled(hung);
+        expect(scheduler.getStatus()).toMatchObject({ inFlight: 0, queued: 0 });
+    });
+
+    test('clear() rejects the queued calls', async () => {
+        scheduler.blockedUntil = START + 1000;
+        const task = jest.fn();
+
+        const call = scheduler.schedule(task);
+        scheduler.clear('Connection closed');
+
+        await expect(call).rejects.toThrow('Connection closed');
+        jest.advanceTimersByTime(1000);
+        expect(task).not.toHaveBeenCalled();
+        expect(scheduler.getStatus().queued).toBe(0);
+    });
+});
+
+describe('BinanceService account check', () => {
+    afterAll(() => {
+        Object.assign(BinanceService, { binance: null, isConnected: false });
+    });
+
+    test('reads the account through the promise API and releases the slot', async () => {
+        const client = {
+            Options: {},
+            timeOffset: 0,
+            time: jest.fn(async () => ({ serverTime: Date.now() })),
+            account: jest.fn(async () => ({ accountType: 'SPOT', canTrade: true, canWithdraw: false, canDeposit: true }))
+        };
+        Object.assign(BinanceService, { binance: client, isConnected: true, marketType: 'spot', paperMode: false });
+
+        await expect(BinanceService.testConnection()).resolves.toBe(true);
+
+        expect(client.account).toHaveBeenCalledWith();
+        expect(scheduler.getStatus().inFlight).toBe(0);
+    });
+});
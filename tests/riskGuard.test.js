@@ -0,0 +1,153 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const RiskGuardService = require('../services/riskGuardService');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const { DEFAULT_CONFIG, ORDER_STATUS } = require('../config/constants');
+
+const setLimits = (riskLimits) => storage.saveConfig({ ...DEFAULT_CONFIG, riskLimits });
+
+// Start every test from a fresh, persisted state
+async function resetGuard(riskLimits) {
+    await setLimits(riskLimits);
+    await storage.setState('riskGuard', null);
+    RiskGuardService.state = null;
+}
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('RiskGuardService limits', () => {
+    test('halts on the daily loss limit', async () => {
+        await resetGuard({ maxDailyLoss: 100 });
+
+        await RiskGuardService.recordResult({ id: 'a' }, -60);
+        expect((await RiskGuardService.checkTrading()).halted).toBe(false);
+
+        await RiskGuardService.recordResult({ id: 'b' }, -50);
+        const status = await RiskGuardService.checkTrading();
+        expect(status.halted).toBe(true);
+        expect(status.reason).toMatch('Daily loss limit reached');
+    });
+
+    test('halts after consecutive losses; a win resets the streak', async () => {
+        await resetGuard({ maxConsecutiveLosses: 2 });
+
+        await RiskGuardService.recordResult({ id: 'a' }, -1);
+        await RiskGuardService.recordResult({ id: 'b' }, 5);
+        await RiskGuardService.recordResult({ id: 'c' }, -1);
+        expect((await RiskGuardService.checkTrading()).halted).toBe(false);
+
+        await RiskGuardService.recordResult({ id: 'd' }, -1);
+        expect((await RiskGuardService.checkTrading()).reason).toBe('2 consecutive losing trades');
+    });
+
+    test('halts on the daily trade count', async () => {
+        await resetGuard({ maxTradesPerDay: 2 });
+
+        await RiskGuardService.recordEntry({ id: 'a' });
+        expect((await RiskGuardService.checkTrading()).halted).toBe(false);
+        await RiskGuardService.recordEntry({ id: 'b' });
+        expect((await RiskGuardService.checkTrading()).reason).toMatch('Daily trade limit reached (2 trades)');
+    });
+
+    test('halts on drawdown from the equity peak', async () => {
+        await resetGuard({ maxDrawdownPercent: 10, startingEquity: 1000 });
+
+        await RiskGuardService.recordResult({ id: 'a' }, 200);
+        await RiskGuardService.recordResult({ id: 'b' }, -100);
+        expect((await RiskGuardService.getStatus()).drawdownPercent).toBeCloseTo(100 / 1200 * 100);
+        expect((await RiskGuardService.checkTrading()).halted).toBe(false);
+
+        await RiskGuardService.recordResult({ id: 'c' }, -30);
+        expect((await RiskGuardService.checkTrading()).reason).toMatch('Drawdown of');
+    });
+
+    test('a drawdown limit without startingEquity is reported, not silently ignored', async () => {
+        await resetGuard({ maxDrawdownPercent: 10 });
+
+        expect(RiskGuardService.validateLimits({ maxDrawdownPercent: 10, startingEquity: null })).toBe('maxDrawdownPercent requires startingEquity');
+        expect(RiskGuardService.validateLimits({ maxDrawdownPercent: 10, startingEquity: 500 })).toBeNull();
+        expect((await RiskGuardService.getStatus()).warnings).toEqual(['maxDrawdownPercent requires startingEquity']);
+    });
+
+    test('manual reset lifts the halt and clears the loss streak', async () => {
+        await resetGuard({ maxConsecutiveLosses: 1 });
+
+        await RiskGuardService.recordResult({ id: 'a' }, -1);
+        expect((await RiskGuardService.checkTrading()).halted).toBe(true);
+
+        const status = await RiskGuardService.reset();
+        expect(status).toMatchObject({ halted: false, consecutiveLosses: 0 });
+    });
+});
+
+describe('RiskGuardService day roll', () => {
+    test('a new UTC day resets the daily counters and lifts the halt', async () => {
+        jest.useFakeTimers({ now: new Date('2024-03-01T23:50:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+        await resetGuard({ maxDailyLoss: 50 });
+
+        await RiskGuardService.recordEntry({ id: 'a' });
+        await RiskGuardService.recordResult({ id: 'a' }, -80);
+        expect((await RiskGuardService.checkTrading()).halted).toBe(true);
+
+        jest.setSystemTime(new Date('2024-03-02T00:05:00Z'));
+        const status = await RiskGuardService.getStatus();
+
+        expect(status).toMatchObject({ tradingDay: '2024-03-02', halted: false, tradesToday: 0, dailyRealizedPnl: 0, realizedPnl: -80 });
+    });
+
+    test('the halt survives a restart on the same day', async () => {
+        await resetGuard({ maxTradesPerDay: 1 });
+        await RiskGuardService.recordEntry({ id: 'a' });
+
+        RiskGuardService.state = null;
+        expect((await RiskGuardService.checkTrading()).halted).toBe(true);
+    });
+});
+
+describe('halted trading and waiting entries', () => {
+    beforeAll(async () => {
+        await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 50000 } });
+    });
+
+    afterAll(async () => {
+        await ExchangeService.disconnect();
+    });
+
+    test('a trigger entry that comes due while halted is cancelled, not placed', async () => {
+        await resetGuard({ maxTradesPerDay: 1 });
+        await RiskGuardService.recordEntry({ id: 'earlier' });
+
+        const order = await Order.add({
+            symbol: 'BTCUSDT',
+            side: 'BUY',
+            type: 'MARKET',
+            quantity: 0.01,
+            status: ORDER_STATUS.WAITING_TRIGGER,
+            triggerPrice: 49000,
+            triggerCondition: 'below',
+            paper: true
+        });
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+
+        RealtimeOrderService.addOrderToMonitoring(order);
+        await RealtimeOrderService.executeTriggeredOrder({
+            order,
+            target: { orderId: order.id, orderType: 'trigger' },
+            triggerPrice: 48900,
+            timestamp: Date.now()
+        });
+
+        const stored = await Order.getById(order.id);
+        expect(placeOrder).not.toHaveBeenCalled();
+        expect(stored.status).toBe(ORDER_STATUS.CANCELLED);
+        expect(stored.cancelReason).toMatch('Trading halted');
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+
+        placeOrder.mockRestore();
+    });
+});
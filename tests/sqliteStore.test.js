@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../storage/fileStore');
+const SqliteStore = require('../storage/sqliteStore');
+const migrate = require('../scripts/migrateToSqlite');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradingbot-sqlite-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const order = (id, overrides = {}) => ({
+    id,
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'MARKET',
+    quantity: 0.01,
+    status: 'filled',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+});
+
+describe('SqliteStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new SqliteStore({ file: path.join(dir, 'test.db') });
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('stores and filters orders newest first', async () => {
+        await store.insertOrder(order('a', { createdAt: '2024-01-01T00:00:00.000Z' }));
+        await store.insertOrder(order('b', { createdAt: '2024-01-02T00:00:00.000Z', symbol: 'ETHUSDT', paper: true }));
+        await store.insertOrder(order('c', { createdAt: '2024-01-03T00:00:00.000Z', status: 'cancelled', side: 'SELL' }));
+
+        expect((await store.getOrders()).map(o => o.id)).toEqual(['c', 'b', 'a']);
+        expect((await store.getOrders({ symbol: ['BTCUSDT'] })).map(o => o.id)).toEqual(['c', 'a']);
+        expect((await store.getOrders({ status: ['filled'], paper: true })).map(o => o.id)).toEqual(['b']);
+        expect((await store.getOrders({ side: 'SELL' })).map(o => o.id)).toEqual(['c']);
+        expect((await store.getOrders({ from: '2024-01-02', to: '2024-01-02T23:59:59Z' })).map(o => o.id)).toEqual(['b']);
+        expect(await store.countOrders()).toBe(3);
+    });
+
+    test('updates, removes and clears orders', async () => {
+        await store.insertOrder(order('a'));
+
+        const updated = await store.updateOrder('a', current => ({ ...current, status: 'cancelled' }));
+        expect(updated.status).toBe('cancelled');
+        expect((await store.getOrder('a')).status).toBe('cancelled');
+        await expect(store.updateOrder('missing', current => current)).rejects.toThrow('Order not found: missing');
+
+        expect(await store.removeOrder('a')).toBe(true);
+        expect(await store.removeOrder('a')).toBe(false);
+
+        await store.insertOrder(order('b'));
+        await store.clearOrders();
+        expect(await store.countOrders()).toBe(0);
+    });
+
+    test('keeps config, state and signals', async () => {
+        expect(await store.getConfig({ symbol: 'DEFAULT' })).toEqual({ symbol: 'DEFAULT' });
+        await store.saveConfig({ symbol: 'ETHUSDT' });
+        expect(await store.getConfig()).toEqual({ symbol: 'ETHUSDT' });
+
+        expect(await store.getState('riskGuard', 'none')).toBe('none');
+        await store.setState('riskGuard', { halted: true });
+        expect(await store.getState('riskGuard')).toEqual({ halted: true });
+
+        await store.addSignal({ id: 's1', symbol: 'BTCUSDT', receivedAt: '2024-01-01T00:00:00.000Z' });
+        await store.addSignal({ id: 's2', symbol: 'ETHUSDT', receivedAt: '2024-01-02T00:00:00.000Z' });
+        expect((await store.getSignals()).map(signal => signal.id)).toEqual(['s2', 's1']);
+        expect((await store.getSignals({ symbol: 'BTCUSDT' })).map(signal => signal.id)).toEqual(['s1']);
+    });
+});
+
+describe('migrateToSqlite', () => {
+    test('copies orders, config, signals and service state', async () => {
+        const source = new FileStore({
+            ordersFile: path.join(dir, 'orders.json'),
+            configFile: path.join(dir, 'config.json'),
+            signalsFile: path.join(dir, 'signals.json'),
+            stateFile: path.join(dir, 'state.json')
+        });
+        const file = path.join(dir, 'migrated.db');
+
+        await source.insertOrder(order('a'));
+        await source.insertOrder({ ...order(undefined), id: undefined });
+        await source.saveConfig({ symbol: 'ETHUSDT' });
+        await source.addSignal({ id: 's1', symbol: 'BTCUSDT', receivedAt: '2024-01-01T00:00:00.000Z' });
+        await source.setState('riskGuard', { halted: false });
+        await source.setState('credentials', { binance: { ciphertext: 'abc', apiKeyHint: '…1234' } });
+        await source.setState('paperExchange', { balances: { USDT: { free: 1, locked: 0 } } });
+
+        await migrate({ source, target: new SqliteStore({ file }) });
+
+        const target = new SqliteStore({ file });
+        try {
+            const orders = await target.getOrders();
+            expect(orders).toHaveLength(2);
+            expect(orders.every(migrated => migrated.id)).toBe(true);
+            expect(await target.getConfig()).toEqual({ symbol: 'ETHUSDT' });
+            expect((await target.getSignals()).map(signal => signal.id)).toEqual(['s1']);
+            expect(await target.getState('riskGuard')).toEqual({ halted: false });
+            expect(await target.getState('credentials')).toEqual({ binance: { ciphertext: 'abc', apiKeyHint: '…1234' } });
+            expect(await target.getState('paperExchange')).toEqual({ balances: { USDT: { free: 1, locked: 0 } } });
+        } finally {
+            await target.close();
+        }
+    });
+});
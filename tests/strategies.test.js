@@ -0,0 +1,90 @@
+const StrategyRegistry = require('../services/strategyRegistry');
+const TradingService = require('../services/tradingService');
+
+const validate = (signal, config = {}) => TradingService.validateSignal(signal, config);
+
+describe('StrategyRegistry', () => {
+    test('registers the built-in strategies', () => {
+        expect(StrategyRegistry.list().map(strategy => strategy.name)).toEqual(['adx', 'rsi', 'macd', 'emaCross']);
+    });
+
+    test('resolves the named strategy, then the configured default, then adx', () => {
+        expect(StrategyRegistry.resolve('rsi').name).toBe('rsi');
+        expect(StrategyRegistry.resolve(undefined, { defaultStrategy: 'macd' }).name).toBe('macd');
+        expect(StrategyRegistry.resolve(undefined).name).toBe('adx');
+        expect(StrategyRegistry.resolve('nope')).toBeNull();
+    });
+
+    test('params come from defaults, legacy top-level keys and config.strategies', () => {
+        const adx = StrategyRegistry.resolve('adx');
+        const params = StrategyRegistry.resolveParams(adx, { adxMinimum: 30, strategies: { adx: { plusDIThreshold: 40 } } });
+        expect(params).toEqual({ plusDIThreshold: 40, minusDIThreshold: 20, adxMinimum: 30 });
+    });
+
+    test('rejects strategies without a validate function', () => {
+        expect(() => StrategyRegistry.register({ name: 'broken' })).toThrow('validate function');
+    });
+
+    test('an unknown strategy fails validation', () => {
+        expect(validate({ strategy: 'nope' })).toMatchObject({ valid: false, reason: 'Unknown strategy: nope' });
+    });
+});
+
+describe('adx strategy', () => {
+    test('buys, sells or holds on DI and ADX', () => {
+        expect(validate({ plusDI: 30, minusDI: 15, adx: 25 }).action).toBe('BUY');
+        expect(validate({ plusDI: 15, minusDI: 30, adx: 25 }).action).toBe('SELL');
+        expect(validate({ plusDI: 30, minusDI: 15, adx: 10 })).toMatchObject({ valid: false, reason: 'ADX below minimum' });
+        expect(validate({ plusDI: 22, minusDI: 22, adx: 25 }).valid).toBe(false);
+    });
+});
+
+describe('rsi strategy', () => {
+    test('buys oversold and sells overbought', () => {
+        expect(validate({ strategy: 'rsi', rsi: 25 }).action).toBe('BUY');
+        expect(validate({ strategy: 'rsi', rsi: 75 }).action).toBe('SELL');
+        expect(validate({ strategy: 'rsi', rsi: 50 }).valid).toBe(false);
+        expect(validate({ strategy: 'rsi', rsi: 35 }, { strategies: { rsi: { oversold: 40 } } }).action).toBe('BUY');
+    });
+});
+
+describe('macd strategy', () => {
+    test('follows the histogram beyond minHistogram', () => {
+        expect(validate({ strategy: 'macd', macd: 2, macdSignal: 1 }).action).toBe('BUY');
+        expect(validate({ strategy: 'macd', macd: 1, macdSignal: 2 }).action).toBe('SELL');
+        expect(validate({ strategy: 'macd', macd: 1.5, macdSignal: 1 }, { strategies: { macd: { minHistogram: 1 } } }).valid).toBe(false);
+    });
+});
+
+describe('emaCross strategy', () => {
+    const requireCross = { strategies: { emaCross: { requireCross: true } } };
+
+    test('without requireCross the reason describes the position, not a cross', () => {
+        const result = validate({ strategy: 'emaCross', emaFast: 101, emaSlow: 100, prevEmaFast: 101, prevEmaSlow: 100 });
+        expect(result).toMatchObject({ valid: true, action: 'BUY', reason: 'Fast EMA above slow EMA' });
+
+        const short = validate({ strategy: 'emaCross', emaFast: 99, emaSlow: 100 });
+        expect(short).toMatchObject({ valid: true, action: 'SELL', reason: 'Fast EMA below slow EMA' });
+    });
+
+    test('reports a cross when the previous bar was on the other side', () => {
+        const result = validate({ strategy: 'emaCross', emaFast: 101, emaSlow: 100, prevEmaFast: 99, prevEmaSlow: 100 });
+        expect(result).toMatchObject({ action: 'BUY', reason: 'Fast EMA crossed above slow EMA' });
+    });
+
+    test('requireCross only accepts a cross on this bar', () => {
+        const crossed = validate({ strategy: 'emaCross', emaFast: 99, emaSlow: 100, prevEmaFast: 101, prevEmaSlow: 100 }, requireCross);
+        expect(crossed).toMatchObject({ valid: true, action: 'SELL', reason: 'Fast EMA crossed below slow EMA' });
+
+        const already = validate({ strategy: 'emaCross', emaFast: 99, emaSlow: 100, prevEmaFast: 98, prevEmaSlow: 100 }, requireCross);
+        expect(already).toMatchObject({ valid: false, reason: 'Fast EMA already below slow EMA' });
+
+        const missing = validate({ strategy: 'emaCross', emaFast: 99, emaSlow: 100 }, requireCross);
+        expect(missing.valid).toBe(false);
+    });
+
+    test('ignores spreads below minSpreadPercent', () => {
+        const result = validate({ strategy: 'emaCross', emaFast: 100.05, emaSlow: 100 }, { strategies: { emaCross: { minSpreadPercent: 0.1 } } });
+        expect(result).toMatchObject({ valid: false, reason: 'EMA spread below minimum' });
+    });
+});
@@ -0,0 +1,83 @@
+const SymbolInfoService = require('../services/symbolInfoService');
+
+const EXCHANGE_INFO = {
+    symbols: [
+        {
+            symbol: 'BTCUSDT',
+            status: 'TRADING',
+            baseAsset: 'BTC',
+            quoteAsset: 'USDT',
+            filters: [
+                { filterType: 'PRICE_FILTER', minPrice: '0.01', maxPrice: '1000000.00', tickSize: '0.01' },
+                { filterType: 'LOT_SIZE', minQty: '0.00001', maxQty: '9000.00000', stepSize: '0.00001' },
+                { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000', maxQty: '100.00000', stepSize: '0.00000' },
+                { filterType: 'NOTIONAL', minNotional: '5.00', applyMinToMarket: true, maxNotional: '9000000.00', applyMaxToMarket: false },
+                { filterType: 'PERCENT_PRICE_BY_SIDE', bidMultiplierUp: '5', bidMultiplierDown: '0.2', askMultiplierUp: '5', askMultiplierDown: '0.2' }
+            ]
+        },
+        {
+            symbol: 'OLDUSDT',
+            status: 'BREAK',
+            baseAsset: 'OLD',
+            quoteAsset: 'USDT',
+            filters: []
+        }
+    ]
+};
+
+let loads = 0;
+
+beforeAll(() => {
+    SymbolInfoService.start(async () => {
+        loads++;
+        return EXCHANGE_INFO;
+    });
+});
+
+afterAll(() => {
+    SymbolInfoService.stop();
+});
+
+const prepare = (order, referencePrice = 50000) =>
+    SymbolInfoService.prepareOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', ...order }, referencePrice);
+
+describe('SymbolInfoService.prepareOrder', () => {
+    test('loads exchangeInfo once for concurrent callers', async () => {
+        await Promise.all([SymbolInfoService.getSymbol('BTCUSDT'), SymbolInfoService.getSymbol('BTCUSDT')]);
+        expect(loads).toBe(1);
+        expect(SymbolInfoService.getStatus().symbolCount).toBe(2);
+    });
+
+    test('rounds quantity down to the step and prices away from a worse fill', async () => {
+        expect(await prepare({ quantity: 0.123456789, price: 49999.999 })).toEqual({ quantity: '0.12345', price: '49999.99' });
+        expect(await prepare({ side: 'SELL', quantity: 0.3, price: 50000.001 })).toEqual({ quantity: '0.30000', price: '50000.01' });
+    });
+
+    test('MARKET orders check notional against the reference price', async () => {
+        expect(await prepare({ type: 'MARKET', quantity: 0.001 })).toEqual({ quantity: '0.00100' });
+        await expect(prepare({ type: 'MARKET', quantity: 0.00005 })).rejects.toThrow('notional 2.50000000 below minimum 5');
+    });
+
+    test('rejects quantities and prices outside the filters', async () => {
+        await expect(prepare({ quantity: 0.000001, price: 50000 })).rejects.toThrow('below minimum');
+        await expect(prepare({ quantity: 10000, price: 50000 })).rejects.toThrow('above maximum 9000');
+        await expect(prepare({ quantity: 0.01, price: 300000 })).rejects.toThrow('more than 5x the market price');
+        await expect(prepare({ quantity: 1, price: 5000 })).rejects.toThrow('less than 0.2x the market price');
+    });
+
+    test('reduce-only orders are exempt from the minimum notional', async () => {
+        await expect(prepare({ type: 'MARKET', quantity: 0.00005, reduceOnly: true })).resolves.toEqual({ quantity: '0.00005' });
+    });
+
+    test('formats stop prices and quantities', async () => {
+        expect(await prepare({ type: 'STOP_LOSS', quantity: 0.01, stopPrice: 48000.005 })).toEqual({ quantity: '0.01000', stopPrice: '48000.00' });
+        expect(await SymbolInfoService.formatQuantity('BTCUSDT', 0.0123456)).toBe('0.01234');
+    });
+
+    test('rejects unknown and halted symbols', async () => {
+        await expect(SymbolInfoService.prepareOrder({ symbol: 'NOPEUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }))
+            .rejects.toThrow('unknown symbol NOPEUSDT');
+        await expect(SymbolInfoService.prepareOrder({ symbol: 'OLDUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }))
+            .rejects.toThrow('OLDUSDT is not trading');
+    });
+});
@@ -0,0 +1,249 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const Order = require('../models/Order');
+const ExchangeService = require('../exchanges');
+const TradingService = require('../services/tradingService');
+const ProtectionService = require('../services/protectionService');
+const RealtimeOrderService = require('../services/realtimeOrderService');
+const RiskGuardService = require('../services/riskGuardService');
+const { ORDER_STATUS } = require('../config/constants');
+
+const mock = () => ExchangeService.adapter;
+
+const filledEntry = (extra = {}) => Order.add({
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'MARKET',
+    quantity: 1,
+    status: ORDER_STATUS.FILLED,
+    executedQuantity: '1',
+    executedPrice: 100,
+    trailingStop: { percent: 5 },
+    paper: true,
+    ...extra
+});
+
+const trailTarget = (orderId) => Array.from(RealtimeOrderService.stopLossTargets.values())
+    .find(target => target.orderId === orderId && target.orderType === 'trailingStop');
+
+const targetsOf = (orderId) => [...RealtimeOrderService.priceTargets.values(), ...RealtimeOrderService.stopLossTargets.values()]
+    .filter(target => target.orderId === orderId)
+    .map(target => target.orderType);
+
+// Triggered exits run on the order queue with real storage I/O; let it drain
+async function settled() {
+    for (let turn = 0; turn < 400 && RealtimeOrderService.processingQueue; turn++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+async function movePrice(price) {
+    mock().setPrice('BTCUSDT', price);
+    await settled();
+}
+
+beforeAll(async () => {
+    await ExchangeService.initialize({ exchange: 'mock', mockPrices: { BTCUSDT: 100 }, paperBalances: { BTC: 10, USDT: 10000 } });
+    RealtimeOrderService.setupExchangeEventListeners();
+});
+
+afterAll(async () => {
+    ProtectionService.stop();
+    ExchangeService.removeAllListeners();
+    await ExchangeService.disconnect();
+});
+
+beforeEach(() => {
+    mock().setPrice('BTCUSDT', 100);
+    jest.spyOn(RiskGuardService, 'recordResult').mockResolvedValue();
+});
+
+afterEach(() => {
+    RealtimeOrderService.pendingOrders.clear();
+    RealtimeOrderService.priceTargets.clear();
+    RealtimeOrderService.stopLossTargets.clear();
+    RealtimeOrderService.removeAllListeners('trailingStopMoved');
+    jest.restoreAllMocks();
+});
+
+describe('TradingService trailing stop helpers', () => {
+    test('normalizes a percent or a distance with an optional activation price', () => {
+        expect(TradingService.normalizeTrailingStop(1.5)).toEqual({ percent: 1.5, distance: null, activationPrice: null });
+        expect(TradingService.normalizeTrailingStop({ distance: '250', activationPrice: '105000' }))
+            .toEqual({ percent: null, distance: 250, activationPrice: 105000 });
+        expect(TradingService.normalizeTrailingStop(null)).toBeNull();
+        expect(TradingService.normalizeTrailingStop(false)).toBeNull();
+    });
+
+    test('rejects ambiguous or out-of-range settings', () => {
+        expect(() => TradingService.normalizeTrailingStop({ percent: 1, distance: 5 })).toThrow('either percent or distance');
+        expect(() => TradingService.normalizeTrailingStop({ activationPrice: 5 })).toThrow('either percent or distance');
+        expect(() => TradingService.normalizeTrailingStop(100)).toThrow('between 0 and 100');
+        expect(() => TradingService.normalizeTrailingStop({ distance: -1 })).toThrow('distance must be positive');
+        expect(() => TradingService.normalizeTrailingStop({ percent: 1, activationPrice: 0 })).toThrow('activationPrice must be positive');
+    });
+
+    test('trails below the water mark for a long and above it for a short', () => {
+        expect(TradingService.calculateTrailingStopPrice(200, { percent: 5, distance: null }, 'BUY')).toBe(190);
+        expect(TradingService.calculateTrailingStopPrice(200, { percent: null, distance: 3 }, 'SELL')).toBe(203);
+    });
+});
+
+describe('emulated trailing stop', () => {
+    test('follows the high of a long and only moves up', async () => {
+        const order = await filledEntry();
+        const moves = [];
+        RealtimeOrderService.on('trailingStopMoved', move => moves.push(move));
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        await movePrice(100);
+        await movePrice(110);
+        await movePrice(106);
+
+        expect(moves.map(move => [move.waterMark, move.stopPrice])).toEqual([[100, 95], [110, 104.5]]);
+        expect(trailTarget(order.id)).toMatchObject({ targetPrice: 104.5, trailing: { active: true, waterMark: 110, moves: 2 } });
+
+        // Every move is saved on the order
+        await trailTarget(order.id).saving;
+        expect((await Order.getById(order.id)).trailing).toMatchObject({ active: true, waterMark: 110, stopPrice: 104.5, moves: 2 });
+    });
+
+    test('closes the position with a MARKET order once the price crosses the stop', async () => {
+        const order = await filledEntry({ stopLoss: 80 });
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        await movePrice(110);
+        await movePrice(104);
+
+        const stored = await Order.getById(order.id);
+        expect(stored.exit).toMatchObject({ type: 'trailingStop', status: 'FILLED', price: 104, quantity: '1.00000000', realizedPnl: 4 });
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+        // The fixed stop loss of the same order is gone too
+        expect(targetsOf(order.id)).toEqual([]);
+    });
+
+    test('waits for the activation price before trailing', async () => {
+        const order = await filledEntry({ trailingStop: { distance: 2, activationPrice: 105 } });
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        await movePrice(103);
+        await movePrice(90);
+        expect(trailTarget(order.id)).toMatchObject({ targetPrice: null, trailing: { active: false, waterMark: null } });
+        expect((await Order.getById(order.id)).exit).toBeUndefined();
+
+        await movePrice(106);
+        expect(trailTarget(order.id)).toMatchObject({ targetPrice: 104, trailing: { active: true, waterMark: 106 } });
+    });
+
+    test('follows the low of a short and only moves down', async () => {
+        const order = await filledEntry({ side: 'SELL', trailingStop: { distance: 2 } });
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        await movePrice(100);
+        await movePrice(95);
+        await movePrice(96);
+
+        expect(trailTarget(order.id)).toMatchObject({ targetPrice: 97, condition: 'above', trailing: { waterMark: 95, stopPrice: 97 } });
+        expect((await Order.getById(order.id)).exit).toBeUndefined();
+    });
+
+    test('resumes from the saved state after a restart', async () => {
+        const order = await filledEntry({
+            trailing: { active: true, waterMark: 110, stopPrice: 104.5, activatedAt: null, updatedAt: null, moves: 2 }
+        });
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        expect(trailTarget(order.id)).toMatchObject({ targetPrice: 104.5, trailing: { waterMark: 110 } });
+
+        await movePrice(108);
+        expect(trailTarget(order.id).trailing.stopPrice).toBe(104.5);
+    });
+});
+
+describe('trailing stop under exchange-side protection', () => {
+    const protectedEntry = () => filledEntry({
+        stopLoss: 90,
+        takeProfit: 120,
+        paper: false,
+        protection: {
+            mode: 'oco',
+            status: 'active',
+            placedAt: new Date().toISOString(),
+            takeProfit: { orderId: 11, price: '120', status: 'NEW' },
+            stopLoss: { orderId: 12, stopPrice: '90', price: '89', status: 'NEW' }
+        }
+    });
+
+    const unknownOrder = () => Object.assign(new Error('Unknown order sent.'), { code: -2011 });
+
+    test('watches only the trailing stop next to the exchange legs', async () => {
+        const order = await protectedEntry();
+
+        expect(RealtimeOrderService.needsExitMonitoring(order)).toBe(true);
+        expect(RealtimeOrderService.needsExitMonitoring({ ...order, trailingStop: null })).toBe(false);
+
+        RealtimeOrderService.addOrderToMonitoring(order);
+        expect(targetsOf(order.id)).toEqual(['trailingStop']);
+    });
+
+    test('cancels the legs before closing what they have not sold', async () => {
+        const order = await protectedEntry();
+        const cancelOrder = jest.spyOn(ExchangeService, 'cancelOrder').mockImplementation(async (symbol, orderId) => {
+            if (orderId === 11) return { orderId, status: 'CANCELED', executedQty: '0.2' };
+            throw unknownOrder();
+        });
+        jest.spyOn(ExchangeService, 'getOrderStatus').mockResolvedValue({ orderId: 12, status: 'EXPIRED', executedQty: '0' });
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder').mockResolvedValue({
+            orderId: 99, status: 'FILLED', executedQty: '0.8', cummulativeQuoteQty: '83.2', fills: []
+        });
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        await movePrice(110);
+        await movePrice(104);
+
+        expect(cancelOrder).toHaveBeenCalledTimes(2);
+        expect(placeOrder).toHaveBeenCalledTimes(1);
+        expect(placeOrder.mock.calls[0][0]).toMatchObject({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET' });
+        expect(placeOrder.mock.calls[0][0].quantity).toBeCloseTo(0.8, 10);
+
+        const stored = await Order.getById(order.id);
+        expect(stored.protection).toMatchObject({
+            status: 'cancelled',
+            cancelReason: 'Trailing stop triggered',
+            takeProfit: { status: 'CANCELED', executedQty: '0.2' },
+            stopLoss: { status: 'EXPIRED' }
+        });
+        expect(stored.exit).toMatchObject({ type: 'trailingStop', binanceOrderId: 99, price: 104 });
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+    });
+
+    test('does not sell again when a leg filled first', async () => {
+        const order = await protectedEntry();
+        jest.spyOn(ExchangeService, 'cancelOrder').mockRejectedValue(unknownOrder());
+        jest.spyOn(ExchangeService, 'getOrderStatus').mockImplementation(async (symbol, orderId) => orderId === 12
+            ? { orderId, status: 'FILLED', executedQty: '1', cummulativeQuoteQty: '89' }
+            : { orderId, status: 'EXPIRED', executedQty: '0' });
+        const placeOrder = jest.spyOn(ExchangeService, 'placeOrder');
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        await movePrice(100);
+        await movePrice(94);
+
+        expect(placeOrder).not.toHaveBeenCalled();
+        const stored = await Order.getById(order.id);
+        expect(stored.protection.status).toBe('completed');
+        expect(stored.exit).toMatchObject({ type: 'stopLoss', binanceOrderId: 12, price: 89, realizedPnl: -11 });
+        expect(RiskGuardService.recordResult).toHaveBeenCalledTimes(1);
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+    });
+
+    test('drops the trailing stop once a leg fills on the exchange', async () => {
+        const order = await protectedEntry();
+        RealtimeOrderService.addOrderToMonitoring(order);
+
+        ProtectionService.emit('protectionFilled', { order, leg: 'takeProfit' });
+
+        expect(targetsOf(order.id)).toEqual([]);
+        expect(RealtimeOrderService.pendingOrders.has(order.id)).toBe(false);
+    });
+});
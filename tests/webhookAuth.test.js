@@ -0,0 +1,138 @@
+jest.mock('../storage', () => require('./helpers/tempStore')());
+
+const storage = require('../storage');
+const webhookAuth = require('../middleware/webhookAuth');
+
+const SOURCES = {
+    tradingview: { mode: 'passphrase', secret: 'tv-passphrase' },
+    legacy: { mode: 'passphrase', secret: 'legacy-passphrase', requireTimestamp: false, requireNonce: false },
+    internal: { mode: 'hmac', secret: 'hmac-secret' }
+};
+
+let nonceCounter = 0;
+const nextNonce = () => `nonce-${Date.now()}-${++nonceCounter}`;
+
+function request({ body = {}, headers = {} } = {}) {
+    const lowered = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { body, rawBody, get: (name) => lowered[name.toLowerCase()] };
+}
+
+// Resolves with { status, body } for a rejection or { next: true } when the request passes
+function authenticate(req) {
+    return new Promise((resolve) => {
+        const res = {
+            status(code) {
+                return { json: (body) => resolve({ status: code, body }) };
+            }
+        };
+        webhookAuth(req, res, () => resolve({ next: true }));
+    });
+}
+
+function signedRequest({ secret = 'hmac-secret', nonce = nextNonce(), timestamp = Date.now(), body = { action: 'BUY' }, signature } = {}) {
+    const req = request({ body });
+    const expected = webhookAuth.computeSignature(secret, String(timestamp), nonce, req.rawBody.toString('utf8'));
+
+    return request({
+        body,
+        headers: {
+            'X-Webhook-Source': 'internal',
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Nonce': nonce,
+            'X-Webhook-Signature': signature || expected
+        }
+    });
+}
+
+beforeAll(async () => {
+    await storage.saveConfig({ webhookSources: SOURCES });
+});
+
+describe('webhookAuth: passphrase mode', () => {
+    test('accepts a valid passphrase with timestamp and nonce and strips the passphrase', async () => {
+        const body = { passphrase: 'tv-passphrase', timestamp: Date.now(), nonce: nextNonce(), action: 'BUY' };
+        const req = request({ body });
+
+        await expect(authenticate(req)).resolves.toEqual({ next: true });
+        expect(req.body.passphrase).toBeUndefined();
+        expect(req.webhookSource).toBe('tradingview');
+    });
+
+    test('rejects a wrong passphrase', async () => {
+        const result = await authenticate(request({ body: { passphrase: 'nope', timestamp: Date.now(), nonce: nextNonce() } }));
+        expect(result.status).toBe(401);
+        expect(result.body.details).toBe('Invalid passphrase');
+    });
+
+    test('requires timestamp and nonce by default', async () => {
+        const withoutTimestamp = await authenticate(request({ body: { passphrase: 'tv-passphrase', nonce: nextNonce() } }));
+        expect(withoutTimestamp.body.details).toBe('Missing or invalid timestamp');
+
+        const withoutNonce = await authenticate(request({ body: { passphrase: 'tv-passphrase', timestamp: Date.now() } }));
+        expect(withoutNonce.body.details).toBe('Missing nonce');
+    });
+
+    test('a source can opt out of timestamp and nonce', async () => {
+        const result = await authenticate(request({ body: { source: 'legacy', passphrase: 'legacy-passphrase' } }));
+        expect(result).toEqual({ next: true });
+    });
+
+    test('rejects a replayed nonce and a stale timestamp', async () => {
+        const nonce = nextNonce();
+        const body = () => ({ passphrase: 'tv-passphrase', timestamp: Date.now(), nonce });
+
+        await expect(authenticate(request({ body: body() }))).resolves.toEqual({ next: true });
+        const replay = await authenticate(request({ body: body() }));
+        expect(replay.body.details).toBe('Nonce already used');
+
+        const stale = await authenticate(request({
+            body: { passphrase: 'tv-passphrase', timestamp: Date.now() - 10 * 60 * 1000, nonce: nextNonce() }
+        }));
+        expect(stale.body.details).toBe('Timestamp outside allowed window');
+    });
+
+    test('a wrong passphrase does not use up the nonce', async () => {
+        const nonce = nextNonce();
+        await authenticate(request({ body: { passphrase: 'nope', timestamp: Date.now(), nonce } }));
+
+        const result = await authenticate(request({ body: { passphrase: 'tv-passphrase', timestamp: Date.now(), nonce } }));
+        expect(result).toEqual({ next: true });
+    });
+});
+
+describe('webhookAuth: hmac mode', () => {
+    test('accepts a valid signature', async () => {
+        await expect(authenticate(signedRequest())).resolves.toEqual({ next: true });
+    });
+
+    test('rejects an invalid signature', async () => {
+        const result = await authenticate(signedRequest({ secret: 'wrong-secret' }));
+        expect(result.status).toBe(401);
+        expect(result.body.details).toBe('Invalid signature');
+    });
+
+    test('an unsigned request does not use up the nonce', async () => {
+        const nonce = nextNonce();
+        const forged = await authenticate(signedRequest({ nonce, secret: 'wrong-secret' }));
+        expect(forged.body.details).toBe('Invalid signature');
+
+        await expect(authenticate(signedRequest({ nonce }))).resolves.toEqual({ next: true });
+        const replay = await authenticate(signedRequest({ nonce }));
+        expect(replay.body.details).toBe('Nonce already used');
+    });
+
+    test('rejects missing signatures and stale timestamps', async () => {
+        const unsigned = request({ headers: { 'X-Webhook-Source': 'internal' } });
+        expect((await authenticate(unsigned)).body.details).toBe('Missing signature');
+
+        const stale = await authenticate(signedRequest({ timestamp: Date.now() - 10 * 60 * 1000 }));
+        expect(stale.body.details).toBe('Timestamp outside allowed window');
+    });
+
+    test('rejects unknown sources', async () => {
+        const result = await authenticate(request({ headers: { 'X-Webhook-Source': 'nobody' } }));
+        expect(result.status).toBe(401);
+        expect(result.body.details).toBe('Unknown signal source');
+    });
+});
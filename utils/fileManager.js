@@ -1,4 +1,8 @@
 const fs = require('fs').promises;
+const path = require('path');
+
+// Tail of the pending operation chain per file, so writers never interleave
+const fileLocks = new Map();
 
 class FileManager {
     static async readJsonFile(filePath, defaultValue = null) {
@@ -9,13 +13,121 @@ class FileManager {
             if (error.code === 'ENOENT') {
                 return defaultValue;
             }
+            if (error instanceof SyntaxError) {
+                return await this.withLock(filePath, () => this.recoverJsonFile(filePath, defaultValue, error));
+            }
             throw error;
         }
     }
 
     static async writeJsonFile(filePath, data) {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+        await this.withLock(filePath, () => this.writeAtomic(filePath, data));
+    }
+
+    // Read-modify-write under the file lock. The updater receives the current
+    // content and returns the new content, which is what this resolves to.
+    static async updateJsonFile(filePath, defaultValue, updater) {
+        return await this.withLock(filePath, async () => {
+            const current = await this.readUnlocked(filePath, defaultValue);
+            const updated = await updater(current);
+            await this.writeAtomic(filePath, updated);
+            return updated;
+        });
+    }
+
+    // Run fn once every earlier operation on the same file has settled
+    static withLock(filePath, fn) {
+        const key = path.resolve(filePath);
+        const previous = fileLocks.get(key) || Promise.resolve();
+        const run = previous.then(() => fn());
+        const tail = run.catch(() => {});
+
+        fileLocks.set(key, tail);
+        tail.then(() => {
+            if (fileLocks.get(key) === tail) {
+                fileLocks.delete(key);
+            }
+        });
+
+        return run;
+    }
+
+    static async readUnlocked(filePath, defaultValue) {
+        try {
+            const data = await fs.readFile(filePath, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return defaultValue;
+            }
+            if (error instanceof SyntaxError) {
+                return await this.recoverJsonFile(filePath, defaultValue, error);
+            }
+            throw error;
+        }
+    }
+
+    // Write to a temp file, fsync and rename over the target so a crash never
+    // leaves a half-written file; the same content becomes the last good backup
+    static async writeAtomic(filePath, data) {
+        const json = JSON.stringify(data, null, 2);
+
+        await this.writeFileAtomic(filePath, json);
+        await this.writeFileAtomic(this.backupPath(filePath), json);
+    }
+
+    static async writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    static backupPath(filePath) {
+        return `${filePath}.bak`;
+    }
+
+    // Set the corrupt file aside and restore the last good backup (or the default)
+    static async recoverJsonFile(filePath, defaultValue, parseError) {
+        // Another caller may already have repaired the file while we waited for the lock
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return defaultValue;
+            }
+        }
+
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        console.error(`❌ Corrupt JSON in ${filePath} (${parseError.message}), moved to ${corruptPath}`);
+        await fs.rename(filePath, corruptPath);
+
+        let recovered = defaultValue;
+        try {
+            recovered = JSON.parse(await fs.readFile(this.backupPath(filePath), 'utf8'));
+            console.log(`♻️ Restored ${filePath} from last good backup`);
+        } catch (backupError) {
+            console.error(`⚠️ No usable backup for ${filePath}, falling back to defaults`);
+        }
+
+        if (recovered !== null && recovered !== undefined) {
+            await this.writeFileAtomic(filePath, JSON.stringify(recovered, null, 2));
+        }
+
+        return recovered;
     }
 }
 
-module.exports = FileManager;
\ No newline at end of file
+module.exports = FileManager;
@@ -0,0 +1,78 @@
+const { ORDER_STATUS } = require('../config/constants');
+
+const FILLED_STATUSES = [ORDER_STATUS.PARTIAL, ORDER_STATUS.FILLED];
+
+// Executed fills derived from stored orders: the entry itself and, once it
+// has executed, the stop loss / take profit exit recorded on the order.
+// A fill is { orderId, symbol, side, quantity, price, at, paper, kind, commission, commissionAsset }.
+class Fills {
+    static entryFill(order) {
+        // A cancelled order keeps whatever it executed before the cancel
+        const partlyExecuted = order.status === ORDER_STATUS.CANCELLED && parseFloat(order.executedQuantity) > 0;
+        if (!FILLED_STATUSES.includes(order.status) && !partlyExecuted) {
+            return null;
+        }
+
+        const quantity = parseFloat(order.executedQuantity) ||
+            (order.status === ORDER_STATUS.FILLED ? parseFloat(order.quantity) : 0);
+        const price = parseFloat(order.executedPrice) || parseFloat(order.price);
+
+        if (!(quantity > 0) || !(price > 0)) {
+            return null;
+        }
+
+        return {
+            orderId: order.id,
+            symbol: order.symbol,
+            side: order.side,
+            quantity,
+            price,
+            at: order.executedAt || order.submittedAt || order.createdAt,
+            paper: Boolean(order.paper),
+            kind: 'entry',
+            commission: parseFloat(order.commission) || 0,
+            commissionAsset: order.commissionAsset || null
+        };
+    }
+
+    // Only the quantity the exit order actually executed counts
+    static exitFill(order) {
+        const exit = order.exit;
+        if (!exit) {
+            return null;
+        }
+
+        const quantity = parseFloat(exit.quantity);
+        const price = parseFloat(exit.price);
+
+        if (!(quantity > 0) || !(price > 0)) {
+            return null;
+        }
+
+        return {
+            orderId: order.id,
+            symbol: order.symbol,
+            side: order.side === 'BUY' ? 'SELL' : 'BUY',
+            quantity,
+            price,
+            at: exit.at,
+            paper: Boolean(order.paper),
+            kind: exit.type,
+            commission: parseFloat(exit.commission) || 0,
+            commissionAsset: exit.commissionAsset || null
+        };
+    }
+
+    static orderFills(order) {
+        return [this.entryFill(order), this.exitFill(order)].filter(Boolean);
+    }
+
+    // All fills of the given orders, oldest first
+    static fromOrders(orders) {
+        return orders
+            .flatMap(order => this.orderFills(order))
+            .sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+    }
+}
+
+module.exports = Fills;
@@ -0,0 +1,181 @@
+// Technical indicators over candle series. Series are aligned with the input
+// (oldest first) and hold null until enough candles exist. Smoothing follows
+// Wilder (RSI, ATR, ADX) and TradingView's defaults, so values match the
+// numbers webhooks usually carry.
+// A candle is { openTime, open, high, low, close, volume, closeTime }.
+class Indicators {
+    static sma(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) sum -= values[i - period];
+            if (i >= period - 1) result[i] = sum / period;
+        }
+
+        return result;
+    }
+
+    // Seeded with the SMA of the first period values
+    static ema(values, period) {
+        const result = new Array(values.length).fill(null);
+        if (values.length < period) {
+            return result;
+        }
+
+        const k = 2 / (period + 1);
+        let value = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+        result[period - 1] = value;
+
+        for (let i = period; i < values.length; i++) {
+            value = values[i] * k + value * (1 - k);
+            result[i] = value;
+        }
+
+        return result;
+    }
+
+    static rsi(closes, period = 14) {
+        const result = new Array(closes.length).fill(null);
+        if (closes.length <= period) {
+            return result;
+        }
+
+        let gain = 0;
+        let loss = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = closes[i] - closes[i - 1];
+            gain += Math.max(change, 0);
+            loss += Math.max(-change, 0);
+        }
+        gain /= period;
+        loss /= period;
+        result[period] = Indicators.toRsi(gain, loss);
+
+        for (let i = period + 1; i < closes.length; i++) {
+            const change = closes[i] - closes[i - 1];
+            gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+            loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = Indicators.toRsi(gain, loss);
+        }
+
+        return result;
+    }
+
+    static toRsi(gain, loss) {
+        if (loss === 0) {
+            return gain === 0 ? 50 : 100;
+        }
+        return 100 - 100 / (1 + gain / loss);
+    }
+
+    static trueRange(candle, previous) {
+        if (!previous) {
+            return candle.high - candle.low;
+        }
+        return Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - previous.close),
+            Math.abs(candle.low - previous.close)
+        );
+    }
+
+    static atr(candles, period = 14) {
+        const result = new Array(candles.length).fill(null);
+        if (candles.length <= period) {
+            return result;
+        }
+
+        let value = 0;
+        for (let i = 1; i <= period; i++) {
+            value += Indicators.trueRange(candles[i], candles[i - 1]);
+        }
+        value /= period;
+        result[period] = value;
+
+        for (let i = period + 1; i < candles.length; i++) {
+            value = (value * (period - 1) + Indicators.trueRange(candles[i], candles[i - 1])) / period;
+            result[i] = value;
+        }
+
+        return result;
+    }
+
+    // Directional movement: { plusDI, minusDI, adx } series
+    static adx(candles, period = 14) {
+        const length = candles.length;
+        const plusDI = new Array(length).fill(null);
+        const minusDI = new Array(length).fill(null);
+        const adx = new Array(length).fill(null);
+
+        if (length <= period) {
+            return { plusDI, minusDI, adx };
+        }
+
+        let smoothedTr = 0;
+        let smoothedPlus = 0;
+        let smoothedMinus = 0;
+        let adxValue = null;
+        let dxSum = 0;
+
+        for (let i = 1; i < length; i++) {
+            const upMove = candles[i].high - candles[i - 1].high;
+            const downMove = candles[i - 1].low - candles[i].low;
+            const plusDm = upMove > downMove && upMove > 0 ? upMove : 0;
+            const minusDm = downMove > upMove && downMove > 0 ? downMove : 0;
+            const tr = Indicators.trueRange(candles[i], candles[i - 1]);
+
+            if (i <= period) {
+                smoothedTr += tr;
+                smoothedPlus += plusDm;
+                smoothedMinus += minusDm;
+                if (i < period) continue;
+            } else {
+                smoothedTr = smoothedTr - smoothedTr / period + tr;
+                smoothedPlus = smoothedPlus - smoothedPlus / period + plusDm;
+                smoothedMinus = smoothedMinus - smoothedMinus / period + minusDm;
+            }
+
+            const plus = smoothedTr > 0 ? 100 * smoothedPlus / smoothedTr : 0;
+            const minus = smoothedTr > 0 ? 100 * smoothedMinus / smoothedTr : 0;
+            const dx = plus + minus > 0 ? 100 * Math.abs(plus - minus) / (plus + minus) : 0;
+            plusDI[i] = plus;
+            minusDI[i] = minus;
+
+            // ADX starts as the mean of the first period DX values
+            const dxCount = i - period + 1;
+            if (dxCount < period) {
+                dxSum += dx;
+            } else if (dxCount === period) {
+                adxValue = (dxSum + dx) / period;
+                adx[i] = adxValue;
+            } else {
+                adxValue = (adxValue * (period - 1) + dx) / period;
+                adx[i] = adxValue;
+            }
+        }
+
+        return { plusDI, minusDI, adx };
+    }
+
+    // { macd, signal, histogram } series
+    static macd(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        const fast = Indicators.ema(closes, fastPeriod);
+        const slow = Indicators.ema(closes, slowPeriod);
+        const macd = closes.map((_, i) => fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null);
+
+        const start = macd.findIndex(value => value !== null);
+        const signal = new Array(closes.length).fill(null);
+        if (start !== -1) {
+            Indicators.ema(macd.slice(start), signalPeriod).forEach((value, i) => {
+                signal[start + i] = value;
+            });
+        }
+
+        const histogram = macd.map((value, i) => value !== null && signal[i] !== null ? value - signal[i] : null);
+        return { macd, signal, histogram };
+    }
+}
+
+module.exports = Indicators;
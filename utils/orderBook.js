@@ -0,0 +1,107 @@
+// Local copy of one symbol's order book: a REST depth snapshot kept current by
+// the exchange's diff stream. Levels are price -> quantity; a zero quantity
+// removes the level.
+class OrderBook {
+    constructor(symbol) {
+        this.symbol = symbol;
+        this.bids = new Map();
+        this.asks = new Map();
+        this.lastUpdateId = null;
+        this.streaming = false; // a diff has been applied on top of the snapshot
+        this.updatedAt = null;
+    }
+
+    // Snapshot as returned by the depth endpoint: { lastUpdateId, bids, asks } with
+    // levels given as { price, quantity } or [price, quantity]
+    applySnapshot(snapshot) {
+        this.bids.clear();
+        this.asks.clear();
+        this.setLevels(this.bids, snapshot.bids);
+        this.setLevels(this.asks, snapshot.asks);
+        this.lastUpdateId = snapshot.lastUpdateId;
+        this.streaming = false;
+        this.updatedAt = Date.now();
+    }
+
+    // Depth diff event { U, u, pu?, b, a }. Returns false when an update was
+    // missed; the book is then out of sync and needs a new snapshot.
+    applyDiff(event) {
+        if (this.lastUpdateId === null) {
+            return false;
+        }
+
+        // Already contained in the snapshot
+        if (event.u <= this.lastUpdateId) {
+            return true;
+        }
+
+        // Futures events name their predecessor (pu); spot ones must start right after the last id
+        const inSequence = this.streaming && event.pu !== undefined
+            ? event.pu === this.lastUpdateId
+            : event.U <= this.lastUpdateId + 1;
+
+        if (!inSequence) {
+            return false;
+        }
+
+        this.setLevels(this.bids, event.b);
+        this.setLevels(this.asks, event.a);
+        this.lastUpdateId = event.u;
+        this.streaming = true;
+        this.updatedAt = Date.now();
+        return true;
+    }
+
+    setLevels(levels, updates = []) {
+        for (const level of updates) {
+            const price = parseFloat(Array.isArray(level) ? level[0] : level.price);
+            const quantity = parseFloat(Array.isArray(level) ? level[1] : level.quantity);
+
+            if (quantity > 0) {
+                levels.set(price, quantity);
+            } else {
+                levels.delete(price);
+            }
+        }
+    }
+
+    // Levels a taker on this side would consume, best first
+    getLevels(side) {
+        return side === 'BUY'
+            ? Array.from(this.asks).sort((a, b) => a[0] - b[0])
+            : Array.from(this.bids).sort((a, b) => b[0] - a[0]);
+    }
+
+    // Walk the book for a market order of this size. slippagePercent is the
+    // distance of the average fill price from the best price.
+    estimateFill(side, quantity) {
+        const levels = this.getLevels(side.toUpperCase());
+        let remaining = quantity;
+        let cost = 0;
+        let worstPrice = null;
+
+        for (const [price, available] of levels) {
+            if (remaining <= 0) break;
+
+            const taken = Math.min(available, remaining);
+            cost += taken * price;
+            remaining -= taken;
+            worstPrice = price;
+        }
+
+        const filledQuantity = quantity - Math.max(remaining, 0);
+        const bestPrice = levels.length > 0 ? levels[0][0] : null;
+        const averagePrice = filledQuantity > 0 ? cost / filledQuantity : null;
+
+        return {
+            bestPrice,
+            averagePrice,
+            worstPrice,
+            filledQuantity,
+            complete: remaining <= 1e-12,
+            slippagePercent: bestPrice && averagePrice ? Math.abs(averagePrice - bestPrice) / bestPrice * 100 : null
+        };
+    }
+}
+
+module.exports = OrderBook;